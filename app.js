@@ -1,79 +1,3905 @@
 /**
  * app.js
- * Replaces all Firebase logic with localStorage.
+ * Stores reports through a pluggable backend: localStorage (default)
+ * or the bundled REST server (server.js).
  * Handles all report saving, retrieving, and status updates.
  * Manages UI for all pages.
  */
 
 const STORAGE_KEY = 'fixYourCityReports';
+const USERS_KEY = 'fixYourCityUsers';
+const SESSION_KEY = 'fixYourCitySession';
+const BACKEND_KEY = 'fixYourCityBackend';
+const CACHED_SESSION_KEY = 'fixYourCityCachedSession';
+const NOTIFICATIONS_KEY = 'fixYourCityNotifications';
+const SHOWN_NOTIFICATIONS_KEY = 'fixYourCityShownNotifications'; // Per device, for browser notifications
+const CATEGORIES_KEY = 'fixYourCityCategories';
+const CACHED_CATEGORIES_KEY = 'fixYourCityCachedCategories';
+const REPORT_DRAFT_KEY = 'fixYourCityReportDraft'; // Per device, the unfinished report form
+const API_BASE_URL = 'api'; // Relative, so it works wherever server.js serves the pages
+
+// Roles, statuses and their transitions, departments, default categories, the
+// report schema and notification events come from shared.js, which the
+// server loads too.
+
+// --- Report Statuses ---
+
+// Button colors for moving a report into each status; the labels are 'statusAction.<status>' messages
+const STATUS_ACTIONS = {
+    'Pending': { className: 'bg-red-600 hover:bg-red-500' },
+    'In Progress': { className: 'bg-emerald-600 hover:bg-emerald-500' },
+    'Needs Info': { className: 'bg-blue-600 hover:bg-blue-500' },
+    'Resolved': { className: 'bg-green-600 hover:bg-green-500' },
+    'Rejected': { className: 'bg-gray-600 hover:bg-gray-500' },
+    'Duplicate': { className: 'bg-purple-600 hover:bg-purple-500' }
+};
+
+// --- Categories ---
+// The category list is described with DEFAULT_CATEGORIES in shared.js.
+// Department admins manage it from the Authority Dashboard ("Manage
+// Categories"); the backend stores it and loadCategories() fetches it before
+// a page is set up.
+
+// The list in use; replaced by loadCategories() and after an admin saves changes
+let categories = DEFAULT_CATEGORIES;
+
+/**
+ * Replaces the categories in use.
+ * @param {Array<object>} list - The categories, as described above.
+ */
+function setCategories(list) {
+    categories = list;
+}
+
+/**
+ * The categories residents can currently report.
+ * @returns {Array<object>}
+ */
+function getCategories() {
+    return categories;
+}
+
+/**
+ * Looks up a category by the name stored on reports.
+ * @param {string} name - A report category.
+ * @returns {object|null} The category, or null if it has been removed.
+ */
+function getCategoryConfig(name) {
+    return categories.find(category => category.name === name) || null;
+}
+
+/**
+ * The emoji shown beside a category's name.
+ * @param {string} name - A report category.
+ * @returns {string} The icon, or '' for removed categories.
+ */
+function getCategoryIcon(name) {
+    const category = getCategoryConfig(name);
+    return category ? category.icon : '';
+}
+
+/**
+ * Makes a key for a new extra field from its label, e.g. "Pole number" ->
+ * "poleNumber". Labels without Latin letters or digits get "field".
+ * @param {string} label - The field's label.
+ * @param {Array<string>} takenKeys - Keys the category already uses.
+ * @returns {string} A key not in takenKeys.
+ */
+function createFieldKey(label, takenKeys) {
+    const words = label.normalize('NFKD').replace(/[^A-Za-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+    let base = words.map((word, index) => (index === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase())).join('');
+    if (!/^[A-Za-z]/.test(base)) base = `field${base}`;
+    let key = base;
+    for (let n = 2; takenKeys.includes(key); n++) key = `${base}${n}`;
+    return key;
+}
+
+/**
+ * Fetches the categories from the backend and puts them in use. On failure
+ * the defaults stay in use, so the page still works.
+ * @returns {Promise<void>}
+ */
+async function loadCategories() {
+    try {
+        setCategories(await storage.getCategories());
+    } catch (error) {
+        console.error(`Error loading categories from the '${storage.name}' backend`, error);
+    }
+}
+
+/**
+ * Looks up the department responsible for a category.
+ * @param {string} category - A report category.
+ * @returns {string} The department name.
+ */
+function getDepartmentForCategory(category) {
+    const config = getCategoryConfig(category);
+    return config ? config.department : DEFAULT_DEPARTMENT;
+}
+
+/**
+ * The department a report belongs to. Reports filed before routing existed
+ * are routed by their category.
+ * @param {object} report - The report.
+ * @returns {string} The department name.
+ */
+function getReportDepartment(report) {
+    return report.department || getDepartmentForCategory(report.category);
+}
+
+// --- Service Levels ---
+
+const DUE_SOON_HOURS = 24;
+
+// Reached once a report has been overdue for afterHours; each tier outranks the last
+const ESCALATION_TIERS = [
+    { afterHours: 0, labelKey: 'escalation.overdue' },
+    { afterHours: 48, labelKey: 'escalation.departmentHead' },
+    { afterHours: 168, labelKey: 'escalation.commissioner' }
+];
+
+// How much each factor adds to a report's priority score
+const PRIORITY_WEIGHTS = {
+    severity: 10,        // Per severity point
+    perDayOpen: 2,
+    perSupporter: 5,     // Per resident beyond the reporter
+    perEscalationTier: 15
+};
+
+// Where SLA code gets the current time. Swap it with setClock() to test
+// deadlines without waiting for them.
+let clock = () => Date.now();
+
+/**
+ * Replaces the time source used for deadlines and priorities.
+ * @param {function(): number} newClock - Returns the current time in milliseconds.
+ */
+function setClock(newClock) {
+    clock = newClock;
+}
+
+/**
+ * Looks up the SLA target for a category.
+ * @param {string} category - A report category.
+ * @returns {{targetHours: number, severity: number}}
+ */
+function getSlaTarget(category) {
+    const config = getCategoryConfig(category);
+    return config ? { targetHours: config.targetHours, severity: config.severity } : DEFAULT_SLA_TARGET;
+}
+
+/**
+ * Works out when a report is due, counting from when it was filed.
+ * @param {string} category - The report category.
+ * @param {string} submittedAt - ISO time the report was filed.
+ * @returns {string} The due date as an ISO string.
+ */
+function computeDueDate(category, submittedAt) {
+    return new Date(new Date(submittedAt).getTime() + getSlaTarget(category).targetHours * HOUR_MS).toISOString();
+}
+
+/**
+ * Describes where a report stands against its deadline. Closed reports are
+ * never overdue. Reports filed before due dates existed get one from their
+ * category and filing time.
+ * @param {object} report - The report.
+ * @param {number} [now] - Current time in milliseconds; defaults to the clock.
+ * @returns {{dueAt: string, open: boolean, overdue: boolean, dueSoon: boolean, hoursLeft: number, escalationTier: number, escalationLabel: string}}
+ *   escalationTier is 0 when not overdue, else 1-based into ESCALATION_TIERS.
+ */
+function getSlaState(report, now = clock()) {
+    const dueAt = report.dueAt || computeDueDate(report.category, report.submittedAt);
+    const hoursLeft = (new Date(dueAt).getTime() - now) / HOUR_MS;
+    const open = OPEN_STATUSES.includes(report.status);
+    const overdue = open && hoursLeft < 0;
+    const escalationTier = overdue ? ESCALATION_TIERS.filter(tier => -hoursLeft >= tier.afterHours).length : 0;
+    return {
+        dueAt,
+        open,
+        overdue,
+        dueSoon: open && !overdue && hoursLeft <= DUE_SOON_HOURS,
+        hoursLeft,
+        escalationTier,
+        escalationLabel: escalationTier > 0 ? t(ESCALATION_TIERS[escalationTier - 1].labelKey) : ''
+    };
+}
+
+/**
+ * Scores how urgently a report needs attention, from its category severity,
+ * how long it has been open, how many residents back it and how far it has
+ * escalated. Closed reports score 0.
+ * @param {object} report - The report.
+ * @param {number} [now] - Current time in milliseconds; defaults to the clock.
+ * @returns {number} The score; higher is more urgent.
+ */
+function computePriorityScore(report, now = clock()) {
+    const sla = getSlaState(report, now);
+    if (!sla.open) return 0;
+    const daysOpen = Math.max(0, (now - new Date(report.submittedAt).getTime()) / (24 * HOUR_MS));
+    return Math.round(
+        getSlaTarget(report.category).severity * PRIORITY_WEIGHTS.severity
+        + daysOpen * PRIORITY_WEIGHTS.perDayOpen
+        + (countSupporters(report) - 1) * PRIORITY_WEIGHTS.perSupporter
+        + sla.escalationTier * PRIORITY_WEIGHTS.perEscalationTier
+    );
+}
+
+/**
+ * Formats a number of hours as a short duration like "5h" or "3d".
+ * @param {number} hours - The duration.
+ * @returns {string}
+ */
+function formatHours(hours) {
+    const abs = Math.abs(hours);
+    return abs < 48 ? t('duration.hours', { count: Math.max(1, Math.round(abs)) }) : t('duration.days', { count: Math.round(abs / 24) });
+}
+
+// --- Internationalization ---
+// Everything the UI shows goes through t(), which looks the text up in the
+// catalog for the chosen language, falling back to English. Stored values
+// (statuses, categories, departments, roles) stay as their English codes;
+// getStatusLabel() and friends translate them only for display, so filters,
+// URLs, getStatusClass() and the server never see a translated value.
+// Static page text is marked with data-i18n="<key>" (data-i18n-placeholder,
+// -aria-label, -title and -alt for attributes) and filled in by applyTranslations().
+
+const LANGUAGE_KEY = 'fixYourCityLanguage';
+const DEFAULT_LANGUAGE = 'en';
+const LANGUAGES = {
+    en: { name: 'English', locale: 'en-IN' },
+    hi: { name: 'हिन्दी', locale: 'hi-IN' }
+};
+
+const MESSAGES = {
+    en: {
+        'nav.dashboard': 'Dashboard',
+        'nav.myReports': 'My Reports',
+        'nav.explore': 'Explore Issues',
+        'nav.report': 'Report an Issue',
+        'nav.howItWorks': 'How It Works',
+        'nav.logout': 'Logout',
+        'nav.logOut': 'Log out',
+        'nav.language': 'Language',
+        'nav.notifications': 'Notifications',
+        'nav.openSidebar': 'Open sidebar',
+        'nav.homeTitle': 'Go to Dashboard Home',
+        'footer.copyright': '© 2025 FixYourCity. All rights reserved.',
+
+        'status.Pending': 'Pending',
+        'status.In Progress': 'In Progress',
+        'status.Needs Info': 'Needs Info',
+        'status.Resolved': 'Resolved',
+        'status.Rejected': 'Rejected',
+        'status.Duplicate': 'Duplicate',
+        'statusAction.Pending': 'Move to Pending',
+        'statusAction.In Progress': 'Mark In Progress',
+        'statusAction.Needs Info': 'Request Info',
+        'statusAction.Resolved': 'Mark Resolved',
+        'statusAction.Rejected': 'Reject',
+        'statusAction.Duplicate': 'Mark Duplicate',
+        'category.Pothole': 'Pothole',
+        'category.Garbage & Dumping': 'Garbage & Dumping',
+        'category.Broken Streetlight': 'Broken Streetlight',
+        'category.Public Nuisance': 'Public Nuisance',
+        'category.Graffiti': 'Graffiti',
+        'category.Other': 'Other',
+        'categoryField.Size of pothole': 'Size of pothole',
+        'categoryField.Streetlight pole number': 'Streetlight pole number',
+        'categoryOption.Small': 'Small',
+        'categoryOption.Medium': 'Medium',
+        'categoryOption.Large': 'Large',
+        'department.Roads': 'Roads',
+        'department.Sanitation': 'Sanitation',
+        'department.Electrical': 'Electrical',
+        'department.Public Safety': 'Public Safety',
+        'department.General Administration': 'General Administration',
+        'role.resident': 'Resident',
+        'role.officer': 'Field Officer',
+        'role.admin': 'Department Admin',
+
+        'login.subtitle': 'Sign in to continue.',
+        'login.registerSubtitle': 'Create a resident account.',
+        'login.email': 'Email',
+        'login.password': 'Password',
+        'login.fullName': 'Full Name',
+        'login.signIn': 'Sign In',
+        'login.signingIn': 'Signing in...',
+        'login.newResident': 'New resident?',
+        'login.createAccountLink': 'Create an account',
+        'login.createAccount': 'Create Account',
+        'login.creatingAccount': 'Creating account...',
+        'login.alreadyRegistered': 'Already registered?',
+        'login.signInLink': 'Sign in',
+
+        'home.headline': 'Empowering Citizens.',
+        'home.tagline': "Report civic issues you care about. We'll store them locally in your browser.",
+        'home.cta': 'Report an Issue Now',
+        'home.step1.title': '1. Report an Issue',
+        'home.step1.body': "Snap a photo, add details, and submit your report. It's saved right here in your browser.",
+        'home.step2.title': '2. Track Status',
+        'home.step2.body': "Go to 'My Reports' to track your submissions. An 'Authority' using *this same browser* can see and update the status.",
+        'home.step3.title': '3. Reopen if Needed',
+        'home.step3.body': "If an issue is marked 'Resolved' but the problem isn't fixed, you can reopen the report from the 'My Reports' page.",
+
+        'form.title': 'Report a New Issue',
+        'form.category': 'Issue Category',
+        'form.selectCategory': 'Select a category',
+        'form.draftRestored': 'We kept your unfinished report. Please add the photos again.',
+        'form.discardDraft': 'Discard',
+        'form.chooseOption': 'Choose…',
+        'form.optional': '(optional)',
+        'form.fieldRequired': 'Please fill in "{field}".',
+        'form.location': 'Location / Address',
+        'form.locationPlaceholder': 'e.g., Near Sector 18 Metro, Noida',
+        'form.getLocation': 'Get My Current Location',
+        'form.mapHint': 'Not there right now? Click the map or drag the pin to mark where the issue is.',
+        'form.description': 'Description',
+        'form.descriptionPlaceholder': 'Provide a brief description of the issue...',
+        'form.photo': 'Add Photo Evidence (up to 4)',
+        'form.photos': 'Add Photo Evidence (up to {max})',
+        'form.photoAlt': 'Photo {number}',
+        'form.removePhoto': 'Remove photo',
+        'form.tooManyPhotos': 'A report can have up to {max} photos; the extra ones were left out.',
+        'form.usePhotoLocation': 'Use the Location Saved in the Photo',
+        'form.submit': 'Submit Report',
+        'form.submitNew': 'Submit as a New Report',
+        'form.submitting': 'Submitting...',
+        'form.missingFields': 'Please fill out all required fields and add a photo.',
+        'form.submitted': 'Report submitted successfully!',
+        'form.savedOffline': 'You are offline, so your report is saved on this device. It will be sent automatically when you are back online.',
+        'form.supportAdded': 'Thanks! Your support was added to the existing report, so there is no need to file it again.',
+        'form.error': 'Error: {message}',
+
+        'geo.unsupported': 'Geolocation is not supported by your browser.',
+        'geo.fetching': 'Fetching...',
+        'geo.requesting': 'Requesting location permission...',
+        'geo.captured': 'Location captured: {lat}, {lon}',
+        'geo.pinned': 'Pinned location: {lat}, {lon}',
+        'geo.fromPhoto': 'Location from photo: {lat}, {lon}',
+        'geo.pinMoved': 'Pin moved to match the address. Drag it to adjust.',
+        'geo.near': 'Near {lat}, {lon}',
+        'geo.failed': 'Unable to retrieve location.',
+        'geo.denied': 'Location permission denied. Please enable it in your browser settings.',
+        'geo.unavailable': 'Location information is unavailable.',
+        'geo.timeout': 'The request to get location timed out.',
+
+        'duplicates.title': 'This issue may already be reported',
+        'duplicates.hint': 'Support an existing report instead of filing it again. If none of these is your issue, submit again to file a new report.',
+        'duplicates.distance': 'About {meters} m away',
+        'duplicates.similarLocation': 'Similar location',
+        'duplicates.support': '+1 Same issue',
+        'duplicates.yours': 'Your report',
+        'duplicates.supported': 'Supported',
+
+        'report.supporters.one': '{count} supporter',
+        'report.supporters.other': '{count} supporters',
+        'report.supportersHint': 'Residents reporting this issue',
+        'report.noDescription': 'No description provided.',
+        'report.notSpecified': 'Not specified',
+        'report.noLocation': 'No location',
+        'report.locationLabel': 'Location:',
+        'report.assignedToLabel': 'Assigned to:',
+        'report.unassigned': 'Unassigned',
+        'report.reportedOn': 'Reported on: {date}',
+        'report.viewMap': '(View Map)',
+        'report.viewOnMap': 'View on Map',
+        'report.photoCount': '{count} photos',
+        'report.evidence': 'Evidence',
+        'report.evidenceNumber': 'Evidence {number}',
+        'report.select': 'Select report',
+        'report.priority': 'Priority {score}',
+        'report.priorityHint': 'Severity, age, supporters and escalation',
+        'report.assignTo': 'Assign to',
+        'report.assign': 'Assign',
+        'report.statusNote': 'Note for the status change (optional)',
+        'report.mergeTarget': 'Report to merge into',
+        'report.mergeInto': 'Merge into',
+        'report.mergedInto': 'Merged into report {id}.',
+        'report.mergedReports.one': '{count} duplicate report was merged into this one.',
+        'report.mergedReports.other': '{count} duplicate reports were merged into this one.',
+        'history.mergedInto': 'Merged into report {id} ({place}).',
+        'history.imported': 'Imported',
+        'report.statusHistory': 'Status history ({count})',
+        'report.comments': 'Comments ({count})',
+        'resolution.title': 'How it was fixed',
+        'resolution.photoNumber': 'After photo {number}',
+        'resolution.photosLabel': 'After photos (needed, with a note, to mark it resolved)',
+        'resolution.proofRequired': 'To mark a report resolved, write a note saying what was done and attach at least one "after" photo.',
+        'feedback.title': 'Resident feedback',
+        'feedback.yours': 'Your feedback',
+        'feedback.latest': 'Latest rating from the resident',
+        'feedback.ratingValue': '{rating} out of {scale}',
+        'feedback.confirmed': 'Confirmed the fix',
+        'feedback.reopened': 'Reopened',
+        'feedback.prompt': 'Is it fixed? Rate the fix, then confirm it or reopen the report.',
+        'feedback.reasonPlaceholder': 'If it is not fixed, say what is still wrong',
+        'feedback.confirm': 'Confirm fix',
+        'feedback.ratingRequired': 'Choose a star rating first.',
+        'feedback.reasonRequired': 'Say what is still wrong to reopen the report.',
+        'sla.due': 'Due {date}',
+        'sla.dueIn': 'Due in {duration}',
+        'sla.late': '{label} · {duration} late',
+        'duration.hours': '{count}h',
+        'duration.days': '{count}d',
+        'escalation.overdue': 'Overdue',
+        'escalation.departmentHead': 'Escalated to department head',
+        'escalation.commissioner': 'Escalated to commissioner',
+
+        'timeline.empty': 'No status changes recorded yet.',
+        'timeline.submittedAs': 'Submitted as',
+        'timeline.unknown': 'Unknown',
+        'comments.empty': 'No comments yet.',
+        'comments.placeholder': 'Write a comment...',
+        'comments.post': 'Post',
+        'comments.reporter': 'Reporter',
+        'comments.authority': 'Authority',
+        'comments.unread': 'Unread comments',
+
+        'myReports.title': 'My Reports',
+        'myReports.intro': 'Here is a list of all the issues you have submitted.',
+        'myReports.date': 'Date',
+        'myReports.category': 'Category',
+        'myReports.location': 'Location',
+        'myReports.status': 'Status',
+        'myReports.evidence': 'Evidence',
+        'myReports.action': 'Action',
+        'myReports.empty': 'You have not reported any issues yet.',
+        'myReports.reportNow': 'Report one now!',
+        'myReports.view': 'View',
+        'myReports.details': 'Details',
+        'myReports.reopen': 'Reopen',
+        'myReports.review': 'Review fix',
+        'myReports.waiting': 'Waiting to sync',
+        'myReports.notSent': 'Not sent: {error}',
+        'myReports.queued.one': '{count} report is waiting to be sent.',
+        'myReports.queued.other': '{count} reports are waiting to be sent.',
+        'myReports.offline': 'You are offline, so only reports saved on this device are shown. {waiting}',
+        'myReports.retrying': '{waiting} They are retried automatically.',
+        'myReports.detailTitle': 'Report Details',
+        'myReports.statusHistory': 'Status History',
+        'myReports.comments': 'Comments',
+
+        'explore.title': 'Explore All Submitted Issues',
+        'explore.byStatus': 'By Status',
+        'explore.pending': 'Active (no operation)',
+        'explore.pendingEmpty': 'No active issues found.',
+        'explore.inProgress': 'Under Process',
+        'explore.inProgressEmpty': 'No issues are currently under process.',
+        'explore.resolvedEmpty': 'No issues have been resolved yet.',
+        'map.allStatuses': 'All statuses',
+        'map.allCategories': 'All categories',
+        'map.summary': '{located} of {total} matching reports have a map location.',
+        'map.zoomIn': 'Zoom in',
+        'map.zoomOut': 'Zoom out',
+        'map.offline': 'Offline map (tiles unavailable)',
+        'map.dragPin': 'Drag to move',
+        'map.cluster.one': '{count} report',
+        'map.cluster.other': '{count} reports',
+        'image.alt': 'Reported Issue Evidence',
+
+        'filters.dashboard': 'Dashboard',
+        'filters.allReports': 'All Reports',
+        'filters.reportsTitle': '{title} Reports',
+        'filters.filtered': 'Filtered',
+        'filters.matching': 'Matching "{query}"',
+        'filters.pending': 'No Progress (Pending)',
+        'filters.inProgress': 'Active (In Progress)',
+        'filters.department': '{department} Department',
+        'filters.assignedToMe': 'Assigned to Me',
+        'filters.assigned': 'Assigned',
+        'filters.overdue': 'Overdue',
+        'filters.dueSoon': 'Due Soon',
+        'filters.dateRange': 'Date Range',
+        'filters.categories': 'Categories',
+        'filters.departments': 'Departments',
+        'filters.insights': 'Insights',
+        'filters.administration': 'Administration',
+        'filters.anyStatus': 'Any status',
+        'filters.anyCategory': 'Any category',
+        'filters.anyDepartment': 'Any department',
+        'filters.anyOfficer': 'Any officer',
+        'filters.anyDueDate': 'Any due date',
+        'filters.search': 'Search description or location',
+        'filters.searchLabel': 'Search reports',
+        'filters.status': 'Status',
+        'filters.assignee': 'Assigned officer',
+        'filters.from': 'From',
+        'filters.to': 'To',
+        'filters.due': 'Due date',
+        'filters.clear': 'Clear filters',
+        'sort.newest': 'Newest first',
+        'sort.oldest': 'Oldest first',
+        'sort.priority': 'Highest priority first',
+        'sort.supporters': 'Most supported first',
+        'sort.label': 'Sort reports',
+        'view.list': 'List',
+        'view.map': 'Map',
+        'list.empty': 'No reports found.',
+        'pagination.showing': 'Showing {start}–{end} of {total}',
+        'pagination.previous': 'Previous',
+        'pagination.next': 'Next',
+        'pagination.page': 'Page {page} of {count}',
+        'stats.title': 'Key Statistics',
+        'stats.total': 'Total Reports',
+        'stats.pending': 'Pending',
+        'stats.byDepartment': 'Reports by Department',
+        'stats.department': 'Department',
+        'stats.totalColumn': 'Total',
+        'stats.open': 'Open',
+        'stats.quarantined.one': '{count} stored report record could not be read and was set aside under the browser storage key "{key}".',
+        'stats.quarantined.other': '{count} stored report records could not be read and were set aside under the browser storage key "{key}".',
+        'analytics.title': 'Analytics',
+        'analytics.period': 'Period',
+        'analytics.last30Days': 'Last 30 days',
+        'analytics.last12Weeks': 'Last 12 weeks',
+        'analytics.today': 'Today',
+        'analytics.thisWeek': 'This week',
+        'analytics.filed': 'Reports filed',
+        'analytics.backlog': 'Open backlog',
+        'analytics.timeToResolve': 'Time to resolve',
+        'analytics.median': 'Median',
+        'analytics.p90': '90th percentile',
+        'analytics.noneResolved': 'No reports have been resolved yet.',
+        'analytics.reopenRate': 'Reopen rate',
+        'analytics.reopened.one': '{reopened} of {count} resolved report was reopened.',
+        'analytics.reopened.other': '{reopened} of {count} resolved reports were reopened.',
+        'analytics.satisfaction': 'Resident satisfaction',
+        'analytics.noRatings': 'No fixes have been rated yet.',
+        'analytics.rating.one': 'Average {average} of {scale} from {count} rating.',
+        'analytics.rating.other': 'Average {average} of {scale} from {count} ratings.',
+        'analytics.hotspots': 'Hotspots',
+        'analytics.noLocations': 'No locations reported yet.',
+        'analytics.hotspot.one': '{count} report, {open} open',
+        'analytics.hotspot.other': '{count} reports, {open} open',
+        'transfer.format': 'Export format',
+        'transfer.geojson': 'GeoJSON (reports with coordinates)',
+        'transfer.photos': 'Photos (.zip)',
+        'transfer.export': 'Export filtered reports',
+        'transfer.import': 'Import reports (CSV, JSON or GeoJSON)',
+        'transfer.noPhotos': 'None of these reports have photos.',
+        'transfer.exportedPhotos.one': 'Exported {count} photo.',
+        'transfer.exportedPhotos.other': 'Exported {count} photos.',
+        'transfer.exportedGeoJson': 'Exported {located} of {total} reports; the rest have no coordinates.',
+        'transfer.exported.one': 'Exported {count} report. Photos are not included; export them separately as a zip.',
+        'transfer.exported.other': 'Exported {count} reports. Photos are not included; export them separately as a zip.',
+        'transfer.importFailed': 'Nothing was imported: {error}',
+        'transfer.imported.one': 'Imported {count} report.',
+        'transfer.imported.other': 'Imported {count} reports.',
+        'transfer.importProblems': '{invalid} invalid, {skipped} already present:',
+        'transfer.invalidRow': 'Row {row}: {problems}',
+        'transfer.skippedRow': 'Row {row}: report {id} already exists, skipped.',
+        'bulk.selectPage': 'Select page',
+        'bulk.selected': '{count} selected',
+        'bulk.newStatus': 'New status',
+        'bulk.apply': 'Apply',
+        'bulk.exportCsv': 'Export CSV',
+        'bulk.clear': 'Clear selection',
+        'bulk.updated.one': 'Updated {count} report.',
+        'bulk.updated.other': 'Updated {count} reports.',
+        'bulk.assigned.one': 'Assigned {count} report.',
+        'bulk.assigned.other': 'Assigned {count} reports.',
+        'bulk.unassigned.one': 'Unassigned {count} report.',
+        'bulk.unassigned.other': 'Unassigned {count} reports.',
+        'bulk.failed': '{count} could not be changed:',
+        'bulk.reportAt': '{category} at {location}',
+        'staff.title': 'Manage Accounts',
+        'staff.password': 'Temporary password',
+        'staff.created': 'Account created.',
+        'categories.title': 'Manage Categories',
+        'categories.hint': 'Residents choose from these when they file a report. A category keeps its name once saved, because reports are filed under it.',
+        'categories.icon': 'Icon',
+        'categories.name': 'Name',
+        'categories.department': 'Department',
+        'categories.targetHours': 'Target (hours)',
+        'categories.severity': 'Severity',
+        'categories.severity.1': '1 – Low',
+        'categories.severity.2': '2 – Medium',
+        'categories.severity.3': '3 – High',
+        'categories.fields': 'Extra fields on the report form',
+        'categories.noFields': 'No extra fields.',
+        'categories.fieldLabel': 'Question, e.g. Pole number',
+        'categories.fieldType': 'Answer type',
+        'categories.fieldType.text': 'Text',
+        'categories.fieldType.number': 'Number',
+        'categories.fieldType.select': 'List of choices',
+        'categories.fieldOptions': 'Choices, separated by commas',
+        'categories.fieldRequired': 'Required',
+        'categories.removeField': 'Remove',
+        'categories.addField': '+ Add field',
+        'categories.remove': 'Remove category',
+        'categories.add': 'Add Category',
+        'categories.save': 'Save Categories',
+        'categories.saved': 'Categories saved.',
+
+        'notifications.title': 'Notifications',
+        'notifications.markAllRead': 'Mark all as read',
+        'notifications.empty': 'No notifications yet.',
+        'notifications.preferences': 'Preferences',
+        'notifications.browser': 'Browser pop-ups',
+        'notifications.channel': 'Email/SMS',
+        'notifications.unreadLabel': 'Notifications ({count} unread)',
+        'notifications.unsupported': 'This browser does not support notifications.',
+        'notifications.blocked': 'Notifications are blocked for this site. Allow them in your browser settings first.',
+        'notifications.reportLabel': '{category} report at {location}',
+        'notifications.unknownLocation': 'an unknown location',
+        'notificationType.status': 'Status changes',
+        'notificationType.comment': 'New comments',
+        'notificationType.assignment': 'Assignments',
+        'notificationEvent.statusChanged': '{actor} moved the {report} from {from} to {to}.',
+        'notificationEvent.commented': '{actor} commented on the {report}: "{excerpt}"',
+        'notificationEvent.assignedToYou': '{actor} assigned the {report} to you.',
+        'notificationEvent.reportAssigned': 'Your {report} was assigned to {assignee}.',
+        'errors.nameRequired': 'Please enter your name.',
+        'errors.emailInvalid': 'Please enter a valid email address.',
+        'errors.passwordTooShort': 'Password must be at least 8 characters long.',
+        'errors.unknownRole': 'Unknown role \'{role}\'.',
+        'errors.emailTaken': 'An account with this email already exists.',
+        'errors.wrongPassword': 'Incorrect email or password.',
+        'errors.signInRequired': 'Please sign in.',
+        'errors.forbidden': 'You do not have permission to do that.',
+        'errors.adminOnlyAccounts': 'Only department admins can manage accounts.',
+        'errors.adminOnlyCategories': 'Only department admins can manage categories.',
+        'errors.categoriesEmpty': 'There must be at least one category.',
+        'errors.categoryName': 'Every category needs a name.',
+        'errors.categoryDuplicate': 'There are two categories called "{name}".',
+        'errors.categoryIcon': '{name}: the icon must be text.',
+        'errors.categoryDepartment': '{name}: choose a department.',
+        'errors.categoryTarget': '{name}: the target must be a positive number of hours.',
+        'errors.categorySeverity': '{name}: severity must be 1, 2 or 3.',
+        'errors.categoryFields': '{name}: fields must be a list.',
+        'errors.fieldLabel': '{name}: every extra field needs a label.',
+        'errors.fieldKey': '{name}: "{label}" needs a unique key made of letters and digits.',
+        'errors.fieldType': '{name}: "{label}" has an unknown type.',
+        'errors.fieldOptions': '{name}: "{label}" needs at least one choice.',
+        'errors.adminOnlyAssign': 'Only department admins can assign reports.',
+        'errors.adminOnlyImport': 'Only department admins can import reports.',
+        'errors.assignStaffOnly': 'Reports can only be assigned to staff.',
+        'errors.storageFull': 'Your browser storage is full, so this could not be saved. Try fewer photos, or ask the department to switch to the shared server.',
+        'errors.offline': 'You appear to be offline, so the server could not be reached.',
+        'errors.reportNotFound': 'Report not found.',
+        'errors.reportsExpected': 'Expected a list of reports, each with an ID.',
+        'errors.reportIdMismatch': 'The report ID does not match the address it was sent to.',
+        'errors.reportPermission': 'You do not have permission to change this report.',
+        'errors.unknownStatus': 'Unknown status \'{status}\'.',
+        'errors.statusTransition': 'A report cannot move from "{from}" to "{to}".',
+        'errors.statusPermission': 'You do not have permission to change the status of this report.',
+        'errors.statusNeedsHistory': 'Status changes must be recorded in the report history.',
+        'errors.historyLocked': 'Report history cannot be rewritten.',
+        'errors.historyNeedsStatusChange': 'History entries must record a status change.',
+        'errors.commentPermission': 'Only the reporter and the authority can comment on this report.',
+        'errors.commentEmpty': 'Please write a comment first.',
+        'errors.commentsLocked': 'Earlier comments cannot be changed.',
+        'errors.supportResidentsOnly': 'Only residents can support a report.',
+        'errors.supportOwnReport': 'You filed this report yourself.',
+        'errors.supportClosed': 'This report is already closed.',
+        'errors.mergeSelf': 'A report cannot be merged into itself.',
+        'errors.mergeIntoClosed': 'Reports can only be merged into an open report.',
+        'errors.reviewReporterOnly': 'Only the resident who filed this report can review the fix.',
+        'errors.reviewNotResolved': 'Only resolved reports can be reviewed.',
+        'errors.reviewDone': 'You have already reviewed this fix.',
+        'errors.reviewOnce': 'Only the reporter can review a fix, once per resolution.',
+        'errors.ratingRange': 'Rate the fix from 1 to {max}.',
+        'errors.reopenReason': 'Say what is still wrong to reopen the report.',
+        'errors.reopenNeedsReview': 'Say what is still wrong, and rate the fix, to reopen the report.',
+        'errors.feedbackLocked': 'Earlier feedback cannot be changed.',
+        'errors.feedbackInvalid': 'Feedback needs a rating from 1 to {max}, and a reason to reopen.',
+        'errors.notAnImage': '"{name}" is not an image.',
+        'errors.photoType': 'Photos must be JPEG, PNG, WebP or GIF images.',
+        'errors.photoEmpty': 'The photo is empty.',
+        'errors.photoCompress': 'The photo could not be compressed.',
+        'errors.photoUnavailable': 'The photo could not be loaded. Try again later.',
+        'errors.csvUnclosedQuote': 'The CSV file ends inside a quoted cell.',
+        'errors.invalidJson': 'The file is not valid JSON.',
+        'errors.importShape': 'Expected a JSON array of reports or a GeoJSON FeatureCollection.',
+        'errors.importNotObject': 'Not a report object.',
+        'errors.importId': 'id must be text.',
+        'errors.importCategory': 'category is required.',
+        'errors.importDate': 'submittedAt "{value}" is not a date.',
+        'errors.importCoordinates': 'latitude and longitude must both be valid coordinates.',
+        'errors.importLocation': 'A location or coordinates are required.',
+        'errors.importDetails': 'details must be an object of answers by field key.',
+        'errors.invalidReport': 'Report {id} is invalid:',
+        'errors.invalidReportNoId': 'A report without an ID is invalid:',
+        'errors.reportSchemaVersion': 'schemaVersion must be {version}.',
+        'errors.reportId': 'id is missing.',
+        'errors.reportCategory': 'category is missing.',
+        'errors.reportStatus': "unknown status '{status}'.",
+        'errors.reportLocation': 'location must be text.',
+        'errors.reportDescription': 'description must be text.',
+        'errors.reportGeolocation': 'geolocation must be null or have numeric lat and lon.',
+        'errors.reportPhotoIds': 'photoIds must be a list of image IDs.',
+        'errors.reportThumbnailId': 'thumbnailId must be an image ID or null.',
+        'errors.reportDepartment': 'department must be text.',
+        'errors.reportAssignedTo': 'assignedTo must be null or a staff member.',
+        'errors.reportSubmittedAt': 'submittedAt must be a date.',
+        'errors.reportDueAt': 'dueAt must be a date.',
+        'errors.reportSupporters': 'supporters must be a list.',
+        'errors.reportHistory': 'history must be a list.',
+        'errors.reportComments': 'comments must be a list.',
+        'errors.reportDetails': 'details must be an object.',
+        'errors.reportUnknownField': 'unknown field "{field}".'
+    },
+    hi: {
+        'nav.dashboard': 'डैशबोर्ड',
+        'nav.myReports': 'मेरी रिपोर्टें',
+        'nav.explore': 'समस्याएँ देखें',
+        'nav.report': 'समस्या दर्ज करें',
+        'nav.howItWorks': 'यह कैसे काम करता है',
+        'nav.logout': 'लॉग आउट',
+        'nav.logOut': 'लॉग आउट',
+        'nav.language': 'भाषा',
+        'nav.notifications': 'सूचनाएँ',
+        'nav.openSidebar': 'साइडबार खोलें',
+        'nav.homeTitle': 'डैशबोर्ड के मुख्य पृष्ठ पर जाएँ',
+        'footer.copyright': '© 2025 FixYourCity. सर्वाधिकार सुरक्षित।',
+
+        'status.Pending': 'लंबित',
+        'status.In Progress': 'प्रगति पर',
+        'status.Needs Info': 'जानकारी चाहिए',
+        'status.Resolved': 'हल हो गई',
+        'status.Rejected': 'अस्वीकृत',
+        'status.Duplicate': 'डुप्लिकेट',
+        'statusAction.Pending': 'लंबित में डालें',
+        'statusAction.In Progress': 'प्रगति पर चिह्नित करें',
+        'statusAction.Needs Info': 'जानकारी माँगें',
+        'statusAction.Resolved': 'हल चिह्नित करें',
+        'statusAction.Rejected': 'अस्वीकार करें',
+        'statusAction.Duplicate': 'डुप्लिकेट चिह्नित करें',
+        'category.Pothole': 'गड्ढा',
+        'category.Garbage & Dumping': 'कचरा और अवैध डंपिंग',
+        'category.Broken Streetlight': 'खराब स्ट्रीटलाइट',
+        'category.Public Nuisance': 'सार्वजनिक उपद्रव',
+        'category.Graffiti': 'दीवारों पर लिखावट',
+        'category.Other': 'अन्य',
+        'categoryField.Size of pothole': 'गड्ढे का आकार',
+        'categoryField.Streetlight pole number': 'स्ट्रीटलाइट खंभा संख्या',
+        'categoryOption.Small': 'छोटा',
+        'categoryOption.Medium': 'मध्यम',
+        'categoryOption.Large': 'बड़ा',
+        'department.Roads': 'सड़क विभाग',
+        'department.Sanitation': 'स्वच्छता विभाग',
+        'department.Electrical': 'विद्युत विभाग',
+        'department.Public Safety': 'सार्वजनिक सुरक्षा',
+        'department.General Administration': 'सामान्य प्रशासन',
+        'role.resident': 'निवासी',
+        'role.officer': 'फ़ील्ड अधिकारी',
+        'role.admin': 'विभाग व्यवस्थापक',
+
+        'login.subtitle': 'जारी रखने के लिए साइन इन करें।',
+        'login.registerSubtitle': 'निवासी खाता बनाएँ।',
+        'login.email': 'ईमेल',
+        'login.password': 'पासवर्ड',
+        'login.fullName': 'पूरा नाम',
+        'login.signIn': 'साइन इन करें',
+        'login.signingIn': 'साइन इन हो रहा है...',
+        'login.newResident': 'नए निवासी?',
+        'login.createAccountLink': 'खाता बनाएँ',
+        'login.createAccount': 'खाता बनाएँ',
+        'login.creatingAccount': 'खाता बन रहा है...',
+        'login.alreadyRegistered': 'पहले से पंजीकृत?',
+        'login.signInLink': 'साइन इन करें',
+
+        'home.headline': 'नागरिकों को सशक्त बनाना।',
+        'home.tagline': 'अपनी परवाह की नागरिक समस्याएँ दर्ज करें। हम उन्हें आपके ब्राउज़र में ही सहेजेंगे।',
+        'home.cta': 'अभी समस्या दर्ज करें',
+        'home.step1.title': '1. समस्या दर्ज करें',
+        'home.step1.body': 'फ़ोटो लें, विवरण जोड़ें और अपनी रिपोर्ट भेजें। यह आपके ब्राउज़र में ही सहेजी जाती है।',
+        'home.step2.title': '2. स्थिति देखें',
+        'home.step2.body': "अपनी रिपोर्टों की स्थिति देखने के लिए 'मेरी रिपोर्टें' पर जाएँ। *इसी ब्राउज़र* का उपयोग करने वाला 'अधिकारी' स्थिति देख और बदल सकता है।",
+        'home.step3.title': '3. ज़रूरत हो तो फिर से खोलें',
+        'home.step3.body': "यदि किसी समस्या को 'हल हो गई' चिह्नित किया गया है पर वह ठीक नहीं हुई, तो आप 'मेरी रिपोर्टें' पेज से रिपोर्ट फिर से खोल सकते हैं।",
+
+        'form.title': 'नई समस्या दर्ज करें',
+        'form.category': 'समस्या की श्रेणी',
+        'form.selectCategory': 'श्रेणी चुनें',
+        'form.draftRestored': 'हमने आपकी अधूरी रिपोर्ट सहेज ली है। कृपया फ़ोटो फिर से जोड़ें।',
+        'form.discardDraft': 'हटाएँ',
+        'form.chooseOption': 'चुनें…',
+        'form.optional': '(वैकल्पिक)',
+        'form.fieldRequired': 'कृपया "{field}" भरें।',
+        'form.location': 'स्थान / पता',
+        'form.locationPlaceholder': 'जैसे, सेक्टर 18 मेट्रो के पास, नोएडा',
+        'form.getLocation': 'मेरा वर्तमान स्थान लें',
+        'form.mapHint': 'अभी वहाँ नहीं हैं? समस्या की जगह चिह्नित करने के लिए मानचित्र पर क्लिक करें या पिन खींचें।',
+        'form.description': 'विवरण',
+        'form.descriptionPlaceholder': 'समस्या का संक्षिप्त विवरण दें...',
+        'form.photo': 'फ़ोटो प्रमाण जोड़ें (अधिकतम 4)',
+        'form.photos': 'फ़ोटो प्रमाण जोड़ें ({max} तक)',
+        'form.photoAlt': 'फ़ोटो {number}',
+        'form.removePhoto': 'फ़ोटो हटाएँ',
+        'form.tooManyPhotos': 'एक रिपोर्ट में अधिकतम {max} फ़ोटो हो सकती हैं; अतिरिक्त फ़ोटो छोड़ दी गईं।',
+        'form.usePhotoLocation': 'फ़ोटो में सहेजा गया स्थान उपयोग करें',
+        'form.submit': 'रिपोर्ट भेजें',
+        'form.submitNew': 'नई रिपोर्ट के रूप में भेजें',
+        'form.submitting': 'भेजी जा रही है...',
+        'form.missingFields': 'कृपया सभी आवश्यक फ़ील्ड भरें और एक फ़ोटो जोड़ें।',
+        'form.submitted': 'रिपोर्ट सफलतापूर्वक भेजी गई!',
+        'form.savedOffline': 'आप ऑफ़लाइन हैं, इसलिए आपकी रिपोर्ट इस डिवाइस पर सहेजी गई है। ऑनलाइन होते ही यह अपने आप भेज दी जाएगी।',
+        'form.supportAdded': 'धन्यवाद! आपका समर्थन मौजूदा रिपोर्ट में जोड़ दिया गया है, इसलिए इसे दोबारा दर्ज करने की ज़रूरत नहीं है।',
+        'form.error': 'त्रुटि: {message}',
+
+        'geo.unsupported': 'आपका ब्राउज़र जियोलोकेशन का समर्थन नहीं करता।',
+        'geo.fetching': 'प्राप्त किया जा रहा है...',
+        'geo.requesting': 'स्थान की अनुमति माँगी जा रही है...',
+        'geo.captured': 'स्थान मिल गया: {lat}, {lon}',
+        'geo.pinned': 'पिन किया गया स्थान: {lat}, {lon}',
+        'geo.fromPhoto': 'फ़ोटो से स्थान: {lat}, {lon}',
+        'geo.pinMoved': 'पिन को पते के अनुसार खिसकाया गया। ठीक करने के लिए उसे खींचें।',
+        'geo.near': '{lat}, {lon} के पास',
+        'geo.failed': 'स्थान प्राप्त नहीं हो सका।',
+        'geo.denied': 'स्थान की अनुमति नहीं दी गई। कृपया इसे अपने ब्राउज़र की सेटिंग में चालू करें।',
+        'geo.unavailable': 'स्थान की जानकारी उपलब्ध नहीं है।',
+        'geo.timeout': 'स्थान प्राप्त करने का अनुरोध समय पर पूरा नहीं हुआ।',
+
+        'duplicates.title': 'यह समस्या शायद पहले ही दर्ज हो चुकी है',
+        'duplicates.hint': 'दोबारा दर्ज करने के बजाय मौजूदा रिपोर्ट का समर्थन करें। अगर इनमें से कोई आपकी समस्या नहीं है, तो नई रिपोर्ट दर्ज करने के लिए फिर से भेजें।',
+        'duplicates.distance': 'लगभग {meters} मी. दूर',
+        'duplicates.similarLocation': 'मिलता-जुलता स्थान',
+        'duplicates.support': '+1 यही समस्या',
+        'duplicates.yours': 'आपकी रिपोर्ट',
+        'duplicates.supported': 'समर्थित',
+
+        'report.supporters.one': '{count} समर्थक',
+        'report.supporters.other': '{count} समर्थक',
+        'report.supportersHint': 'यह समस्या दर्ज करने वाले निवासी',
+        'report.noDescription': 'कोई विवरण नहीं दिया गया।',
+        'report.notSpecified': 'नहीं बताया गया',
+        'report.noLocation': 'कोई स्थान नहीं',
+        'report.locationLabel': 'स्थान:',
+        'report.assignedToLabel': 'सौंपा गया:',
+        'report.unassigned': 'किसी को नहीं सौंपा गया',
+        'report.reportedOn': 'दर्ज करने की तारीख: {date}',
+        'report.viewMap': '(मानचित्र देखें)',
+        'report.viewOnMap': 'मानचित्र पर देखें',
+        'report.photoCount': '{count} फ़ोटो',
+        'report.evidence': 'प्रमाण',
+        'report.evidenceNumber': 'प्रमाण {number}',
+        'report.select': 'रिपोर्ट चुनें',
+        'report.priority': 'प्राथमिकता {score}',
+        'report.priorityHint': 'गंभीरता, अवधि, समर्थक और एस्केलेशन',
+        'report.assignTo': 'इन्हें सौंपें',
+        'report.assign': 'सौंपें',
+        'report.statusNote': 'स्थिति बदलने पर टिप्पणी (वैकल्पिक)',
+        'report.mergeTarget': 'जिस रिपोर्ट में मिलाना है',
+        'report.mergeInto': 'इसमें मिलाएँ',
+        'report.mergedInto': 'रिपोर्ट {id} में मिला दी गई।',
+        'report.mergedReports.one': '{count} डुप्लिकेट रिपोर्ट इसमें मिलाई गई।',
+        'report.mergedReports.other': '{count} डुप्लिकेट रिपोर्टें इसमें मिलाई गईं।',
+        'history.mergedInto': 'रिपोर्ट {id} ({place}) में मिला दी गई।',
+        'history.imported': 'आयात की गई',
+        'report.statusHistory': 'स्थिति का इतिहास ({count})',
+        'report.comments': 'टिप्पणियाँ ({count})',
+        'resolution.title': 'समस्या कैसे ठीक की गई',
+        'resolution.photoNumber': 'बाद की फ़ोटो {number}',
+        'resolution.photosLabel': 'बाद की फ़ोटो (हल के रूप में चिह्नित करने के लिए टिप्पणी के साथ ज़रूरी)',
+        'resolution.proofRequired': 'रिपोर्ट को हल के रूप में चिह्नित करने के लिए लिखें कि क्या किया गया और कम से कम एक "बाद की" फ़ोटो लगाएँ।',
+        'feedback.title': 'निवासी की प्रतिक्रिया',
+        'feedback.yours': 'आपकी प्रतिक्रिया',
+        'feedback.latest': 'निवासी की नवीनतम रेटिंग',
+        'feedback.ratingValue': '{scale} में से {rating}',
+        'feedback.confirmed': 'समाधान की पुष्टि की',
+        'feedback.reopened': 'फिर से खोली',
+        'feedback.prompt': 'क्या समस्या ठीक हो गई? समाधान को रेटिंग दें, फिर उसकी पुष्टि करें या रिपोर्ट फिर से खोलें।',
+        'feedback.reasonPlaceholder': 'अगर ठीक नहीं हुआ, तो बताएँ कि अभी भी क्या गलत है',
+        'feedback.confirm': 'समाधान की पुष्टि करें',
+        'feedback.ratingRequired': 'पहले स्टार रेटिंग चुनें।',
+        'feedback.reasonRequired': 'रिपोर्ट फिर से खोलने के लिए बताएँ कि अभी भी क्या गलत है।',
+        'sla.due': 'नियत समय {date}',
+        'sla.dueIn': '{duration} में नियत',
+        'sla.late': '{label} · {duration} देर',
+        'duration.hours': '{count} घंटे',
+        'duration.days': '{count} दिन',
+        'escalation.overdue': 'समय सीमा पार',
+        'escalation.departmentHead': 'विभाग प्रमुख को भेजा गया',
+        'escalation.commissioner': 'आयुक्त को भेजा गया',
+
+        'timeline.empty': 'अभी तक स्थिति में कोई बदलाव दर्ज नहीं है।',
+        'timeline.submittedAs': 'इस रूप में दर्ज:',
+        'timeline.unknown': 'अज्ञात',
+        'comments.empty': 'अभी कोई टिप्पणी नहीं।',
+        'comments.placeholder': 'टिप्पणी लिखें...',
+        'comments.post': 'भेजें',
+        'comments.reporter': 'रिपोर्टकर्ता',
+        'comments.authority': 'अधिकारी',
+        'comments.unread': 'अपठित टिप्पणियाँ',
+
+        'myReports.title': 'मेरी रिपोर्टें',
+        'myReports.intro': 'आपके द्वारा दर्ज सभी समस्याओं की सूची यहाँ है।',
+        'myReports.date': 'तारीख',
+        'myReports.category': 'श्रेणी',
+        'myReports.location': 'स्थान',
+        'myReports.status': 'स्थिति',
+        'myReports.evidence': 'प्रमाण',
+        'myReports.action': 'कार्रवाई',
+        'myReports.empty': 'आपने अभी तक कोई समस्या दर्ज नहीं की है।',
+        'myReports.reportNow': 'अभी एक दर्ज करें!',
+        'myReports.view': 'देखें',
+        'myReports.details': 'विवरण',
+        'myReports.reopen': 'फिर से खोलें',
+        'myReports.review': 'समाधान जाँचें',
+        'myReports.waiting': 'भेजे जाने की प्रतीक्षा में',
+        'myReports.notSent': 'नहीं भेजी गई: {error}',
+        'myReports.queued.one': '{count} रिपोर्ट भेजे जाने की प्रतीक्षा में है।',
+        'myReports.queued.other': '{count} रिपोर्टें भेजे जाने की प्रतीक्षा में हैं।',
+        'myReports.offline': 'आप ऑफ़लाइन हैं, इसलिए केवल इस डिवाइस पर सहेजी गई रिपोर्टें दिखाई गई हैं। {waiting}',
+        'myReports.retrying': '{waiting} इन्हें अपने आप फिर से भेजा जाएगा।',
+        'myReports.detailTitle': 'रिपोर्ट का विवरण',
+        'myReports.statusHistory': 'स्थिति का इतिहास',
+        'myReports.comments': 'टिप्पणियाँ',
+
+        'explore.title': 'दर्ज सभी समस्याएँ देखें',
+        'explore.byStatus': 'स्थिति के अनुसार',
+        'explore.pending': 'सक्रिय (कोई कार्रवाई नहीं)',
+        'explore.pendingEmpty': 'कोई सक्रिय समस्या नहीं मिली।',
+        'explore.inProgress': 'कार्रवाई जारी',
+        'explore.inProgressEmpty': 'अभी किसी समस्या पर कार्रवाई जारी नहीं है।',
+        'explore.resolvedEmpty': 'अभी तक कोई समस्या हल नहीं हुई है।',
+        'map.allStatuses': 'सभी स्थितियाँ',
+        'map.allCategories': 'सभी श्रेणियाँ',
+        'map.summary': '{total} मिलती रिपोर्टों में से {located} का स्थान मानचित्र पर है।',
+        'map.zoomIn': 'ज़ूम इन',
+        'map.zoomOut': 'ज़ूम आउट',
+        'map.offline': 'ऑफ़लाइन मानचित्र (टाइल उपलब्ध नहीं)',
+        'map.dragPin': 'हिलाने के लिए खींचें',
+        'map.cluster.one': '{count} रिपोर्ट',
+        'map.cluster.other': '{count} रिपोर्टें',
+        'image.alt': 'दर्ज समस्या का प्रमाण',
+
+        'filters.dashboard': 'डैशबोर्ड',
+        'filters.allReports': 'सभी रिपोर्टें',
+        'filters.reportsTitle': '{title} रिपोर्टें',
+        'filters.filtered': 'फ़िल्टर की गई',
+        'filters.matching': '"{query}" से मिलती',
+        'filters.pending': 'कोई प्रगति नहीं (लंबित)',
+        'filters.inProgress': 'सक्रिय (प्रगति पर)',
+        'filters.department': '{department}',
+        'filters.assignedToMe': 'मुझे सौंपी गई',
+        'filters.assigned': 'सौंपी गई',
+        'filters.overdue': 'समय सीमा पार',
+        'filters.dueSoon': 'जल्द नियत',
+        'filters.dateRange': 'तारीख सीमा',
+        'filters.categories': 'श्रेणियाँ',
+        'filters.departments': 'विभाग',
+        'filters.insights': 'विश्लेषण',
+        'filters.administration': 'प्रशासन',
+        'filters.anyStatus': 'कोई भी स्थिति',
+        'filters.anyCategory': 'कोई भी श्रेणी',
+        'filters.anyDepartment': 'कोई भी विभाग',
+        'filters.anyOfficer': 'कोई भी अधिकारी',
+        'filters.anyDueDate': 'कोई भी नियत तारीख',
+        'filters.search': 'विवरण या स्थान खोजें',
+        'filters.searchLabel': 'रिपोर्टें खोजें',
+        'filters.status': 'स्थिति',
+        'filters.assignee': 'सौंपे गए अधिकारी',
+        'filters.from': 'से',
+        'filters.to': 'तक',
+        'filters.due': 'नियत तारीख',
+        'filters.clear': 'फ़िल्टर हटाएँ',
+        'sort.newest': 'नई पहले',
+        'sort.oldest': 'पुरानी पहले',
+        'sort.priority': 'सबसे ऊँची प्राथमिकता पहले',
+        'sort.supporters': 'सबसे अधिक समर्थित पहले',
+        'sort.label': 'रिपोर्टें क्रमबद्ध करें',
+        'view.list': 'सूची',
+        'view.map': 'मानचित्र',
+        'list.empty': 'कोई रिपोर्ट नहीं मिली।',
+        'pagination.showing': '{total} में से {start}–{end}',
+        'pagination.previous': 'पिछला',
+        'pagination.next': 'अगला',
+        'pagination.page': 'पेज {page} / {count}',
+        'stats.title': 'मुख्य आँकड़े',
+        'stats.total': 'कुल रिपोर्टें',
+        'stats.pending': 'लंबित',
+        'stats.byDepartment': 'विभाग के अनुसार रिपोर्टें',
+        'stats.department': 'विभाग',
+        'stats.totalColumn': 'कुल',
+        'stats.open': 'खुली',
+        'stats.quarantined.one': 'संग्रहीत {count} रिपोर्ट रिकॉर्ड पढ़ा नहीं जा सका और उसे ब्राउज़र स्टोरेज की "{key}" कुंजी में अलग रखा गया है।',
+        'stats.quarantined.other': 'संग्रहीत {count} रिपोर्ट रिकॉर्ड पढ़े नहीं जा सके और उन्हें ब्राउज़र स्टोरेज की "{key}" कुंजी में अलग रखा गया है।',
+        'analytics.title': 'विश्लेषण',
+        'analytics.period': 'अवधि',
+        'analytics.last30Days': 'पिछले 30 दिन',
+        'analytics.last12Weeks': 'पिछले 12 सप्ताह',
+        'analytics.today': 'आज',
+        'analytics.thisWeek': 'इस सप्ताह',
+        'analytics.filed': 'दर्ज रिपोर्टें',
+        'analytics.backlog': 'खुली रिपोर्टें',
+        'analytics.timeToResolve': 'हल करने में लगा समय',
+        'analytics.median': 'माध्यिका',
+        'analytics.p90': '90वाँ पर्सेंटाइल',
+        'analytics.noneResolved': 'अभी तक कोई रिपोर्ट हल नहीं हुई है।',
+        'analytics.reopenRate': 'फिर से खोलने की दर',
+        'analytics.reopened.one': 'हल हुई {count} रिपोर्ट में से {reopened} फिर से खोली गई।',
+        'analytics.reopened.other': 'हल हुई {count} रिपोर्टों में से {reopened} फिर से खोली गईं।',
+        'analytics.satisfaction': 'निवासियों की संतुष्टि',
+        'analytics.noRatings': 'अभी तक किसी समाधान को रेटिंग नहीं मिली है।',
+        'analytics.rating.one': '{count} रेटिंग से औसत {scale} में से {average}।',
+        'analytics.rating.other': '{count} रेटिंगों से औसत {scale} में से {average}।',
+        'analytics.hotspots': 'हॉटस्पॉट',
+        'analytics.noLocations': 'अभी तक कोई स्थान दर्ज नहीं हुआ है।',
+        'analytics.hotspot.one': '{count} रिपोर्ट, {open} खुली',
+        'analytics.hotspot.other': '{count} रिपोर्टें, {open} खुली',
+        'transfer.format': 'निर्यात का प्रारूप',
+        'transfer.geojson': 'GeoJSON (निर्देशांक वाली रिपोर्टें)',
+        'transfer.photos': 'फ़ोटो (.zip)',
+        'transfer.export': 'छाँटी गई रिपोर्टें निर्यात करें',
+        'transfer.import': 'रिपोर्टें आयात करें (CSV, JSON या GeoJSON)',
+        'transfer.noPhotos': 'इनमें से किसी रिपोर्ट में फ़ोटो नहीं है।',
+        'transfer.exportedPhotos.one': '{count} फ़ोटो निर्यात की गई।',
+        'transfer.exportedPhotos.other': '{count} फ़ोटो निर्यात की गईं।',
+        'transfer.exportedGeoJson': '{total} में से {located} रिपोर्टें निर्यात की गईं; बाकी के निर्देशांक नहीं हैं।',
+        'transfer.exported.one': '{count} रिपोर्ट निर्यात की गई। फ़ोटो शामिल नहीं हैं; उन्हें अलग से zip के रूप में निर्यात करें।',
+        'transfer.exported.other': '{count} रिपोर्टें निर्यात की गईं। फ़ोटो शामिल नहीं हैं; उन्हें अलग से zip के रूप में निर्यात करें।',
+        'transfer.importFailed': 'कुछ भी आयात नहीं हुआ: {error}',
+        'transfer.imported.one': '{count} रिपोर्ट आयात की गई।',
+        'transfer.imported.other': '{count} रिपोर्टें आयात की गईं।',
+        'transfer.importProblems': '{invalid} अमान्य, {skipped} पहले से मौजूद:',
+        'transfer.invalidRow': 'पंक्ति {row}: {problems}',
+        'transfer.skippedRow': 'पंक्ति {row}: रिपोर्ट {id} पहले से मौजूद है, छोड़ दी गई।',
+        'bulk.selectPage': 'पूरा पृष्ठ चुनें',
+        'bulk.selected': '{count} चुनी गईं',
+        'bulk.newStatus': 'नई स्थिति',
+        'bulk.apply': 'लागू करें',
+        'bulk.exportCsv': 'CSV निर्यात करें',
+        'bulk.clear': 'चयन हटाएँ',
+        'bulk.updated.one': '{count} रिपोर्ट अपडेट की गई।',
+        'bulk.updated.other': '{count} रिपोर्टें अपडेट की गईं।',
+        'bulk.assigned.one': '{count} रिपोर्ट सौंपी गई।',
+        'bulk.assigned.other': '{count} रिपोर्टें सौंपी गईं।',
+        'bulk.unassigned.one': '{count} रिपोर्ट से अधिकारी हटाया गया।',
+        'bulk.unassigned.other': '{count} रिपोर्टों से अधिकारी हटाया गया।',
+        'bulk.failed': '{count} नहीं बदली जा सकीं:',
+        'bulk.reportAt': '{location} पर {category}',
+        'staff.title': 'खाते प्रबंधित करें',
+        'staff.password': 'अस्थायी पासवर्ड',
+        'staff.created': 'खाता बन गया।',
+        'categories.title': 'श्रेणियाँ प्रबंधित करें',
+        'categories.hint': 'निवासी रिपोर्ट दर्ज करते समय इनमें से चुनते हैं। सहेजने के बाद श्रेणी का नाम नहीं बदलता, क्योंकि रिपोर्टें उसी नाम से दर्ज होती हैं।',
+        'categories.icon': 'आइकन',
+        'categories.name': 'नाम',
+        'categories.department': 'विभाग',
+        'categories.targetHours': 'लक्ष्य (घंटे)',
+        'categories.severity': 'गंभीरता',
+        'categories.severity.1': '1 – कम',
+        'categories.severity.2': '2 – मध्यम',
+        'categories.severity.3': '3 – अधिक',
+        'categories.fields': 'रिपोर्ट फ़ॉर्म पर अतिरिक्त फ़ील्ड',
+        'categories.noFields': 'कोई अतिरिक्त फ़ील्ड नहीं।',
+        'categories.fieldLabel': 'प्रश्न, जैसे खंभा संख्या',
+        'categories.fieldType': 'उत्तर का प्रकार',
+        'categories.fieldType.text': 'टेक्स्ट',
+        'categories.fieldType.number': 'संख्या',
+        'categories.fieldType.select': 'विकल्पों की सूची',
+        'categories.fieldOptions': 'विकल्प, अल्पविराम से अलग करें',
+        'categories.fieldRequired': 'आवश्यक',
+        'categories.removeField': 'हटाएँ',
+        'categories.addField': '+ फ़ील्ड जोड़ें',
+        'categories.remove': 'श्रेणी हटाएँ',
+        'categories.add': 'श्रेणी जोड़ें',
+        'categories.save': 'श्रेणियाँ सहेजें',
+        'categories.saved': 'श्रेणियाँ सहेज ली गईं।',
+
+        'notifications.title': 'सूचनाएँ',
+        'notifications.markAllRead': 'सभी को पढ़ा हुआ चिह्नित करें',
+        'notifications.empty': 'अभी कोई सूचना नहीं।',
+        'notifications.preferences': 'पसंद',
+        'notifications.browser': 'ब्राउज़र पॉप-अप',
+        'notifications.channel': 'ईमेल/SMS',
+        'notifications.unreadLabel': 'सूचनाएँ ({count} अपठित)',
+        'notifications.unsupported': 'यह ब्राउज़र सूचनाएँ नहीं दिखा सकता।',
+        'notifications.blocked': 'इस साइट के लिए सूचनाएँ बंद हैं। पहले अपने ब्राउज़र की सेटिंग में उन्हें अनुमति दें।',
+        'notifications.reportLabel': '{location} पर {category} रिपोर्ट',
+        'notifications.unknownLocation': 'अज्ञात स्थान',
+        'notificationType.status': 'स्थिति में बदलाव',
+        'notificationType.comment': 'नई टिप्पणियाँ',
+        'notificationType.assignment': 'सौंपे गए काम',
+        'notificationEvent.statusChanged': '{actor} ने {report} की स्थिति {from} से {to} की।',
+        'notificationEvent.commented': '{actor} ने {report} पर टिप्पणी की: "{excerpt}"',
+        'notificationEvent.assignedToYou': '{actor} ने {report} आपको सौंपी।',
+        'notificationEvent.reportAssigned': 'आपकी {report} {assignee} को सौंपी गई।',
+        'errors.nameRequired': 'कृपया अपना नाम लिखें।',
+        'errors.emailInvalid': 'कृपया सही ईमेल पता लिखें।',
+        'errors.passwordTooShort': 'पासवर्ड कम से कम 8 अक्षरों का होना चाहिए।',
+        'errors.unknownRole': 'अज्ञात भूमिका \'{role}\'।',
+        'errors.emailTaken': 'इस ईमेल से एक खाता पहले से मौजूद है।',
+        'errors.wrongPassword': 'ईमेल या पासवर्ड गलत है।',
+        'errors.signInRequired': 'कृपया साइन इन करें।',
+        'errors.forbidden': 'आपको ऐसा करने की अनुमति नहीं है।',
+        'errors.adminOnlyAccounts': 'केवल विभाग व्यवस्थापक ही खाते प्रबंधित कर सकते हैं।',
+        'errors.adminOnlyCategories': 'केवल विभाग व्यवस्थापक ही श्रेणियाँ प्रबंधित कर सकते हैं।',
+        'errors.categoriesEmpty': 'कम से कम एक श्रेणी होनी चाहिए।',
+        'errors.categoryName': 'हर श्रेणी का एक नाम होना चाहिए।',
+        'errors.categoryDuplicate': '"{name}" नाम की दो श्रेणियाँ हैं।',
+        'errors.categoryIcon': '{name}: आइकन टेक्स्ट होना चाहिए।',
+        'errors.categoryDepartment': '{name}: एक विभाग चुनें।',
+        'errors.categoryTarget': '{name}: लक्ष्य घंटों की धनात्मक संख्या होनी चाहिए।',
+        'errors.categorySeverity': '{name}: गंभीरता 1, 2 या 3 होनी चाहिए।',
+        'errors.categoryFields': '{name}: फ़ील्ड एक सूची होनी चाहिए।',
+        'errors.fieldLabel': '{name}: हर अतिरिक्त फ़ील्ड का एक लेबल होना चाहिए।',
+        'errors.fieldKey': '{name}: "{label}" की कुंजी अनोखी हो और केवल अक्षरों व अंकों से बनी हो।',
+        'errors.fieldType': '{name}: "{label}" का प्रकार अज्ञात है।',
+        'errors.fieldOptions': '{name}: "{label}" में कम से कम एक विकल्प होना चाहिए।',
+        'errors.adminOnlyAssign': 'केवल विभाग व्यवस्थापक ही रिपोर्ट सौंप सकते हैं।',
+        'errors.adminOnlyImport': 'केवल विभाग व्यवस्थापक ही रिपोर्ट आयात कर सकते हैं।',
+        'errors.assignStaffOnly': 'रिपोर्ट केवल कर्मचारियों को सौंपी जा सकती हैं।',
+        'errors.storageFull': 'आपके ब्राउज़र का स्टोरेज भर गया है, इसलिए इसे सहेजा नहीं जा सका। कम फ़ोटो लगाएँ, या विभाग से साझा सर्वर पर जाने को कहें।',
+        'errors.offline': 'लगता है आप ऑफ़लाइन हैं, इसलिए सर्वर से संपर्क नहीं हो सका।',
+        'errors.reportNotFound': 'रिपोर्ट नहीं मिली।',
+        'errors.reportsExpected': 'रिपोर्टों की सूची अपेक्षित है, हर एक की आईडी के साथ।',
+        'errors.reportIdMismatch': 'रिपोर्ट आईडी उस पते से मेल नहीं खाती जिस पर इसे भेजा गया।',
+        'errors.reportPermission': 'आपको यह रिपोर्ट बदलने की अनुमति नहीं है।',
+        'errors.unknownStatus': 'अज्ञात स्थिति \'{status}\'।',
+        'errors.statusTransition': 'रिपोर्ट "{from}" से "{to}" में नहीं जा सकती।',
+        'errors.statusPermission': 'आपको इस रिपोर्ट की स्थिति बदलने की अनुमति नहीं है।',
+        'errors.statusNeedsHistory': 'स्थिति में हर बदलाव रिपोर्ट के इतिहास में दर्ज होना चाहिए।',
+        'errors.historyLocked': 'रिपोर्ट का इतिहास बदला नहीं जा सकता।',
+        'errors.historyNeedsStatusChange': 'इतिहास की हर प्रविष्टि में स्थिति का बदलाव दर्ज होना चाहिए।',
+        'errors.commentPermission': 'इस रिपोर्ट पर केवल रिपोर्ट करने वाले और प्राधिकरण ही टिप्पणी कर सकते हैं।',
+        'errors.commentEmpty': 'कृपया पहले टिप्पणी लिखें।',
+        'errors.commentsLocked': 'पिछली टिप्पणियाँ बदली नहीं जा सकतीं।',
+        'errors.supportResidentsOnly': 'केवल निवासी ही किसी रिपोर्ट का समर्थन कर सकते हैं।',
+        'errors.supportOwnReport': 'यह रिपोर्ट आपने ही दर्ज की है।',
+        'errors.supportClosed': 'यह रिपोर्ट पहले ही बंद हो चुकी है।',
+        'errors.mergeSelf': 'किसी रिपोर्ट को उसी में नहीं मिलाया जा सकता।',
+        'errors.mergeIntoClosed': 'रिपोर्ट केवल किसी खुली रिपोर्ट में मिलाई जा सकती हैं।',
+        'errors.reviewReporterOnly': 'केवल यह रिपोर्ट दर्ज करने वाले निवासी ही सुधार की समीक्षा कर सकते हैं।',
+        'errors.reviewNotResolved': 'केवल हल की गई रिपोर्टों की समीक्षा की जा सकती है।',
+        'errors.reviewDone': 'आप इस सुधार की समीक्षा पहले ही कर चुके हैं।',
+        'errors.reviewOnce': 'हर समाधान की समीक्षा केवल रिपोर्ट करने वाले एक बार कर सकते हैं।',
+        'errors.ratingRange': 'सुधार को 1 से {max} तक रेटिंग दें।',
+        'errors.reopenReason': 'रिपोर्ट फिर से खोलने के लिए बताएँ कि क्या अब भी ठीक नहीं है।',
+        'errors.reopenNeedsReview': 'रिपोर्ट फिर से खोलने के लिए बताएँ कि क्या अब भी ठीक नहीं है, और सुधार को रेटिंग दें।',
+        'errors.feedbackLocked': 'पिछली प्रतिक्रिया बदली नहीं जा सकती।',
+        'errors.feedbackInvalid': 'प्रतिक्रिया में 1 से {max} तक की रेटिंग, और फिर से खोलने का कारण होना चाहिए।',
+        'errors.notAnImage': '"{name}" कोई चित्र नहीं है।',
+        'errors.photoType': 'फ़ोटो JPEG, PNG, WebP या GIF चित्र होने चाहिए।',
+        'errors.photoEmpty': 'फ़ोटो खाली है।',
+        'errors.photoCompress': 'फ़ोटो को छोटा नहीं किया जा सका।',
+        'errors.photoUnavailable': 'फ़ोटो लोड नहीं हो सकी। बाद में फिर से कोशिश करें।',
+        'errors.csvUnclosedQuote': 'CSV फ़ाइल किसी उद्धृत सेल के बीच में ही समाप्त हो जाती है।',
+        'errors.invalidJson': 'यह फ़ाइल मान्य JSON नहीं है।',
+        'errors.importShape': 'रिपोर्टों की JSON सूची या GeoJSON FeatureCollection अपेक्षित है।',
+        'errors.importNotObject': 'यह रिपोर्ट ऑब्जेक्ट नहीं है।',
+        'errors.importId': 'id टेक्स्ट होना चाहिए।',
+        'errors.importCategory': 'category आवश्यक है।',
+        'errors.importDate': 'submittedAt "{value}" कोई तारीख नहीं है।',
+        'errors.importCoordinates': 'latitude और longitude दोनों मान्य निर्देशांक होने चाहिए।',
+        'errors.importLocation': 'स्थान या निर्देशांक आवश्यक हैं।',
+        'errors.importDetails': 'details फ़ील्ड कुंजी के अनुसार उत्तरों का ऑब्जेक्ट होना चाहिए।',
+        'errors.invalidReport': 'रिपोर्ट {id} मान्य नहीं है:',
+        'errors.invalidReportNoId': 'बिना आईडी वाली रिपोर्ट मान्य नहीं है:',
+        'errors.reportSchemaVersion': 'schemaVersion {version} होना चाहिए।',
+        'errors.reportId': 'id नहीं है।',
+        'errors.reportCategory': 'category नहीं है।',
+        'errors.reportStatus': "अज्ञात स्थिति '{status}'।",
+        'errors.reportLocation': 'location टेक्स्ट होना चाहिए।',
+        'errors.reportDescription': 'description टेक्स्ट होना चाहिए।',
+        'errors.reportGeolocation': 'geolocation खाली हो या उसमें lat और lon संख्याएँ हों।',
+        'errors.reportPhotoIds': 'photoIds इमेज आईडी की सूची होनी चाहिए।',
+        'errors.reportThumbnailId': 'thumbnailId इमेज आईडी या खाली होना चाहिए।',
+        'errors.reportDepartment': 'department टेक्स्ट होना चाहिए।',
+        'errors.reportAssignedTo': 'assignedTo खाली हो या कोई स्टाफ़ सदस्य हो।',
+        'errors.reportSubmittedAt': 'submittedAt एक तारीख होनी चाहिए।',
+        'errors.reportDueAt': 'dueAt एक तारीख होनी चाहिए।',
+        'errors.reportSupporters': 'supporters एक सूची होनी चाहिए।',
+        'errors.reportHistory': 'history एक सूची होनी चाहिए।',
+        'errors.reportComments': 'comments एक सूची होनी चाहिए।',
+        'errors.reportDetails': 'details एक ऑब्जेक्ट होना चाहिए।',
+        'errors.reportUnknownField': 'अज्ञात फ़ील्ड "{field}"।'
+    }
+};
+
+let currentLanguage = null; // Read from localStorage on first use
+
+/**
+ * The language the UI is shown in: the one picked in the switcher, if any.
+ * @returns {string} A key of LANGUAGES.
+ */
+function getLanguage() {
+    if (!currentLanguage) {
+        const saved = localStorage.getItem(LANGUAGE_KEY);
+        currentLanguage = LANGUAGES[saved] ? saved : DEFAULT_LANGUAGE;
+    }
+    return currentLanguage;
+}
+
+/**
+ * Switches the UI language. Pages render their text once, so the page is
+ * reloaded to show it in the new language.
+ * @param {string} language - A key of LANGUAGES.
+ */
+function setLanguage(language) {
+    if (!LANGUAGES[language] || language === getLanguage()) return;
+    localStorage.setItem(LANGUAGE_KEY, language);
+    currentLanguage = language;
+    window.location.reload();
+}
+
+/** The BCP 47 locale used to format dates and numbers. */
+function getLocale() {
+    return LANGUAGES[getLanguage()].locale;
+}
+
+/**
+ * Looks up a message and fills in its {placeholders}.
+ * @param {string} key - The message key, e.g. 'form.submit'.
+ * @param {object} [params] - Values for the placeholders.
+ * @returns {string} The message in the current language, else in English,
+ *   else the key itself.
+ */
+function t(key, params = {}) {
+    const catalog = MESSAGES[getLanguage()];
+    const message = key in catalog ? catalog[key] : (key in MESSAGES.en ? MESSAGES.en[key] : key);
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Looks up a message that depends on a count, using the `.one` or `.other`
+ * form the current language's plural rules pick. {count} is filled in.
+ * @param {string} key - The message key without the suffix.
+ * @param {number} count - The count.
+ * @param {object} [params] - Values for other placeholders.
+ * @returns {string}
+ */
+function tPlural(key, count, params = {}) {
+    const form = new Intl.PluralRules(getLocale()).select(count) === 'one' ? 'one' : 'other';
+    return t(`${key}.${form}`, { ...params, count: count.toLocaleString(getLocale()) });
+}
+
+/**
+ * Translates a stored code, e.g. a status. Codes without a message (such as
+ * categories from imported data) are shown as they are.
+ * @param {string} kind - The message key prefix, e.g. 'status'.
+ * @param {string} code - The stored value.
+ * @returns {string}
+ */
+function translateCode(kind, code) {
+    const key = `${kind}.${code}`;
+    return key in MESSAGES[getLanguage()] || key in MESSAGES.en ? t(key) : String(code ?? '');
+}
+
+/**
+ * Words problems that come as catalog keys rather than text, such as those
+ * the server sends back. Status codes in `from` and `to` are translated too.
+ * @param {Array<{key: string, params: (object|undefined)}>} problems - The problems.
+ * @returns {string} One message, with the problems in order.
+ */
+function formatProblems(problems) {
+    return problems.map(({ key, params = {} }) => t(key, {
+        ...params,
+        ...(params.from ? { from: getStatusLabel(params.from) } : {}),
+        ...(params.to ? { to: getStatusLabel(params.to) } : {})
+    })).join(' ');
+}
+
+/** @param {string} status @returns {string} The display label for a status. */
+function getStatusLabel(status) {
+    return translateCode('status', status);
+}
+
+/** @param {string} category @returns {string} The display label for a category. */
+function getCategoryLabel(category) {
+    return translateCode('category', category);
+}
+
+/** @param {string} department @returns {string} The display label for a department. */
+function getDepartmentLabel(department) {
+    return translateCode('department', department);
+}
+
+/** @param {string} role @returns {string} The display label for an account role. */
+function getRoleLabel(role) {
+    return translateCode('role', role);
+}
+
+/** @param {object} field - One of a category's extra fields. @returns {string} Its display label. */
+function getCategoryFieldLabel(field) {
+    return translateCode('categoryField', field.label);
+}
+
+/** @param {string} option - A choice of a 'select' field. @returns {string} Its display label. */
+function getCategoryFieldOptionLabel(option) {
+    return translateCode('categoryOption', option);
+}
+
+/**
+ * Formats a date (without the time) for the current language.
+ * @param {string|number|Date} value - The date.
+ * @returns {string}
+ */
+function formatDate(value) {
+    return new Date(value).toLocaleDateString(getLocale());
+}
+
+/**
+ * Formats a date and time for the current language.
+ * @param {string|number|Date} value - The date.
+ * @returns {string}
+ */
+function formatDateTime(value) {
+    return new Date(value).toLocaleString(getLocale());
+}
+
+/**
+ * Fills in the static text of a page (or part of one) marked with
+ * data-i18n, or one of the attributes marked with data-i18n-placeholder,
+ * data-i18n-aria-label, data-i18n-title and data-i18n-alt.
+ * @param {ParentNode} [root] - Where to look; defaults to the whole page.
+ */
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach((el) => { el.textContent = t(el.dataset.i18n); });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach((el) => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach((el) => { el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel)); });
+    root.querySelectorAll('[data-i18n-title]').forEach((el) => { el.title = t(el.dataset.i18nTitle); });
+    root.querySelectorAll('[data-i18n-alt]').forEach((el) => { el.alt = t(el.dataset.i18nAlt); });
+    document.documentElement.lang = getLanguage();
+}
+
+/**
+ * Fills the language switcher (#language-select) and switches on change.
+ */
+function initLanguageSwitcher() {
+    const select = document.getElementById('language-select');
+    if (!select) return;
+    setHtml(select, html`${Object.entries(LANGUAGES)
+        .map(([code, { name }]) => html`<option value="${code}" lang="${code}">${name}</option>`)}`);
+    select.value = getLanguage();
+    select.addEventListener('change', () => setLanguage(select.value));
+}
+
+// --- Account Helpers ---
+
+/**
+ * Checks the fields of a new account and throws a user-facing error about
+ * the first one that is invalid.
+ * @param {object} account - { name, email, password, role }.
+ */
+function validateNewAccount(account) {
+    const problems = validateAccount(account);
+    if (problems.length > 0) throw new Error(formatProblems(problems.slice(0, 1)));
+}
+
+function bytesToHex(bytes) {
+    return Array.from(new Uint8Array(bytes), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hashes a password with PBKDF2-SHA256 using the Web Crypto API.
+ * @param {string} password - The plain-text password.
+ * @param {string} salt - A hex-encoded random salt.
+ * @returns {Promise<string>} The hex-encoded hash.
+ */
+async function hashPassword(password, salt) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations: 100000 },
+        key,
+        256
+    );
+    return bytesToHex(bits);
+}
+
+// --- Report Schema ---
+// The fields of a stored report, REPORT_SCHEMA_VERSION, REPORT_MIGRATIONS and
+// validateReport() are in shared.js, so the server upgrades and checks
+// reports the same way.
+const QUARANTINE_KEY = 'fixYourCityQuarantine';
+
+/**
+ * Builds a new report at the current schema version. Fields not given get
+ * their defaults; department and due date follow from category and filing time.
+ * @param {object} fields - At least category; usually also location, description,
+ *   reporterId, reporterName and history.
+ * @returns {object} The report.
+ */
+function createReport(fields) {
+    const submittedAt = fields.submittedAt || new Date(clock()).toISOString();
+    return {
+        schemaVersion: REPORT_SCHEMA_VERSION,
+        id: generateId(),
+        status: 'Pending',
+        location: '',
+        description: '',
+        geolocation: null,
+        photoIds: [],
+        thumbnailId: null,
+        department: getDepartmentForCategory(fields.category),
+        assignedTo: null,
+        submittedAt,
+        dueAt: computeDueDate(fields.category, submittedAt),
+        supporters: [],
+        history: [],
+        comments: [],
+        ...fields
+    };
+}
+
+/**
+ * Throws a user-facing error if a report breaks the current schema.
+ * @param {object} report - The report.
+ */
+function assertValidReport(report) {
+    const problems = validateReport(report);
+    if (problems.length > 0) {
+        const id = report && report.id;
+        throw new Error(formatProblems([{ key: id ? 'errors.invalidReport' : 'errors.invalidReportNoId', params: { id } }, ...problems]));
+    }
+}
+
+/**
+ * Upgrades a stored record to the current schema version and checks it.
+ * @param {object} record - The record as stored.
+ * @returns {object} The upgraded report (the record itself if already current).
+ */
+function migrateReport(record) {
+    const report = upgradeReport(record);
+    assertValidReport(report);
+    return report;
+}
+
+/**
+ * Upgrades every stored record, setting aside those that cannot be used.
+ * @param {Array} records - The records as stored.
+ * @returns {{reports: Array<object>, quarantined: Array<{record: *, error: string}>, migrated: number}}
+ *   The usable reports, the rejected records with the reason, and how many were upgraded.
+ */
+function migrateReports(records) {
+    const reports = [];
+    const quarantined = [];
+    let migrated = 0;
+    records.forEach((record) => {
+        try {
+            const report = migrateReport(record);
+            if (report !== record) migrated++;
+            reports.push(report);
+        } catch (error) {
+            quarantined.push({ record, error: error.message });
+        }
+    });
+    return { reports, quarantined, migrated };
+}
+
+/**
+ * Keeps data that could not be read in this browser's quarantine list, so it
+ * can be inspected or repaired later instead of being lost.
+ * @param {Array<object>} entries - e.g. {record, error} or {raw, error}.
+ */
+function quarantineRecords(entries) {
+    if (entries.length === 0) return;
+    const at = new Date().toISOString();
+    let stored = [];
+    try {
+        stored = JSON.parse(localStorage.getItem(QUARANTINE_KEY) || '[]');
+    } catch (e) {
+        stored = [];
+    }
+    localStorage.setItem(QUARANTINE_KEY, JSON.stringify([...stored, ...entries.map(entry => ({ ...entry, at }))]));
+    console.warn(`Set aside ${entries.length} report record(s) that could not be read`, entries);
+}
+
+/**
+ * Lists what has been quarantined in this browser.
+ * @returns {Array<object>} Entries with an error, the time, and the record or raw text.
+ */
+function getQuarantinedRecords() {
+    try {
+        return JSON.parse(localStorage.getItem(QUARANTINE_KEY) || '[]');
+    } catch (e) {
+        return [];
+    }
+}
+
+// --- Notifications ---
+// Which changes notify whom is set out above NOTIFICATION_TYPES in shared.js.
+// The backend records the notifications (the server does it itself, so
+// clients cannot skip or forge them), and sends them on through the outbound
+// channel to users who opted in.
+
+const NOTIFICATION_POLL_MS = 60 * 1000;
+
+/**
+ * Words a notification in the current language.
+ * @param {object} notification - A stored notification.
+ * @returns {string} Its text. Notifications stored before they kept codes
+ *   only have their English text, which is shown as it is.
+ */
+function formatNotification(notification) {
+    if (!notification.event) return notification.message || '';
+    const params = notification.params || {};
+    const report = t('notifications.reportLabel', {
+        category: getCategoryLabel(params.category),
+        location: params.location || t('notifications.unknownLocation')
+    });
+    return t(`notificationEvent.${notification.event}`, {
+        ...params,
+        report,
+        from: params.from && getStatusLabel(params.from),
+        to: params.to && getStatusLabel(params.to)
+    });
+}
+
+/**
+ * Turns events into stored notifications, dropping the types each
+ * recipient has switched off.
+ * @param {Array<object>} events - From describeReportEvents.
+ * @param {Array<object>} users - All users, for their preferences.
+ * @returns {Array<object>} New notifications.
+ */
+function createNotifications(events, users) {
+    const at = new Date().toISOString();
+    return events
+        .filter((event) => {
+            const user = users.find(u => u.id === event.userId);
+            return user && getNotificationPreferences(user)[event.type];
+        })
+        .map(event => ({ id: generateId('notification'), ...event, at, read: false }));
+}
+
+/**
+ * The outbound channel (email, SMS...) for users who turned it on. The
+ * browser-only backend has nowhere to send from, so this stub just logs;
+ * pass a real sender to setNotificationChannel(). The server backend has
+ * its own channel (NOTIFICATION_WEBHOOK_URL in server.js).
+ * @type {function(object, object): void} (user, notification)
+ */
+let notificationChannel = (user, notification) => {
+    console.info(`[notification to ${user.email}] ${formatNotification(notification)}`);
+};
+
+/**
+ * Replaces the outbound channel used by the browser-only backend.
+ * @param {function(object, object): void} send - Called with (user, notification).
+ */
+function setNotificationChannel(send) {
+    notificationChannel = send;
+}
+
+/**
+ * Passes new notifications to the outbound channel, for users who opted in.
+ * A failing channel never breaks the write that caused the notification.
+ * @param {Array<object>} notifications - New notifications.
+ * @param {Array<object>} users - All users.
+ */
+function sendToNotificationChannel(notifications, users) {
+    notifications.forEach((notification) => {
+        const user = users.find(u => u.id === notification.userId);
+        if (!user || !getNotificationPreferences(user).channel) return;
+        try {
+            notificationChannel(toPublicUser(user), notification);
+        } catch (error) {
+            console.error('Error sending a notification', error);
+        }
+    });
+}
+
+// --- Storage Backends ---
+// Every backend exposes the same async interface:
+//   getReports() -> Promise<Array>
+//   saveReports(reports) -> Promise<void>
+//   putReport(report) -> Promise<void>   (insert or replace by id)
+//   putReports(reports) -> Promise<Array<{id, error}>>
+//                                        (insert or replace several by id, in one write;
+//                                         returns the ones the backend refused, the rest are saved)
+//   register(account) -> Promise<user>   (self sign-up, always a resident)
+//   login(email, password) -> Promise<user>
+//   getSession() -> Promise<user|null>
+//   logout() -> Promise<void>
+//   listUsers() -> Promise<Array>        (department admins only)
+//   createUser(account) -> Promise<user> (department admins only, any role)
+//   putImage(blob) -> Promise<string>    (stores a photo, returns its image ID)
+//   getImage(id) -> Promise<Blob|null>
+//   getNotifications() -> Promise<Array>         (the signed-in user's, newest first)
+//   markNotificationsRead(ids) -> Promise<void>
+//   updateNotificationPreferences(prefs) -> Promise<user>
+//   getCategories() -> Promise<Array>    (see "Categories"; the defaults until an admin saves some)
+//   saveCategories(list) -> Promise<void> (department admins only)
+//   subscribe(listener) -> unsubscribe function
+//     Calls listener(change) when reports or notifications change elsewhere
+//     (another tab, another device). change is
+//     { changed: Array, removedIds: Array<string>, full: boolean, notifications: boolean };
+//     `full` means `changed` is every report, e.g. after missing some updates.
+// Reports only hold image IDs (photoIds, thumbnailId); photos are stored apart.
+// The very first account registered on a backend becomes its department admin.
+
+/**
+ * Tells whether a localStorage or IndexedDB write failed because the
+ * quota is used up. Browsers name this error differently.
+ * @param {Error} error - The error thrown by the write.
+ * @returns {boolean}
+ */
+function isQuotaExceededError(error) {
+    return error instanceof DOMException
+        && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22);
+}
+
+const IMAGE_DB_NAME = 'fixYourCityImages';
+const IMAGE_STORE_NAME = 'images';
+const OUTBOX_STORE_NAME = 'outbox'; // Reports filed offline, see "Offline Outbox"
+let imageDatabase = null; // Promise<IDBDatabase>, opened on first use
+
+/**
+ * Opens the IndexedDB database the local backend keeps photos in.
+ * It also holds the outbox of reports waiting to be sent to the server.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openImageDatabase() {
+    if (!imageDatabase) {
+        imageDatabase = new Promise((resolve, reject) => {
+            const request = indexedDB.open(IMAGE_DB_NAME, 2);
+            request.onupgradeneeded = () => {
+                // Version 1 only had the photo store
+                for (const name of [IMAGE_STORE_NAME, OUTBOX_STORE_NAME]) {
+                    if (!request.result.objectStoreNames.contains(name)) request.result.createObjectStore(name);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        imageDatabase.catch(() => { imageDatabase = null; }); // Let the next call try again
+    }
+    return imageDatabase;
+}
+
+/**
+ * Runs one request against the photo store and waits for its transaction.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+ * @param {function(IDBObjectStore): IDBRequest} action - Makes the request.
+ * @param {string} [storeName] - Another store in the same database, e.g. the outbox.
+ * @returns {Promise<*>} The request's result.
+ */
+async function runImageTransaction(mode, action, storeName = IMAGE_STORE_NAME) {
+    const db = await openImageDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = action(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Turns a base64 data URL back into a Blob.
+ * @param {string} dataUrl - The data URL.
+ * @returns {Blob}
+ */
+function dataUrlToBlob(dataUrl) {
+    const [header, base64] = dataUrl.split(',');
+    const mimeType = (header.match(/^data:([^;]+)/) || [])[1] || 'application/octet-stream';
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type: mimeType });
+}
+
+/**
+ * Creates the original browser-only backend that keeps reports in localStorage.
+ * Residents and the authority only share data if they use the same browser profile.
+ * Accounts live in the same browser, so roles here keep honest users on the right
+ * pages but are not a security boundary; use the server backend for that.
+ * @returns {object} A storage backend.
+ */
+function createLocalStorageBackend() {
+    // Stored reports are upgraded to the current schema as they are read.
+    // Anything unreadable is quarantined and dropped from the list, so one
+    // bad record (or a corrupt key) does not hide every other report.
+    const read = () => {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        let records;
+        try {
+            records = JSON.parse(raw || '[]');
+            if (!Array.isArray(records)) throw new Error('Stored reports are not a list.');
+        } catch (e) {
+            console.error("Error parsing reports from localStorage", e);
+            quarantineRecords([{ raw, error: e.message }]);
+            write([]);
+            return [];
+        }
+        const { reports, quarantined, migrated } = migrateReports(records);
+        if (quarantined.length > 0 || migrated > 0) {
+            quarantineRecords(quarantined);
+            write(reports);
+        }
+        return reports;
+    };
+    const write = (reports) => {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(reports));
+        } catch (e) {
+            if (isQuotaExceededError(e)) throw new Error(t('errors.storageFull'));
+            throw e;
+        }
+    };
+
+    const readUsers = () => {
+        try {
+            return JSON.parse(localStorage.getItem(USERS_KEY) || '[]');
+        } catch (e) {
+            console.error("Error parsing users from localStorage", e);
+            return [];
+        }
+    };
+    const writeUsers = (users) => localStorage.setItem(USERS_KEY, JSON.stringify(users));
+
+    const sessionUser = () => {
+        let session = null;
+        try {
+            session = JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+        } catch (e) {
+            session = null;
+        }
+        if (!session || session.expiresAt < Date.now()) return null;
+        const user = readUsers().find(u => u.id === session.userId);
+        return user ? toPublicUser(user) : null;
+    };
+    const startSession = (user) => {
+        localStorage.setItem(SESSION_KEY, JSON.stringify({ userId: user.id, expiresAt: Date.now() + SESSION_TTL_MS }));
+    };
+    const requireAdmin = (messageKey = 'errors.adminOnlyAccounts') => {
+        const user = sessionUser();
+        if (!user || user.role !== ROLES.ADMIN) throw new Error(t(messageKey));
+    };
+
+    const putImage = async (blob) => {
+        const id = generateId('image');
+        try {
+            await runImageTransaction('readwrite', store => store.put(blob, id));
+        } catch (e) {
+            if (isQuotaExceededError(e)) throw new Error(t('errors.storageFull'));
+            throw e;
+        }
+        return id;
+    };
+
+    // Older versions kept photos inside the reports as base64 (imageData, then
+    // photos and thumbnailData). Move them into IndexedDB once, before any
+    // report is read or written; reports already moved are left alone.
+    let imageMigration = null;
+    const migrateInlineImages = async () => {
+        const reports = read();
+        const legacy = reports.filter(r => 'imageData' in r || 'photos' in r || 'thumbnailData' in r);
+        if (legacy.length === 0) return;
+        for (const report of legacy) {
+            const dataUrls = report.photos || (report.imageData ? [report.imageData] : []);
+            const photoIds = [];
+            for (const dataUrl of dataUrls) photoIds.push(await putImage(dataUrlToBlob(dataUrl)));
+            report.photoIds = [...(report.photoIds || []), ...photoIds];
+            report.thumbnailId = report.thumbnailData ? await putImage(dataUrlToBlob(report.thumbnailData)) : (report.photoIds[0] || null);
+            delete report.imageData;
+            delete report.photos;
+            delete report.thumbnailData;
+        }
+        write(reports);
+    };
+    const ensureImagesMigrated = () => {
+        if (!imageMigration) {
+            // On failure the photos stay in localStorage, and the next page load tries again
+            imageMigration = migrateInlineImages().catch(error => console.error('Photo migration failed', error));
+        }
+        return imageMigration;
+    };
+
+    const readNotifications = () => {
+        try {
+            return JSON.parse(localStorage.getItem(NOTIFICATIONS_KEY) || '[]');
+        } catch (e) {
+            console.error("Error parsing notifications from localStorage", e);
+            return [];
+        }
+    };
+    const writeNotifications = (notifications) => localStorage.setItem(NOTIFICATIONS_KEY, JSON.stringify(notifications));
+
+    const putReports = async (changed) => {
+        await ensureImagesMigrated();
+        const reports = read();
+        const actor = sessionUser();
+        const events = [];
+        changed.forEach((report) => {
+            const index = reports.findIndex(r => r.id === report.id);
+            if (actor) events.push(...describeReportEvents(reports[index], report, actor));
+            if (index === -1) reports.push(report);
+            else reports[index] = report;
+        });
+        write(reports);
+        if (events.length > 0) {
+            const users = readUsers();
+            const notifications = createNotifications(events, users);
+            writeNotifications(addNotifications(readNotifications(), notifications));
+            sendToNotificationChannel(notifications, users);
+        }
+    };
+
+    const createAccount = async ({ name, email, password, role }) => {
+        validateNewAccount({ name, email, password, role });
+        const users = readUsers();
+        const normalizedEmail = normalizeEmail(email);
+        if (users.some(u => u.email === normalizedEmail)) {
+            throw new Error(t('errors.emailTaken'));
+        }
+        const salt = bytesToHex(crypto.getRandomValues(new Uint8Array(16)));
+        const user = {
+            id: generateId('user'),
+            name: name.trim(),
+            email: normalizedEmail,
+            role: users.length === 0 ? ROLES.ADMIN : role,
+            salt,
+            passwordHash: await hashPassword(password, salt),
+            createdAt: new Date().toISOString()
+        };
+        users.push(user);
+        writeUsers(users);
+        return user;
+    };
+
+    return {
+        name: 'local',
+        async getReports() {
+            await ensureImagesMigrated();
+            return read();
+        },
+        async saveReports(reports) {
+            await ensureImagesMigrated();
+            write(reports);
+        },
+        async putReport(report) {
+            await putReports([report]);
+        },
+        async putReports(changed) {
+            await putReports(changed);
+            return [];
+        },
+        async register(account) {
+            const user = await createAccount({ ...account, role: ROLES.RESIDENT });
+            startSession(user);
+            return toPublicUser(user);
+        },
+        async login(email, password) {
+            const user = readUsers().find(u => u.email === normalizeEmail(email));
+            if (!user || await hashPassword(password, user.salt) !== user.passwordHash) {
+                throw new Error(t('errors.wrongPassword'));
+            }
+            startSession(user);
+            return toPublicUser(user);
+        },
+        async getSession() {
+            return sessionUser();
+        },
+        async logout() {
+            localStorage.removeItem(SESSION_KEY);
+        },
+        async listUsers() {
+            requireAdmin();
+            return readUsers().map(toPublicUser);
+        },
+        async createUser(account) {
+            requireAdmin();
+            return toPublicUser(await createAccount(account));
+        },
+        putImage,
+        async getImage(id) {
+            return (await runImageTransaction('readonly', store => store.get(id))) || null;
+        },
+        async getNotifications() {
+            const user = sessionUser();
+            if (!user) throw new Error(t('errors.signInRequired'));
+            return readNotifications().filter(n => n.userId === user.id);
+        },
+        async markNotificationsRead(ids) {
+            const user = sessionUser();
+            if (!user) throw new Error(t('errors.signInRequired'));
+            writeNotifications(readNotifications().map(n => (
+                n.userId === user.id && ids.includes(n.id) ? { ...n, read: true } : n
+            )));
+        },
+        async updateNotificationPreferences(preferences) {
+            const user = sessionUser();
+            if (!user) throw new Error(t('errors.signInRequired'));
+            const users = readUsers();
+            const stored = users.find(u => u.id === user.id);
+            stored.notificationPreferences = { ...getNotificationPreferences(stored), ...preferences };
+            writeUsers(users);
+            return toPublicUser(stored);
+        },
+        async getCategories() {
+            try {
+                return JSON.parse(localStorage.getItem(CATEGORIES_KEY) || 'null') || DEFAULT_CATEGORIES;
+            } catch (e) {
+                console.error("Error parsing categories from localStorage", e);
+                return DEFAULT_CATEGORIES;
+            }
+        },
+        async saveCategories(list) {
+            requireAdmin('errors.adminOnlyCategories');
+            const errors = validateCategories(list);
+            if (errors.length > 0) throw new Error(formatProblems(errors));
+            localStorage.setItem(CATEGORIES_KEY, JSON.stringify(list));
+        },
+        subscribe(listener) {
+            // Other tabs write to localStorage directly, and the browser fires
+            // 'storage' in every tab but the writer; compare the two values
+            // to find the reports that changed.
+            const onStorage = (e) => {
+                if (e.key === NOTIFICATIONS_KEY) {
+                    listener({ changed: [], removedIds: [], full: false, notifications: true });
+                    return;
+                }
+                if (e.key !== STORAGE_KEY) return;
+                let before;
+                let after;
+                try {
+                    before = JSON.parse(e.oldValue || '[]');
+                    after = JSON.parse(e.newValue || '[]');
+                } catch (error) {
+                    listener({ changed: read(), removedIds: [], full: true, notifications: false });
+                    return;
+                }
+                const previous = new Map(before.map(r => [r && r.id, JSON.stringify(r)]));
+                const changed = after.filter(r => previous.get(r && r.id) !== JSON.stringify(r));
+                const remaining = new Set(after.map(r => r && r.id));
+                listener({
+                    changed: migrateReports(changed).reports,
+                    removedIds: [...previous.keys()].filter(id => !remaining.has(id)),
+                    full: false,
+                    notifications: false
+                });
+            };
+            window.addEventListener('storage', onStorage);
+            return () => window.removeEventListener('storage', onStorage);
+        }
+    };
+}
+
+/**
+ * Creates a backend that talks to the bundled Node server (server.js),
+ * so reports filed on one device are visible on every other device.
+ * @param {string} baseUrl - Base URL of the REST API, e.g. 'api'.
+ * @returns {object} A storage backend.
+ */
+function createHttpBackend(baseUrl) {
+    const request = async (path, options = {}) => {
+        let response;
+        try {
+            response = await fetch(`${baseUrl}${path}`, {
+                ...options,
+                headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+            });
+        } catch (cause) {
+            // fetch only rejects when the server can't be reached at all
+            const error = new Error(t('errors.offline'));
+            error.offline = true;
+            error.cause = cause;
+            throw error;
+        }
+        if (!response.ok) {
+            const body = await response.json().catch(() => null);
+            // The server names its messages by catalog key, so they can be shown in the user's language
+            const message = body && Array.isArray(body.problems) && body.problems.length > 0 ? formatProblems(body.problems) : body && body.error;
+            const error = new Error(message || `Server responded with ${response.status} ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response.status === 204 ? null : response.json();
+    };
+    const post = (path, body) => request(path, { method: 'POST', body: JSON.stringify(body) });
+    const getReports = async () => {
+        // The server stores what clients send, so older clients' reports are upgraded here
+        const { reports, quarantined } = migrateReports(await request('/reports'));
+        quarantineRecords(quarantined);
+        return reports;
+    };
+
+    return {
+        name: 'http',
+        getReports,
+        async saveReports(reports) {
+            await request('/reports', { method: 'PUT', body: JSON.stringify(reports) });
+        },
+        async putReport(report) {
+            await request(`/reports/${encodeURIComponent(report.id)}`, { method: 'PUT', body: JSON.stringify(report) });
+        },
+        async putReports(reports) {
+            const { failed } = await request('/reports', { method: 'PATCH', body: JSON.stringify(reports) });
+            return failed.map(({ id, error, problems }) => ({ id, error: problems.length > 0 ? formatProblems(problems) : error }));
+        },
+        async register(account) {
+            validateNewAccount({ ...account, role: ROLES.RESIDENT });
+            return post('/auth/register', account);
+        },
+        async login(email, password) {
+            return post('/auth/login', { email, password });
+        },
+        async getSession() {
+            try {
+                const user = await request('/auth/session');
+                localStorage.setItem(CACHED_SESSION_KEY, JSON.stringify(user));
+                return user;
+            } catch (error) {
+                if (error.status === 401) {
+                    localStorage.removeItem(CACHED_SESSION_KEY);
+                    return null;
+                }
+                // Offline: trust the last answer so pages (and the outbox) still work
+                if (error.offline && localStorage.getItem(CACHED_SESSION_KEY)) {
+                    return JSON.parse(localStorage.getItem(CACHED_SESSION_KEY));
+                }
+                throw error;
+            }
+        },
+        async logout() {
+            await post('/auth/logout', {});
+            localStorage.removeItem(CACHED_SESSION_KEY);
+        },
+        async listUsers() {
+            return request('/users');
+        },
+        async createUser(account) {
+            validateNewAccount(account);
+            return post('/users', account);
+        },
+        async putImage(blob) {
+            const { id } = await request('/images', { method: 'POST', headers: { 'Content-Type': blob.type }, body: blob });
+            return id;
+        },
+        async getImage(id) {
+            const response = await fetch(`${baseUrl}/images/${encodeURIComponent(id)}`);
+            if (response.status === 404) return null;
+            if (!response.ok) throw new Error(`Server responded with ${response.status} ${response.statusText}`);
+            return response.blob();
+        },
+        async getNotifications() {
+            return request('/notifications');
+        },
+        async markNotificationsRead(ids) {
+            await post('/notifications/read', { ids });
+        },
+        async updateNotificationPreferences(preferences) {
+            return request('/notifications/preferences', { method: 'PUT', body: JSON.stringify(preferences) });
+        },
+        async getCategories() {
+            try {
+                // The server answers [] until an admin has saved categories
+                const list = await request('/categories');
+                localStorage.setItem(CACHED_CATEGORIES_KEY, JSON.stringify(list));
+                return list.length > 0 ? list : DEFAULT_CATEGORIES;
+            } catch (error) {
+                // Offline: the last list fetched, so the report form still offers the right fields
+                const cached = JSON.parse(localStorage.getItem(CACHED_CATEGORIES_KEY) || '[]');
+                if (error.offline) return cached.length > 0 ? cached : DEFAULT_CATEGORIES;
+                throw error;
+            }
+        },
+        async saveCategories(list) {
+            const errors = validateCategories(list);
+            if (errors.length > 0) throw new Error(formatProblems(errors));
+            await request('/categories', { method: 'PUT', body: JSON.stringify(list) });
+            localStorage.setItem(CACHED_CATEGORIES_KEY, JSON.stringify(list));
+        },
+        subscribe(listener) {
+            // Server-sent events; the browser reconnects by itself after a drop
+            if (typeof EventSource === 'undefined') return () => {};
+            const source = new EventSource(`${baseUrl}/events`);
+            let dropped = false;
+            source.addEventListener('reports', (e) => {
+                const { changed, removedIds, full } = JSON.parse(e.data);
+                listener({ changed: migrateReports(changed).reports, removedIds, full, notifications: false });
+            });
+            source.addEventListener('notifications', () => {
+                listener({ changed: [], removedIds: [], full: false, notifications: true });
+            });
+            source.addEventListener('error', () => { dropped = true; });
+            source.addEventListener('open', async () => {
+                if (!dropped) return;
+                dropped = false;
+                // Changes made while disconnected were never pushed, so catch up in full
+                try {
+                    listener({ changed: await getReports(), removedIds: [], full: true, notifications: true });
+                } catch (error) {
+                    console.error('Error catching up after reconnecting', error);
+                }
+            });
+            return () => source.close();
+        }
+    };
+}
+
+/**
+ * Works out which backend to use. `?backend=http` or `?backend=local` in the URL
+ * switches backends and is remembered for later page loads.
+ * @returns {string} 'http' or 'local'.
+ */
+function resolveBackendName() {
+    const requested = new URLSearchParams(window.location.search).get('backend');
+    if (requested === 'http' || requested === 'local') {
+        localStorage.setItem(BACKEND_KEY, requested);
+    }
+    return localStorage.getItem(BACKEND_KEY) === 'http' ? 'http' : 'local';
+}
+
+const storage = resolveBackendName() === 'http'
+    ? createHttpBackend(API_BASE_URL)
+    : createLocalStorageBackend();
 
 // --- Data Store Functions ---
 
 /**
- * Retrieves all reports from localStorage.
- * @returns {Array} An array of report objects.
+ * Retrieves all reports from the active storage backend.
+ * @returns {Promise<Array>} An array of report objects.
+ */
+async function getReports() {
+    return storage.getReports();
+}
+
+/**
+ * Saves an array of reports to the active storage backend.
+ * @param {Array} reports - The array of reports to save.
+ * @returns {Promise<void>}
+ */
+async function saveReports(reports) {
+    reports.forEach(assertValidReport);
+    await storage.saveReports(reports);
+}
+
+/**
+ * Adds a new report to the active storage backend.
+ * @param {object} report - The new report object, e.g. from createReport().
+ * @returns {Promise<void>}
+ */
+async function addReport(report) {
+    await storeReports([report]);
+}
+
+/**
+ * Checks reports against the schema and writes them in one backend call.
+ * Every report change goes through here (or saveReports).
+ * @param {Array<object>} reports - New or changed reports.
+ * @param {object} [options]
+ * @param {boolean} [options.partial] - Return the reports the backend refused
+ *   instead of throwing the first refusal.
+ * @returns {Promise<Array<{id: string, error: string}>>} The refused reports (always empty without partial).
+ */
+async function storeReports(reports, { partial = false } = {}) {
+    reports.forEach(assertValidReport);
+    const refused = await storage.putReports(reports);
+    if (refused.length > 0 && !partial) throw new Error(refused[0].error);
+    return refused;
+}
+
+/**
+ * Throws a user-facing error unless the user may move the report to newStatus.
+ * Staff may make any allowed transition; residents may only reopen their own
+ * resolved reports.
+ * @param {object} report - The report as currently stored.
+ * @param {string} newStatus - The requested status.
+ * @param {object} user - The user making the change.
+ */
+function assertStatusTransition(report, newStatus, user) {
+    if (!REPORT_STATUSES.includes(newStatus)) {
+        throw new Error(t('errors.unknownStatus', { status: newStatus }));
+    }
+    if (!getAllowedTransitions(report.status).includes(newStatus)) {
+        throw new Error(t('errors.statusTransition', { from: getStatusLabel(report.status), to: getStatusLabel(newStatus) }));
+    }
+    if (STAFF_ROLES.includes(user.role)) return;
+    const isOwnReopen = report.reporterId === user.id && report.status === 'Resolved' && newStatus === 'Pending';
+    if (!isOwnReopen) {
+        throw new Error(t('errors.statusPermission'));
+    }
+}
+
+/**
+ * Builds a status history entry.
+ * @param {string|null} from - The previous status (null when the report is created).
+ * @param {string} to - The new status.
+ * @param {object} user - Who made the change.
+ * @param {string} [note] - Optional note explaining the change.
+ * @param {Array<string>} [photoIds] - "After" photos proving a fix; only moves to Resolved have them.
+ * @returns {object} A history entry.
+ */
+function createHistoryEntry(from, to, user, note, photoIds = []) {
+    return {
+        from,
+        to,
+        by: { id: user.id, name: user.name, role: user.role },
+        at: new Date().toISOString(),
+        note: note ? String(note).trim() : '',
+        ...(photoIds.length > 0 ? { photoIds } : {})
+    };
+}
+
+/**
+ * Moves a report to a new status and appends the change to its history.
+ * Invalid transitions are rejected here, whatever page asked for them.
+ * @param {string} reportId - The ID of the report to update.
+ * @param {string} newStatus - One of REPORT_STATUSES.
+ * @param {object} user - The user making the change.
+ * @param {string} [note] - Optional note explaining the change.
+ * @returns {Promise<object>} The updated report.
+ */
+async function updateReportStatus(reportId, newStatus, user, note) {
+    const reports = await getReports();
+    const report = reports.find(r => r.id === reportId);
+    if (!report) throw new Error(t('errors.reportNotFound'));
+    applyStatusChange(report, newStatus, user, note);
+    await storeReports([report]);
+    return report;
+}
+
+/**
+ * Checks a status change and applies it to a report object in place.
+ * Resolving needs proof: a note saying what was done and an "after" photo.
+ * @param {object} report - The report to change.
+ * @param {string} newStatus - One of REPORT_STATUSES.
+ * @param {object} user - The user making the change.
+ * @param {string} [note] - Optional note explaining the change; required to resolve.
+ * @param {Array<string>} [photoIds] - Stored "after" photos; required to resolve.
+ */
+function applyStatusChange(report, newStatus, user, note, photoIds = []) {
+    assertStatusTransition(report, newStatus, user);
+    if (newStatus === 'Resolved' && (!String(note || '').trim() || photoIds.length === 0)) {
+        throw new Error(t('resolution.proofRequired'));
+    }
+    report.history = [...(report.history || []), createHistoryEntry(report.status, newStatus, user, note, photoIds)];
+    report.status = newStatus;
+}
+
+/**
+ * Applies one change to several reports and saves them all in a single
+ * write. A report the change fails on (say, an invalid transition), or that
+ * the backend refuses, is left untouched and listed in `failed`; the rest of
+ * the batch is still saved.
+ * @param {Array<string>} reportIds - The IDs of the reports to change.
+ * @param {function(object): void} change - Changes a report in place; throws to reject it.
+ * @returns {Promise<{updated: Array<object>, failed: Array<{id: string, error: string}>}>}
+ */
+async function updateReportsInBatch(reportIds, change) {
+    const reports = await getReports();
+    const updated = [];
+    const failed = [];
+    reportIds.forEach((id) => {
+        const report = reports.find(r => r.id === id);
+        try {
+            if (!report) throw new Error(t('errors.reportNotFound'));
+            // Work on a copy so a change that throws halfway leaves nothing behind
+            const copy = JSON.parse(JSON.stringify(report));
+            change(copy);
+            updated.push(copy);
+        } catch (error) {
+            failed.push({ id, error: error.message });
+        }
+    });
+    const refused = updated.length > 0 ? await storeReports(updated, { partial: true }) : [];
+    return {
+        updated: updated.filter(report => !refused.some(r => r.id === report.id)),
+        failed: [...failed, ...refused]
+    };
+}
+
+/**
+ * Moves several reports to a new status in one write.
+ * @param {Array<string>} reportIds - The IDs of the reports to update.
+ * @param {string} newStatus - One of REPORT_STATUSES.
+ * @param {object} user - The user making the change.
+ * @param {string} [note] - Optional note added to every report's history.
+ * @returns {Promise<{updated: Array<object>, failed: Array<{id: string, error: string}>}>}
+ */
+async function bulkUpdateReportStatus(reportIds, newStatus, user, note) {
+    return updateReportsInBatch(reportIds, report => applyStatusChange(report, newStatus, user, note));
+}
+
+/**
+ * Retrieves the reports filed by one resident.
+ * @param {string} userId - The reporter's user ID.
+ * @returns {Promise<Array>} That resident's reports.
+ */
+async function getReportsByReporter(userId) {
+    const reports = await getReports();
+    return reports.filter(r => r.reporterId === userId);
+}
+
+/**
+ * Marks a report resolved, storing the "after" photos that prove the fix.
+ * @param {string} reportId - The ID of the report to resolve.
+ * @param {object} user - The staff member resolving it.
+ * @param {string} note - What was done.
+ * @param {Array<{photo: Blob}>} photos - From processPhoto; at least one.
+ * @returns {Promise<object>} The updated report.
+ */
+async function resolveReport(reportId, user, note, photos) {
+    const reports = await getReports();
+    const report = reports.find(r => r.id === reportId);
+    if (!report) throw new Error(t('errors.reportNotFound'));
+    // Check everything but the photos before uploading them
+    assertStatusTransition(report, 'Resolved', user);
+    if (!String(note || '').trim() || photos.length === 0) {
+        throw new Error(t('resolution.proofRequired'));
+    }
+    const photoIds = [];
+    for (const { photo } of photos) photoIds.push(await storage.putImage(photo));
+    applyStatusChange(report, 'Resolved', user, note, photoIds);
+    await storeReports([report]);
+    return report;
+}
+
+/**
+ * Throws unless the user may take part in a report's comment thread:
+ * staff on any report, residents only on reports they filed.
+ * @param {object} report - The report.
+ * @param {object} user - The signed-in user.
+ */
+function assertCanComment(report, user) {
+    if (!STAFF_ROLES.includes(user.role) && report.reporterId !== user.id) {
+        throw new Error(t('errors.commentPermission'));
+    }
+}
+
+/**
+ * Appends a comment to a report's thread. Posting also marks the thread as read
+ * for the author.
+ * @param {string} reportId - The ID of the report.
+ * @param {object} user - The comment author.
+ * @param {string} body - The comment text.
+ * @returns {Promise<object>} The updated report.
+ */
+async function addComment(reportId, user, body) {
+    const text = String(body || '').trim();
+    if (!text) throw new Error(t('errors.commentEmpty'));
+
+    const reports = await getReports();
+    const report = reports.find(r => r.id === reportId);
+    if (!report) throw new Error(t('errors.reportNotFound'));
+    assertCanComment(report, user);
+
+    const at = new Date().toISOString();
+    report.comments = [...(report.comments || []), {
+        id: generateId('comment'),
+        author: { id: user.id, name: user.name, role: user.role },
+        body: text,
+        at
+    }];
+    report.readBy = { ...(report.readBy || {}), [user.id]: at };
+    await storeReports([report]);
+    return report;
+}
+
+/**
+ * Counts comments on a report that the user has not read yet.
+ * The user's own comments never count as unread.
+ * @param {object} report - The report.
+ * @param {object} user - The signed-in user.
+ * @returns {number} The number of unread comments.
+ */
+function countUnreadComments(report, user) {
+    const lastRead = (report.readBy || {})[user.id];
+    return (report.comments || []).filter(c => c.author.id !== user.id && (!lastRead || c.at > lastRead)).length;
+}
+
+/**
+ * Marks every comment on a report as read by the user. Does nothing if
+ * there is nothing unread, so opening a thread does not cause needless writes.
+ * @param {string} reportId - The ID of the report.
+ * @param {object} user - The signed-in user.
+ * @returns {Promise<void>}
+ */
+async function markCommentsRead(reportId, user) {
+    const reports = await getReports();
+    const report = reports.find(r => r.id === reportId);
+    if (!report || countUnreadComments(report, user) === 0) return;
+    assertCanComment(report, user);
+    report.readBy = { ...(report.readBy || {}), [user.id]: new Date().toISOString() };
+    await storeReports([report]);
+}
+
+/**
+ * Adds a resident's "+1" to someone else's open report, instead of them
+ * filing the same issue again. Supporting twice does nothing.
+ * @param {string} reportId - The ID of the report to support.
+ * @param {object} user - The signed-in resident.
+ * @returns {Promise<object>} The updated report.
+ */
+async function supportReport(reportId, user) {
+    const reports = await getReports();
+    const report = reports.find(r => r.id === reportId);
+    if (!report) throw new Error(t('errors.reportNotFound'));
+    if (user.role !== ROLES.RESIDENT) throw new Error(t('errors.supportResidentsOnly'));
+    if (report.reporterId === user.id) throw new Error(t('errors.supportOwnReport'));
+    if (!OPEN_STATUSES.includes(report.status)) throw new Error(t('errors.supportClosed'));
+
+    const supporters = report.supporters || [];
+    if (supporters.includes(user.id)) return report;
+    report.supporters = [...supporters, user.id];
+    await storeReports([report]);
+    return report;
+}
+
+/**
+ * Counts the residents behind a report: whoever filed it plus everyone who
+ * supported it or whose duplicate was merged into it.
+ * @param {object} report - The report.
+ * @returns {number} The number of supporters, including the reporter.
+ */
+function countSupporters(report) {
+    return 1 + (report.supporters || []).length;
+}
+
+/**
+ * Merges a duplicate report into a primary one. The duplicate is marked
+ * 'Duplicate' and points at the primary; its reporter and supporters are
+ * added to the primary's supporters.
+ * @param {string} duplicateId - The ID of the report to merge away.
+ * @param {string} primaryId - The ID of the report to keep.
+ * @param {object} user - The staff member doing the merge.
+ * @param {string} [note] - Optional note for the duplicate's history.
+ * @returns {Promise<object>} The updated primary report.
+ */
+async function mergeReports(duplicateId, primaryId, user, note) {
+    if (duplicateId === primaryId) throw new Error(t('errors.mergeSelf'));
+    const reports = await getReports();
+    const duplicate = reports.find(r => r.id === duplicateId);
+    const primary = reports.find(r => r.id === primaryId);
+    if (!duplicate || !primary) throw new Error(t('errors.reportNotFound'));
+    if (!OPEN_STATUSES.includes(primary.status)) throw new Error(t('errors.mergeIntoClosed'));
+    assertStatusTransition(duplicate, 'Duplicate', user);
+
+    const mergeNote = [t('history.mergedInto', { id: primary.id, place: primary.location || primary.category }), note ? String(note).trim() : '']
+        .filter(Boolean).join(' ');
+    duplicate.history = [...(duplicate.history || []), createHistoryEntry(duplicate.status, 'Duplicate', user, mergeNote)];
+    duplicate.status = 'Duplicate';
+    duplicate.mergedInto = primary.id;
+
+    const newSupporters = [duplicate.reporterId, ...(duplicate.supporters || [])]
+        .filter(id => id && id !== primary.reporterId);
+    primary.supporters = [...new Set([...(primary.supporters || []), ...newSupporters])];
+    primary.mergedReports = [...(primary.mergedReports || []), duplicate.id];
+
+    await storeReports([duplicate, primary]);
+    return primary;
+}
+
+/**
+ * Assigns a report to a staff member, or clears the assignment.
+ * Only department admins may assign.
+ * @param {string} reportId - The ID of the report.
+ * @param {?object} assignee - The officer or admin to assign, or null to unassign.
+ * @param {object} user - The admin making the assignment.
+ * @returns {Promise<object>} The updated report.
+ */
+async function assignReport(reportId, assignee, user) {
+    assertCanAssign(assignee, user);
+    const reports = await getReports();
+    const report = reports.find(r => r.id === reportId);
+    if (!report) throw new Error(t('errors.reportNotFound'));
+    applyAssignment(report, assignee, user);
+    await storeReports([report]);
+    return report;
+}
+
+/**
+ * Assigns several reports to the same staff member (or unassigns them) in one write.
+ * @param {Array<string>} reportIds - The IDs of the reports.
+ * @param {?object} assignee - The officer or admin to assign, or null to unassign.
+ * @param {object} user - The admin making the assignment.
+ * @returns {Promise<{updated: Array<object>, failed: Array<{id: string, error: string}>}>}
+ */
+async function bulkAssignReports(reportIds, assignee, user) {
+    assertCanAssign(assignee, user);
+    return updateReportsInBatch(reportIds, report => applyAssignment(report, assignee, user));
+}
+
+function assertCanAssign(assignee, user) {
+    if (user.role !== ROLES.ADMIN) throw new Error(t('errors.adminOnlyAssign'));
+    if (assignee && !STAFF_ROLES.includes(assignee.role)) throw new Error(t('errors.assignStaffOnly'));
+}
+
+function applyAssignment(report, assignee, user) {
+    report.assignedTo = assignee ? { id: assignee.id, name: assignee.name } : null;
+    report.assignedBy = { id: user.id, name: user.name };
+    report.assignedAt = new Date().toISOString();
+}
+
+/**
+ * Counts reports per department, split into open and resolved.
+ * Every department appears, even with no reports.
+ * @param {Array} reports - The reports to count.
+ * @returns {Object<string, {total: number, open: number, resolved: number}>}
+ */
+function countReportsByDepartment(reports) {
+    const counts = {};
+    DEPARTMENTS.forEach(department => { counts[department] = { total: 0, open: 0, resolved: 0 }; });
+    reports.forEach((report) => {
+        const department = getReportDepartment(report);
+        if (!counts[department]) counts[department] = { total: 0, open: 0, resolved: 0 };
+        counts[department].total++;
+        if (OPEN_STATUSES.includes(report.status)) counts[department].open++;
+        if (report.status === 'Resolved') counts[department].resolved++;
+    });
+    return counts;
+}
+
+// --- Resolution Feedback ---
+// Once a report is resolved, the resident who filed it either confirms the
+// fix or reopens the report with a reason, rating the fix either way. Each
+// answer is kept in report.feedback and tied to the resolution it reviews:
+//   { resolvedAt, outcome: 'confirmed'|'reopened', rating, reason, by, at }
+
+/**
+ * Finds the history entry that resolved a report.
+ * @param {object} report - The report.
+ * @returns {?object} The entry, or null unless the report is resolved. Reports
+ *   resolved before history was kept get a stand-in with no date or proof.
+ */
+function getResolution(report) {
+    if (report.status !== 'Resolved') return null;
+    const entry = [...(report.history || [])].reverse().find(e => e.to === 'Resolved');
+    return entry || { to: 'Resolved', at: null, note: '' };
+}
+
+/**
+ * Finds the reporter's feedback on a report's current resolution.
+ * @param {object} report - The report.
+ * @returns {?object} The feedback entry, or null if there is none yet.
+ */
+function getResolutionFeedback(report) {
+    const resolution = getResolution(report);
+    if (!resolution) return null;
+    return (report.feedback || []).find(f => f.resolvedAt === resolution.at) || null;
+}
+
+/**
+ * Tells whether a resident still has to confirm or reopen a resolved report.
+ * @param {object} report - The report.
+ * @param {object} user - The signed-in user.
+ * @returns {boolean}
+ */
+function needsResolutionFeedback(report, user) {
+    return report.status === 'Resolved' && report.reporterId === user.id && !getResolutionFeedback(report);
+}
+
+/**
+ * Builds the reporter's feedback on a report's current resolution, throwing
+ * a user-facing error if they cannot give it.
+ * @param {object} report - The report as currently stored.
+ * @param {object} user - The signed-in user.
+ * @param {'confirmed'|'reopened'} outcome - Whether the fix holds.
+ * @param {number} rating - 1 to RATING_SCALE.
+ * @param {string} [reason] - What is still wrong; required to reopen.
+ * @returns {object} A feedback entry.
+ */
+function createFeedbackEntry(report, user, outcome, rating, reason) {
+    if (report.reporterId !== user.id) throw new Error(t('errors.reviewReporterOnly'));
+    if (report.status !== 'Resolved') throw new Error(t('errors.reviewNotResolved'));
+    if (getResolutionFeedback(report)) throw new Error(t('errors.reviewDone'));
+    if (!Number.isInteger(rating) || rating < 1 || rating > RATING_SCALE) {
+        throw new Error(t('errors.ratingRange', { max: RATING_SCALE }));
+    }
+    const text = reason ? String(reason).trim() : '';
+    if (outcome === 'reopened' && !text) throw new Error(t('errors.reopenReason'));
+    return {
+        resolvedAt: getResolution(report).at,
+        outcome,
+        rating,
+        reason: text,
+        by: { id: user.id, name: user.name, role: user.role },
+        at: new Date().toISOString()
+    };
+}
+
+/**
+ * Confirms that a resolved report is fixed. The report stays resolved.
+ * @param {string} reportId - The ID of the report.
+ * @param {object} user - The resident who filed it.
+ * @param {number} rating - 1 to RATING_SCALE.
+ * @returns {Promise<object>} The updated report.
+ */
+async function confirmResolution(reportId, user, rating) {
+    const reports = await getReports();
+    const report = reports.find(r => r.id === reportId);
+    if (!report) throw new Error(t('errors.reportNotFound'));
+    report.feedback = [...(report.feedback || []), createFeedbackEntry(report, user, 'confirmed', rating)];
+    await storeReports([report]);
+    return report;
+}
+
+/**
+ * Reopens a resolved report that is not actually fixed. Only the resident
+ * who filed it may do this, once per resolution, saying why.
+ * @param {string} reportId - The ID of the report to reopen.
+ * @param {object} user - The signed-in user.
+ * @param {string} reason - What is still wrong; also the history note.
+ * @param {number} rating - 1 to RATING_SCALE.
+ * @returns {Promise<object>} The updated report.
+ */
+async function reopenReport(reportId, user, reason, rating) {
+    const reports = await getReports();
+    const report = reports.find(r => r.id === reportId);
+    if (!report) throw new Error(t('errors.reportNotFound'));
+    const feedback = createFeedbackEntry(report, user, 'reopened', rating, reason);
+    applyStatusChange(report, 'Pending', user, feedback.reason);
+    report.feedback = [...(report.feedback || []), feedback];
+    await storeReports([report]);
+    return report;
+}
+
+// --- Live Updates ---
+// Pages keep their report lists current as other tabs and devices make
+// changes. The backend opens one feed per page (storage events or
+// server-sent events), shared by every listener on the page.
+
+const liveUpdateListeners = new Set();
+let stopLiveFeed = null;
+
+/**
+ * Calls listener(change) whenever reports or notifications change
+ * elsewhere; see subscribe() under "Storage Backends" for the change shape.
+ * @param {function(object): void} listener - The listener.
+ * @returns {function(): void} Stops listening.
+ */
+function subscribeToLiveUpdates(listener) {
+    liveUpdateListeners.add(listener);
+    if (!stopLiveFeed) {
+        stopLiveFeed = storage.subscribe(change => liveUpdateListeners.forEach((l) => {
+            try {
+                l(change);
+            } catch (error) {
+                console.error('Error applying a live update', error);
+            }
+        }));
+    }
+    return () => {
+        liveUpdateListeners.delete(listener);
+        if (liveUpdateListeners.size === 0 && stopLiveFeed) {
+            stopLiveFeed();
+            stopLiveFeed = null;
+        }
+    };
+}
+
+/**
+ * Applies a live change to a list of reports.
+ * @param {Array<object>} reports - The current list; not changed.
+ * @param {object} change - From subscribeToLiveUpdates.
+ * @returns {{reports: Array<object>, changedIds: Set<string>}} The new list, and
+ *   the IDs of reports that were added, changed or removed.
+ */
+function applyReportChanges(reports, change) {
+    const before = new Map(reports.map(r => [r.id, r]));
+    const changedIds = new Set();
+    const isDifferent = r => !before.has(r.id) || JSON.stringify(before.get(r.id)) !== JSON.stringify(r);
+    if (change.full) {
+        change.changed.filter(isDifferent).forEach(r => changedIds.add(r.id));
+        const remaining = new Set(change.changed.map(r => r.id));
+        reports.filter(r => !remaining.has(r.id)).forEach(r => changedIds.add(r.id));
+        return { reports: change.changed, changedIds };
+    }
+    const removed = new Set(change.removedIds.filter(id => before.has(id)));
+    removed.forEach(id => changedIds.add(id));
+    const updated = new Map(change.changed.filter(isDifferent).map(r => [r.id, r]));
+    updated.forEach((r, id) => changedIds.add(id));
+    const next = reports.filter(r => !removed.has(r.id)).map(r => updated.get(r.id) || r);
+    updated.forEach((r, id) => { if (!before.has(id)) next.push(r); });
+    return { reports: next, changedIds };
+}
+
+// --- Report Filtering ---
+
+// The authority dashboard's filter facets; '' means "any". The keys double as
+// URL query parameters, so a filtered view can be bookmarked and shared.
+const REPORT_FILTER_DEFAULTS = {
+    q: '',           // Words that must all appear in the description, location or report ID
+    status: '',
+    category: '',
+    department: '',
+    assignee: '',    // A staff user ID, or UNASSIGNED
+    due: '',         // 'overdue' or 'due-soon'
+    from: '',        // yyyy-mm-dd; filed on or after this day
+    to: '',          // yyyy-mm-dd; filed on or before this day
+    sort: 'newest',  // One of REPORT_SORT_ORDERS
+    page: 1
+};
+const REPORT_FILTER_FACETS = ['q', 'status', 'category', 'department', 'assignee', 'due', 'from', 'to'];
+const UNASSIGNED = 'unassigned';
+const REPORTS_PAGE_SIZE = 20;
+
+const REPORT_SORT_ORDERS = ['newest', 'oldest', 'priority', 'supporters']; // Labelled by the 'sort.*' messages
+
+/**
+ * Reads filter facets from a URL query string, ignoring unknown parameters.
+ * @param {string} search - e.g. location.search.
+ * @returns {object} Filters shaped like REPORT_FILTER_DEFAULTS.
+ */
+function readReportFilters(search) {
+    const params = new URLSearchParams(search);
+    const filters = { ...REPORT_FILTER_DEFAULTS };
+    Object.keys(REPORT_FILTER_DEFAULTS).forEach((key) => {
+        if (params.has(key)) filters[key] = params.get(key);
+    });
+    filters.page = Math.max(1, parseInt(filters.page, 10) || 1);
+    if (!REPORT_SORT_ORDERS.includes(filters.sort)) filters.sort = REPORT_FILTER_DEFAULTS.sort;
+    return filters;
+}
+
+/**
+ * Writes filter facets into a URL query string. Facets at their default are
+ * left out, and unrelated parameters (like ?backend=) are kept.
+ * @param {string} search - The current query string.
+ * @param {object} filters - Filters shaped like REPORT_FILTER_DEFAULTS.
+ * @returns {string} The new query string, with its leading '?' ('' if empty).
+ */
+function writeReportFilters(search, filters) {
+    const params = new URLSearchParams(search);
+    Object.keys(REPORT_FILTER_DEFAULTS).forEach((key) => {
+        if (filters[key] === REPORT_FILTER_DEFAULTS[key] || filters[key] === '') params.delete(key);
+        else params.set(key, filters[key]);
+    });
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+/**
+ * Tells whether a report matches every facet that is set.
+ * @param {object} report - The report.
+ * @param {object} filters - Filters shaped like REPORT_FILTER_DEFAULTS.
+ * @param {number} [now] - Current time in milliseconds; defaults to the clock.
+ * @returns {boolean}
+ */
+function matchesReportFilters(report, filters, now = clock()) {
+    if (filters.status && report.status !== filters.status) return false;
+    if (filters.category && report.category !== filters.category) return false;
+    if (filters.department && getReportDepartment(report) !== filters.department) return false;
+    if (filters.assignee) {
+        const assigneeId = report.assignedTo ? report.assignedTo.id : UNASSIGNED;
+        if (assigneeId !== filters.assignee) return false;
+    }
+    if (filters.due) {
+        const sla = getSlaState(report, now);
+        if (filters.due === 'overdue' && !sla.overdue) return false;
+        if (filters.due === 'due-soon' && !sla.dueSoon) return false;
+    }
+    // Dates are whole days in the officer's time zone
+    const submitted = new Date(report.submittedAt);
+    if (filters.from && submitted < new Date(`${filters.from}T00:00:00`)) return false;
+    if (filters.to) {
+        const endOfDay = new Date(`${filters.to}T00:00:00`);
+        endOfDay.setDate(endOfDay.getDate() + 1);
+        if (submitted >= endOfDay) return false;
+    }
+    if (filters.q) {
+        const text = `${report.id} ${report.description || ''} ${report.location || ''}`.toLowerCase();
+        const words = filters.q.toLowerCase().split(/\s+/).filter(Boolean);
+        if (!words.every(word => text.includes(word))) return false;
+    }
+    return true;
+}
+
+/**
+ * Keeps the reports that match every facet that is set.
+ * @param {Array} reports - The reports.
+ * @param {object} filters - Filters shaped like REPORT_FILTER_DEFAULTS.
+ * @param {number} [now] - Current time in milliseconds; defaults to the clock.
+ * @returns {Array} The matching reports, in their original order.
+ */
+function filterReports(reports, filters, now = clock()) {
+    return reports.filter(report => matchesReportFilters(report, filters, now));
+}
+
+/**
+ * Sorts reports without changing the original array.
+ * @param {Array} reports - The reports.
+ * @param {string} sort - One of REPORT_SORT_ORDERS.
+ * @param {number} [now] - Current time in milliseconds; defaults to the clock.
+ * @returns {Array} A sorted copy.
+ */
+function sortReports(reports, sort, now = clock()) {
+    const byNewest = (a, b) => new Date(b.submittedAt) - new Date(a.submittedAt);
+    const sorted = [...reports];
+    if (sort === 'oldest') return sorted.sort((a, b) => byNewest(b, a));
+    if (sort === 'supporters') return sorted.sort((a, b) => countSupporters(b) - countSupporters(a) || byNewest(a, b));
+    if (sort === 'priority') {
+        // Most urgent first; ties go to the oldest report
+        const scores = new Map(reports.map(r => [r.id, computePriorityScore(r, now)]));
+        return sorted.sort((a, b) => scores.get(b.id) - scores.get(a.id) || byNewest(b, a));
+    }
+    return sorted.sort(byNewest);
+}
+
+/**
+ * Cuts one page out of a list. Pages past the end show the last page.
+ * @param {Array} items - The full list.
+ * @param {number} page - 1-based page number.
+ * @param {number} pageSize - Items per page.
+ * @returns {{items: Array, page: number, pageCount: number, start: number, total: number}}
+ *   start is the 0-based index of the page's first item.
+ */
+function paginate(items, page, pageSize) {
+    const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+    const current = Math.min(Math.max(1, page), pageCount);
+    const start = (current - 1) * pageSize;
+    return { items: items.slice(start, start + pageSize), page: current, pageCount, start, total: items.length };
+}
+
+// --- Analytics ---
+// Pure functions over report arrays; nothing here touches the DOM or storage.
+// Periods are UTC days, or weeks starting on Monday (UTC).
+
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Finds the start of the day or week a moment falls in.
+ * @param {number} time - A time in milliseconds.
+ * @param {'day'|'week'} period - The period size.
+ * @returns {number} The period's start, in milliseconds.
+ */
+function periodStart(time, period) {
+    const dayStart = Math.floor(time / DAY_MS) * DAY_MS;
+    if (period !== 'week') return dayStart;
+    const daysSinceMonday = (new Date(dayStart).getUTCDay() + 6) % 7;
+    return dayStart - daysSinceMonday * DAY_MS;
+}
+
+/**
+ * Lists the starts of the `count` periods up to and including the one `now` is in.
+ * @param {number} now - The current time in milliseconds.
+ * @param {'day'|'week'} period - The period size.
+ * @param {number} count - How many periods.
+ * @returns {Array<number>} Period starts, oldest first.
+ */
+function listPeriods(now, period, count) {
+    const size = period === 'week' ? 7 * DAY_MS : DAY_MS;
+    const last = periodStart(now, period);
+    return Array.from({ length: count }, (_, i) => last - (count - 1 - i) * size);
+}
+
+/**
+ * Counts reports filed in each period.
+ * @param {Array} reports - The reports.
+ * @param {'day'|'week'} period - The period size.
+ * @param {number} count - How many periods, ending with the current one.
+ * @param {number} [now] - Current time in milliseconds; defaults to the clock.
+ * @returns {Array<{start: string, count: number}>} One entry per period, oldest first; start is yyyy-mm-dd.
+ */
+function countReportsByPeriod(reports, period, count, now = clock()) {
+    const starts = listPeriods(now, period, count);
+    const counts = new Map(starts.map(start => [start, 0]));
+    reports.forEach((report) => {
+        const start = periodStart(new Date(report.submittedAt).getTime(), period);
+        if (counts.has(start)) counts.set(start, counts.get(start) + 1);
+    });
+    return starts.map(start => ({ start: new Date(start).toISOString().slice(0, 10), count: counts.get(start) }));
+}
+
+/**
+ * Works out a report's status at a moment from its history. A report counts
+ * as Pending from when it was filed until its first recorded change.
+ * @param {object} report - The report.
+ * @param {number} time - The moment, in milliseconds.
+ * @returns {?string} The status, or null if the report had not been filed yet.
+ */
+function getStatusAt(report, time) {
+    if (new Date(report.submittedAt).getTime() > time) return null;
+    let status = 'Pending';
+    (report.history || []).forEach((entry) => {
+        if (entry.from !== null && new Date(entry.at).getTime() <= time) status = entry.to;
+    });
+    return status;
+}
+
+/**
+ * Counts the open reports at the end of each period.
+ * @param {Array} reports - The reports.
+ * @param {'day'|'week'} period - The period size.
+ * @param {number} count - How many periods, ending with the current one.
+ * @param {number} [now] - Current time in milliseconds; defaults to the clock.
+ * @returns {Array<{start: string, open: number}>} One entry per period, oldest first.
+ */
+function computeBacklogOverTime(reports, period, count, now = clock()) {
+    const size = period === 'week' ? 7 * DAY_MS : DAY_MS;
+    return listPeriods(now, period, count).map((start) => {
+        // The current period ends now, not in the future
+        const end = Math.min(start + size - 1, now);
+        const open = reports.filter(report => OPEN_STATUSES.includes(getStatusAt(report, end))).length;
+        return { start: new Date(start).toISOString().slice(0, 10), open };
+    });
+}
+
+/**
+ * Computes a percentile with linear interpolation between ranks, so the
+ * 50th percentile of an even-sized list is the mean of the middle two.
+ * @param {Array<number>} values - The values, in any order.
+ * @param {number} p - The percentile, 0-100.
+ * @returns {?number} The percentile, or null for an empty list.
+ */
+function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Measures how long a report took to be resolved the first time.
+ * @param {object} report - The report.
+ * @returns {?number} Hours from filing to resolution, or null if never resolved.
+ */
+function getHoursToResolve(report) {
+    const resolution = (report.history || []).find(entry => entry.to === 'Resolved');
+    if (!resolution) return null;
+    return (new Date(resolution.at) - new Date(report.submittedAt)) / HOUR_MS;
+}
+
+/**
+ * Summarises time-to-resolve for each category that has resolved reports.
+ * @param {Array} reports - The reports.
+ * @returns {Object<string, {resolved: number, medianHours: number, p90Hours: number}>}
+ */
+function computeResolutionTimes(reports) {
+    const hoursByCategory = {};
+    reports.forEach((report) => {
+        const hours = getHoursToResolve(report);
+        if (hours === null) return;
+        (hoursByCategory[report.category] = hoursByCategory[report.category] || []).push(hours);
+    });
+    const times = {};
+    Object.entries(hoursByCategory).forEach(([category, hours]) => {
+        times[category] = { resolved: hours.length, medianHours: percentile(hours, 50), p90Hours: percentile(hours, 90) };
+    });
+    return times;
+}
+
+/**
+ * Measures how often resolved reports are reopened (moved from Resolved back
+ * to Pending, as residents do from My Reports when a fix did not hold).
+ * @param {Array} reports - The reports.
+ * @returns {{resolved: number, reopened: number, rate: number}} Reports ever
+ *   resolved, how many of those were reopened at least once, and the share (0-1).
+ */
+function computeReopenRate(reports) {
+    let resolved = 0;
+    let reopened = 0;
+    reports.forEach((report) => {
+        const history = report.history || [];
+        if (!history.some(entry => entry.to === 'Resolved')) return;
+        resolved++;
+        if (history.some(entry => entry.from === 'Resolved' && entry.to === 'Pending')) reopened++;
+    });
+    return { resolved, reopened, rate: resolved === 0 ? 0 : reopened / resolved };
+}
+
+/**
+ * Averages the ratings residents gave to fixes.
+ * @param {Array} reports - The reports.
+ * @returns {{count: number, average: ?number}} How many ratings, and their mean (null if none).
+ */
+function computeAverageRating(reports) {
+    const ratings = reports.flatMap(report => (report.feedback || []).map(f => f.rating));
+    const total = ratings.reduce((sum, rating) => sum + rating, 0);
+    return { count: ratings.length, average: ratings.length === 0 ? null : total / ratings.length };
+}
+
+/**
+ * Finds the places with the most reports. Reports are grouped by their
+ * location text, ignoring case, spacing and punctuation.
+ * @param {Array} reports - The reports.
+ * @param {number} [limit=10] - How many places to return.
+ * @returns {Array<{location: string, total: number, open: number}>} Busiest first.
+ */
+function findHotspots(reports, limit = 10) {
+    const places = new Map();
+    reports.forEach((report) => {
+        if (!report.location) return;
+        const key = report.location.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+        if (!key) return;
+        const place = places.get(key) || { location: report.location.trim(), total: 0, open: 0 };
+        place.total++;
+        if (OPEN_STATUSES.includes(report.status)) place.open++;
+        places.set(key, place);
+    });
+    return [...places.values()]
+        .sort((a, b) => b.total - a.total || b.open - a.open || a.location.localeCompare(b.location))
+        .slice(0, limit);
+}
+
+// --- Charts ---
+// Small inline SVG charts, so analytics work without loading a chart library.
+
+/**
+ * Draws a bar chart as SVG.
+ * @param {Array<{label: string, value: number}>} points - The bars, left to right.
+ * @param {{color?: string, height?: number}} [options] - Bar color and chart height in pixels.
+ * @returns {object} SVG markup, from html`...`.
+ */
+function renderBarChart(points, { color = '#059669', height = 160 } = {}) {
+    const max = Math.max(1, ...points.map(p => p.value));
+    const barWidth = 24;
+    const gap = 6;
+    const width = points.length * (barWidth + gap);
+    const bars = points.map((point, i) => {
+        const barHeight = Math.round((point.value / max) * (height - 20));
+        return html`<rect x="${i * (barWidth + gap)}" y="${height - barHeight}" width="${barWidth}" height="${barHeight}" fill="${color}" rx="2"><title>${point.label}: ${point.value}</title></rect>`;
+    });
+    return html`<svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" class="w-full" style="height: ${height}px" role="img">${bars}</svg>`;
+}
+
+/**
+ * Draws a line chart as SVG.
+ * @param {Array<{label: string, value: number}>} points - The points, left to right.
+ * @param {{color?: string, height?: number}} [options] - Line color and chart height in pixels.
+ * @returns {object} SVG markup, from html`...`.
+ */
+function renderLineChart(points, { color = '#dc2626', height = 160 } = {}) {
+    const max = Math.max(1, ...points.map(p => p.value));
+    const step = 30;
+    const width = Math.max(1, (points.length - 1) * step);
+    const y = value => (height - 10) - (value / max) * (height - 20);
+    const path = points.map((point, i) => `${i === 0 ? 'M' : 'L'}${i * step},${y(point.value).toFixed(1)}`).join(' ');
+    const dots = points.map((point, i) => html`<circle cx="${i * step}" cy="${y(point.value).toFixed(1)}" r="3" fill="${color}"><title>${point.label}: ${point.value}</title></circle>`);
+    return html`<svg viewBox="-4 0 ${width + 8} ${height}" class="w-full" style="height: ${height}px" role="img"><path d="${path}" fill="none" stroke="${color}" stroke-width="2" vector-effect="non-scaling-stroke"/>${dots}</svg>`;
+}
+
+// --- Export ---
+
+// Columns of a report CSV export, in order. assignedTo and supporters hold
+// user IDs (supporters separated by spaces), so parseImportFile() can
+// rebuild them when the file is imported again.
+const REPORT_CSV_COLUMNS = [
+    ['id', r => r.id],
+    ['category', r => r.category],
+    ['status', r => r.status],
+    ['department', r => getReportDepartment(r)],
+    ['location', r => r.location],
+    ['latitude', r => (r.geolocation ? r.geolocation.lat : '')],
+    ['longitude', r => (r.geolocation ? r.geolocation.lon : '')],
+    ['description', r => r.description],
+    ['submittedAt', r => r.submittedAt],
+    ['dueAt', r => getSlaState(r).dueAt],
+    ['assignedTo', r => (r.assignedTo ? r.assignedTo.id : '')],
+    ['assignedToName', r => (r.assignedTo ? r.assignedTo.name : '')],
+    ['supporters', r => (r.supporters || []).join(' ')],
+    ['details', r => (r.details && Object.keys(r.details).length > 0 ? JSON.stringify(r.details) : '')]
+];
+
+// Spreadsheet apps run a cell starting with one of these as a formula
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quotes a value for a CSV cell when it needs it. Text that a spreadsheet
+ * would take for a formula gets a leading apostrophe, which keeps it text;
+ * parseImportFile() removes it again.
+ * @param {*} value - The cell value.
+ * @returns {string}
+ */
+function csvCell(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (typeof value === 'string' && CSV_FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Turns reports into CSV text, one row per report, with a header row.
+ * @param {Array} reports - The reports to export.
+ * @returns {string}
+ */
+function reportsToCsv(reports) {
+    const rows = [
+        REPORT_CSV_COLUMNS.map(([name]) => name),
+        ...reports.map(report => REPORT_CSV_COLUMNS.map(([, read]) => read(report)))
+    ];
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Makes the browser download some text or a Blob as a file.
+ * @param {string} filename - The suggested file name.
+ * @param {string|Blob} content - The file contents.
+ * @param {string} type - The MIME type (ignored for a Blob).
+ */
+function downloadFile(filename, content, type) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Turns reports into pretty-printed JSON. Reports keep their photo IDs, but
+ * the photos themselves are exported separately (see exportReportPhotos).
+ * @param {Array} reports - The reports to export.
+ * @returns {string}
+ */
+function reportsToJson(reports) {
+    return JSON.stringify(reports, null, 2);
+}
+
+/**
+ * Turns the reports that have a geolocation into a GeoJSON FeatureCollection
+ * of points. Reports without one are left out.
+ * @param {Array} reports - The reports to export.
+ * @returns {string}
+ */
+function reportsToGeoJson(reports) {
+    const features = reports
+        .filter(r => r.geolocation && Number.isFinite(r.geolocation.lat) && Number.isFinite(r.geolocation.lon))
+        .map(report => ({
+            type: 'Feature',
+            id: report.id,
+            geometry: { type: 'Point', coordinates: [report.geolocation.lon, report.geolocation.lat] },
+            // Same fields as the CSV, minus the coordinates
+            properties: {
+                ...Object.fromEntries(REPORT_CSV_COLUMNS
+                    .filter(([name]) => !['latitude', 'longitude', 'assignedToName'].includes(name))
+                    .map(([name, read]) => [name, read(report) === undefined ? null : read(report)])),
+                // As they are stored rather than as the CSV's text
+                assignedTo: report.assignedTo || null,
+                supporters: report.supporters || [],
+                details: report.details || null
+            }
+        }));
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 checksum zip files use.
+ * @param {Uint8Array} bytes - The data.
+ * @returns {number} The unsigned checksum.
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Packs files into an uncompressed zip archive. Photos are already JPEG
+ * compressed, so storing them as-is loses almost nothing.
+ * @param {Array<{name: string, data: Uint8Array}>} files - The files, with paths inside the zip.
+ * @returns {Blob} The zip file.
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+    files.forEach(({ name, data }) => {
+        const nameBytes = encoder.encode(name);
+        const crc = crc32(data);
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true); // Local file header
+        local.setUint16(4, 20, true);         // Version needed
+        local.setUint16(6, 0x0800, true);     // UTF-8 names
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        parts.push(local, nameBytes, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true); // Central directory header
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);
+        directory.push(central, nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    });
+    const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+}
+
+/**
+ * Collects the full-size photos of some reports into a zip, one folder per
+ * report. Photos that can no longer be loaded are skipped.
+ * @param {Array} reports - The reports.
+ * @returns {Promise<{zip: Blob, count: number}>} The zip and how many photos it holds.
+ */
+async function exportReportPhotos(reports) {
+    const files = [];
+    for (const report of reports) {
+        const photoIds = getReportPhotoIds(report);
+        for (let i = 0; i < photoIds.length; i++) {
+            const blob = await storage.getImage(photoIds[i]);
+            if (!blob) continue;
+            const extension = blob.type === 'image/png' ? 'png' : 'jpg';
+            files.push({ name: `${report.id}/photo-${i + 1}.${extension}`, data: new Uint8Array(await blob.arrayBuffer()) });
+        }
+    }
+    return { zip: createZip(files), count: files.length };
+}
+
+// --- Import ---
+
+/**
+ * Parses CSV text (RFC 4180: quoted cells may hold commas, quotes and newlines).
+ * @param {string} text - The CSV text.
+ * @returns {Array<Array<string>>} The rows; blank lines are dropped.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, ''); // Spreadsheet apps often add a byte order mark
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else cell += char;
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) throw new Error(t('errors.csvUnclosedQuote'));
+    if (cell !== '' || row.length > 0) rows.push([...row, cell]);
+    return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+/**
+ * Reads the records out of an import file: a CSV with a header row (like
+ * the CSV export), a JSON array of reports (like the JSON export), or a
+ * GeoJSON FeatureCollection of points (like the GeoJSON export). CSV cells
+ * are kept exactly as written, spaces included.
+ * @param {string} filename - The file name; its extension picks the format.
+ * @param {string} text - The file contents.
+ * @returns {Array<{row: number, record: object}>} Records with their 1-based row or item number.
+ */
+function parseImportFile(filename, text) {
+    if (/\.csv$/i.test(filename)) {
+        const [header, ...rows] = parseCsv(text);
+        if (!header) return [];
+        const names = header.map(name => name.trim());
+        return rows.map((cells, index) => {
+            const record = {};
+            names.forEach((name, i) => {
+                const cell = cells[i] || '';
+                // Undo csvCell()'s guard against formulas
+                if (name) record[name] = cell.startsWith("'") && CSV_FORMULA_PREFIX.test(cell.slice(1)) ? cell.slice(1) : cell;
+            });
+            const [latitude, longitude] = [record.latitude, record.longitude].map(cell => (cell || '').trim());
+            if (latitude || longitude) {
+                record.geolocation = { lat: Number(latitude), lon: Number(longitude) };
+            }
+            delete record.latitude;
+            delete record.longitude;
+            if ('assignedTo' in record) {
+                record.assignedTo = record.assignedTo ? { id: record.assignedTo, name: record.assignedToName || '' } : null;
+            }
+            delete record.assignedToName;
+            if ('supporters' in record) record.supporters = record.supporters.split(' ').filter(Boolean);
+            if (!record.details) {
+                delete record.details;
+            } else {
+                try {
+                    record.details = JSON.parse(record.details);
+                } catch (e) {
+                    // Left as text; validateImportedRecord reports it
+                }
+            }
+            return { row: index + 2, record }; // +2: header row, and rows count from 1
+        });
+    }
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(t('errors.invalidJson'));
+    }
+    if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) {
+        return data.features.map((feature, index) => {
+            const coordinates = feature && feature.geometry && feature.geometry.type === 'Point' ? feature.geometry.coordinates : null;
+            const record = { id: feature && feature.id, ...(feature && feature.properties) };
+            if (coordinates) record.geolocation = { lat: Number(coordinates[1]), lon: Number(coordinates[0]) };
+            return { row: index + 1, record };
+        });
+    }
+    if (!Array.isArray(data)) throw new Error(t('errors.importShape'));
+    return data.map((record, index) => ({ row: index + 1, record }));
+}
+
+/**
+ * Lists what is wrong with an imported record, if anything.
+ * @param {object} record - The raw record.
+ * @returns {Array<string>} Problems; empty when the record can be imported.
+ */
+function validateImportedRecord(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) return [t('errors.importNotObject')];
+    const errors = [];
+    if (record.id !== undefined && record.id !== null && record.id !== '' && typeof record.id !== 'string') {
+        errors.push(t('errors.importId'));
+    }
+    if (typeof record.category !== 'string' || record.category.trim() === '') errors.push(t('errors.importCategory'));
+    if (record.status && !REPORT_STATUSES.includes(record.status)) errors.push(t('errors.unknownStatus', { status: record.status }));
+    if (record.submittedAt && Number.isNaN(new Date(record.submittedAt).getTime())) {
+        errors.push(t('errors.importDate', { value: record.submittedAt }));
+    }
+    if (record.geolocation) {
+        const { lat, lon } = record.geolocation;
+        if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lon) || lon < -180 || lon > 180) {
+            errors.push(t('errors.importCoordinates'));
+        }
+    }
+    if (!record.location && !record.geolocation) errors.push(t('errors.importLocation'));
+    if (record.details && !isDetails(record.details)) errors.push(t('errors.importDetails'));
+    return errors;
+}
+
+/**
+ * Turns a valid imported record into a report. Records from a JSON export
+ * keep their other fields (history, comments); photos are not imported.
+ * @param {object} record - A record that passed validateImportedRecord.
+ * @param {object} user - The admin importing it.
+ * @returns {object} The report to store.
+ */
+function normalizeImportedReport(record, user) {
+    const category = record.category.trim();
+    const submittedAt = record.submittedAt ? new Date(record.submittedAt).toISOString() : new Date(clock()).toISOString();
+    const status = record.status || 'Pending';
+    const { schemaVersion, photoIds, thumbnailId, imageData, photos, thumbnailData, dueAt, supporters, assignedTo, details, ...rest } = record;
+    const history = Array.isArray(record.history) && record.history.length > 0
+        ? record.history
+        : [createHistoryEntry(null, status, user, t('history.imported'))];
+    return createReport({
+        ...rest,
+        id: record.id || generateId('report'),
+        category,
+        status,
+        location: record.location || '',
+        description: record.description || '',
+        geolocation: record.geolocation || null,
+        submittedAt,
+        department: DEPARTMENTS.includes(record.department) ? record.department : getDepartmentForCategory(category),
+        dueAt: computeDueDate(category, submittedAt),
+        supporters: Array.isArray(supporters) ? supporters : [],
+        assignedTo: assignedTo && typeof assignedTo === 'object' ? assignedTo : null,
+        history,
+        comments: Array.isArray(record.comments) ? record.comments : [],
+        ...(details ? { details } : {})
+    });
+}
+
+/**
+ * Imports records as new reports in one write. Invalid records are reported
+ * with their row number; records whose ID already exists (in storage or
+ * earlier in the file) are skipped, not overwritten.
+ * @param {Array<{row: number, record: object}>} records - From parseImportFile.
+ * @param {object} user - The department admin importing them.
+ * @returns {Promise<{imported: Array<object>, skipped: Array<{row: number, id: string}>, errors: Array<{row: number, messages: Array<string>}>}>}
+ */
+async function importReports(records, user) {
+    if (user.role !== ROLES.ADMIN) throw new Error(t('errors.adminOnlyImport'));
+    const existingIds = new Set((await getReports()).map(r => r.id));
+    const imported = [];
+    const skipped = [];
+    const errors = [];
+    records.forEach(({ row, record }) => {
+        const messages = validateImportedRecord(record);
+        if (messages.length > 0) {
+            errors.push({ row, messages });
+            return;
+        }
+        const report = normalizeImportedReport(record, user);
+        const schemaErrors = validateReport(report);
+        if (schemaErrors.length > 0) {
+            errors.push({ row, messages: schemaErrors.map(({ key, params }) => t(key, params)) });
+            return;
+        }
+        if (existingIds.has(report.id)) {
+            skipped.push({ row, id: report.id });
+            return;
+        }
+        existingIds.add(report.id);
+        imported.push(report);
+    });
+    if (imported.length > 0) await storeReports(imported);
+    return { imported, skipped, errors };
+}
+
+// --- Duplicate Detection ---
+
+const DUPLICATE_SEARCH = {
+    radiusMeters: 100,       // Same category within this distance counts as nearby
+    minTextSimilarity: 0.5,  // Share of location words two addresses must have in common
+    maxResults: 5
+};
+
+// Words that say little about where something is
+const LOCATION_STOP_WORDS = ['near', 'the', 'and', 'opp', 'opposite', 'behind', 'road', 'street', 'main', 'next'];
+
+/**
+ * Distance between two coordinates along the earth's surface (haversine).
+ * @param {{lat: number, lon: number}} a - First point.
+ * @param {{lat: number, lon: number}} b - Second point.
+ * @returns {number} The distance in meters.
+ */
+function distanceInMeters(a, b) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLon = toRad(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Splits a location into the lower-case words that identify it.
+ * @param {string} text - A typed location.
+ * @returns {Set<string>} The significant words.
+ */
+function locationWords(text) {
+    return new Set(String(text || '').toLowerCase().split(/[^a-z0-9]+/)
+        .filter(word => word.length > 1 && !LOCATION_STOP_WORDS.includes(word)));
+}
+
+/**
+ * Scores how alike two typed locations are, from 0 (no words shared) to 1.
+ * @param {string} a - First location.
+ * @param {string} b - Second location.
+ * @returns {number} The share of distinct words the two have in common.
+ */
+function locationSimilarity(a, b) {
+    const wordsA = locationWords(a);
+    const wordsB = locationWords(b);
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    const total = new Set([...wordsA, ...wordsB]).size;
+    return total === 0 ? 0 : shared / total;
+}
+
+/**
+ * Finds open reports of the same category that are probably the same issue
+ * as a new report: near its coordinates, or at a similarly worded location.
+ * Closest matches come first.
+ * @param {Array} reports - Existing reports.
+ * @param {{category: string, location: string, geolocation: ?object}} draft - The report being filed.
+ * @returns {Array<{report: object, distance: ?number, similarity: number}>} Likely duplicates.
+ */
+function findPossibleDuplicates(reports, draft) {
+    return reports
+        .filter(r => r.category === draft.category && OPEN_STATUSES.includes(r.status))
+        .map(report => ({
+            report,
+            distance: draft.geolocation && hasGeolocation(report) ? distanceInMeters(draft.geolocation, report.geolocation) : null,
+            similarity: locationSimilarity(draft.location, report.location)
+        }))
+        .filter(match => (match.distance !== null && match.distance <= DUPLICATE_SEARCH.radiusMeters)
+            || match.similarity >= DUPLICATE_SEARCH.minTextSimilarity)
+        .sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity) || b.similarity - a.similarity)
+        .slice(0, DUPLICATE_SEARCH.maxResults);
+}
+
+// --- Session Functions ---
+
+/** The signed-in user for this page, set by requireRole(). */
+let currentUser = null;
+
+/**
+ * Returns the page a user lands on after signing in.
+ * @param {string} role - The user's role.
+ * @returns {string} A page URL.
+ */
+function getHomePageForRole(role) {
+    return STAFF_ROLES.includes(role) ? 'authority_dashboard.html' : 'user_dashboard.html';
+}
+
+/**
+ * Checks that someone with one of the allowed roles is signed in, and
+ * redirects everyone else back to the login page.
+ * @param {Array<string>} allowedRoles - Roles that may view the page.
+ * @returns {Promise<object|null>} The signed-in user, or null if redirecting.
+ */
+async function requireRole(allowedRoles) {
+    const user = await storage.getSession();
+    if (!user || !allowedRoles.includes(user.role)) {
+        window.location.replace('index.html');
+        return null;
+    }
+    currentUser = user;
+    return user;
+}
+
+/**
+ * Generates a simple unique ID.
+ * @param {string} [prefix='report'] - What kind of record the ID is for.
+ * @returns {string} A unique ID.
+ */
+function generateId(prefix = 'report') {
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+}
+
+// --- Photos ---
+
+// Phone photos are several MB each; reports keep a re-encoded copy instead
+const PHOTO_CONFIG = {
+    maxPhotos: 4,
+    maxDimension: 1600,       // Longest side, in pixels
+    minDimension: 640,        // Stop shrinking here even if the target size is not met
+    targetBytes: 250 * 1024,
+    startQuality: 0.85,       // JPEG quality, lowered step by step until the target is met
+    minQuality: 0.55,
+    thumbnailDimension: 320,
+    thumbnailQuality: 0.7
+};
+
+/**
+ * Reads the GPS position from a JPEG's EXIF data, if the camera saved one.
+ * @param {ArrayBuffer} buffer - The raw JPEG file.
+ * @returns {?{lat: number, lon: number}} The position, or null.
+ */
+function readExifGps(buffer) {
+    try {
+        const view = new DataView(buffer);
+        if (view.getUint16(0) !== 0xFFD8) return null; // Not a JPEG
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) { // APP1 "Exif"
+                return readTiffGps(view, offset + 10);
+            }
+            if (marker === 0xFFDA || (marker & 0xFF00) !== 0xFF00) return null; // Image data starts; no EXIF
+            offset += 2 + view.getUint16(offset + 2);
+        }
+    } catch (e) {
+        console.warn('Could not read photo metadata', e); // Truncated or malformed EXIF
+    }
+    return null;
+}
+
+/**
+ * Reads the GPS IFD of an EXIF TIFF block. See readExifGps.
+ * @param {DataView} view - The whole file.
+ * @param {number} tiffStart - Where the TIFF header starts.
+ * @returns {?{lat: number, lon: number}} The position, or null.
+ */
+function readTiffGps(view, tiffStart) {
+    const littleEndian = view.getUint16(tiffStart) === 0x4949; // "II"
+    const u16 = offset => view.getUint16(tiffStart + offset, littleEndian);
+    const u32 = offset => view.getUint32(tiffStart + offset, littleEndian);
+    // Maps each tag in an IFD to the offset of its 12-byte entry
+    const readTags = (ifdOffset) => {
+        const tags = {};
+        for (let i = 0; i < u16(ifdOffset); i++) {
+            const entry = ifdOffset + 2 + i * 12;
+            tags[u16(entry)] = entry;
+        }
+        return tags;
+    };
+
+    const ifd0 = readTags(u32(4));
+    if (ifd0[0x8825] === undefined) return null; // No GPS IFD
+    const gps = readTags(u32(ifd0[0x8825] + 8));
+    const ref = tag => (gps[tag] === undefined ? '' : String.fromCharCode(view.getUint8(tiffStart + gps[tag] + 8)));
+    // Degrees, minutes and seconds, stored as three rationals
+    const degrees = (tag) => {
+        if (gps[tag] === undefined) return NaN;
+        const values = u32(gps[tag] + 8);
+        const rational = i => u32(values + i * 8) / u32(values + i * 8 + 4);
+        return rational(0) + rational(1) / 60 + rational(2) / 3600;
+    };
+
+    const lat = degrees(2) * (ref(1) === 'S' ? -1 : 1);
+    const lon = degrees(4) * (ref(3) === 'W' ? -1 : 1);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || (lat === 0 && lon === 0)) return null;
+    return { lat, lon };
+}
+
+/**
+ * Decodes an image file, applying its EXIF rotation.
+ * @param {File} file - The image file.
+ * @returns {Promise<ImageBitmap|HTMLImageElement>} Something a canvas can draw.
+ */
+async function decodeImage(file) {
+    if (typeof createImageBitmap === 'function') {
+        try {
+            return await createImageBitmap(file, { imageOrientation: 'from-image' });
+        } catch (e) {
+            // Fall back to an <img>, e.g. for formats createImageBitmap rejects
+        }
+    }
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = () => { URL.revokeObjectURL(url); resolve(img); };
+        img.onerror = () => { URL.revokeObjectURL(url); reject(new Error(`'${file.name}' could not be read as an image.`)); };
+        img.src = url;
+    });
+}
+
+/**
+ * Draws an image onto a new canvas no larger than maxDimension on its longest side.
+ * @param {ImageBitmap|HTMLImageElement} image - The decoded image.
+ * @param {number} maxDimension - Longest side, in pixels.
+ * @returns {HTMLCanvasElement}
+ */
+function drawScaledImage(image, maxDimension) {
+    const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.width * scale));
+    canvas.height = Math.max(1, Math.round(image.height * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff'; // JPEG has no transparency
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+/**
+ * Encodes a canvas as a JPEG Blob.
+ * @param {HTMLCanvasElement} canvas - The canvas.
+ * @param {number} quality - JPEG quality between 0 and 1.
+ * @returns {Promise<Blob>}
+ */
+function canvasToJpeg(canvas, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error(t('errors.photoCompress')))), 'image/jpeg', quality);
+    });
+}
+
+/**
+ * Re-encodes an image as a JPEG of at most PHOTO_CONFIG.targetBytes, lowering
+ * the quality first and then the size.
+ * @param {ImageBitmap|HTMLImageElement} image - The decoded image.
+ * @returns {Promise<Blob>} The JPEG.
+ */
+async function encodePhoto(image) {
+    let blob = null;
+    for (let dimension = PHOTO_CONFIG.maxDimension; ; dimension = Math.round(dimension * 0.75)) {
+        const canvas = drawScaledImage(image, Math.max(dimension, PHOTO_CONFIG.minDimension));
+        for (let quality = PHOTO_CONFIG.startQuality; quality >= PHOTO_CONFIG.minQuality - 0.001; quality -= 0.1) {
+            blob = await canvasToJpeg(canvas, quality);
+            if (blob.size <= PHOTO_CONFIG.targetBytes) return blob;
+        }
+        if (dimension <= PHOTO_CONFIG.minDimension) return blob; // As small as we go
+    }
+}
+
+/**
+ * Prepares a photo for a report: a downscaled JPEG, a thumbnail, and the GPS
+ * position from its EXIF data. Re-encoding through a canvas drops all EXIF
+ * metadata, so the stored photo never carries the location itself.
+ * @param {File} file - The image file from the input.
+ * @returns {Promise<{photo: Blob, thumbnail: Blob, gps: ?object}>}
+ */
+async function processPhoto(file) {
+    if (!file.type.startsWith('image/')) throw new Error(t('errors.notAnImage', { name: file.name }));
+    const gps = file.type === 'image/jpeg' ? readExifGps(await file.arrayBuffer()) : null;
+    const image = await decodeImage(file);
+    const photo = await encodePhoto(image);
+    const thumbnail = await canvasToJpeg(drawScaledImage(image, PHOTO_CONFIG.thumbnailDimension), PHOTO_CONFIG.thumbnailQuality);
+    if (image.close) image.close(); // Free ImageBitmap memory right away
+    return { photo, thumbnail, gps };
+}
+
+/**
+ * Stores a new report's processed photos with the active backend.
+ * The first photo's thumbnail is the one shown on report cards.
+ * @param {Array<{photo: Blob, thumbnail: Blob}>} photos - From processPhoto.
+ * @returns {Promise<{photoIds: Array<string>, thumbnailId: string}>}
+ */
+async function storeReportPhotos(photos) {
+    const photoIds = [];
+    for (const { photo } of photos) photoIds.push(await storage.putImage(photo));
+    const thumbnailId = await storage.putImage(photos[0].thumbnail);
+    return { photoIds, thumbnailId };
+}
+
+/**
+ * Lists the image IDs of a report's full-size photos.
+ * @param {object} report - The report.
+ * @returns {Array<string>} Image IDs.
+ */
+function getReportPhotoIds(report) {
+    return report.photoIds || [];
+}
+
+/**
+ * Picks the small image to show on report cards.
+ * @param {object} report - The report.
+ * @returns {?string} An image ID, or null if the report has no photo.
+ */
+function getReportThumbnailId(report) {
+    return report.thumbnailId || getReportPhotoIds(report)[0] || null;
+}
+
+// --- Offline Outbox ---
+// With the shared server, a report filed while offline is kept in IndexedDB
+// (photos included) and sent once the connection comes back: on the
+// 'online' event, on the next page load, or via Background Sync where the
+// browser supports it. The local backend never needs this.
+
+let outboxSync = null; // Promise of the sync in progress, so runs never overlap
+
+/**
+ * Keeps a report to send later, when the server can't be reached.
+ * @param {object} report - The complete report, without photo IDs yet.
+ * @param {Array<{photo: Blob, thumbnail: Blob}>} photos - From processPhoto.
+ * @returns {Promise<void>}
  */
-function getReports() {
+async function queueReportSubmission(report, photos) {
+    const entry = { report, photos: photos.map(({ photo, thumbnail }) => ({ photo, thumbnail })), queuedAt: new Date().toISOString() };
     try {
-        return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
-    } catch (e) {
-        console.error("Error parsing reports from localStorage", e);
-        return [];
+        await runImageTransaction('readwrite', store => store.put(entry, report.id), OUTBOX_STORE_NAME);
+    } catch (error) {
+        if (isQuotaExceededError(error)) throw new Error(t('errors.storageFull'));
+        throw error;
     }
+    requestBackgroundSync();
 }
 
 /**
- * Saves an array of reports to localStorage.
- * @param {Array} reports - The array of reports to save.
+ * Lists the reports waiting to be sent, oldest first.
+ * @returns {Promise<Array<{report: object, photos: Array, queuedAt: string, lastError?: string}>>}
  */
-function saveReports(reports) {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(reports));
+async function getQueuedSubmissions() {
+    if (storage.name !== 'http') return [];
+    const entries = await runImageTransaction('readonly', store => store.getAll(), OUTBOX_STORE_NAME);
+    return entries.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
 }
 
 /**
- * Adds a new report to localStorage.
- * @param {object} report - The new report object.
+ * Asks the service worker to wake us when the connection is back, even if
+ * this tab is closed in the meantime. Unsupported browsers rely on the
+ * 'online' event and the next page load instead.
  */
-function addReport(report) {
-    const reports = getReports();
-    reports.push(report);
-    saveReports(reports);
+function requestBackgroundSync() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.ready
+        .then(registration => registration.sync && registration.sync.register(OUTBOX_SYNC_TAG))
+        .catch(error => console.warn('Background sync is unavailable:', error));
 }
 
 /**
- * Updates the status of a specific report.
- * @param {string} reportId - The ID of the report to update.
- * @param {string} newStatus - The new status ('Pending', 'In Progress', 'Resolved').
+ * Sends every queued report to the server. Calls made while a sync is
+ * already running share it.
+ * @returns {Promise<{sent: number, failed: number}>}
  */
-function updateReportStatus(reportId, newStatus) {
-    const reports = getReports();
-    const reportIndex = reports.findIndex(r => r.id === reportId);
-    if (reportIndex !== -1) {
-        reports[reportIndex].status = newStatus;
-        saveReports(reports);
+function syncOutbox() {
+    if (!outboxSync) {
+        outboxSync = sendQueuedSubmissions().finally(() => { outboxSync = null; });
     }
+    return outboxSync;
 }
 
 /**
- * Generates a simple unique ID.
- * @returns {string} A unique ID.
+ * Sends queued reports one by one. Photos go first; their IDs are saved on
+ * the entry straight away, so a retry never uploads them twice. Stops at the
+ * first sign of being offline or signed out, and keeps going past reports the server
+ * rejects (their error is shown in My Reports).
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+async function sendQueuedSubmissions() {
+    let sent = 0;
+    let failed = 0;
+    for (const entry of await getQueuedSubmissions()) {
+        try {
+            if (!entry.report.photoIds.length && entry.photos.length) {
+                Object.assign(entry.report, await storeReportPhotos(entry.photos));
+                entry.photos = [];
+                await runImageTransaction('readwrite', store => store.put(entry, entry.report.id), OUTBOX_STORE_NAME);
+            }
+            await addReport(entry.report);
+            await runImageTransaction('readwrite', store => store.delete(entry.report.id), OUTBOX_STORE_NAME);
+            sent++;
+        } catch (error) {
+            if (error.offline || error.status === 401) break; // Try again once online and signed in
+            console.error(`Error sending queued report ${entry.report.id}:`, error);
+            entry.lastError = error.message;
+            await runImageTransaction('readwrite', store => store.put(entry, entry.report.id), OUTBOX_STORE_NAME);
+            failed++;
+        }
+    }
+    if (sent || failed) window.dispatchEvent(new CustomEvent('outbox-synced', { detail: { sent, failed } }));
+    return { sent, failed };
+}
+
+/**
+ * Registers the service worker that caches the app for offline use, and
+ * sends queued reports whenever the connection comes back.
  */
-function generateId() {
-    return `report_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+function initOfflineSupport() {
+    // Service workers need http(s); pages opened straight from disk just skip caching
+    if ('serviceWorker' in navigator && window.location.protocol.startsWith('http')) {
+        navigator.serviceWorker.register('service-worker.js')
+            .catch(error => console.warn('Could not register the service worker:', error));
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data && e.data.type === 'sync-outbox') syncOutbox();
+        });
+    }
+    if (storage.name !== 'http') return;
+    const sync = () => syncOutbox().catch(error => console.error('Error sending queued reports:', error));
+    window.addEventListener('online', sync);
+    if (navigator.onLine) sync();
 }
 
+// --- Lazy Images ---
+// Cards only carry image IDs (data-image-id). Each photo is fetched from the
+// backend when its element scrolls into view, then shown via an object URL.
+
+const imageUrlCache = new Map(); // Image ID -> Promise<object URL|null>, kept for the page's lifetime
+let lazyImageObserver = null;
+
 /**
- * Reads an image file as a Base64 Data URL.
- * @param {File} file - The image file from the input.
- * @returns {Promise<string>} A promise that resolves with the data URL.
+ * Gets an object URL for a stored image, loading it on first use.
+ * @param {string} id - The image ID.
+ * @returns {Promise<?string>} The URL, or null if the image is missing.
  */
-function readImageAsDataURL(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => resolve(reader.result);
-        reader.onerror = (error) => reject(error);
-        reader.readAsDataURL(file);
-    });
+function getImageUrl(id) {
+    if (!imageUrlCache.has(id)) {
+        imageUrlCache.set(id, storage.getImage(id)
+            .then(blob => (blob ? URL.createObjectURL(blob) : null))
+            .catch((error) => {
+                console.error(`Could not load image ${id}`, error);
+                imageUrlCache.delete(id); // Try again next time
+                return null;
+            }));
+    }
+    return imageUrlCache.get(id);
+}
+
+/**
+ * Points an <img> (src) or <a> (href) at the image named by its data-image-id.
+ * @param {HTMLElement} el - The element.
+ */
+async function loadImageElement(el) {
+    if (!el.dataset.imageId) return; // Report without a photo
+    const url = safeUrl(await getImageUrl(el.dataset.imageId));
+    if (!url) return;
+    if (el.tagName === 'A') el.href = url;
+    else el.src = url;
+}
+
+/**
+ * Loads the images inside a container as they come into view.
+ * @param {HTMLElement} container - A card or other freshly rendered element.
+ */
+function loadImagesIn(container) {
+    const elements = container.querySelectorAll('[data-image-id]');
+    if (!('IntersectionObserver' in window)) {
+        elements.forEach(loadImageElement);
+        return;
+    }
+    if (!lazyImageObserver) {
+        lazyImageObserver = new IntersectionObserver((entries) => {
+            entries.filter(entry => entry.isIntersecting).forEach((entry) => {
+                lazyImageObserver.unobserve(entry.target);
+                loadImageElement(entry.target);
+            });
+        }, { rootMargin: '200px' }); // Start loading just before the card is on screen
+    }
+    elements.forEach(el => lazyImageObserver.observe(el));
 }
 
 // --- Status Styling Function ---
@@ -81,10 +3907,278 @@ function getStatusClass(status) {
     switch (status) {
         case 'Resolved': return 'bg-green-100 text-green-800';
         case 'In Progress': return 'bg-yellow-100 text-yellow-800';
+        case 'Needs Info': return 'bg-blue-100 text-blue-800';
+        case 'Rejected': return 'bg-gray-200 text-gray-800';
+        case 'Duplicate': return 'bg-purple-100 text-purple-800';
         case 'Pending': default: return 'bg-red-100 text-red-800';
     }
 }
 
+// --- Safe Templating ---
+// Report markup is built with the html`...` tag. Every value interpolated
+// into it is escaped, unless the value is itself html`...` output, so text
+// from residents can never turn into markup. URLs go through safeUrl()
+// before they land in an href or src. Put the result on the page with
+// setHtml() or createReportElement(), which refuse plain strings.
+
+const SAFE_HTML = Symbol('safeHtml');
+const SAFE_URL_PROTOCOLS = ['http:', 'https:', 'blob:'];
+
+/**
+ * Escapes text for safe use inside HTML markup.
+ * @param {*} value - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
+/**
+ * Wraps markup that is known to be safe, e.g. static HTML from the page.
+ * Never pass it anything that contains user input.
+ * @param {string} markup - The markup.
+ * @returns {object} Safe HTML, usable inside html`...` and with setHtml().
+ */
+function trustedHtml(markup) {
+    const text = String(markup);
+    return Object.freeze({ [SAFE_HTML]: text, toString: () => text });
+}
+
+function isSafeHtml(value) {
+    return Boolean(value) && typeof value === 'object' && SAFE_HTML in value;
+}
+
+/**
+ * Turns an interpolated value into markup: safe HTML as is, arrays item by
+ * item, null/undefined/false as nothing, and anything else as escaped text.
+ * @param {*} value - The value.
+ * @returns {string} Markup.
+ */
+function toHtml(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (Array.isArray(value)) return value.map(toHtml).join('');
+    if (isSafeHtml(value)) return value[SAFE_HTML];
+    return escapeHtml(value);
+}
+
+/**
+ * Template tag that escapes everything interpolated into it.
+ * Attribute values must be quoted, as they are throughout this file.
+ * @example html`<p class="note">${report.description}</p>`
+ * @returns {object} Safe HTML.
+ */
+function html(strings, ...values) {
+    return trustedHtml(strings.reduce((markup, string, index) => markup + toHtml(values[index - 1]) + string));
+}
+
+/**
+ * Replaces an element's content with safe HTML.
+ * @param {HTMLElement} element - The element.
+ * @param {object} content - From html`...` or trustedHtml().
+ */
+function setHtml(element, content) {
+    if (!isSafeHtml(content)) throw new TypeError('setHtml() only accepts markup built with html`...`.');
+    element.innerHTML = content[SAFE_HTML];
+}
+
+/**
+ * Checks a URL before it goes into an href or src. Only web, blob and
+ * relative URLs are let through; javascript:, data: and anything
+ * unparseable become ''.
+ * @param {*} url - The URL.
+ * @returns {string} The URL, or ''.
+ */
+function safeUrl(url) {
+    const text = String(url ?? '').trim();
+    if (!text) return '';
+    try {
+        return SAFE_URL_PROTOCOLS.includes(new URL(text, window.location.href).protocol) ? text : '';
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * Builds a Google Maps link for a report's coordinates.
+ * @param {?{lat: number, lon: number}} geolocation - The coordinates.
+ * @returns {string} The URL, or '' if there are no valid coordinates.
+ */
+function getMapUrl(geolocation) {
+    if (!geolocation || !Number.isFinite(geolocation.lat) || !Number.isFinite(geolocation.lon)) return '';
+    return `https://maps.google.com/?q=${geolocation.lat},${geolocation.lon}`;
+}
+
+/**
+ * Creates the element for one report in a list (a card or a table row).
+ * Its images start loading as it scrolls into view.
+ * @param {string} tagName - e.g. 'div' or 'tr'.
+ * @param {string} className - Classes for the element.
+ * @param {object} report - The report; its ID goes into data-id.
+ * @param {object} content - The inner markup, from html`...`.
+ * @returns {HTMLElement}
+ */
+function createReportElement(tagName, className, report, content) {
+    const element = document.createElement(tagName);
+    element.className = className;
+    element.dataset.id = report.id;
+    setHtml(element, content);
+    loadImagesIn(element);
+    return element;
+}
+
+// Pieces every report view shares: the My Reports table and details, the
+// authority cards and the Explore cards.
+
+function renderStatusBadge(status) {
+    return html`<span class="px-3 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${getStatusClass(status)}">${getStatusLabel(status)}</span>`;
+}
+
+/**
+ * Builds the "view on map" link for a report, if it has coordinates.
+ * @param {object} report - The report.
+ * @param {string} label - The link text.
+ * @param {string} className - Classes for the link.
+ * @returns {object} Safe HTML (empty without coordinates).
+ */
+function renderMapLink(report, label, className) {
+    const url = getMapUrl(report.geolocation);
+    return url ? html`<a href="${url}" target="_blank" rel="noopener noreferrer" class="${className}">${label}</a>` : html``;
+}
+
+function renderDescription(report) {
+    return report.description || t('report.noDescription');
+}
+
+/**
+ * A category's display name with its icon in front, as headings show it.
+ * @param {string} category - A report category.
+ * @returns {string}
+ */
+function formatCategoryName(category) {
+    const icon = getCategoryIcon(category);
+    return icon ? `${icon} ${getCategoryLabel(category)}` : getCategoryLabel(category);
+}
+
+/**
+ * Lists a report's answers to its category's extra fields. Answers to fields
+ * the category no longer has are labelled with their key.
+ * @param {object} report - The report.
+ * @returns {object} Safe HTML (empty when nothing was answered).
+ */
+function renderReportDetails(report) {
+    const config = getCategoryConfig(report.category);
+    const fields = config ? config.fields : [];
+    const answers = Object.entries(report.details || {}).filter(([, value]) => value !== '' && value !== null);
+    if (answers.length === 0) return html``;
+    const items = answers.map(([key, value]) => {
+        const field = fields.find(f => f.key === key);
+        let shown = value;
+        if (typeof value === 'number') shown = value.toLocaleString(getLocale());
+        else if (field && field.type === 'select') shown = getCategoryFieldOptionLabel(value);
+        return html`<div class="flex gap-x-1"><dt class="font-medium">${field ? getCategoryFieldLabel(field) : key}:</dt><dd>${shown}</dd></div>`;
+    });
+    return html`<dl class="report-details text-sm text-gray-600 space-y-1">${items}</dl>`;
+}
+
+/**
+ * Builds the status history timeline shown on authority cards and in My Reports.
+ * Resolutions show their "after" photos.
+ * @param {Array} history - The report's history entries, oldest first.
+ * @returns {object} Safe HTML for the timeline.
+ */
+function renderStatusTimeline(history) {
+    if (!history || history.length === 0) {
+        return html`<p class="text-sm text-gray-500">${t('timeline.empty')}</p>`;
+    }
+    const items = history.map(entry => html`
+        <li class="relative pl-4 pb-3 border-l-2 border-gray-200 last:pb-0">
+            <span class="absolute -left-1.5 top-1 h-2.5 w-2.5 rounded-full ${getStatusClass(entry.to)}"></span>
+            <p class="text-sm text-gray-800">
+                ${entry.from ? html`${getStatusLabel(entry.from)} &rarr; ` : `${t('timeline.submittedAs')} `}<strong>${getStatusLabel(entry.to)}</strong>
+            </p>
+            <p class="text-xs text-gray-500">${entry.by ? entry.by.name : t('timeline.unknown')} &middot; ${formatDateTime(entry.at)}</p>
+            ${entry.note ? html`<p class="text-sm text-gray-600 mt-1">${entry.note}</p>` : ''}
+            ${(entry.photoIds || []).length > 0 ? html`
+                <div class="mt-1 flex flex-wrap gap-2">
+                    ${entry.photoIds.map((photoId, index) => html`
+                        <a data-image-id="${photoId}" target="_blank" rel="noopener noreferrer">
+                            <img data-image-id="${photoId}" alt="${t('resolution.photoNumber', { number: index + 1 })}" class="h-16 w-16 rounded-md bg-gray-100 object-cover">
+                        </a>`)}
+                </div>` : ''}
+        </li>`);
+    return html`<ol class="mt-2 ml-1">${items}</ol>`;
+}
+
+/**
+ * Builds a star rating, e.g. for a resident's review of a fix.
+ * @param {number} rating - 1 to RATING_SCALE.
+ * @returns {object} Safe HTML for the stars.
+ */
+function renderRating(rating) {
+    const stars = '★'.repeat(rating) + '☆'.repeat(Math.max(0, RATING_SCALE - rating));
+    return html`<span class="text-amber-500" title="${t('feedback.ratingValue', { rating, scale: RATING_SCALE })}">${stars}</span>`;
+}
+
+/**
+ * Lists the reporter's reviews of a report's fixes, newest first: each
+ * rating, and for a reopened report what was still wrong.
+ * @param {object} report - The report.
+ * @returns {object} Safe HTML for the list, empty if there are no reviews.
+ */
+function renderFeedbackList(report) {
+    const feedback = [...(report.feedback || [])].reverse();
+    if (feedback.length === 0) return html``;
+    return html`
+        <ul class="space-y-1">
+            ${feedback.map(entry => html`
+                <li class="text-sm text-gray-700">
+                    ${renderRating(entry.rating)}
+                    <span class="${entry.outcome === 'reopened' ? 'text-red-700' : 'text-green-700'} font-medium">${t(`feedback.${entry.outcome}`)}</span>
+                    ${entry.reason ? html`&middot; ${entry.reason}` : ''}
+                    <span class="text-xs text-gray-500">&middot; ${formatDateTime(entry.at)}</span>
+                </li>`)}
+        </ul>`;
+}
+
+/**
+ * Builds a report's comment thread with a box for posting a reply.
+ * Used on authority cards and in the My Reports detail view.
+ * @param {object} report - The report.
+ * @param {object} user - The signed-in user (their own comments are highlighted).
+ * @returns {object} Safe HTML for the thread.
+ */
+function renderCommentThread(report, user) {
+    const comments = report.comments || [];
+    const items = comments.map(comment => {
+        const isOwn = comment.author.id === user.id;
+        const authorLabel = comment.author.role === ROLES.RESIDENT ? t('comments.reporter') : translateCode('role', comment.author.role) || t('comments.authority');
+        return html`
+        <li class="rounded-lg p-3 ${isOwn ? 'bg-blue-50 ml-6' : 'bg-gray-100 mr-6'}">
+            <p class="text-xs text-gray-500">${comment.author.name} (${authorLabel}) &middot; ${formatDateTime(comment.at)}</p>
+            <p class="text-sm text-gray-800 mt-1 whitespace-pre-line">${comment.body}</p>
+        </li>`;
+    });
+    return html`
+        <ul class="space-y-2 mt-2">${items.length > 0 ? items : html`<li class="text-sm text-gray-500">${t('comments.empty')}</li>`}</ul>
+        <form class="comment-form mt-3 flex gap-2" data-id="${report.id}">
+            <input type="text" name="comment" class="flex-1 px-3 py-1.5 border border-gray-300 rounded-md text-sm" placeholder="${t('comments.placeholder')}" required>
+            <button type="submit" class="rounded-md bg-blue-600 px-3 py-1.5 text-sm font-semibold text-white shadow-sm hover:bg-blue-500">${t('comments.post')}</button>
+        </form>`;
+}
+
+/**
+ * Builds the small red badge that shows an unread comment count.
+ * @param {number} count - The number of unread comments.
+ * @returns {object} Safe HTML for the badge, empty if nothing is unread.
+ */
+function renderUnreadBadge(count) {
+    return count > 0
+        ? html`<span class="unread-badge ml-1 inline-flex items-center justify-center rounded-full bg-red-600 px-2 text-xs font-semibold text-white" title="${t('comments.unread')}">${count.toLocaleString(getLocale())}</span>`
+        : html``;
+}
+
 // --- NEW SLIDESHOW FUNCTION ---
 /**
  * Initializes and starts the hero slideshow on the user dashboard.
@@ -117,33 +4211,653 @@ function startHeroSlideshow() {
         slideshowContainer.appendChild(slideEl);
     });
 
-    // Start the slideshow logic
-    const slides = slideshowContainer.querySelectorAll('.hero-slide');
-    if (slides.length === 0) return;
+    // Start the slideshow logic
+    const slides = slideshowContainer.querySelectorAll('.hero-slide');
+    if (slides.length === 0) return;
+
+    let currentSlide = 0;
+    slides[currentSlide].classList.add('active');
+
+    setInterval(() => {
+        slides[currentSlide].classList.remove('active');
+        currentSlide = (currentSlide + 1) % slides.length;
+        slides[currentSlide].classList.add('active');
+    }, 5000); // Change slide every 5 seconds
+}
+
+
+// --- Report Map ---
+
+const MAP_CONFIG = {
+    // Any XYZ tile server works here, including a self-hosted one; a page can
+    // name its own with <meta name="fixyourcity-tiles" content="https://.../{z}/{x}/{y}.png">
+    // (and <meta name="fixyourcity-tiles-attribution">), or use the offline grid
+    // with content="off". A tile that fails to load is left blank; after
+    // tileFailureLimit failures in a row the whole map falls back to the grid.
+    tileUrlTemplate: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '© OpenStreetMap contributors',
+    tileFailureLimit: 8,
+    defaultCenter: { lat: 28.6139, lon: 77.2090 }, // New Delhi
+    defaultZoom: 11,
+    minZoom: 3,
+    maxZoom: 18,
+    clusterRadiusPx: 48
+};
+const MAP_TILE_SIZE = 256;
+
+/**
+ * Works out where the page's map tiles come from.
+ * @returns {{urlTemplate: ?string, attribution: string}} urlTemplate is null
+ *   when the page uses the offline grid.
+ */
+function resolveTileSource() {
+    const meta = document.querySelector('meta[name="fixyourcity-tiles"]');
+    const attributionMeta = document.querySelector('meta[name="fixyourcity-tiles-attribution"]');
+    const attribution = attributionMeta ? attributionMeta.getAttribute('content') || '' : MAP_CONFIG.attribution;
+    if (!meta) return { urlTemplate: MAP_CONFIG.tileUrlTemplate, attribution };
+    const url = (meta.getAttribute('content') || '').trim();
+    return { urlTemplate: url === '' || url === 'off' ? null : url, attribution };
+}
+
+/**
+ * Projects a latitude/longitude to Web Mercator world pixels at a zoom level.
+ * @param {number} lat - Latitude in degrees.
+ * @param {number} lon - Longitude in degrees.
+ * @param {number} zoom - The zoom level.
+ * @returns {{x: number, y: number}} World pixel coordinates.
+ */
+function latLonToWorldPixel(lat, lon, zoom) {
+    const scale = MAP_TILE_SIZE * Math.pow(2, zoom);
+    const sinLat = Math.min(Math.max(Math.sin(lat * Math.PI / 180), -0.9999), 0.9999);
+    return {
+        x: (lon + 180) / 360 * scale,
+        y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale
+    };
+}
+
+/**
+ * Converts Web Mercator world pixels at a zoom level back to latitude/longitude.
+ * @param {number} x - World pixel x.
+ * @param {number} y - World pixel y.
+ * @param {number} zoom - The zoom level.
+ * @returns {{lat: number, lon: number}} Coordinates in degrees.
+ */
+function worldPixelToLatLon(x, y, zoom) {
+    const scale = MAP_TILE_SIZE * Math.pow(2, zoom);
+    const n = Math.PI - 2 * Math.PI * y / scale;
+    return {
+        lat: 180 / Math.PI * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n))),
+        lon: x / scale * 360 - 180
+    };
+}
+
+/**
+ * Checks whether a report has usable coordinates.
+ * @param {object} report - The report.
+ * @returns {boolean}
+ */
+function hasGeolocation(report) {
+    return !!report.geolocation
+        && Number.isFinite(report.geolocation.lat)
+        && Number.isFinite(report.geolocation.lon);
+}
+
+/**
+ * Groups geotagged reports that would overlap on screen at a zoom level.
+ * @param {Array} reports - The reports to plot (reports without coordinates are skipped).
+ * @param {number} zoom - The zoom level.
+ * @param {number} radiusPx - Size of the clustering grid cell in screen pixels.
+ * @returns {Array<{lat: number, lon: number, reports: Array}>} One entry per marker.
+ */
+function clusterReports(reports, zoom, radiusPx) {
+    const cells = new Map();
+    reports.filter(hasGeolocation).forEach(report => {
+        const point = latLonToWorldPixel(report.geolocation.lat, report.geolocation.lon, zoom);
+        const key = `${Math.floor(point.x / radiusPx)}:${Math.floor(point.y / radiusPx)}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(report);
+    });
+    return [...cells.values()].map(group => ({
+        lat: group.reduce((sum, r) => sum + r.geolocation.lat, 0) / group.length,
+        lon: group.reduce((sum, r) => sum + r.geolocation.lon, 0) / group.length,
+        reports: group
+    }));
+}
+
+/**
+ * Creates a pan-and-zoom map of reports inside a container. Markers use the
+ * getStatusClass palette; overlapping reports are clustered.
+ * Passing `onPinMove` turns on a location pin: clicking the map places it and
+ * it can be dragged, e.g. to pick where an issue is.
+ * @param {HTMLElement} container - The element to draw the map in (needs a height).
+ * @param {object} options
+ * @param {function(Array): void} [options.onSelect] - Called with the reports under a clicked marker.
+ * @param {function({lat: number, lon: number}): void} [options.onPinMove] - Called when the user moves the pin.
+ * @returns {object} Map controls: setReports, fitToReports, refresh, setPin, centerOn.
+ */
+function createReportMap(container, { onSelect = () => {}, onPinMove = null } = {}) {
+    let zoom = MAP_CONFIG.defaultZoom;
+    let center = latLonToWorldPixel(MAP_CONFIG.defaultCenter.lat, MAP_CONFIG.defaultCenter.lon, zoom);
+    let reports = [];
+    let pin = null; // {lat, lon} when a location pin is shown
+    const tileSource = resolveTileSource();
+    let tilesFailed = !tileSource.urlTemplate;
+    let tileFailuresInARow = 0;
+
+    container.classList.add('report-map');
+    setHtml(container, html`
+        <div class="report-map-tiles"></div>
+        <div class="report-map-markers"></div>
+        <div class="report-map-controls">
+            <button type="button" data-zoom="1" aria-label="${t('map.zoomIn')}">+</button>
+            <button type="button" data-zoom="-1" aria-label="${t('map.zoomOut')}">&minus;</button>
+        </div>
+        <div class="report-map-attribution"></div>
+    `);
+    const tileLayer = container.querySelector('.report-map-tiles');
+    const markerLayer = container.querySelector('.report-map-markers');
+    const attributionEl = container.querySelector('.report-map-attribution');
+
+    const viewport = () => {
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+        return { width, height, left: center.x - width / 2, top: center.y - height / 2 };
+    };
+
+    function renderTiles() {
+        tileLayer.innerHTML = '';
+        container.classList.toggle('report-map-offline', tilesFailed);
+        attributionEl.textContent = tilesFailed ? t('map.offline') : tileSource.attribution;
+        if (tilesFailed) return;
+
+        const { width, height, left, top } = viewport();
+        const tileCount = Math.pow(2, zoom);
+        for (let tx = Math.floor(left / MAP_TILE_SIZE); tx <= Math.floor((left + width) / MAP_TILE_SIZE); tx++) {
+            for (let ty = Math.max(0, Math.floor(top / MAP_TILE_SIZE)); ty <= Math.min(tileCount - 1, Math.floor((top + height) / MAP_TILE_SIZE)); ty++) {
+                const tile = document.createElement('img');
+                tile.className = 'report-map-tile';
+                tile.alt = '';
+                tile.draggable = false;
+                tile.style.left = `${tx * MAP_TILE_SIZE - left}px`;
+                tile.style.top = `${ty * MAP_TILE_SIZE - top}px`;
+                tile.addEventListener('load', () => { tileFailuresInARow = 0; });
+                tile.addEventListener('error', () => {
+                    tile.classList.add('report-map-tile-missing');
+                    tileFailuresInARow++;
+                    if (tilesFailed || tileFailuresInARow < MAP_CONFIG.tileFailureLimit) return;
+                    tilesFailed = true;
+                    renderTiles();
+                });
+                const wrappedX = ((tx % tileCount) + tileCount) % tileCount;
+                tile.src = tileSource.urlTemplate
+                    .replace('{z}', zoom)
+                    .replace('{x}', wrappedX)
+                    .replace('{y}', ty);
+                tileLayer.appendChild(tile);
+            }
+        }
+    }
+
+    function renderMarkers() {
+        markerLayer.innerHTML = '';
+        const { width, height, left, top } = viewport();
+        clusterReports(reports, zoom, MAP_CONFIG.clusterRadiusPx).forEach(cluster => {
+            const point = latLonToWorldPixel(cluster.lat, cluster.lon, zoom);
+            const x = point.x - left;
+            const y = point.y - top;
+            if (x < -MAP_TILE_SIZE || y < -MAP_TILE_SIZE || x > width + MAP_TILE_SIZE || y > height + MAP_TILE_SIZE) return;
+
+            const first = cluster.reports[0];
+            const sameStatus = cluster.reports.every(r => r.status === first.status);
+            const marker = document.createElement('button');
+            marker.type = 'button';
+            marker.style.left = `${x}px`;
+            marker.style.top = `${y}px`;
+            if (cluster.reports.length === 1) {
+                marker.className = `report-map-marker ${getStatusClass(first.status)}`;
+                marker.title = `${getCategoryLabel(first.category)} (${getStatusLabel(first.status)})`;
+            } else {
+                marker.className = `report-map-cluster ${sameStatus ? getStatusClass(first.status) : 'bg-white text-gray-800'}`;
+                marker.textContent = cluster.reports.length;
+                marker.title = tPlural('map.cluster', cluster.reports.length);
+            }
+            marker.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (cluster.reports.length === 1 || zoom >= MAP_CONFIG.maxZoom) {
+                    onSelect(cluster.reports);
+                } else {
+                    center = point;
+                    setZoom(zoom + 2);
+                }
+            });
+            markerLayer.appendChild(marker);
+        });
+
+        if (pin) {
+            const point = latLonToWorldPixel(pin.lat, pin.lon, zoom);
+            const pinEl = document.createElement('div');
+            pinEl.className = 'report-map-pin';
+            pinEl.title = t('map.dragPin');
+            pinEl.style.left = `${point.x - left}px`;
+            pinEl.style.top = `${point.y - top}px`;
+            markerLayer.appendChild(pinEl);
+        }
+    }
+
+    const screenToLatLon = (clientX, clientY) => {
+        const rect = container.getBoundingClientRect();
+        const { left, top } = viewport();
+        return worldPixelToLatLon(left + clientX - rect.left, top + clientY - rect.top, zoom);
+    };
+
+    function render() {
+        if (container.clientWidth === 0) return; // Hidden; drawn again by refresh() when shown
+        renderTiles();
+        renderMarkers();
+    }
+
+    /**
+     * Changes zoom while keeping the point under `anchor` (screen pixels) in place.
+     */
+    function setZoom(newZoom, anchor) {
+        newZoom = Math.min(MAP_CONFIG.maxZoom, Math.max(MAP_CONFIG.minZoom, newZoom));
+        const { width, height, left, top } = viewport();
+        const screenPoint = anchor || { x: width / 2, y: height / 2 };
+        const factor = Math.pow(2, newZoom - zoom);
+        center = {
+            x: (left + screenPoint.x) * factor - screenPoint.x + width / 2,
+            y: (top + screenPoint.y) * factor - screenPoint.y + height / 2
+        };
+        zoom = newZoom;
+        render();
+    }
+
+    // --- Interaction: drag to pan (or move the pin), wheel / buttons / double-click to zoom ---
+    let dragStart = null;
+    let frameRequested = false;
+    const scheduleRender = () => {
+        if (frameRequested) return;
+        frameRequested = true;
+        requestAnimationFrame(() => {
+            frameRequested = false;
+            render();
+        });
+    };
+    container.addEventListener('pointerdown', (e) => {
+        if (e.target.closest('button')) return;
+        const draggingPin = !!onPinMove && e.target.classList.contains('report-map-pin');
+        dragStart = { x: e.clientX, y: e.clientY, center: { ...center }, draggingPin, moved: false };
+        if (container.setPointerCapture) container.setPointerCapture(e.pointerId);
+        container.classList.add('dragging');
+    });
+    container.addEventListener('pointermove', (e) => {
+        if (!dragStart) return;
+        dragStart.moved = dragStart.moved || Math.abs(e.clientX - dragStart.x) + Math.abs(e.clientY - dragStart.y) > 3;
+        if (dragStart.draggingPin) {
+            pin = screenToLatLon(e.clientX, e.clientY);
+        } else {
+            center = {
+                x: dragStart.center.x - (e.clientX - dragStart.x),
+                y: dragStart.center.y - (e.clientY - dragStart.y)
+            };
+        }
+        scheduleRender();
+    });
+    const endDrag = (e) => {
+        if (dragStart && onPinMove && e.type === 'pointerup') {
+            // A pin drag, or a plain click on the map, sets the location
+            if (dragStart.draggingPin && dragStart.moved) {
+                onPinMove({ ...pin });
+            } else if (!dragStart.moved && !e.target.closest('button')) {
+                pin = screenToLatLon(e.clientX, e.clientY);
+                render();
+                onPinMove({ ...pin });
+            }
+        }
+        dragStart = null;
+        container.classList.remove('dragging');
+    };
+    container.addEventListener('pointerup', endDrag);
+    container.addEventListener('pointercancel', endDrag);
+    container.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const rect = container.getBoundingClientRect();
+        setZoom(zoom + (e.deltaY < 0 ? 1 : -1), { x: e.clientX - rect.left, y: e.clientY - rect.top });
+    }, { passive: false });
+    container.addEventListener('dblclick', (e) => {
+        if (e.target.closest('button')) return;
+        const rect = container.getBoundingClientRect();
+        setZoom(zoom + 1, { x: e.clientX - rect.left, y: e.clientY - rect.top });
+    });
+    container.querySelector('.report-map-controls').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-zoom]');
+        if (button) setZoom(zoom + Number(button.dataset.zoom));
+    });
+
+    // Redraw when the map is shown (e.g. inside a modal) or resized
+    if (window.ResizeObserver) {
+        new ResizeObserver(() => render()).observe(container);
+    }
+
+    return {
+        setReports(newReports) {
+            reports = newReports;
+            render();
+        },
+        /** Zooms and pans so every geotagged report is visible. */
+        fitToReports() {
+            const located = reports.filter(hasGeolocation);
+            if (located.length > 0) {
+                const { width, height } = viewport();
+                const padding = 60;
+                for (let z = MAP_CONFIG.maxZoom - 2; z >= MAP_CONFIG.minZoom; z--) {
+                    const points = located.map(r => latLonToWorldPixel(r.geolocation.lat, r.geolocation.lon, z));
+                    const xs = points.map(p => p.x);
+                    const ys = points.map(p => p.y);
+                    const fits = Math.max(...xs) - Math.min(...xs) <= width - padding * 2
+                        && Math.max(...ys) - Math.min(...ys) <= height - padding * 2;
+                    if (fits || z === MAP_CONFIG.minZoom) {
+                        zoom = z;
+                        center = { x: (Math.max(...xs) + Math.min(...xs)) / 2, y: (Math.max(...ys) + Math.min(...ys)) / 2 };
+                        break;
+                    }
+                }
+            }
+            render();
+        },
+        /** Redraws the map, e.g. after its container was shown or resized. */
+        refresh() {
+            render();
+        },
+        /** Shows the location pin at coords, or hides it when coords is null. */
+        setPin(coords) {
+            pin = coords ? { lat: coords.lat, lon: coords.lon } : null;
+            render();
+        },
+        /** Pans (and optionally zooms) so coords is in the middle. */
+        centerOn(coords, newZoom = zoom) {
+            zoom = Math.min(MAP_CONFIG.maxZoom, Math.max(MAP_CONFIG.minZoom, newZoom));
+            center = latLonToWorldPixel(coords.lat, coords.lon, zoom);
+            render();
+        }
+    };
+}
+
+// --- Geocoding ---
+// A geocoder turns coordinates into an address and back:
+//   reverse(lat, lon) -> Promise<string|null>
+//   forward(query)    -> Promise<{lat, lon, label}|null>
+// The report form asks it when the pin moves and when a typed address is
+// finished (the field loses focus), not on every keystroke.
+// Swap the active one with setGeocoder(), e.g. for createStubGeocoder() in tests.
+
+// Addresses and pins only leave the device when a page names a Nominatim
+// server, ideally a self-hosted one, with
+// <meta name="fixyourcity-geocoder" content="https://...">. Without it (or
+// with content="off") addresses are plain coordinates.
+
+/**
+ * Works out which geocoding server the page uses.
+ * @returns {?string} Its base URL, or null when lookups are off.
+ */
+function resolveGeocoderUrl() {
+    const meta = document.querySelector('meta[name="fixyourcity-geocoder"]');
+    if (!meta) return null;
+    const url = (meta.getAttribute('content') || '').trim();
+    return url === '' || url === 'off' ? null : url.replace(/\/+$/, '');
+}
+
+/**
+ * Creates a geocoder backed by a Nominatim server.
+ * @param {string} baseUrl - Base URL of the Nominatim API.
+ * @returns {object} A geocoder.
+ */
+function createNominatimGeocoder(baseUrl) {
+    const request = async (path) => {
+        const response = await fetch(`${baseUrl}${path}`, { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) throw new Error(`Geocoder responded with ${response.status}`);
+        return response.json();
+    };
+    return {
+        async reverse(lat, lon) {
+            const result = await request(`/reverse?format=jsonv2&lat=${encodeURIComponent(lat)}&lon=${encodeURIComponent(lon)}`);
+            return (result && result.display_name) || null;
+        },
+        async forward(query) {
+            const results = await request(`/search?format=jsonv2&limit=1&q=${encodeURIComponent(query)}`);
+            if (!Array.isArray(results) || results.length === 0) return null;
+            return { lat: Number(results[0].lat), lon: Number(results[0].lon), label: results[0].display_name };
+        }
+    };
+}
+
+/**
+ * Builds a pattern matching a message like 'Near {lat}, {lon}' with the
+ * coordinates filled in, whatever the spacing.
+ * @param {string} template - The message, with {lat} before {lon}.
+ * @returns {RegExp} Captures the latitude and longitude.
+ */
+function coordinatePattern(template) {
+    const parts = template.split(/\{lat\}|\{lon\}/)
+        .map(text => `\\s*${text.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s*')}\\s*`);
+    return new RegExp(`^${parts.join('(-?\\d+(?:\\.\\d+)?)')}$`, 'i');
+}
+
+/**
+ * Creates a geocoder that needs no network: addresses are just coordinates.
+ * Used when no geocoding server is configured.
+ * @returns {object} A geocoder.
+ */
+function createCoordinateGeocoder() {
+    return {
+        async reverse(lat, lon) {
+            return t('geo.near', { lat: lat.toFixed(5), lon: lon.toFixed(5) });
+        },
+        async forward(query) {
+            // Plain "lat, lon", or the 'geo.near' text reverse() wrote in any language
+            const templates = ['{lat}, {lon}', ...Object.values(MESSAGES).map(messages => messages['geo.near'])];
+            const match = templates.map(template => coordinatePattern(template).exec(query)).find(Boolean);
+            if (!match) return null;
+            const lat = Number(match[1]);
+            const lon = Number(match[2]);
+            if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+            return { lat, lon, label: query.trim() };
+        }
+    };
+}
+
+/**
+ * Creates a geocoder that looks addresses up in a fixed list of places, for
+ * tests and demos without a geocoding server. reverse() names the nearest
+ * place within radiusMeters; forward() finds the first place whose label
+ * contains the query.
+ * @param {Array<{label: string, lat: number, lon: number}>} places - The known places.
+ * @param {{radiusMeters?: number}} [options] - How far a pin may be from a place to get its name.
+ * @returns {object} A geocoder.
+ */
+function createStubGeocoder(places, { radiusMeters = 500 } = {}) {
+    return {
+        async reverse(lat, lon) {
+            const nearest = places
+                .map(place => ({ place, distance: distanceInMeters({ lat, lon }, place) }))
+                .sort((a, b) => a.distance - b.distance)[0];
+            return nearest && nearest.distance <= radiusMeters ? nearest.place.label : null;
+        },
+        async forward(query) {
+            const needle = query.trim().toLowerCase();
+            const place = needle ? places.find(p => p.label.toLowerCase().includes(needle)) : null;
+            return place ? { lat: place.lat, lon: place.lon, label: place.label } : null;
+        }
+    };
+}
+
+const geocoderUrl = resolveGeocoderUrl();
+let geocoder = geocoderUrl ? createNominatimGeocoder(geocoderUrl) : createCoordinateGeocoder();
+
+/**
+ * Replaces the active geocoder.
+ * @param {object} newGeocoder - An object with reverse() and forward().
+ */
+function setGeocoder(newGeocoder) {
+    geocoder = newGeocoder;
+}
+
+/**
+ * Wires a map view section: category and status filters, the map itself and
+ * a selection area. The section is expected to contain `.map-category-filter`,
+ * `.map-status-filter`, `.map-summary` and `.report-map-canvas` elements.
+ * @param {HTMLElement} viewEl - The map view section.
+ * @param {object} options
+ * @param {Array<string>} options.statuses - Statuses offered in the status filter.
+ * @param {function(Array): void} options.onSelect - Called with the reports under a clicked marker.
+ * @returns {{setReports: function(Array): void, show: function(): void}}
+ */
+function initReportMapView(viewEl, { statuses, onSelect }) {
+    const categorySelect = viewEl.querySelector('.map-category-filter');
+    const statusSelect = viewEl.querySelector('.map-status-filter');
+    const summaryEl = viewEl.querySelector('.map-summary');
+    const map = createReportMap(viewEl.querySelector('.report-map-canvas'), { onSelect });
+    let allReports = [];
+    let hasBeenShown = false;
+
+    setHtml(statusSelect, html`<option value="">${t('map.allStatuses')}</option>${
+        statuses.map(status => html`<option value="${status}">${getStatusLabel(status)}</option>`)}`);
+
+    function applyFilters() {
+        const filtered = allReports.filter(r =>
+            (!categorySelect.value || r.category === categorySelect.value) &&
+            (!statusSelect.value || r.status === statusSelect.value));
+        const located = filtered.filter(hasGeolocation).length;
+        summaryEl.textContent = t('map.summary', { located: located.toLocaleString(getLocale()), total: filtered.length.toLocaleString(getLocale()) });
+        map.setReports(filtered);
+        return filtered;
+    }
+
+    categorySelect.addEventListener('change', applyFilters);
+    statusSelect.addEventListener('change', applyFilters);
+
+    return {
+        setReports(reports) {
+            allReports = reports;
+            const selected = categorySelect.value;
+            const categories = [...new Set(reports.map(r => r.category).filter(Boolean))]
+                .sort((a, b) => getCategoryLabel(a).localeCompare(getCategoryLabel(b), getLocale()));
+            setHtml(categorySelect, html`<option value="">${t('map.allCategories')}</option>${
+                categories.map(category => html`<option value="${category}">${getCategoryLabel(category)}</option>`)}`);
+            categorySelect.value = categories.includes(selected) ? selected : '';
+            applyFilters();
+        },
+        show() {
+            viewEl.classList.remove('hidden');
+            if (!hasBeenShown) {
+                hasBeenShown = true;
+                map.fitToReports();
+            } else {
+                map.refresh();
+            }
+        }
+    };
+}
+
 
-    let currentSlide = 0;
-    slides[currentSlide].classList.add('active');
+// --- Report Form ---
 
-    setInterval(() => {
-        slides[currentSlide].classList.remove('active');
-        currentSlide = (currentSlide + 1) % slides.length;
-        slides[currentSlide].classList.add('active');
-    }, 5000); // Change slide every 5 seconds
+/**
+ * Builds the report form inputs for a category's extra fields.
+ * @param {string} category - The chosen category ('' for none).
+ * @returns {object} Safe HTML (empty when the category has no extra fields).
+ */
+function renderCategoryFieldInputs(category) {
+    const config = getCategoryConfig(category);
+    if (!config) return html``;
+    const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+    return html`${config.fields.map((field) => {
+        const id = `detail-${field.key}`;
+        let input;
+        if (field.type === 'select') {
+            input = html`
+                <select id="${id}" data-detail-key="${field.key}" class="${inputClass}" ${field.required ? 'required' : ''}>
+                    <option value="">${t('form.chooseOption')}</option>
+                    ${field.options.map(option => html`<option value="${option}">${getCategoryFieldOptionLabel(option)}</option>`)}
+                </select>`;
+        } else {
+            input = html`<input type="${field.type}" id="${id}" data-detail-key="${field.key}" class="${inputClass}" ${field.required ? 'required' : ''}>`;
+        }
+        return html`
+            <div>
+                <label for="${id}" class="block text-sm font-medium text-gray-700 mb-1">${getCategoryFieldLabel(field)}${field.required ? '' : ` ${t('form.optional')}`}</label>
+                ${input}
+            </div>`;
+    })}`;
 }
 
+/**
+ * Fills a report form's category menu from the categories in use, and shows
+ * the chosen category's extra fields in the form's #category-fields.
+ * @param {HTMLFormElement} form - A form with #issue-category and #category-fields.
+ * @returns {{readDetails: function(): object, readAnswers: function(): object, restore: function(string, object): void, reset: function(): void}}
+ *   readDetails() collects the answers by field key, throwing a user-facing
+ *   error if a required one is empty; readAnswers() returns them as typed,
+ *   unchecked; restore() picks a category and fills in its answers; reset()
+ *   clears them.
+ */
+function initReportCategoryFields(form) {
+    const select = form.querySelector('#issue-category');
+    const fieldsEl = form.querySelector('#category-fields');
+    setHtml(select, html`
+        <option value="">${t('form.selectCategory')}</option>
+        ${getCategories().map(category => html`<option value="${category.name}">${formatCategoryName(category.name)}</option>`)}`);
+    const renderFields = () => setHtml(fieldsEl, renderCategoryFieldInputs(select.value));
+    select.addEventListener('change', renderFields);
+    renderFields();
 
-// --- Page Initializers ---
+    return {
+        readDetails() {
+            const config = getCategoryConfig(select.value);
+            const details = {};
+            (config ? config.fields : []).forEach((field) => {
+                const input = fieldsEl.querySelector(`[data-detail-key="${field.key}"]`);
+                const value = input ? input.value.trim() : '';
+                if (value === '') {
+                    if (field.required) throw new Error(t('form.fieldRequired', { field: getCategoryFieldLabel(field) }));
+                    return;
+                }
+                details[field.key] = field.type === 'number' ? Number(value) : value;
+            });
+            return details;
+        },
+        readAnswers() {
+            return Object.fromEntries([...fieldsEl.querySelectorAll('[data-detail-key]')].map(input => [input.dataset.detailKey, input.value]));
+        },
+        restore(category, answers) {
+            select.value = category;
+            renderFields();
+            fieldsEl.querySelectorAll('[data-detail-key]').forEach((input) => {
+                if (input.dataset.detailKey in answers) input.value = answers[input.dataset.detailKey];
+            });
+        },
+        reset: renderFields
+    };
+}
 
 /**
- * Sets up the User Dashboard page (user_dashboard.html).
+ * Sets up the report form in #report-modal, on whichever page includes it:
+ * the location picker, photos, the duplicate check, filing the report (or
+ * queueing it while offline) and keeping an unfinished report as a draft.
+ * @param {object} user - The signed-in user filing reports.
+ * @param {{onSubmitted?: function(): (void|Promise<void>)}} [options] - onSubmitted
+ *   runs after a report is filed or queued, or an existing one supported, so
+ *   the page can refresh its own list.
  */
-function initUserDashboard() {
+function initReportForm(user, { onSubmitted = () => {} } = {}) {
     const modal = document.getElementById('report-modal');
     const form = document.getElementById('report-form');
     // const openModalBtns = document.querySelectorAll('.open-report-modal'); // Moved to initCommon
     const closeModalBtn = document.getElementById('close-modal-btn');
     const submitBtn = document.getElementById('submit-report-btn');
     const formMessage = document.getElementById('form-message');
+    if (!modal || !form) return;
+    const categoryFields = initReportCategoryFields(form);
 
     // --- Geolocation Elements ---
     const getLocationBtn = document.getElementById('get-location-btn');
@@ -151,8 +4865,213 @@ function initUserDashboard() {
     let capturedCoords = null;
     // ----------------------------
 
+    // --- Location Picker Map ---
+    // The pin, the "Get My Current Location" button and the typed address all
+    // update capturedCoords, so the text location and the coordinates agree.
+    const locationInput = form.querySelector('#location');
+    const locationMapEl = document.getElementById('location-map');
+    let geocodeRequest = 0; // Answers to older lookups are ignored
+
+    async function fillLocationFromCoords(coords) {
+        const request = ++geocodeRequest;
+        try {
+            const address = await geocoder.reverse(coords.lat, coords.lon);
+            if (address && request === geocodeRequest) locationInput.value = address;
+        } catch (error) {
+            console.error('Reverse geocoding failed', error);
+        }
+    }
+
+    const locationMap = locationMapEl ? createReportMap(locationMapEl, {
+        onPinMove: (coords) => {
+            capturedCoords = coords;
+            locationFeedback.textContent = t('geo.pinned', { lat: coords.lat.toFixed(5), lon: coords.lon.toFixed(5) });
+            locationFeedback.className = 'text-sm text-green-600 mt-2';
+            fillLocationFromCoords(coords);
+        }
+    }) : null;
+
+    if (locationMap) {
+        // A typed address moves the pin once the resident leaves the field
+        locationInput.addEventListener('change', async () => {
+            const query = locationInput.value.trim();
+            if (!query) return;
+            const request = ++geocodeRequest;
+            try {
+                const result = await geocoder.forward(query);
+                if (!result || request !== geocodeRequest) return;
+                capturedCoords = { lat: result.lat, lon: result.lon };
+                locationMap.setPin(capturedCoords);
+                locationMap.centerOn(capturedCoords, 16);
+                locationFeedback.textContent = t('geo.pinMoved');
+                locationFeedback.className = 'text-sm text-blue-600 mt-2';
+            } catch (error) {
+                console.error('Forward geocoding failed', error);
+            }
+        });
+    }
+    // ----------------------------
+
+    // --- Photos ---
+    // Photos are compressed as soon as they are picked, so submitting is quick
+    // and the preview shows exactly what will be stored.
+    const photoInput = form.querySelector('#photo-upload');
+    const photoLabel = form.querySelector('label[for="photo-upload"]');
+    if (photoLabel) photoLabel.textContent = t('form.photos', { max: PHOTO_CONFIG.maxPhotos });
+    const photoFeedback = document.getElementById('photo-feedback');
+    const photoPreviewsEl = document.getElementById('photo-previews');
+    const usePhotoLocationBtn = document.getElementById('use-photo-location-btn');
+    let selectedPhotos = []; // { photo, thumbnail, gps, previewUrl } - stored only on submit
+    let photoProcessing = null; // Promise while picked photos are being compressed
+
+    function renderPhotoPreviews() {
+        setHtml(photoPreviewsEl, html`${selectedPhotos.map((photo, index) => html`
+            <div class="relative">
+                <img src="${safeUrl(photo.previewUrl)}" alt="${t('form.photoAlt', { number: index + 1 })}" class="h-20 w-full rounded-md object-cover">
+                <button type="button" data-index="${index}" class="remove-photo-btn absolute top-1 right-1 rounded-full bg-black bg-opacity-60 px-1.5 text-xs text-white" aria-label="${t('form.removePhoto')}">&times;</button>
+            </div>`)}`);
+        usePhotoLocationBtn.classList.toggle('hidden', !selectedPhotos.some(photo => photo.gps));
+    }
+
+    photoInput.addEventListener('change', () => {
+        const files = [...photoInput.files];
+        photoInput.value = ''; // So a removed photo can be picked again
+        const room = PHOTO_CONFIG.maxPhotos - selectedPhotos.length;
+        if (files.length === 0) return;
+        if (files.length > room) {
+            photoFeedback.textContent = t('form.tooManyPhotos', { max: PHOTO_CONFIG.maxPhotos });
+            photoFeedback.className = 'text-sm text-amber-700 mt-2';
+        }
+        if (room <= 0) return;
+
+        photoProcessing = (async () => {
+            // One at a time, so phones don't hold several full-size photos in memory
+            for (const file of files.slice(0, room)) {
+                try {
+                    const processed = await processPhoto(file);
+                    selectedPhotos.push({ ...processed, previewUrl: URL.createObjectURL(processed.thumbnail) });
+                    renderPhotoPreviews();
+                } catch (error) {
+                    console.error('Photo processing failed', error);
+                    photoFeedback.textContent = error.message;
+                    photoFeedback.className = 'text-sm text-red-600 mt-2';
+                }
+            }
+        })();
+        photoProcessing.finally(() => { photoProcessing = null; });
+    });
+
+    photoPreviewsEl.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.remove-photo-btn');
+        if (!removeBtn) return;
+        const [removed] = selectedPhotos.splice(Number(removeBtn.dataset.index), 1);
+        URL.revokeObjectURL(removed.previewUrl);
+        photoFeedback.textContent = '';
+        renderPhotoPreviews();
+    });
+
+    // Offered, not applied: the resident may have taken the photo somewhere else
+    usePhotoLocationBtn.addEventListener('click', () => {
+        const photo = selectedPhotos.find(p => p.gps);
+        if (!photo) return;
+        capturedCoords = { lat: photo.gps.lat, lon: photo.gps.lon };
+        locationFeedback.textContent = t('geo.fromPhoto', { lat: capturedCoords.lat.toFixed(5), lon: capturedCoords.lon.toFixed(5) });
+        locationFeedback.className = 'text-sm text-green-600 mt-2';
+        if (locationMap) {
+            locationMap.setPin(capturedCoords);
+            locationMap.centerOn(capturedCoords, 16);
+        }
+        if (!locationInput.value.trim()) fillLocationFromCoords(capturedCoords);
+    });
+    // ----------------------------
+
+    // --- Duplicate Check ---
+    // Before filing, the resident sees open reports that look like the same
+    // issue and can +1 one of them. Submitting again with the same category
+    // and location files the report anyway.
+    const duplicatePanel = document.getElementById('duplicate-panel');
+    let reviewedDraftKey = null;
+
+    function hideDuplicatePanel() {
+        reviewedDraftKey = null;
+        duplicatePanel.classList.add('hidden');
+        duplicatePanel.innerHTML = '';
+        submitBtn.textContent = t('form.submit');
+    }
+
+    function renderDuplicatePanel(matches) {
+        const items = matches.map(({ report, distance }) => {
+            const distanceText = distance !== null
+                ? t('duplicates.distance', { meters: Math.round(distance).toLocaleString(getLocale()) })
+                : t('duplicates.similarLocation');
+            let action = html`<button type="button" data-id="${report.id}" class="support-report-btn flex-shrink-0 rounded-md bg-amber-600 px-3 py-1.5 text-sm font-semibold text-white shadow-sm hover:bg-amber-500">${t('duplicates.support')}</button>`;
+            if (report.reporterId === user.id) {
+                action = html`<span class="flex-shrink-0 text-xs font-medium text-gray-600">${t('duplicates.yours')}</span>`;
+            } else if ((report.supporters || []).includes(user.id)) {
+                action = html`<span class="flex-shrink-0 text-xs font-medium text-green-700">${t('duplicates.supported')}</span>`;
+            }
+            return html`
+                <li class="flex items-start justify-between gap-3 rounded-md bg-white p-2 shadow-sm">
+                    <div class="min-w-0">
+                        <p class="text-sm font-medium text-gray-800">${getCategoryLabel(report.category)} <span class="ml-1 px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getStatusClass(report.status)}">${getStatusLabel(report.status)}</span></p>
+                        <p class="text-sm text-gray-600 truncate">${report.location}</p>
+                        <p class="text-xs text-gray-500">${distanceText} &middot; ${tPlural('report.supporters', countSupporters(report))}</p>
+                    </div>
+                    ${action}
+                </li>`;
+        });
+        setHtml(duplicatePanel, html`
+            <p class="text-sm font-semibold text-amber-900">${t('duplicates.title')}</p>
+            <p class="text-xs text-amber-800 mb-2">${t('duplicates.hint')}</p>
+            <ul class="space-y-2">${items}</ul>`);
+        duplicatePanel.classList.remove('hidden');
+        submitBtn.textContent = t('form.submitNew');
+    }
+
+    function resetReportForm() {
+        form.reset();
+        categoryFields.reset();
+        capturedCoords = null; // Reset coords
+        if (locationMap) locationMap.setPin(null);
+        if (locationFeedback) { // Reset feedback
+            locationFeedback.textContent = '';
+            locationFeedback.className = 'text-sm text-gray-600 mt-2';
+        }
+        selectedPhotos.forEach(photo => URL.revokeObjectURL(photo.previewUrl));
+        selectedPhotos = [];
+        photoFeedback.textContent = '';
+        renderPhotoPreviews();
+        hideDuplicatePanel();
+        draftNotice.classList.add('hidden');
+        localStorage.removeItem(REPORT_DRAFT_KEY);
+    }
+
+    duplicatePanel.addEventListener('click', async (e) => {
+        const supportBtn = e.target.closest('.support-report-btn');
+        if (!supportBtn) return;
+        supportBtn.disabled = true;
+        try {
+            await supportReport(supportBtn.dataset.id, user);
+            resetReportForm();
+            formMessage.textContent = t('form.supportAdded');
+            formMessage.className = 'p-3 rounded-lg text-sm bg-green-100 text-green-800';
+            formMessage.classList.remove('hidden');
+            refreshPage();
+            setTimeout(() => {
+                closeModal();
+            }, 2000);
+        } catch (error) {
+            supportBtn.disabled = false;
+            formMessage.textContent = t('form.error', { message: error.message });
+            formMessage.className = 'p-3 rounded-lg text-sm bg-red-100 text-red-800';
+            formMessage.classList.remove('hidden');
+        }
+    });
+    // ----------------------------
+
     // const openModal = () => modal.classList.remove('hidden'); // Moved to initCommon
     const closeModal = () => {
+        saveDraft();
         modal.classList.add('hidden');
         // Clear any previous messages
         formMessage.classList.add('hidden');
@@ -172,14 +5091,14 @@ function initUserDashboard() {
     if (getLocationBtn) {
         getLocationBtn.addEventListener('click', () => {
             if (!navigator.geolocation) {
-                locationFeedback.textContent = 'Geolocation is not supported by your browser.';
+                locationFeedback.textContent = t('geo.unsupported');
                 locationFeedback.className = 'text-sm text-red-600 mt-2';
                 return;
             }
 
             getLocationBtn.disabled = true;
-            getLocationBtn.textContent = 'Fetching...';
-            locationFeedback.textContent = 'Requesting location permission...';
+            getLocationBtn.textContent = t('geo.fetching');
+            locationFeedback.textContent = t('geo.requesting');
             locationFeedback.className = 'text-sm text-blue-600 mt-2'; // Use className for consistency
 
             navigator.geolocation.getCurrentPosition(
@@ -188,93 +5107,202 @@ function initUserDashboard() {
                         lat: position.coords.latitude,
                         lon: position.coords.longitude
                     };
-                    locationFeedback.textContent = `Location captured: ${position.coords.latitude.toFixed(5)}, ${position.coords.longitude.toFixed(5)}`;
+                    locationFeedback.textContent = t('geo.captured', { lat: position.coords.latitude.toFixed(5), lon: position.coords.longitude.toFixed(5) });
                     locationFeedback.className = 'text-sm text-green-600 mt-2';
                     getLocationBtn.disabled = false;
-                    getLocationBtn.textContent = 'Get My Current Location';
+                    getLocationBtn.textContent = t('form.getLocation');
+                    if (locationMap) {
+                        locationMap.setPin(capturedCoords);
+                        locationMap.centerOn(capturedCoords, 16);
+                        if (!locationInput.value.trim()) fillLocationFromCoords(capturedCoords);
+                    }
                 },
                 (error) => {
-                    let errorMsg = 'Unable to retrieve location.';
+                    let errorMsg = t('geo.failed');
                     switch(error.code) {
                         case error.PERMISSION_DENIED:
-                            errorMsg = 'Location permission denied. Please enable it in your browser settings.';
+                            errorMsg = t('geo.denied');
                             break;
                         case error.POSITION_UNAVAILABLE:
-                            errorMsg = 'Location information is unavailable.';
+                            errorMsg = t('geo.unavailable');
                             break;
                         case error.TIMEOUT:
-                            errorMsg = 'The request to get location timed out.';
+                            errorMsg = t('geo.timeout');
                             break;
                     }
                     locationFeedback.textContent = errorMsg;
                     locationFeedback.className = 'text-sm text-red-600 mt-2';
                     capturedCoords = null;
+                    if (locationMap) locationMap.setPin(null);
                     getLocationBtn.disabled = false;
-                    getLocationBtn.textContent = 'Get My Current Location';
+                    getLocationBtn.textContent = t('form.getLocation');
                 }
             );
         });
     }
     // ----------------------------------
 
+    // --- Draft Autosave ---
+    // An unfinished report is kept on this device, so closing the form or
+    // leaving the page loses nothing. Photos are not kept, as localStorage is
+    // too small for them; the notice asks for them again.
+    const draftNotice = document.getElementById('draft-notice');
+    const descriptionInput = form.querySelector('#description');
+
+    function saveDraft() {
+        const draft = {
+            userId: user.id,
+            category: form.querySelector('#issue-category').value,
+            details: categoryFields.readAnswers(),
+            location: locationInput.value,
+            description: descriptionInput.value,
+            geolocation: capturedCoords
+        };
+        try {
+            if (!draft.category && !draft.location.trim() && !draft.description.trim() && !draft.geolocation) {
+                localStorage.removeItem(REPORT_DRAFT_KEY);
+            } else {
+                localStorage.setItem(REPORT_DRAFT_KEY, JSON.stringify(draft));
+            }
+        } catch (error) {
+            console.error('Error saving the report draft', error);
+        }
+    }
+
+    function restoreDraft() {
+        let draft = null;
+        try {
+            draft = JSON.parse(localStorage.getItem(REPORT_DRAFT_KEY) || 'null');
+        } catch (e) {
+            console.error("Error parsing the report draft from localStorage", e);
+        }
+        if (!draft || draft.userId !== user.id) return; // Nothing kept, or another account's on a shared device
+        categoryFields.restore(draft.category || '', draft.details || {});
+        locationInput.value = draft.location || '';
+        descriptionInput.value = draft.description || '';
+        if (draft.geolocation) {
+            capturedCoords = draft.geolocation;
+            if (locationMap) {
+                locationMap.setPin(capturedCoords);
+                locationMap.centerOn(capturedCoords, 16);
+            }
+        }
+        draftNotice.classList.remove('hidden');
+    }
+
+    form.addEventListener('input', saveDraft);
+    form.addEventListener('change', saveDraft);
+    window.addEventListener('pagehide', saveDraft);
+    document.getElementById('discard-draft-btn').addEventListener('click', resetReportForm);
+    restoreDraft();
+    // ----------------------------------
+
+    // Lets the page show the new report, or the one just supported, in its own list
+    async function refreshPage() {
+        try {
+            await onSubmitted();
+        } catch (error) {
+            console.error('Error refreshing the reports after submitting', error);
+        }
+    }
+
     form.addEventListener('submit', async (e) => {
         e.preventDefault();
         submitBtn.disabled = true;
-        submitBtn.textContent = 'Submitting...';
+        submitBtn.textContent = t('form.submitting');
         formMessage.classList.add('hidden');
 
         try {
             const category = form.querySelector('#issue-category').value;
             const location = form.querySelector('#location').value;
             const description = form.querySelector('#description').value;
-            const photoFile = form.querySelector('#photo-upload').files[0];
+            if (photoProcessing) await photoProcessing;
 
-            if (!category || !location || !photoFile) {
-                throw new Error('Please fill out all required fields and add a photo.');
+            if (!category || !location || selectedPhotos.length === 0) {
+                throw new Error(t('form.missingFields'));
             }
+            const details = categoryFields.readDetails();
 
-            // Read the image file as a Data URL to store in localStorage
-            const imageData = await readImageAsDataURL(photoFile);
+            // With the shared server and no connection, the report waits in the outbox
+            let offline = storage.name === 'http' && !navigator.onLine;
+            const draftKey = JSON.stringify({ category, location, geolocation: capturedCoords });
+            if (!offline && draftKey !== reviewedDraftKey) {
+                let matches = [];
+                try {
+                    matches = findPossibleDuplicates(await getReports(), { category, location, geolocation: capturedCoords });
+                } catch (error) {
+                    if (!error.offline) throw error;
+                    offline = true; // Can't check for duplicates now; staff can merge them later
+                }
+                if (matches.length > 0) {
+                    renderDuplicatePanel(matches);
+                    reviewedDraftKey = draftKey;
+                    submitBtn.disabled = false;
+                    return;
+                }
+            }
 
-            const newReport = {
-                id: generateId(),
+            const newReport = createReport({
                 category,
                 location,
                 description,
-                imageData, // Store the base64 string
-                geolocation: capturedCoords, // <-- ADDED GEOLOCATION
-                status: 'Pending',
-                submittedAt: new Date().toISOString(),
-            };
+                details,
+                geolocation: capturedCoords || null, // <-- ADDED GEOLOCATION
+                reporterId: user.id, // Never shown on public Explore cards
+                reporterName: user.name,
+                history: [createHistoryEntry(null, 'Pending', user)],
+            });
 
-            addReport(newReport);
+            if (!offline) {
+                try {
+                    // Photos live in the backend's image storage; the report holds their IDs
+                    await addReport({ ...newReport, ...(await storeReportPhotos(selectedPhotos)) });
+                } catch (error) {
+                    if (!error.offline) throw error;
+                    offline = true; // Lost the connection part way; send it all again later
+                }
+            }
+            if (offline) await queueReportSubmission(newReport, selectedPhotos);
 
             // Show success message
-            formMessage.textContent = 'Report submitted successfully!';
-            formMessage.className = 'p-3 rounded-lg text-sm bg-green-100 text-green-800';
+            formMessage.textContent = offline
+                ? t('form.savedOffline')
+                : t('form.submitted');
+            formMessage.className = offline
+                ? 'p-3 rounded-lg text-sm bg-yellow-100 text-yellow-800'
+                : 'p-3 rounded-lg text-sm bg-green-100 text-green-800';
             formMessage.classList.remove('hidden');
 
             submitBtn.disabled = false;
-            submitBtn.textContent = 'Submit Report';
-            form.reset();
-            capturedCoords = null; // Reset coords
-            if (locationFeedback) { // Reset feedback
-                locationFeedback.textContent = ''; 
-                locationFeedback.className = 'text-sm text-gray-600 mt-2';
-            }
+            resetReportForm();
+            refreshPage();
 
             setTimeout(() => {
                 closeModal();
             }, 2000);
 
         } catch (error) {
-            formMessage.textContent = `Error: ${error.message}`;
+            formMessage.textContent = t('form.error', { message: error.message });
             formMessage.className = 'p-3 rounded-lg text-sm bg-red-100 text-red-800';
             formMessage.classList.remove('hidden');
             submitBtn.disabled = false;
-            submitBtn.textContent = 'Submit Report';
+            submitBtn.textContent = reviewedDraftKey ? t('form.submitNew') : t('form.submit');
         }
     });
+}
+
+
+// --- Page Initializers ---
+
+/**
+ * Sets up the User Dashboard page (user_dashboard.html).
+ */
+async function initUserDashboard() {
+    const user = await requireRole([ROLES.RESIDENT]);
+    if (!user) return;
+    initNotificationCenter(user);
+    await loadCategories();
+    initReportForm(user);
 
     // --- START THE SLIDESHOW ---
     // This is called at the end of the user dashboard init
@@ -284,7 +5312,7 @@ function initUserDashboard() {
 /**
  * Sets up the "My Reports" page.
  */
-function initMyReports() {
+async function initMyReports() {
     const tableBody = document.getElementById('reports-tbody');
     const noReportsMsg = document.getElementById('no-reports-message');
     
@@ -293,48 +5321,166 @@ function initMyReports() {
         // console.error("Could not find 'My Reports' table elements.");
         return; // Silently return if not on the page
     }
-    
-    const reports = getReports();
+    const user = await requireRole([ROLES.RESIDENT]);
+    if (!user) return;
+    initNotificationCenter(user);
+    await loadCategories();
+    // Reports filed from here show in the table straight away (or as waiting, offline)
+    initReportForm(user, { onSubmitted: () => renderReportsTable() });
 
-    if (reports.length === 0) {
-        noReportsMsg.classList.remove('hidden');
-        return;
+    const syncNotice = document.getElementById('sync-notice');
+
+    async function renderReportsTable() {
+        let reports = [];
+        let offline = false;
+        try {
+            reports = await getReportsByReporter(user.id);
+        } catch (error) {
+            if (!error.offline) throw error;
+            offline = true;
+        }
+        const queued = (await getQueuedSubmissions()).filter(entry => entry.report.reporterId === user.id);
+
+        if (syncNotice) {
+            const waiting = queued.length ? tPlural('myReports.queued', queued.length) : '';
+            syncNotice.textContent = offline
+                ? t('myReports.offline', { waiting }).trim()
+                : waiting && t('myReports.retrying', { waiting });
+            syncNotice.classList.toggle('hidden', !syncNotice.textContent);
+        }
+
+        tableBody.innerHTML = ''; // Clear table
+        if (reports.length === 0 && queued.length === 0) {
+            noReportsMsg.classList.remove('hidden');
+            return;
+        }
+        noReportsMsg.classList.add('hidden');
+
+        // Reports filed offline come first; they have no server copy to view or reopen yet
+        queued.forEach(({ report, lastError }) => {
+            tableBody.appendChild(createReportElement('tr', '', report, html`
+                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-600">${formatDate(report.submittedAt)}</td>
+                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-600">${formatCategoryName(report.category)}</td>
+                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-600">${report.location}</td>
+                <td class="px-6 py-4 whitespace-nowrap">
+                    <span class="px-3 py-1 inline-flex text-xs leading-5 font-semibold rounded-full bg-gray-100 text-gray-700">${t('myReports.waiting')}</span>
+                    ${lastError ? html`<p class="text-xs text-red-600 mt-1 whitespace-normal">${t('myReports.notSent', { error: lastError })}</p>` : ''}
+                </td>
+                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-400">-</td>
+                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-400">-</td>
+            `));
+        });
+
+        reports.forEach(issue => {
+            tableBody.appendChild(createReportElement('tr', '', issue, html`
+                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-600">${formatDate(issue.submittedAt)}</td>
+                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-600">${formatCategoryName(issue.category)}</td>
+                <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                    ${issue.location} ${renderMapLink(issue, t('report.viewMap'), 'text-blue-600 hover:underline text-xs block')}
+                </td>
+                <td class="px-6 py-4 whitespace-nowrap">${renderStatusBadge(issue.status)}</td>
+                <td class="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    <button class="view-image-btn text-blue-600 hover:text-blue-800 hover:underline text-sm font-medium" data-photo-id="${getReportPhotoIds(issue)[0] || ''}">${t('myReports.view')}</button>
+                </td>
+                <td class="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    <button class="details-btn text-blue-600 hover:text-blue-800 hover:underline text-sm font-medium mr-3" data-id="${issue.id}">${t('myReports.details')}${renderUnreadBadge(countUnreadComments(issue, user))}</button>
+                    ${needsResolutionFeedback(issue, user) ? html`<button class="review-btn text-green-700 hover:text-green-900 hover:underline text-sm font-medium" data-id="${issue.id}">${t('myReports.review')}</button>` : ''}
+                </td>
+            `));
+        });
     }
 
-    tableBody.innerHTML = ''; // Clear table
-    reports.forEach(issue => {
-        const row = document.createElement('tr');
-        const statusClasses = `px-3 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${getStatusClass(issue.status)}`;
-        const submittedDate = new Date(issue.submittedAt).toLocaleDateString('en-IN');
-        
-        let actionButton = '';
-        if (issue.status === 'Resolved') {
-            actionButton = `<button class="reopen-btn text-blue-600 hover:text-blue-800 hover:underline text-sm font-medium" data-id="${issue.id}">Reopen</button>`;
-        }
-
-        // --- Create Location HTML with Map Link ---
-        let locationHtml = issue.location;
-        if (issue.geolocation && issue.geolocation.lat) {
-            locationHtml += ` <a href="https://maps.google.com/?q=${issue.geolocation.lat},${issue.geolocation.lon}" target="_blank" class="text-blue-600 hover:underline text-xs block">(View Map)</a>`;
-        }
-        // ------------------------------------------
-
-        row.innerHTML = `
-            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-600">${submittedDate}</td>
-            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-600">${issue.category}</td>
-            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-600">${locationHtml}</td>
-            <td class="px-6 py-4 whitespace-nowrap">
-                <span class="${statusClasses}">${issue.status}</span>
-            </td>
-            <td class="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                <button class="view-image-btn text-blue-600 hover:text-blue-800 hover:underline text-sm font-medium" data-src="${issue.imageData}">View</button>
-            </td>
-            <td class="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                ${actionButton}
-            </td>
-        `;
-        tableBody.appendChild(row);
-    });
+    await renderReportsTable();
+    window.addEventListener('outbox-synced', renderReportsTable);
+
+    // --- Report Detail View (status history + comment thread) ---
+    const detailModal = document.getElementById('report-detail-modal');
+    const detailBody = document.getElementById('report-detail-body');
+    const detailCloseBtn = document.getElementById('close-detail-modal-btn');
+
+    async function renderReportDetail(reportId) {
+        const report = (await getReportsByReporter(user.id)).find(r => r.id === reportId);
+        if (!report) return;
+        const resolution = getResolution(report);
+        const ratings = Array.from({ length: RATING_SCALE }, (_, index) => index + 1);
+        setHtml(detailBody, html`
+            <div class="flex items-center gap-x-3">
+                <span class="font-semibold text-gray-800">${formatCategoryName(report.category)}</span>
+                ${renderStatusBadge(report.status)}
+            </div>
+            <p class="text-sm text-gray-600 mt-2"><strong>${t('report.locationLabel')}</strong> ${report.location || t('report.notSpecified')}</p>
+            <p class="text-sm text-gray-700 mt-2">${renderDescription(report)}</p>
+            <div class="mt-2">${renderReportDetails(report)}</div>
+            <div class="mt-3 flex flex-wrap gap-2">
+                ${getReportPhotoIds(report).map((photoId, index) => html`
+                    <img data-image-id="${photoId}" data-photo-id="${photoId}" alt="${t('form.photoAlt', { number: index + 1 })}" class="view-image-btn h-20 w-20 rounded-md bg-gray-100 object-cover cursor-pointer hover:opacity-80">`)}
+            </div>
+            ${resolution ? html`
+                <div class="mt-5 rounded-lg bg-green-50 p-4">
+                    <h4 class="text-sm font-semibold text-green-900">${t('resolution.title')}</h4>
+                    ${resolution.note ? html`<p class="text-sm text-gray-700 mt-1">${resolution.note}</p>` : ''}
+                    <div class="mt-2 flex flex-wrap gap-2">
+                        ${(resolution.photoIds || []).map((photoId, index) => html`
+                            <img data-image-id="${photoId}" data-photo-id="${photoId}" alt="${t('resolution.photoNumber', { number: index + 1 })}" class="view-image-btn h-20 w-20 rounded-md bg-gray-100 object-cover cursor-pointer hover:opacity-80">`)}
+                    </div>
+                    ${needsResolutionFeedback(report, user) ? html`
+                        <form class="feedback-form mt-4 space-y-3" data-id="${report.id}">
+                            <fieldset>
+                                <legend class="text-sm font-medium text-gray-800">${t('feedback.prompt')}</legend>
+                                <div class="mt-2 flex flex-wrap gap-3">
+                                    ${ratings.map(rating => html`
+                                        <label class="flex items-center gap-1 text-sm text-gray-700">
+                                            <input type="radio" name="rating" value="${rating}"> ${renderRating(rating)}
+                                        </label>`)}
+                                </div>
+                            </fieldset>
+                            <textarea name="reason" rows="2" class="w-full px-3 py-2 border border-gray-300 rounded-md text-sm" placeholder="${t('feedback.reasonPlaceholder')}"></textarea>
+                            <div class="flex flex-wrap gap-2">
+                                <button type="button" class="confirm-fix-btn rounded-md bg-green-600 hover:bg-green-500 px-3 py-2 text-sm font-semibold text-white shadow-sm">${t('feedback.confirm')}</button>
+                                <button type="button" class="reopen-btn rounded-md bg-red-600 hover:bg-red-500 px-3 py-2 text-sm font-semibold text-white shadow-sm">${t('myReports.reopen')}</button>
+                            </div>
+                        </form>` : ''}
+                </div>` : ''}
+            ${(report.feedback || []).length > 0 ? html`
+                <h4 class="text-sm font-semibold text-gray-800 mt-5">${t('feedback.yours')}</h4>
+                ${renderFeedbackList(report)}` : ''}
+            <h4 class="text-sm font-semibold text-gray-800 mt-5">${t('myReports.statusHistory')}</h4>
+            ${renderStatusTimeline(report.history)}
+            <h4 class="text-sm font-semibold text-gray-800 mt-5">${t('myReports.comments')}</h4>
+            ${renderCommentThread(report, user)}
+        `);
+        loadImagesIn(detailBody);
+    }
+
+    async function openReportDetail(reportId) {
+        detailBody.dataset.id = reportId;
+        await renderReportDetail(reportId);
+        detailModal.classList.remove('hidden');
+        try {
+            await markCommentsRead(reportId, user);
+            await renderReportsTable(); // Clear the unread badge
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    if (detailModal && detailBody && detailCloseBtn) {
+        const closeDetail = () => detailModal.classList.add('hidden');
+        detailCloseBtn.addEventListener('click', closeDetail);
+        detailModal.addEventListener('click', (e) => {
+            if (e.target === detailModal) closeDetail();
+        });
+        detailBody.addEventListener('submit', async (e) => {
+            if (!e.target.classList.contains('comment-form')) return;
+            e.preventDefault();
+            try {
+                await addComment(e.target.dataset.id, user, e.target.elements.comment.value);
+                await renderReportDetail(e.target.dataset.id);
+            } catch (error) {
+                alert(error.message);
+            }
+        });
+    }
 
     // --- Modal & Action Handlers ---
     const imageModal = document.getElementById('image-modal');
@@ -344,178 +5490,928 @@ function initMyReports() {
     // Guard clause for modal elements
     if (!imageModal || !modalImage || !modalCloseBtn) return;
 
-    const openModal = (imageUrl) => {
-        modalImage.src = imageUrl;
-        imageModal.classList.remove('hidden');
-    };
     const closeModal = () => {
         imageModal.classList.add('hidden');
         modalImage.src = ''; 
     };
+    // The full-size photo is only fetched when someone asks to see it
+    const openModal = async (photoId) => {
+        if (!photoId) return;
+        imageModal.classList.remove('hidden');
+        // getImageUrl() does not reject: a photo that cannot be loaded comes back as null
+        const url = safeUrl(await getImageUrl(photoId));
+        if (url) {
+            modalImage.src = url;
+        } else {
+            closeModal();
+            alert(t('errors.photoUnavailable'));
+        }
+    };
 
     modalCloseBtn.addEventListener('click', closeModal);
     imageModal.addEventListener('click', (e) => {
         if (e.target === imageModal) closeModal();
     });
 
-    tableBody.addEventListener('click', (e) => {
+    tableBody.addEventListener('click', async (e) => {
         if (e.target.classList.contains('view-image-btn')) {
-            openModal(e.target.dataset.src);
+            openModal(e.target.dataset.photoId);
         }
-        if (e.target.classList.contains('reopen-btn')) {
-            const reportId = e.target.dataset.id;
-            updateReportStatus(reportId, 'Pending');
-            initMyReports(); // Re-render the table
+        // "Review fix" opens the details, where the resident confirms or reopens
+        const detailsBtn = e.target.closest('.details-btn, .review-btn');
+        if (detailsBtn && detailModal) {
+            await openReportDetail(detailsBtn.dataset.id);
+        }
+    });
+
+    if (detailBody) {
+        detailBody.addEventListener('click', async (e) => {
+            if (e.target.classList.contains('view-image-btn')) openModal(e.target.dataset.photoId);
+            const feedbackForm = e.target.closest('.feedback-form');
+            const reopening = e.target.classList.contains('reopen-btn');
+            if (!feedbackForm || !(reopening || e.target.classList.contains('confirm-fix-btn'))) return;
+            const checked = feedbackForm.querySelector('[name="rating"]:checked');
+            const reason = feedbackForm.elements.reason.value.trim();
+            if (!checked) {
+                alert(t('feedback.ratingRequired'));
+                return;
+            }
+            if (reopening && !reason) {
+                alert(t('feedback.reasonRequired'));
+                return;
+            }
+            try {
+                if (reopening) await reopenReport(feedbackForm.dataset.id, user, reason, Number(checked.value));
+                else await confirmResolution(feedbackForm.dataset.id, user, Number(checked.value));
+            } catch (error) {
+                alert(error.message);
+            }
+            await renderReportDetail(feedbackForm.dataset.id);
+            await renderReportsTable();
+        });
+    }
+    // Keep the table (and an open report) current as staff work on the reports
+    subscribeToLiveUpdates(async (change) => {
+        const affectsUser = change.full || change.removedIds.length > 0 || change.changed.some(r => r.reporterId === user.id);
+        if (!affectsUser) return;
+        await renderReportsTable();
+        if (detailModal && !detailModal.classList.contains('hidden') && detailBody.dataset.id) {
+            // Keep whatever the resident was typing (a comment, or why a fix did not work)
+            const drafts = ['comment', 'reason'].map((name) => {
+                const field = detailBody.querySelector(`[name="${name}"]`);
+                return [name, field ? field.value : ''];
+            });
+            await renderReportDetail(detailBody.dataset.id);
+            drafts.forEach(([name, text]) => {
+                const field = detailBody.querySelector(`[name="${name}"]`);
+                if (field) field.value = text;
+            });
         }
     });
+
+    // Notifications link here as my_reports.html?report=<id>
+    const linkedReportId = new URLSearchParams(window.location.search).get('report');
+    if (linkedReportId && detailModal && [...tableBody.querySelectorAll('.details-btn')].some(btn => btn.dataset.id === linkedReportId)) {
+        await openReportDetail(linkedReportId);
+    }
 }
 
+// Sidebar filters that are not a status. Department and category names are
+// prefixed, as admins name categories and could pick one of the others.
+const ASSIGNED_TO_ME_FILTER = 'Assigned to me';
+const OVERDUE_FILTER = 'Overdue';
+const DUE_SOON_FILTER = 'Due soon';
+const DEPARTMENT_FILTER_PREFIX = 'Department: ';
+const CATEGORY_FILTER_PREFIX = 'Category: ';
+
 /**
  * Sets up the Authority Dashboard page.
  */
-function initAuthorityDashboard() {
+async function initAuthorityDashboard() {
     // Guard clause: check if we are on the right page
     const complaintListEl = document.getElementById('complaint-list');
     if (!complaintListEl) return;
+    const user = await requireRole(STAFF_ROLES);
+    if (!user) return;
+    initNotificationCenter(user);
+    await loadCategories();
+
+    let allReports = await getReports();
+    // Facets combine; they live in the URL so a view can be bookmarked
+    let filters = readReportFilters(window.location.search);
+    const sortSelectEl = document.getElementById('sort-order');
+    const filterFormEl = document.getElementById('report-filters');
+    const paginationEl = document.getElementById('pagination');
+    // Selected cards, kept across pages and filter changes
+    const selectedReportIds = new Set();
+    let pageReportIds = []; // Reports on the current page of the list
 
-    let allReports = getReports();
-    let currentFilter = 'All Reports';
+    // Per-department views; added before the sidebar links are collected below
+    const departmentFiltersEl = document.getElementById('department-filters');
+    if (departmentFiltersEl) {
+        setHtml(departmentFiltersEl, html`${DEPARTMENTS.map(department => html`
+            <li><a class="sidebar-link" data-filter="${DEPARTMENT_FILTER_PREFIX + department}">${getDepartmentLabel(department)}</a></li>`)}`);
+    }
+    // Per-category views, rebuilt when an admin changes the categories
+    const categoryFiltersEl = document.getElementById('category-filters');
+    function renderCategoryFilters() {
+        if (!categoryFiltersEl) return;
+        setHtml(categoryFiltersEl, html`${getCategories().map(category => html`
+            <li><a class="sidebar-link" data-filter="${CATEGORY_FILTER_PREFIX + category.name}">${formatCategoryName(category.name)}</a></li>`)}`);
+    }
+    renderCategoryFilters();
 
     const statTotalEl = document.getElementById('stat-total');
     const statPendingEl = document.getElementById('stat-pending');
     const statResolvedEl = document.getElementById('stat-resolved');
+    const statDepartmentsEl = document.getElementById('stat-departments');
     const headerTitleEl = document.getElementById('header-title');
     const complaintListTitleEl = document.getElementById('complaint-list-title');
-    const sidebarLinks = document.querySelectorAll('.sidebar-link');
+    let sidebarLinks = document.querySelectorAll('.sidebar-link[data-filter]');
     const menuToggle = document.getElementById('menu-toggle');
     const sidebar = document.querySelector('.sidebar');
+    const currentUserEl = document.getElementById('current-user');
+
+    if (currentUserEl) {
+        currentUserEl.textContent = `${user.name} · ${getRoleLabel(user.role)}`;
+    }
+    // Who an admin can assign reports to
+    let staffMembers = [];
+    async function loadStaffMembers() {
+        staffMembers = (await storage.listUsers()).filter(u => STAFF_ROLES.includes(u.role));
+    }
+    if (user.role === ROLES.ADMIN) {
+        const adminLinksEl = document.getElementById('admin-links');
+        if (adminLinksEl) adminLinksEl.classList.remove('hidden');
+        await loadStaffMembers();
+        initStaffManagement(async () => {
+            await loadStaffMembers();
+            renderAll();
+        });
+        initCategoryManagement(() => {
+            if (categoryFiltersEl) {
+                renderCategoryFilters();
+                categoryFiltersEl.querySelectorAll('.sidebar-link').forEach(link => link.addEventListener('click', handleFilterClick));
+                sidebarLinks = document.querySelectorAll('.sidebar-link[data-filter]');
+            }
+            renderAll();
+        });
+    }
     
     // --- FIX for Empty State ---
     const emptyStateEl = document.getElementById('empty-state');
-    const emptyStateHTML = emptyStateEl ? emptyStateEl.outerHTML : '<div class="text-center text-gray-500 py-10"><p>No reports found.</p></div>';
+    const emptyStateHTML = emptyStateEl ? trustedHtml(emptyStateEl.outerHTML) : html`<div class="text-center text-gray-500 py-10"><p>${t('list.empty')}</p></div>`;
     if (emptyStateEl) {
         emptyStateEl.remove(); // Remove original from list
     }
     // ---------------------------
 
+    // --- Map View ---
+    const listViewEl = document.getElementById('list-view');
+    const mapViewEl = document.getElementById('map-view');
+    const mapSelectionEl = document.getElementById('map-selection');
+    const viewToggleBtns = document.querySelectorAll('.view-toggle-btn');
+    let selectedMapReportIds = [];
+
+    function renderMapSelection() {
+        if (!mapSelectionEl) return;
+        mapSelectionEl.innerHTML = '';
+        allReports
+            .filter(r => selectedMapReportIds.includes(r.id))
+            .forEach(report => mapSelectionEl.appendChild(createComplaintCard(report)));
+    }
+
+    const reportMapView = mapViewEl ? initReportMapView(mapViewEl, {
+        statuses: REPORT_STATUSES,
+        onSelect: (reports) => {
+            selectedMapReportIds = reports.map(r => r.id);
+            renderMapSelection();
+        }
+    }) : null;
+
+    function showView(view) {
+        viewToggleBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.view === view));
+        listViewEl.classList.toggle('hidden', view !== 'list');
+        if (view === 'map') reportMapView.show();
+        else mapViewEl.classList.add('hidden');
+    }
+    if (reportMapView && listViewEl) {
+        viewToggleBtns.forEach(btn => btn.addEventListener('click', () => showView(btn.dataset.view)));
+    }
+
+    /** Re-renders everything that shows report data after allReports changes. */
+    function renderAll() {
+        updateStatistics();
+        renderCategoryOptions();
+        renderAssigneeOptions();
+        renderFilteredViews();
+        renderMapSelection();
+        renderBulkActions();
+        renderAnalytics();
+    }
+
+    /** Re-renders the views that depend on the filters. */
+    function renderFilteredViews() {
+        syncFilterControls();
+        renderComplaintList();
+        if (reportMapView) reportMapView.setReports(filterReports(allReports, filters));
+    }
+
+    // --- Filters ---
+
+    function optionsHtml(options) {
+        return html`${options.map(([value, label]) => html`<option value="${value}">${label}</option>`)}`;
+    }
+
+    if (filterFormEl) {
+        const { status, department } = filterFormEl.elements;
+        setHtml(status, optionsHtml([['', t('filters.anyStatus')], ...REPORT_STATUSES.map(s => [s, getStatusLabel(s)])]));
+        setHtml(department, optionsHtml([['', t('filters.anyDepartment')], ...DEPARTMENTS.map(d => [d, getDepartmentLabel(d)])]));
+    }
+
+    /** Lists the categories reports can be filtered by: those in use plus any removed ones reports still have. */
+    function renderCategoryOptions() {
+        if (!filterFormEl) return;
+        const names = getCategories().map(category => category.name);
+        const removed = [...new Set(allReports.map(r => r.category))].filter(name => !names.includes(name)).sort();
+        setHtml(filterFormEl.elements.category, optionsHtml([
+            ['', t('filters.anyCategory')], ...[...names, ...removed].map(name => [name, formatCategoryName(name)])
+        ]));
+    }
+
+    /** Lists everyone reports can be filtered by: known staff plus current assignees. */
+    function renderAssigneeOptions() {
+        if (!filterFormEl) return;
+        const people = new Map(staffMembers.map(member => [member.id, member.name]));
+        allReports.forEach(r => { if (r.assignedTo) people.set(r.assignedTo.id, r.assignedTo.name); });
+        people.delete(user.id);
+        const others = [...people].sort((a, b) => a[1].localeCompare(b[1]));
+        setHtml(filterFormEl.elements.assignee, optionsHtml([
+            ['', t('filters.anyOfficer')], [user.id, t('filters.assignedToMe')], [UNASSIGNED, t('report.unassigned')], ...others
+        ]));
+    }
+
+    /** Maps a sidebar link's data-filter onto the facets it sets. */
+    function sidebarFilterChanges(name) {
+        if (name === 'All Reports') return Object.fromEntries(REPORT_FILTER_FACETS.map(key => [key, '']));
+        if (name === ASSIGNED_TO_ME_FILTER) return { assignee: user.id };
+        if (name === OVERDUE_FILTER) return { due: 'overdue' };
+        if (name === DUE_SOON_FILTER) return { due: 'due-soon' };
+        if (name.startsWith(DEPARTMENT_FILTER_PREFIX)) return { department: name.slice(DEPARTMENT_FILTER_PREFIX.length) };
+        if (name.startsWith(CATEGORY_FILTER_PREFIX)) return { category: name.slice(CATEGORY_FILTER_PREFIX.length) };
+        return { status: name };
+    }
+
+    /** Names the current view for the header; '' when nothing is filtered. */
+    function describeFilters() {
+        const active = REPORT_FILTER_FACETS.filter(key => filters[key]);
+        if (active.length === 0) return '';
+        if (active.length > 1) return t('filters.filtered');
+        const value = filters[active[0]];
+        switch (active[0]) {
+            case 'q': return t('filters.matching', { query: value });
+            case 'status':
+                if (value === 'Pending') return t('filters.pending');
+                if (value === 'In Progress') return t('filters.inProgress');
+                return getStatusLabel(value);
+            case 'category': return getCategoryLabel(value);
+            case 'department': return t('filters.department', { department: getDepartmentLabel(value) });
+            case 'assignee':
+                if (value === user.id) return t('filters.assignedToMe');
+                return value === UNASSIGNED ? t('report.unassigned') : t('filters.assigned');
+            case 'due': return value === 'overdue' ? t('filters.overdue') : t('filters.dueSoon');
+            case 'from':
+            case 'to': return t('filters.dateRange');
+            default: return value;
+        }
+    }
+
+    /** Makes the form, sort menu, sidebar and titles show the current filters. */
+    function syncFilterControls() {
+        if (filterFormEl) {
+            REPORT_FILTER_FACETS.forEach((key) => {
+                const field = filterFormEl.elements[key];
+                // Leave the search box alone while the officer is typing in it
+                if (field && field !== document.activeElement) field.value = filters[key];
+            });
+        }
+        if (sortSelectEl) sortSelectEl.value = filters.sort;
+        if (currentSection !== 'reports') return; // Analytics has its own title
+        sidebarLinks.forEach((link) => {
+            const changes = sidebarFilterChanges(link.dataset.filter);
+            link.classList.toggle('active', Object.keys(changes).every(key => filters[key] === changes[key]));
+        });
+        const title = describeFilters();
+        headerTitleEl.textContent = title || t('filters.dashboard');
+        complaintListTitleEl.textContent = title ? t('filters.reportsTitle', { title }) : t('filters.allReports');
+    }
+
+    /**
+     * Changes some facets, going back to the first page unless a page is given.
+     * @param {object} changes - Facets to change.
+     * @param {{replace?: boolean}} [options] - replace: update the URL without adding a history entry.
+     */
+    function setFilters(changes, { replace = false } = {}) {
+        filters = { ...filters, page: 1, ...changes };
+        writeUrl(replace);
+        renderFilteredViews();
+    }
+
+    /** Puts the filters and the open section into the URL. */
+    function writeUrl(replace) {
+        const params = new URLSearchParams(writeReportFilters(window.location.search, filters));
+        if (currentSection === 'analytics') params.set('view', 'analytics');
+        else params.delete('view');
+        const query = params.toString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}`;
+        if (replace) window.history.replaceState(null, '', url);
+        else window.history.pushState(null, '', url);
+    }
+
+    // --- Analytics ---
+
+    const dashboardViewEl = document.getElementById('dashboard-view');
+    const analyticsViewEl = document.getElementById('analytics-view');
+    const analyticsLinkEl = document.getElementById('analytics-link');
+    const analyticsPeriodEl = document.getElementById('analytics-period');
+    let currentSection = 'reports'; // or 'analytics'
+
+    function showSection(section) {
+        currentSection = analyticsViewEl ? section : 'reports';
+        if (!analyticsViewEl) return;
+        dashboardViewEl.classList.toggle('hidden', currentSection !== 'reports');
+        analyticsViewEl.classList.toggle('hidden', currentSection !== 'analytics');
+        if (analyticsLinkEl) analyticsLinkEl.classList.toggle('active', currentSection === 'analytics');
+        if (currentSection === 'analytics') {
+            sidebarLinks.forEach(link => link.classList.remove('active'));
+            headerTitleEl.textContent = t('analytics.title');
+            renderAnalytics();
+        } else {
+            syncFilterControls();
+        }
+    }
+
+    function renderAnalytics() {
+        if (!analyticsViewEl || currentSection !== 'analytics') return;
+        const period = analyticsPeriodEl.value;
+        const periods = period === 'week' ? 12 : 30;
+        const now = clock();
+        const formatStart = start => new Date(`${start}T00:00:00Z`).toLocaleDateString(getLocale(), { day: 'numeric', month: 'short', timeZone: 'UTC' });
+
+        const filed = countReportsByPeriod(allReports, period, periods, now);
+        const backlog = computeBacklogOverTime(allReports, period, periods, now);
+        setHtml(document.getElementById('chart-reports'), renderBarChart(filed.map(p => ({ label: formatStart(p.start), value: p.count }))));
+        setHtml(document.getElementById('chart-backlog'), renderLineChart(backlog.map(p => ({ label: formatStart(p.start), value: p.open }))));
+        analyticsViewEl.querySelectorAll('.chart-range').forEach((el) => {
+            setHtml(el, html`<span>${formatStart(filed[0].start)}</span><span>${period === 'week' ? t('analytics.thisWeek') : t('analytics.today')}</span>`);
+        });
+
+        const times = Object.entries(computeResolutionTimes(allReports)).sort((a, b) => a[0].localeCompare(b[0]));
+        setHtml(document.getElementById('analytics-resolution'), times.length === 0
+            ? html`<tr><td colspan="4" class="py-2 text-sm text-gray-500">${t('analytics.noneResolved')}</td></tr>`
+            : html`${times.map(([category, time]) => html`
+                <tr>
+                    <td class="py-2 pr-4 text-sm text-gray-800">${getCategoryLabel(category)}</td>
+                    <td class="py-2 pr-4 text-sm text-gray-600">${time.resolved}</td>
+                    <td class="py-2 pr-4 text-sm text-gray-600">${formatHours(time.medianHours)}</td>
+                    <td class="py-2 text-sm text-gray-600">${formatHours(time.p90Hours)}</td>
+                </tr>`)}`);
+
+        const reopen = computeReopenRate(allReports);
+        document.getElementById('analytics-reopen-rate').textContent = `${Math.round(reopen.rate * 100)}%`;
+        document.getElementById('analytics-reopen-detail').textContent = tPlural('analytics.reopened', reopen.resolved, { reopened: reopen.reopened });
+        const rating = computeAverageRating(allReports);
+        document.getElementById('analytics-rating').textContent = rating.count === 0
+            ? t('analytics.noRatings')
+            : tPlural('analytics.rating', rating.count, { average: rating.average.toLocaleString(getLocale(), { maximumFractionDigits: 1 }), scale: RATING_SCALE });
+
+        const hotspots = findHotspots(allReports);
+        setHtml(document.getElementById('analytics-hotspots'), hotspots.length === 0
+            ? html`<li class="list-none text-gray-500">${t('analytics.noLocations')}</li>`
+            : html`${hotspots.map(h => html`<li>${h.location} <span class="text-gray-500">&middot; ${tPlural('analytics.hotspot', h.total, { open: h.open })}</span></li>`)}`);
+    }
+
+    if (analyticsLinkEl && analyticsViewEl) {
+        analyticsLinkEl.addEventListener('click', (e) => {
+            e.preventDefault();
+            showSection('analytics');
+            writeUrl(false);
+            if (window.innerWidth < 768 && sidebar) sidebar.classList.remove('open');
+        });
+        analyticsPeriodEl.addEventListener('change', renderAnalytics);
+    }
+
     function updateStatistics() {
+        const quarantineNoticeEl = document.getElementById('quarantine-notice');
+        const quarantinedCount = getQuarantinedRecords().length;
+        if (quarantineNoticeEl && user.role === ROLES.ADMIN && quarantinedCount > 0) {
+            quarantineNoticeEl.textContent = tPlural('stats.quarantined', quarantinedCount, { key: QUARANTINE_KEY });
+            quarantineNoticeEl.classList.remove('hidden');
+        }
         statTotalEl.textContent = allReports.length;
         statPendingEl.textContent = allReports.filter(r => r.status === 'Pending').length;
         statResolvedEl.textContent = allReports.filter(r => r.status === 'Resolved').length;
+
+        if (statDepartmentsEl) {
+            const counts = countReportsByDepartment(allReports);
+            setHtml(statDepartmentsEl, html`${Object.entries(counts).map(([department, count]) => html`
+                <tr>
+                    <td class="py-2 pr-4 text-sm text-gray-800">${getDepartmentLabel(department)}</td>
+                    <td class="py-2 px-4 text-sm text-gray-600 text-right">${count.total}</td>
+                    <td class="py-2 px-4 text-sm text-gray-600 text-right">${count.open}</td>
+                    <td class="py-2 pl-4 text-sm text-gray-600 text-right">${count.resolved}</td>
+                </tr>`)}`);
+        }
     }
 
     function renderComplaintList() {
         complaintListEl.innerHTML = ''; // Clear list
         
-        let filteredReports = [];
-        if (currentFilter === 'All Reports') {
-            filteredReports = allReports;
-        } else if (['Pending', 'In Progress', 'Resolved'].includes(currentFilter)) {
-            filteredReports = allReports.filter(r => r.status === currentFilter);
-        } else {
-            // Category filter
-            filteredReports = allReports.filter(r => r.category === currentFilter);
-        }
-
-        // Sort by date, newest first
-        filteredReports.sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
+        const now = clock();
+        const filteredReports = sortReports(filterReports(allReports, filters, now), filters.sort, now);
+        const page = paginate(filteredReports, filters.page, REPORTS_PAGE_SIZE);
+        pageReportIds = page.items.map(r => r.id);
+        renderPagination(page);
+        renderBulkActions();
 
         if (filteredReports.length === 0) {
-            complaintListEl.innerHTML = emptyStateHTML; // <-- FIX: Use cached HTML
+            setHtml(complaintListEl, emptyStateHTML); // <-- FIX: Use cached HTML
             return;
         }
 
-        filteredReports.forEach(report => {
+        page.items.forEach(report => {
             const card = createComplaintCard(report);
             complaintListEl.appendChild(card);
         });
     }
 
+    /**
+     * Brings the list up to date after a live change without rebuilding it:
+     * cards of unchanged reports are kept (open threads, typed notes and
+     * all), changed reports get a new card, and cards move to match the sort.
+     * @param {Set<string>} changedIds - Reports that were added, changed or removed.
+     */
+    function patchComplaintList(changedIds) {
+        const now = clock();
+        const filteredReports = sortReports(filterReports(allReports, filters, now), filters.sort, now);
+        const page = paginate(filteredReports, filters.page, REPORTS_PAGE_SIZE);
+        pageReportIds = page.items.map(r => r.id);
+        renderPagination(page);
+
+        if (filteredReports.length === 0) {
+            setHtml(complaintListEl, emptyStateHTML);
+            return;
+        }
+        const cards = new Map([...complaintListEl.querySelectorAll(':scope > .complaint-card')].map(card => [card.dataset.id, card]));
+        if (cards.size === 0) complaintListEl.innerHTML = ''; // Drop the empty state
+
+        page.items.forEach((report, index) => {
+            let card = cards.get(report.id);
+            if (!card || changedIds.has(report.id)) {
+                const newCard = createComplaintCard(report);
+                if (card) keepCardState(card, newCard);
+                newCard.classList.add('live-updated');
+                card = newCard;
+            }
+            const current = complaintListEl.children[index];
+            if (current !== card) complaintListEl.insertBefore(card, current || null);
+        });
+        // Everything after the page's cards was replaced or has left the page
+        while (complaintListEl.children.length > page.items.length) complaintListEl.lastElementChild.remove();
+    }
+
+    /** Carries what the officer was doing on a card over to its replacement. */
+    function keepCardState(oldCard, newCard) {
+        const newDetails = newCard.querySelectorAll('details');
+        oldCard.querySelectorAll('details').forEach((details, index) => {
+            if (newDetails[index]) newDetails[index].open = details.open;
+        });
+        ['.status-note', '.assign-officer', '.merge-target', '[name="comment"]'].forEach((selector) => {
+            const oldInput = oldCard.querySelector(selector);
+            const newInput = newCard.querySelector(selector);
+            if (oldInput && newInput && oldInput.value) newInput.value = oldInput.value;
+        });
+    }
+
+    function renderPagination(page) {
+        if (!paginationEl) return;
+        paginationEl.classList.toggle('hidden', page.total === 0);
+        if (page.total === 0) {
+            paginationEl.innerHTML = '';
+            return;
+        }
+        const buttonClass = 'page-btn rounded-md border border-gray-300 px-3 py-1 font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed';
+        const number = value => value.toLocaleString(getLocale());
+        setHtml(paginationEl, html`
+            <span>${t('pagination.showing', { start: number(page.start + 1), end: number(page.start + page.items.length), total: number(page.total) })}</span>
+            <div class="flex items-center gap-2">
+                <button type="button" class="${buttonClass}" data-page="${page.page - 1}" ${page.page === 1 ? 'disabled' : ''}>${t('pagination.previous')}</button>
+                <span>${t('pagination.page', { page: number(page.page), count: number(page.pageCount) })}</span>
+                <button type="button" class="${buttonClass}" data-page="${page.page + 1}" ${page.page === page.pageCount ? 'disabled' : ''}>${t('pagination.next')}</button>
+            </div>
+        `);
+    }
+
     function createComplaintCard(report) {
-        const card = document.createElement('div');
-        card.className = 'p-6 border-b border-gray-200 last:border-b-0';
-        
-        const formattedDate = new Date(report.submittedAt).toLocaleString('en-IN');
-        const statusClasses = `px-3 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${getStatusClass(report.status)}`;
+        const transitions = getAllowedTransitions(report.status);
+        const supporters = countSupporters(report);
+        const sla = getSlaState(report);
+        let slaBadge = '';
+        if (sla.overdue) {
+            slaBadge = html`<span class="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-red-100 text-red-800" title="${t('sla.due', { date: formatDateTime(sla.dueAt) })}">${t('sla.late', { label: sla.escalationLabel, duration: formatHours(sla.hoursLeft) })}</span>`;
+        } else if (sla.open) {
+            const className = sla.dueSoon ? 'bg-orange-100 text-orange-800' : 'bg-gray-100 text-gray-700';
+            slaBadge = html`<span class="px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${className}" title="${t('sla.due', { date: formatDateTime(sla.dueAt) })}">${t('sla.dueIn', { duration: formatHours(sla.hoursLeft) })}</span>`;
+        }
+        const mergeTargets = transitions.includes('Duplicate') ? getMergeTargets(report) : [];
+        const latestFeedback = (report.feedback || [])[(report.feedback || []).length - 1];
 
-        card.innerHTML = `
+        const card = createReportElement('div', 'complaint-card p-6 border-b border-gray-200 last:border-b-0', report, html`
             <div class="flex flex-col sm:flex-row sm:items-center sm:justify-between">
-                <div class="flex items-center gap-x-3">
-                    <span class="font-semibold text-gray-800">${report.category}</span>
-                    <span class="${statusClasses}">${report.status}</span>
+                <div class="flex flex-wrap items-center gap-x-3 gap-y-1">
+                    <input type="checkbox" class="select-report h-4 w-4 rounded border-gray-300" data-id="${report.id}" aria-label="${t('report.select')}" ${selectedReportIds.has(report.id) ? 'checked' : ''}>
+                    <span class="font-semibold text-gray-800">${formatCategoryName(report.category)}</span>
+                    ${renderStatusBadge(report.status)}
+                    <span class="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-amber-100 text-amber-800" title="${t('report.supportersHint')}">
+                        ${tPlural('report.supporters', supporters)}
+                    </span>
+                    <span class="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-sky-100 text-sky-800">${getDepartmentLabel(getReportDepartment(report))}</span>
+                    ${slaBadge}
+                    ${latestFeedback ? html`<span class="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-gray-100 text-gray-700" title="${t('feedback.latest')}">${renderRating(latestFeedback.rating)}</span>` : ''}
+                    ${sla.open ? html`<span class="text-xs font-medium text-gray-500" title="${t('report.priorityHint')}">${t('report.priority', { score: computePriorityScore(report).toLocaleString(getLocale()) })}</span>` : ''}
                 </div>
                 <div class="text-sm text-gray-500 mt-2 sm:mt-0">
-                    Reported on: ${formattedDate}
+                    ${t('report.reportedOn', { date: formatDateTime(report.submittedAt) })}
                 </div>
             </div>
             
-            <p class="mt-4 text-gray-700">${report.description || 'No description provided.'}</p>
+            <p class="mt-4 text-gray-700">${renderDescription(report)}</p>
+            <div class="mt-2">${renderReportDetails(report)}</div>
+            ${report.mergedInto ? html`<p class="mt-2 text-sm text-purple-700">${t('report.mergedInto', { id: report.mergedInto })}</p>` : ''}
+            ${(report.mergedReports || []).length > 0 ? html`<p class="mt-2 text-sm text-gray-600">${tPlural('report.mergedReports', report.mergedReports.length)}</p>` : ''}
+            ${latestFeedback ? html`
+                <div class="mt-3 rounded-lg bg-gray-50 p-3">
+                    <p class="text-xs font-semibold uppercase tracking-wide text-gray-500">${t('feedback.title')}</p>
+                    ${renderFeedbackList(report)}
+                </div>` : ''}
             
-            <a href="${report.imageData}" target="_blank" rel="noopener noreferrer">
-                <img src="${report.imageData}" alt="Evidence" class="mt-4 rounded-lg shadow-md max-w-xs cursor-pointer hover:opacity-80 transition-opacity">
-            </a>
+            <div class="mt-4 flex flex-wrap gap-2">
+                ${getReportPhotoIds(report).map((photoId, index) => html`
+                    <a data-image-id="${photoId}" target="_blank" rel="noopener noreferrer">
+                        <img data-image-id="${photoId}" alt="${t('report.evidenceNumber', { number: index + 1 })}" class="h-40 min-w-[6rem] rounded-lg bg-gray-100 shadow-md cursor-pointer hover:opacity-80 transition-opacity">
+                    </a>`)}
+            </div>
             
             <div class="mt-4 flex flex-col sm:flex-row sm:items-center sm:justify-between">
                 <div class="text-sm text-gray-600">
-                    <p><strong>Location:</strong> ${report.location || 'Not specified'}</p>
-                    
-                    ${report.geolocation && report.geolocation.lat ? `
-                        <a href="https://maps.google.com/?q=${report.geolocation.lat},${report.geolocation.lon}" target="_blank" rel="noopener noreferrer" class="text-blue-600 hover:underline text-sm font-medium mt-1 inline-block">
-                            View on Map
-                        </a>`
+                    <p><strong>${t('report.locationLabel')}</strong> ${report.location || t('report.notSpecified')}</p>
+                    <p><strong>${t('report.assignedToLabel')}</strong> ${report.assignedTo ? report.assignedTo.name : t('report.unassigned')}</p>
+                    ${user.role === ROLES.ADMIN ? html`
+                        <div class="mt-2 flex gap-2">
+                            <select class="assign-officer px-2 py-1.5 border border-gray-300 rounded-md text-sm" aria-label="${t('report.assignTo')}">
+                                <option value="">${t('report.unassigned')}</option>
+                                ${staffMembers.map(member => html`
+                                    <option value="${member.id}" ${report.assignedTo && report.assignedTo.id === member.id ? 'selected' : ''}>${member.name} (${getRoleLabel(member.role)})</option>`)}
+                            </select>
+                            <button data-id="${report.id}" class="assign-btn rounded-md bg-sky-600 hover:bg-sky-500 px-3 py-1.5 text-sm font-semibold text-white shadow-sm">${t('report.assign')}</button>
+                        </div>`
                     : ''}
+                    
+                    ${renderMapLink(report, t('report.viewOnMap'), 'text-blue-600 hover:underline text-sm font-medium mt-1 inline-block')}
                     </div>
                 
-                <div class="flex-shrink-0 space-x-2 mt-4 sm:mt-0">
-                    ${report.status === 'Pending' ? `
-                        <button data-id="${report.id}" data-status="In Progress" class="status-btn rounded-md bg-emerald-600 px-3 py-2 text-sm font-semibold text-white shadow-sm hover:bg-emerald-500">
-                            Mark In Progress
-                        </button>` 
+                <div class="flex-shrink-0 mt-4 sm:mt-0 sm:max-w-md">
+                    ${transitions.length > 0 ? html`
+                        <input type="text" class="status-note w-full mb-2 px-3 py-1.5 border border-gray-300 rounded-md text-sm" placeholder="${t('report.statusNote')}">
+                        ${transitions.includes('Resolved') ? html`
+                            <label class="block mb-2 text-xs text-gray-600">${t('resolution.photosLabel')}
+                                <input type="file" class="resolution-photos mt-1 block w-full text-sm" accept="image/*" multiple>
+                            </label>` : ''}
+                        <div class="flex flex-wrap gap-2 sm:justify-end">
+                            ${transitions.map(status => html`
+                                <button data-id="${report.id}" data-status="${status}" class="status-btn rounded-md ${STATUS_ACTIONS[status].className} px-3 py-2 text-sm font-semibold text-white shadow-sm">
+                                    ${t(`statusAction.${status}`)}
+                                </button>`)}
+                        </div>`
                     : ''}
-                    ${report.status === 'In Progress' || report.status === 'Pending' ? `
-                        <button data-id="${report.id}" data-status="Resolved" class="status-btn rounded-md bg-green-600 px-3 py-2 text-sm font-semibold text-white shadow-sm hover:bg-green-500">
-                            Mark Resolved
-                        </button>` 
+                    ${mergeTargets.length > 0 ? html`
+                        <div class="mt-2 flex gap-2 sm:justify-end">
+                            <select class="merge-target min-w-0 flex-1 px-2 py-1.5 border border-gray-300 rounded-md text-sm" aria-label="${t('report.mergeTarget')}">
+                                ${mergeTargets.map(target => html`
+                                    <option value="${target.id}">${target.location || t('report.noLocation')} (${getStatusLabel(target.status)}, ${formatDate(target.submittedAt)})</option>`)}
+                            </select>
+                            <button data-id="${report.id}" class="merge-btn flex-shrink-0 rounded-md bg-purple-600 hover:bg-purple-500 px-3 py-2 text-sm font-semibold text-white shadow-sm">
+                                ${t('report.mergeInto')}
+                            </button>
+                        </div>`
                     : ''}
                 </div>
             </div>
-        `;
+
+            <details class="mt-4">
+                <summary class="text-sm font-medium text-gray-700 cursor-pointer">${t('report.statusHistory', { count: (report.history || []).length })}</summary>
+                ${renderStatusTimeline(report.history)}
+            </details>
+
+            <details class="comments-details mt-2">
+                <summary class="text-sm font-medium text-gray-700 cursor-pointer">${t('report.comments', { count: (report.comments || []).length })}${renderUnreadBadge(countUnreadComments(report, user))}</summary>
+                ${renderCommentThread(report, user)}
+            </details>
+        `);
+
+        // Opening the thread marks it as read
+        const commentsDetails = card.querySelector('.comments-details');
+        commentsDetails.addEventListener('toggle', async () => {
+            if (!commentsDetails.open || countUnreadComments(report, user) === 0) return;
+            try {
+                await markCommentsRead(report.id, user);
+            } catch (error) {
+                alert(error.message);
+                return;
+            }
+            const badge = commentsDetails.querySelector('.unread-badge');
+            if (badge) badge.remove();
+        });
         return card;
     }
 
+    /**
+     * Lists the open reports of the same category a report could be merged
+     * into, likely duplicates first.
+     */
+    function getMergeTargets(report) {
+        const candidates = allReports.filter(r => r.id !== report.id && r.category === report.category && OPEN_STATUSES.includes(r.status));
+        const likely = findPossibleDuplicates(candidates, report).map(match => match.report);
+        return [...likely, ...candidates.filter(r => !likely.includes(r))];
+    }
+
+    // --- Export and Import ---
+
+    const exportBtnEl = document.getElementById('export-btn');
+    const importFileEl = document.getElementById('import-file');
+    const transferResultEl = document.getElementById('transfer-result');
+
+    /** Shows how an export or import went; content is text or markup from html`...`. */
+    function showTransferResult(className, content) {
+        transferResultEl.className = `mt-4 p-3 rounded-lg text-sm ${className}`;
+        setHtml(transferResultEl, html`${content}`);
+    }
+
+    /** Exports every report matching the current filters, on all pages. */
+    async function exportFilteredReports(format) {
+        const reports = sortReports(filterReports(allReports, filters), filters.sort);
+        const stamp = new Date().toISOString().slice(0, 10);
+        if (format === 'photos') {
+            const { zip, count } = await exportReportPhotos(reports);
+            if (count === 0) {
+                showTransferResult('bg-yellow-100 text-yellow-800', t('transfer.noPhotos'));
+                return;
+            }
+            downloadFile(`report-photos-${stamp}.zip`, zip);
+            showTransferResult('bg-green-100 text-green-800', tPlural('transfer.exportedPhotos', count));
+            return;
+        }
+        if (format === 'geojson') {
+            const located = reports.filter(r => r.geolocation && Number.isFinite(r.geolocation.lat)).length;
+            downloadFile(`reports-${stamp}.geojson`, reportsToGeoJson(reports), 'application/geo+json');
+            showTransferResult('bg-green-100 text-green-800', t('transfer.exportedGeoJson', { located, total: reports.length }));
+            return;
+        }
+        if (format === 'json') downloadFile(`reports-${stamp}.json`, reportsToJson(reports), 'application/json');
+        else downloadFile(`reports-${stamp}.csv`, reportsToCsv(reports), 'text/csv');
+        showTransferResult('bg-green-100 text-green-800', tPlural('transfer.exported', reports.length));
+    }
+
+    if (exportBtnEl) {
+        exportBtnEl.addEventListener('click', async () => {
+            try {
+                await exportFilteredReports(document.getElementById('export-format').value);
+            } catch (error) {
+                showTransferResult('bg-red-100 text-red-800', error.message);
+            }
+        });
+    }
+
+    if (importFileEl) {
+        document.getElementById('import-controls').classList.toggle('hidden', user.role !== ROLES.ADMIN);
+        importFileEl.addEventListener('change', async () => {
+            const file = importFileEl.files[0];
+            if (!file) return;
+            importFileEl.value = ''; // Let the same file be picked again
+            let result;
+            try {
+                result = await importReports(parseImportFile(file.name, await file.text()), user);
+            } catch (error) {
+                showTransferResult('bg-red-100 text-red-800', t('transfer.importFailed', { error: error.message }));
+                return;
+            }
+            const { imported, skipped, errors } = result;
+            const problems = [
+                ...errors.map(e => t('transfer.invalidRow', { row: e.row, problems: e.messages.join(' ') })),
+                ...skipped.map(s => t('transfer.skippedRow', { row: s.row, id: s.id }))
+            ];
+            showTransferResult(problems.length > 0 ? 'bg-yellow-100 text-yellow-800' : 'bg-green-100 text-green-800', html`
+                <p>${tPlural('transfer.imported', imported.length)}${problems.length > 0 && ` ${t('transfer.importProblems', { invalid: errors.length, skipped: skipped.length })}`}</p>
+                ${problems.length > 0 && html`<ul class="mt-1 list-disc pl-5 max-h-40 overflow-y-auto">${problems.map(p => html`<li>${p}</li>`)}</ul>`}
+            `);
+            try {
+                allReports = await getReports();
+                renderAll();
+            } catch (error) {
+                alert(error.message);
+            }
+        });
+    }
+
+    // --- Bulk Actions ---
+
+    const bulkActionsEl = document.getElementById('bulk-actions');
+    const bulkResultEl = document.getElementById('bulk-result');
+    const selectPageEl = document.getElementById('select-page');
+
+    if (bulkActionsEl) {
+        // Resolving needs an "after" photo per report, so it is done card by card
+        setHtml(document.getElementById('bulk-status'), html`${REPORT_STATUSES.filter(status => status !== 'Resolved')
+            .map(status => html`<option value="${status}">${t(`statusAction.${status}`)}</option>`)}`);
+        document.getElementById('bulk-assign').classList.toggle('hidden', user.role !== ROLES.ADMIN);
+    }
+
+    /** Shows the selection count and toolbar, and syncs every checkbox with the selection. */
+    function renderBulkActions() {
+        if (!bulkActionsEl) return;
+        // Forget reports that no longer exist
+        selectedReportIds.forEach((id) => {
+            if (!allReports.some(r => r.id === id)) selectedReportIds.delete(id);
+        });
+        bulkActionsEl.classList.toggle('hidden', selectedReportIds.size === 0);
+        document.getElementById('bulk-count').textContent = t('bulk.selected', { count: selectedReportIds.size });
+        setHtml(document.getElementById('bulk-assignee'), optionsHtml([
+            ['', t('report.unassigned')], ...staffMembers.map(member => [member.id, `${member.name} (${getRoleLabel(member.role)})`])
+        ]));
+        reportsAreaEl.querySelectorAll('.select-report').forEach((box) => {
+            box.checked = selectedReportIds.has(box.dataset.id);
+        });
+        if (selectPageEl) {
+            const selectedOnPage = pageReportIds.filter(id => selectedReportIds.has(id)).length;
+            selectPageEl.checked = pageReportIds.length > 0 && selectedOnPage === pageReportIds.length;
+            selectPageEl.indeterminate = selectedOnPage > 0 && selectedOnPage < pageReportIds.length;
+        }
+    }
+
+    /**
+     * Reports how a batch went, naming each report that could not be changed.
+     * @param {string} key - The plural message saying what was done, e.g. 'bulk.updated'.
+     * @param {{updated: Array, failed: Array<{id: string, error: string}>}} result - From a bulk data function.
+     */
+    function showBulkResult(key, { updated, failed }) {
+        const describe = (id) => {
+            const report = allReports.find(r => r.id === id);
+            return report ? t('bulk.reportAt', { category: getCategoryLabel(report.category), location: report.location || t('report.noLocation') }) : id;
+        };
+        bulkResultEl.className = `mt-4 p-3 rounded-lg text-sm ${failed.length > 0 ? 'bg-yellow-100 text-yellow-800' : 'bg-green-100 text-green-800'}`;
+        setHtml(bulkResultEl, html`
+            <p>${tPlural(key, updated.length)}${failed.length > 0 && ` ${t('bulk.failed', { count: failed.length })}`}</p>
+            ${failed.length > 0 && html`<ul class="mt-1 list-disc pl-5">${failed.map(f => html`<li>${describe(f.id)}: ${f.error}</li>`)}</ul>`}
+        `);
+    }
+
+    /** Runs a bulk change on the selection, keeping the reports that failed selected. */
+    async function runBulkAction(key, apply) {
+        let result;
+        try {
+            result = await apply([...selectedReportIds]);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        selectedReportIds.clear();
+        result.failed.forEach(f => selectedReportIds.add(f.id));
+        showBulkResult(key, result);
+        try {
+            allReports = await getReports();
+            renderAll();
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    if (bulkActionsEl) {
+        document.getElementById('bulk-status-btn').addEventListener('click', () => {
+            const newStatus = document.getElementById('bulk-status').value;
+            const noteInput = document.getElementById('bulk-note');
+            runBulkAction('bulk.updated', ids => bulkUpdateReportStatus(ids, newStatus, user, noteInput.value))
+                .then(() => { noteInput.value = ''; });
+        });
+        document.getElementById('bulk-assign-btn').addEventListener('click', () => {
+            const assigneeId = document.getElementById('bulk-assignee').value;
+            const assignee = staffMembers.find(member => member.id === assigneeId) || null;
+            runBulkAction(assignee ? 'bulk.assigned' : 'bulk.unassigned', ids => bulkAssignReports(ids, assignee, user));
+        });
+        document.getElementById('bulk-export-btn').addEventListener('click', () => {
+            const selected = allReports.filter(r => selectedReportIds.has(r.id));
+            downloadFile(`reports-${new Date().toISOString().slice(0, 10)}.csv`, reportsToCsv(selected), 'text/csv');
+        });
+        document.getElementById('bulk-clear-btn').addEventListener('click', () => {
+            selectedReportIds.clear();
+            renderBulkActions();
+        });
+    }
+    if (selectPageEl) {
+        selectPageEl.addEventListener('change', () => {
+            pageReportIds.forEach(id => (selectPageEl.checked ? selectedReportIds.add(id) : selectedReportIds.delete(id)));
+            renderBulkActions();
+        });
+    }
+
     // --- Event Handlers ---
 
+    // Sidebar links set one facet and keep the others, so they can be combined
     function handleFilterClick(e) {
         e.preventDefault();
-        currentFilter = e.currentTarget.dataset.filter;
-        
-        let title = currentFilter;
-        if (currentFilter === 'All Reports') title = 'Dashboard';
-        else if (currentFilter === 'Pending') title = 'No Progress (Pending)';
-        else if (currentFilter === 'In Progress') title = 'Active (In Progress)';
-        
-        headerTitleEl.textContent = title;
-        complaintListTitleEl.textContent = `${title} Reports`;
-        
-        sidebarLinks.forEach(link => link.classList.remove('active'));
-        e.currentTarget.classList.add('active');
-        
-        renderComplaintList();
+        showSection('reports');
+        setFilters(sidebarFilterChanges(e.currentTarget.dataset.filter));
         
         if (window.innerWidth < 768 && sidebar) { // Added check for sidebar
             sidebar.classList.remove('open');
         }
     }
 
-    complaintListEl.addEventListener('click', (e) => {
+    // Cards appear in both the list and the map selection, so listen on <main>
+    const reportsAreaEl = complaintListEl.closest('main') || complaintListEl;
+
+    reportsAreaEl.addEventListener('click', async (e) => {
         if (e.target.classList.contains('status-btn')) {
             const reportId = e.target.dataset.id;
             const newStatus = e.target.dataset.status;
-            updateReportStatus(reportId, newStatus);
-            // Re-fetch and re-render
-            allReports = getReports();
-            updateStatistics();
-            renderComplaintList();
+            const card = e.target.closest('.complaint-card');
+            const note = card.querySelector('.status-note') ? card.querySelector('.status-note').value : '';
+            try {
+                if (newStatus === 'Resolved') {
+                    // Resolving needs proof of the fix
+                    const files = [...card.querySelector('.resolution-photos').files].slice(0, PHOTO_CONFIG.maxPhotos);
+                    if (!note.trim() || files.length === 0) {
+                        alert(t('resolution.proofRequired'));
+                        return;
+                    }
+                    e.target.disabled = true;
+                    const photos = [];
+                    for (const file of files) photos.push(await processPhoto(file));
+                    await resolveReport(reportId, user, note, photos);
+                } else {
+                    await updateReportStatus(reportId, newStatus, user, note);
+                }
+                // Re-fetch and re-render
+                allReports = await getReports();
+                renderAll();
+            } catch (error) {
+                e.target.disabled = false;
+                alert(error.message);
+            }
+        }
+        if (e.target.classList.contains('assign-btn')) {
+            const assigneeId = e.target.closest('.complaint-card').querySelector('.assign-officer').value;
+            const assignee = staffMembers.find(member => member.id === assigneeId) || null;
+            try {
+                await assignReport(e.target.dataset.id, assignee, user);
+                allReports = await getReports();
+                renderAll();
+            } catch (error) {
+                alert(error.message);
+            }
+        }
+        if (e.target.classList.contains('merge-btn')) {
+            const card = e.target.closest('.complaint-card');
+            const primaryId = card.querySelector('.merge-target').value;
+            const noteInput = card.querySelector('.status-note');
+            try {
+                await mergeReports(e.target.dataset.id, primaryId, user, noteInput ? noteInput.value : '');
+                allReports = await getReports();
+                renderAll();
+            } catch (error) {
+                alert(error.message);
+            }
+        }
+    });
+
+    reportsAreaEl.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('select-report')) return;
+        if (e.target.checked) selectedReportIds.add(e.target.dataset.id);
+        else selectedReportIds.delete(e.target.dataset.id);
+        renderBulkActions();
+    });
+
+    reportsAreaEl.addEventListener('submit', async (e) => {
+        if (!e.target.classList.contains('comment-form')) return;
+        e.preventDefault();
+        try {
+            const updated = await addComment(e.target.dataset.id, user, e.target.elements.comment.value);
+            allReports = allReports.map(r => r.id === updated.id ? updated : r);
+            // Swap in just this card, keeping its thread open
+            const newCard = createComplaintCard(updated);
+            newCard.querySelector('.comments-details').open = true;
+            e.target.closest('.complaint-card').replaceWith(newCard);
+        } catch (error) {
+            alert(error.message);
         }
     });
 
@@ -523,21 +6419,78 @@ function initAuthorityDashboard() {
         menuToggle.addEventListener('click', () => sidebar.classList.toggle('open'));
     }
     sidebarLinks.forEach(link => link.addEventListener('click', handleFilterClick));
+    if (sortSelectEl) {
+        sortSelectEl.addEventListener('change', () => setFilters({ sort: sortSelectEl.value }));
+    }
+    if (filterFormEl) {
+        let searchTimer = null;
+        filterFormEl.addEventListener('input', (e) => {
+            if (e.target.name !== 'q') return;
+            // Wait for a pause in typing; no history entry per keystroke
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => setFilters({ q: e.target.value.trim() }, { replace: true }), 250);
+        });
+        filterFormEl.addEventListener('change', (e) => {
+            if (e.target.name === 'q' || !REPORT_FILTER_FACETS.includes(e.target.name)) return;
+            setFilters({ [e.target.name]: e.target.value });
+        });
+        filterFormEl.addEventListener('submit', e => e.preventDefault());
+        filterFormEl.addEventListener('reset', (e) => {
+            e.preventDefault();
+            clearTimeout(searchTimer);
+            filterFormEl.elements.q.value = '';
+            setFilters(sidebarFilterChanges('All Reports'));
+        });
+    }
+    if (paginationEl) {
+        paginationEl.addEventListener('click', (e) => {
+            const button = e.target.closest('.page-btn');
+            if (!button || button.disabled) return;
+            setFilters({ page: Number(button.dataset.page) });
+            complaintListEl.scrollTop = 0;
+        });
+    }
+    window.addEventListener('popstate', () => {
+        filters = readReportFilters(window.location.search);
+        renderFilteredViews();
+        showSection(new URLSearchParams(window.location.search).get('view') === 'analytics' ? 'analytics' : 'reports');
+    });
+
+    // --- Live Updates ---
+    // Reports changed in other tabs or on other devices are patched in
+    subscribeToLiveUpdates((change) => {
+        const { reports, changedIds } = applyReportChanges(allReports, change);
+        if (changedIds.size === 0) return;
+        allReports = reports;
+        updateStatistics();
+        renderCategoryOptions();
+        renderAssigneeOptions();
+        syncFilterControls();
+        patchComplaintList(changedIds);
+        if (reportMapView) reportMapView.setReports(filterReports(allReports, filters));
+        if (selectedMapReportIds.some(id => changedIds.has(id))) renderMapSelection();
+        renderBulkActions();
+        if (currentSection === 'analytics') renderAnalytics();
+    });
 
     // --- Initial Load ---
-    updateStatistics();
-    renderComplaintList();
+    renderAll();
+    if (new URLSearchParams(window.location.search).get('view') === 'analytics') showSection('analytics');
 }
 
 /**
  * Sets up the "Explore Issues" page.
  */
-function initExplore() {
+async function initExplore() {
     // Guard clause: check if we are on the right page
     const pendingList = document.getElementById('pending-list');
     if (!pendingList) return;
+    const user = await requireRole(ALL_ROLES);
+    if (!user) return;
+    initNotificationCenter(user);
+    await loadCategories();
 
-    const reports = getReports();
+    let reports = await getReports();
 
     // Get list containers
     const inProgressList = document.getElementById('in-progress-list');
@@ -554,58 +6507,105 @@ function initExplore() {
         return;
     }
 
-    // Filter reports
-    const pendingReports = reports.filter(r => r.status === 'Pending').sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
-    const inProgressReports = reports.filter(r => r.status === 'In Progress').sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
-    const resolvedReports = reports.filter(r => r.status === 'Resolved').sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
+    // "Needs Info" is still waiting on work, so it shows with Pending; Rejected and Duplicate are not listed
+    const columns = [
+        { listEl: pendingList, emptyEl: pendingEmpty, statuses: ['Pending', 'Needs Info'] },
+        { listEl: inProgressList, emptyEl: inProgressEmpty, statuses: ['In Progress'] },
+        { listEl: resolvedList, emptyEl: resolvedEmpty, statuses: ['Resolved'] }
+    ];
+    const getListedReports = () => reports.filter(r => columns.some(column => column.statuses.includes(r.status)));
 
     // Helper to create a card
     const createExploreCard = (report) => {
-        const card = document.createElement('div');
-        card.className = 'bg-white shadow-lg rounded-lg overflow-hidden';
-        const submittedDate = new Date(report.submittedAt).toLocaleDateString('en-IN');
-        
-        let locationHtml = report.location;
-        if (report.geolocation && report.geolocation.lat) {
-            locationHtml += ` <a href="https://maps.google.com/?q=${report.geolocation.lat},${report.geolocation.lon}" target="_blank" class="text-blue-600 hover:underline text-xs block">(View Map)</a>`;
-        }
-
-        card.innerHTML = `
-            <img src="${report.imageData}" alt="Evidence" class="explore-image-thumb view-image-btn" data-src="${report.imageData}">
+        const photoCount = getReportPhotoIds(report).length;
+        return createReportElement('div', 'bg-white shadow-lg rounded-lg overflow-hidden', report, html`
+            <div class="relative">
+                <img data-image-id="${getReportThumbnailId(report) || ''}" alt="${t('report.evidence')}" class="explore-image-thumb view-image-btn bg-gray-100" data-photo-id="${getReportPhotoIds(report)[0] || ''}">
+                ${photoCount > 1 ? html`<span class="absolute bottom-2 right-2 rounded-full bg-black bg-opacity-60 px-2 py-0.5 text-xs text-white">${t('report.photoCount', { count: photoCount.toLocaleString(getLocale()) })}</span>` : ''}
+            </div>
             <div class="p-4">
-                <h4 class="text-lg font-semibold text-gray-800">${report.category}</h4>
-                <p class="text-sm text-gray-600 mt-1 truncate">${locationHtml}</p>
-                <p class="text-sm text-gray-700 mt-2 h-10 overflow-hidden text-ellipsis">${report.description || 'No description provided.'}</p>
-                <p class="text-xs text-gray-500 mt-3">Reported on: ${submittedDate}</p>
+                <h4 class="text-lg font-semibold text-gray-800">${formatCategoryName(report.category)}</h4>
+                <p class="text-sm text-gray-600 mt-1 truncate">${report.location} ${renderMapLink(report, t('report.viewMap'), 'text-blue-600 hover:underline text-xs block')}</p>
+                <p class="text-sm text-gray-700 mt-2 h-10 overflow-hidden text-ellipsis">${renderDescription(report)}</p>
+                <div class="mt-2">${renderReportDetails(report)}</div>
+                <p class="text-xs text-gray-500 mt-3">${t('report.reportedOn', { date: formatDate(report.submittedAt) })}</p>
             </div>
-        `;
-        return card;
+        `);
     };
 
-    // Populate Pending
-    if (pendingReports.length > 0) {
-        pendingList.innerHTML = ''; // Clear just in case
-        pendingReports.forEach(r => pendingList.appendChild(createExploreCard(r)));
-    } else {
-        pendingEmpty.classList.remove('hidden');
-    }
+    /**
+     * Fills each column, newest first. Cards of unchanged reports are kept
+     * and moved, so a live update only builds cards for what changed.
+     * @param {Set<string>} [changedIds] - Reports whose cards must be rebuilt.
+     */
+    const renderColumns = (changedIds = new Set()) => {
+        const cards = new Map();
+        columns.forEach(({ listEl }) => listEl.querySelectorAll(':scope > [data-id]').forEach(card => cards.set(card.dataset.id, card)));
+        columns.forEach(({ listEl, emptyEl, statuses }) => {
+            const columnReports = reports
+                .filter(r => statuses.includes(r.status))
+                .sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
+            emptyEl.classList.toggle('hidden', columnReports.length > 0);
+            columnReports.forEach((report, index) => {
+                let card = cards.get(report.id);
+                if (!card || changedIds.has(report.id)) {
+                    card = createExploreCard(report);
+                    if (changedIds.has(report.id)) card.classList.add('live-updated');
+                }
+                const current = listEl.children[index];
+                if (current !== card) listEl.insertBefore(card, current || null);
+            });
+            while (listEl.children.length > columnReports.length) listEl.lastElementChild.remove();
+        });
+    };
 
-    // Populate In Progress
-    if (inProgressReports.length > 0) {
-        inProgressList.innerHTML = ''; // Clear
-        inProgressReports.forEach(r => inProgressList.appendChild(createExploreCard(r)));
-    } else {
-        inProgressEmpty.classList.remove('hidden');
-    }
+    // --- Map View ---
+    const columnsViewEl = document.getElementById('columns-view');
+    const mapViewEl = document.getElementById('map-view');
+    const mapSelectionEl = document.getElementById('map-selection');
+    let reportMapView = null;
+    if (columnsViewEl && mapViewEl && mapSelectionEl) {
+        reportMapView = initReportMapView(mapViewEl, {
+            statuses: ['Pending', 'Needs Info', 'In Progress', 'Resolved'],
+            onSelect: (selected) => {
+                mapSelectionEl.innerHTML = '';
+                selected.forEach(r => mapSelectionEl.appendChild(createExploreCard(r)));
+            }
+        });
+        reportMapView.setReports(getListedReports());
 
-    // Populate Resolved
-    if (resolvedReports.length > 0) {
-        resolvedList.innerHTML = ''; // Clear
-        resolvedReports.forEach(r => resolvedList.appendChild(createExploreCard(r)));
-    } else {
-        resolvedEmpty.classList.remove('hidden');
+        const toggleBtns = document.querySelectorAll('.view-toggle-btn');
+        toggleBtns.forEach(btn => btn.addEventListener('click', () => {
+            const view = btn.dataset.view;
+            toggleBtns.forEach(b => {
+                const active = b === btn;
+                b.classList.toggle('bg-blue-600', active);
+                b.classList.toggle('text-white', active);
+                b.classList.toggle('bg-white', !active);
+                b.classList.toggle('text-gray-700', !active);
+            });
+            columnsViewEl.classList.toggle('hidden', view !== 'columns');
+            if (view === 'map') reportMapView.show();
+            else mapViewEl.classList.add('hidden');
+        }));
     }
 
+    renderColumns();
+
+    const applyChange = (change) => {
+        const result = applyReportChanges(reports, change);
+        if (result.changedIds.size === 0) return;
+        reports = result.reports;
+        renderColumns(result.changedIds);
+        if (reportMapView) reportMapView.setReports(getListedReports());
+    };
+    // Reports filed or updated elsewhere are patched in as they happen
+    subscribeToLiveUpdates(applyChange);
+    // and reports filed (or supported) from this page's own form once it is done
+    initReportForm(user, {
+        onSubmitted: async () => applyChange({ changed: await getReports(), removedIds: [], full: true })
+    });
+
     // --- Modal Logic (Copied from My Reports) ---
     const imageModal = document.getElementById('image-modal');
     const modalImage = document.getElementById('modal-image');
@@ -617,14 +6617,23 @@ function initExplore() {
         return; // Silently return
     }
 
-    const openModal = (imageUrl) => {
-        modalImage.src = imageUrl;
-        imageModal.classList.remove('hidden');
-    };
     const closeModal = () => {
         imageModal.classList.add('hidden');
         modalImage.src = ''; 
     };
+    // The full-size photo is only fetched when someone asks to see it
+    const openModal = async (photoId) => {
+        if (!photoId) return;
+        imageModal.classList.remove('hidden');
+        // getImageUrl() does not reject: a photo that cannot be loaded comes back as null
+        const url = safeUrl(await getImageUrl(photoId));
+        if (url) {
+            modalImage.src = url;
+        } else {
+            closeModal();
+            alert(t('errors.photoUnavailable'));
+        }
+    };
 
     modalCloseBtn.addEventListener('click', closeModal);
     imageModal.addEventListener('click', (e) => {
@@ -634,16 +6643,478 @@ function initExplore() {
     // Add event listener to the main container
     document.querySelector('main').addEventListener('click', (e) => {
         if (e.target.classList.contains('view-image-btn')) {
-            openModal(e.target.dataset.src);
+            openModal(e.target.dataset.photoId);
+        }
+    });
+}
+
+
+/**
+ * Sets up the login / registration page (index.html).
+ */
+async function initLogin() {
+    const loginForm = document.getElementById('login-form');
+    const registerForm = document.getElementById('register-form');
+    const authMessage = document.getElementById('auth-message');
+    const subtitle = document.getElementById('auth-subtitle');
+    if (!loginForm || !registerForm || !authMessage) return;
+
+    // Already signed in? Skip straight to the right dashboard.
+    const existingUser = await storage.getSession();
+    if (existingUser) {
+        window.location.replace(getHomePageForRole(existingUser.role));
+        return;
+    }
+
+    const showMessage = (text) => {
+        authMessage.textContent = text;
+        authMessage.className = 'mt-4 p-3 rounded-lg text-sm bg-red-100 text-red-800';
+    };
+    const showForm = (form) => {
+        loginForm.classList.toggle('hidden', form !== loginForm);
+        registerForm.classList.toggle('hidden', form !== registerForm);
+        subtitle.textContent = form === loginForm ? t('login.subtitle') : t('login.registerSubtitle');
+        authMessage.classList.add('hidden');
+    };
+
+    document.getElementById('show-register-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        showForm(registerForm);
+    });
+    document.getElementById('show-login-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        showForm(loginForm);
+    });
+
+    // Shared submit flow: disable the button, run the action, then redirect by role.
+    const handleSubmit = (form, submitBtn, busyText, action) => {
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const idleText = submitBtn.textContent;
+            submitBtn.disabled = true;
+            submitBtn.textContent = busyText;
+            authMessage.classList.add('hidden');
+            try {
+                const user = await action();
+                window.location.href = getHomePageForRole(user.role);
+            } catch (error) {
+                showMessage(error.message);
+                submitBtn.disabled = false;
+                submitBtn.textContent = idleText;
+            }
+        });
+    };
+
+    handleSubmit(loginForm, document.getElementById('login-submit-btn'), t('login.signingIn'), () => storage.login(
+        loginForm.querySelector('#login-email').value,
+        loginForm.querySelector('#login-password').value
+    ));
+    handleSubmit(registerForm, document.getElementById('register-submit-btn'), t('login.creatingAccount'), () => storage.register({
+        name: registerForm.querySelector('#register-name').value,
+        email: registerForm.querySelector('#register-email').value,
+        password: registerForm.querySelector('#register-password').value
+    }));
+}
+
+/**
+ * Sets up the staff account panel on the Authority Dashboard (department admins only).
+ */
+function initStaffManagement(onAccountCreated = () => {}) {
+    const openBtn = document.getElementById('manage-staff-link');
+    const modal = document.getElementById('staff-modal');
+    const form = document.getElementById('staff-form');
+    const list = document.getElementById('staff-list');
+    const message = document.getElementById('staff-form-message');
+    if (!openBtn || !modal || !form || !list || !message) return;
+
+    async function renderStaffList() {
+        const users = await storage.listUsers();
+        list.innerHTML = '';
+        users.forEach(user => {
+            const item = document.createElement('li');
+            item.className = 'py-2 flex justify-between text-sm';
+            const name = document.createElement('span');
+            name.className = 'text-gray-800';
+            name.textContent = `${user.name} (${user.email})`;
+            const role = document.createElement('span');
+            role.className = 'text-gray-500';
+            role.textContent = getRoleLabel(user.role);
+            item.append(name, role);
+            list.appendChild(item);
+        });
+    }
+
+    const closeModal = () => modal.classList.add('hidden');
+    openBtn.addEventListener('click', async (e) => {
+        e.preventDefault();
+        message.classList.add('hidden');
+        modal.classList.remove('hidden');
+        try {
+            await renderStaffList();
+        } catch (error) {
+            console.error('Error loading accounts', error);
+        }
+    });
+    document.getElementById('close-staff-modal-btn').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            await storage.createUser({
+                name: form.querySelector('#staff-name').value,
+                email: form.querySelector('#staff-email').value,
+                password: form.querySelector('#staff-password').value,
+                role: form.querySelector('#staff-role').value
+            });
+            form.reset();
+            message.textContent = t('staff.created');
+            message.className = 'p-3 rounded-lg text-sm bg-green-100 text-green-800';
+            await renderStaffList();
+            onAccountCreated();
+        } catch (error) {
+            message.textContent = t('form.error', { message: error.message });
+            message.className = 'p-3 rounded-lg text-sm bg-red-100 text-red-800';
+        }
+    });
+}
+
+/**
+ * Sets up the category editor on the Authority Dashboard (department admins only).
+ * Edits are made to a copy and only take effect when saved.
+ * @param {function(): void} [onSaved] - Called once new categories are in use.
+ */
+function initCategoryManagement(onSaved = () => {}) {
+    const openBtn = document.getElementById('manage-categories-link');
+    const modal = document.getElementById('categories-modal');
+    const form = document.getElementById('categories-form');
+    const list = document.getElementById('categories-list');
+    const message = document.getElementById('categories-form-message');
+    if (!openBtn || !modal || !form || !list || !message) return;
+
+    const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded-md text-sm shadow-sm focus:outline-none focus:ring-2 focus:ring-emerald-500';
+    let draft = [];
+    let savedNames = new Set(); // Names reports may already be filed under, so they can't change
+
+    function renderFieldEditor(field) {
+        return html`
+            <div class="field-editor grid grid-cols-1 sm:grid-cols-12 gap-2 items-center" data-key="${field.key || ''}">
+                <input type="text" name="label" value="${field.label}" placeholder="${t('categories.fieldLabel')}" aria-label="${t('categories.fieldLabel')}" class="${inputClass} sm:col-span-4">
+                <select name="type" aria-label="${t('categories.fieldType')}" class="${inputClass} sm:col-span-2">
+                    ${CATEGORY_FIELD_TYPES.map(type => html`<option value="${type}" ${field.type === type ? 'selected' : ''}>${t(`categories.fieldType.${type}`)}</option>`)}
+                </select>
+                <input type="text" name="options" value="${(field.options || []).join(', ')}" placeholder="${t('categories.fieldOptions')}" aria-label="${t('categories.fieldOptions')}" class="${inputClass} sm:col-span-3">
+                <label class="flex items-center gap-x-1 text-sm text-gray-700 sm:col-span-2"><input type="checkbox" name="required" ${field.required ? 'checked' : ''}> ${t('categories.fieldRequired')}</label>
+                <button type="button" class="remove-field-btn text-sm text-red-600 hover:text-red-800 sm:col-span-1">${t('categories.removeField')}</button>
+            </div>`;
+    }
+
+    function renderEditor() {
+        setHtml(list, html`${draft.map((category, index) => html`
+            <fieldset class="category-editor rounded-lg border border-gray-200 p-4 space-y-3" data-index="${index}">
+                <div class="grid grid-cols-2 sm:grid-cols-6 gap-2">
+                    <label class="text-xs font-medium text-gray-600">${t('categories.icon')}
+                        <input type="text" name="icon" value="${category.icon}" maxlength="8" class="${inputClass} mt-1">
+                    </label>
+                    <label class="text-xs font-medium text-gray-600 col-span-2 sm:col-span-2">${t('categories.name')}
+                        <input type="text" name="name" value="${category.name}" ${savedNames.has(category.name) ? 'readonly' : ''} class="${inputClass} mt-1 read-only:bg-gray-100">
+                    </label>
+                    <label class="text-xs font-medium text-gray-600 col-span-2 sm:col-span-3">${t('categories.department')}
+                        <select name="department" class="${inputClass} mt-1">
+                            ${DEPARTMENTS.map(department => html`<option value="${department}" ${category.department === department ? 'selected' : ''}>${getDepartmentLabel(department)}</option>`)}
+                        </select>
+                    </label>
+                    <label class="text-xs font-medium text-gray-600 col-span-1 sm:col-span-3">${t('categories.targetHours')}
+                        <input type="number" name="targetHours" value="${category.targetHours}" min="1" class="${inputClass} mt-1">
+                    </label>
+                    <label class="text-xs font-medium text-gray-600 col-span-1 sm:col-span-3">${t('categories.severity')}
+                        <select name="severity" class="${inputClass} mt-1">
+                            ${CATEGORY_SEVERITIES.map(severity => html`<option value="${severity}" ${category.severity === severity ? 'selected' : ''}>${t(`categories.severity.${severity}`)}</option>`)}
+                        </select>
+                    </label>
+                </div>
+                <div>
+                    <p class="text-xs font-medium text-gray-600 mb-1">${t('categories.fields')}</p>
+                    <div class="space-y-2">
+                        ${category.fields.length === 0 ? html`<p class="text-sm text-gray-500">${t('categories.noFields')}</p>` : category.fields.map(renderFieldEditor)}
+                    </div>
+                </div>
+                <div class="flex justify-between">
+                    <button type="button" class="add-field-btn text-sm font-medium text-emerald-600 hover:text-emerald-800">${t('categories.addField')}</button>
+                    <button type="button" class="remove-category-btn text-sm text-red-600 hover:text-red-800">${t('categories.remove')}</button>
+                </div>
+            </fieldset>`)}`);
+    }
+
+    /** Reads the editor back into the draft, so re-rendering keeps what was typed. */
+    function readEditor() {
+        draft = [...list.querySelectorAll('.category-editor')].map(el => ({
+            name: el.querySelector('[name="name"]').value.trim(),
+            icon: el.querySelector('[name="icon"]').value.trim(),
+            department: el.querySelector('[name="department"]').value,
+            targetHours: Number(el.querySelector('[name="targetHours"]').value),
+            severity: Number(el.querySelector('[name="severity"]').value),
+            fields: [...el.querySelectorAll('.field-editor')].map((fieldEl) => {
+                const type = fieldEl.querySelector('[name="type"]').value;
+                const options = fieldEl.querySelector('[name="options"]').value.split(',').map(option => option.trim()).filter(Boolean);
+                return {
+                    key: fieldEl.dataset.key,
+                    label: fieldEl.querySelector('[name="label"]').value.trim(),
+                    type,
+                    ...(type === 'select' ? { options } : {}),
+                    required: fieldEl.querySelector('[name="required"]').checked
+                };
+            })
+        }));
+    }
+
+    const closeModal = () => modal.classList.add('hidden');
+    openBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        draft = JSON.parse(JSON.stringify(getCategories()));
+        savedNames = new Set(draft.map(category => category.name));
+        message.classList.add('hidden');
+        renderEditor();
+        modal.classList.remove('hidden');
+    });
+    document.getElementById('close-categories-modal-btn').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+
+    document.getElementById('add-category-btn').addEventListener('click', () => {
+        readEditor();
+        draft.push({ name: '', icon: '', department: DEFAULT_DEPARTMENT, targetHours: DEFAULT_SLA_TARGET.targetHours, severity: DEFAULT_SLA_TARGET.severity, fields: [] });
+        renderEditor();
+        list.lastElementChild.querySelector('[name="name"]').focus();
+    });
+    list.addEventListener('click', (e) => {
+        const categoryEl = e.target.closest('.category-editor');
+        if (!categoryEl) return;
+        const index = Number(categoryEl.dataset.index);
+        if (e.target.closest('.add-field-btn')) {
+            readEditor();
+            draft[index].fields.push({ key: '', label: '', type: 'text', required: false });
+            renderEditor();
+        } else if (e.target.closest('.remove-field-btn')) {
+            const fieldIndex = [...categoryEl.querySelectorAll('.field-editor')].indexOf(e.target.closest('.field-editor'));
+            readEditor();
+            draft[index].fields.splice(fieldIndex, 1);
+            renderEditor();
+        } else if (e.target.closest('.remove-category-btn')) {
+            readEditor();
+            draft.splice(index, 1);
+            renderEditor();
+        }
+    });
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        readEditor();
+        // New fields get a key from their label; saved fields keep theirs, as reports store answers by key
+        draft.forEach((category) => {
+            category.fields.forEach((field) => {
+                if (!field.key) field.key = createFieldKey(field.label, category.fields.map(f => f.key));
+            });
+        });
+        try {
+            const errors = validateCategories(draft);
+            if (errors.length > 0) throw new Error(formatProblems(errors));
+            await storage.saveCategories(draft);
+            setCategories(JSON.parse(JSON.stringify(draft)));
+            savedNames = new Set(draft.map(category => category.name));
+            renderEditor();
+            message.textContent = t('categories.saved');
+            message.className = 'p-3 rounded-lg text-sm bg-green-100 text-green-800';
+            onSaved();
+        } catch (error) {
+            message.textContent = t('form.error', { message: error.message });
+            message.className = 'p-3 rounded-lg text-sm bg-red-100 text-red-800';
         }
     });
 }
 
+/**
+ * Picks the page that shows a notification's report: the filtered
+ * dashboard for staff, the report's details in My Reports for residents.
+ * @param {object} notification - The notification.
+ * @param {object} user - The signed-in user.
+ * @returns {string} A page URL.
+ */
+function getNotificationLink(notification, user) {
+    const reportId = encodeURIComponent(notification.reportId);
+    return STAFF_ROLES.includes(user.role) ? `authority_dashboard.html?q=${reportId}` : `my_reports.html?report=${reportId}`;
+}
+
+/**
+ * Shows new notifications as browser pop-ups, if the user turned them on
+ * and allowed them. Each one pops up once per device.
+ * @param {Array<object>} notifications - The user's notifications.
+ * @param {object} preferences - The user's notification preferences.
+ * @param {object} user - The signed-in user.
+ */
+function showBrowserNotifications(notifications, preferences, user) {
+    if (!('Notification' in window)) return;
+    let shown;
+    try {
+        shown = JSON.parse(localStorage.getItem(SHOWN_NOTIFICATIONS_KEY) || '[]');
+    } catch (e) {
+        shown = [];
+    }
+    const fresh = notifications.filter(n => !n.read && !shown.includes(n.id));
+    if (fresh.length === 0) return;
+    if (preferences.browser && Notification.permission === 'granted') {
+        fresh.slice(0, 3).forEach((n) => { // Newest first; don't bury the screen after a long absence
+            const popup = new Notification('FixYourCity', { body: formatNotification(n), tag: n.id, icon: 'icon.svg' });
+            popup.onclick = () => {
+                window.focus();
+                window.location.href = getNotificationLink(n, user);
+            };
+        });
+    }
+    // Without pop-ups these count as shown too, so turning them on later
+    // doesn't replay the backlog
+    const ids = notifications.map(n => n.id);
+    localStorage.setItem(SHOWN_NOTIFICATIONS_KEY, JSON.stringify([...fresh.map(n => n.id), ...shown.filter(id => ids.includes(id))]));
+}
+
+/**
+ * Sets up the notification bell in the page header: the unread count, the
+ * list of notifications and the user's preferences. Refreshes when a live
+ * update says there are new ones, and every NOTIFICATION_POLL_MS in case
+ * the live feed is unavailable.
+ * @param {object} user - The signed-in user.
+ */
+function initNotificationCenter(user) {
+    const center = document.getElementById('notification-center');
+    const bell = document.getElementById('notification-bell');
+    const countBadge = document.getElementById('notification-count');
+    const panel = document.getElementById('notification-panel');
+    if (!center || !bell || !countBadge || !panel) return;
+
+    let notifications = [];
+    let preferences = getNotificationPreferences(user);
+    let preferenceMessage = '';
+
+    function renderPanel() {
+        const unread = notifications.filter(n => !n.read).length;
+        setHtml(panel, html`
+            <div class="flex items-center justify-between border-b border-gray-200 px-4 py-3">
+                <h3 class="text-sm font-semibold text-gray-900">${t('notifications.title')}</h3>
+                <button type="button" class="mark-all-read text-xs font-medium text-emerald-600 hover:text-emerald-500 disabled:text-gray-400" ${unread === 0 ? 'disabled' : ''}>${t('notifications.markAllRead')}</button>
+            </div>
+            <ul class="max-h-80 overflow-y-auto divide-y divide-gray-100">
+                ${notifications.length === 0 ? html`<li class="px-4 py-6 text-center text-sm text-gray-500">${t('notifications.empty')}</li>` : notifications.map(n => html`
+                    <li>
+                        <button type="button" class="notification-item block w-full px-4 py-3 text-left hover:bg-gray-50 ${n.read ? '' : 'bg-emerald-50'}" data-id="${n.id}">
+                            <span class="block text-sm ${n.read ? 'text-gray-600' : 'font-medium text-gray-900'}">${formatNotification(n)}</span>
+                            <span class="block text-xs text-gray-400 mt-1">${formatDateTime(n.at)}</span>
+                        </button>
+                    </li>`)}
+            </ul>
+            <details class="border-t border-gray-200 px-4 py-3">
+                <summary class="cursor-pointer text-xs font-medium text-gray-700">${t('notifications.preferences')}</summary>
+                <form class="notification-preferences mt-2 space-y-1 text-sm text-gray-700">
+                    ${NOTIFICATION_TYPES.map(type => html`
+                        <label class="flex items-center gap-x-2"><input type="checkbox" name="${type}" ${preferences[type] ? 'checked' : ''}> ${t(`notificationType.${type}`)}</label>`)}
+                    <label class="flex items-center gap-x-2 pt-1"><input type="checkbox" name="browser" ${preferences.browser ? 'checked' : ''}> ${t('notifications.browser')}</label>
+                    <label class="flex items-center gap-x-2"><input type="checkbox" name="channel" ${preferences.channel ? 'checked' : ''}> ${t('notifications.channel')}</label>
+                    ${preferenceMessage && html`<p class="text-xs text-red-600">${preferenceMessage}</p>`}
+                </form>
+            </details>
+        `);
+    }
+
+    function renderBell() {
+        const unread = notifications.filter(n => !n.read).length;
+        countBadge.textContent = unread > 9 ? '9+' : String(unread);
+        countBadge.classList.toggle('hidden', unread === 0);
+        bell.setAttribute('aria-label', t('notifications.unreadLabel', { count: unread }));
+        if (!panel.classList.contains('hidden')) renderPanel();
+    }
+
+    async function refresh() {
+        try {
+            notifications = await storage.getNotifications();
+        } catch (error) {
+            if (!error.offline) console.error('Error loading notifications', error);
+            return;
+        }
+        renderBell();
+        showBrowserNotifications(notifications, preferences, user);
+    }
+
+    async function markRead(ids) {
+        if (ids.length === 0) return;
+        await storage.markNotificationsRead(ids);
+        notifications = notifications.map(n => (ids.includes(n.id) ? { ...n, read: true } : n));
+        renderBell();
+    }
+
+    bell.addEventListener('click', () => {
+        panel.classList.toggle('hidden');
+        if (!panel.classList.contains('hidden')) renderPanel();
+    });
+    document.addEventListener('click', (e) => {
+        if (!center.contains(e.target)) panel.classList.add('hidden');
+    });
+
+    panel.addEventListener('click', async (e) => {
+        try {
+            if (e.target.closest('.mark-all-read')) {
+                await markRead(notifications.filter(n => !n.read).map(n => n.id));
+                return;
+            }
+            const item = e.target.closest('.notification-item');
+            if (item) {
+                const notification = notifications.find(n => n.id === item.dataset.id);
+                if (!notification.read) await markRead([notification.id]);
+                window.location.href = getNotificationLink(notification, user);
+            }
+        } catch (error) {
+            alert(error.message);
+        }
+    });
+
+    panel.addEventListener('change', async (e) => {
+        const form = e.target.closest('.notification-preferences');
+        if (!form) return;
+        const changes = { [e.target.name]: e.target.checked };
+        preferenceMessage = '';
+        if (e.target.name === 'browser' && e.target.checked) {
+            const permission = 'Notification' in window ? await Notification.requestPermission() : 'unsupported';
+            if (permission !== 'granted') {
+                changes.browser = false;
+                preferenceMessage = permission === 'unsupported'
+                    ? t('notifications.unsupported')
+                    : t('notifications.blocked');
+            }
+        }
+        try {
+            const updated = await storage.updateNotificationPreferences(changes);
+            preferences = getNotificationPreferences(updated);
+        } catch (error) {
+            preferenceMessage = error.message;
+        }
+        renderPanel();
+        panel.querySelector('details').open = true;
+    });
+
+    refresh();
+    setInterval(refresh, NOTIFICATION_POLL_MS);
+    subscribeToLiveUpdates((change) => {
+        if (change.notifications) refresh();
+    });
+}
 
 /**
  * Sets up common functionality, like logout and modal opening.
  */
 function initCommon() {
+    initLanguageSwitcher();
+
     // --- NEW: Mobile Menu Toggle ---
     const menuBtn = document.getElementById('mobile-menu-btn');
     const menu = document.getElementById('mobile-menu');
@@ -659,11 +7130,14 @@ function initCommon() {
     // Logout functionality
     document.querySelectorAll('#logout-btn, #logout-btn-mobile').forEach(btn => {
         if (btn) { // Add check in case mobile button isn't on page
-            btn.addEventListener('click', (e) => {
+            btn.addEventListener('click', async (e) => {
                 e.preventDefault();
-                // We just clear the userType. We'll leave the reports
-                // so the "authority" can see them.
-                localStorage.removeItem('userType');
+                // Only the session ends; reports stay so the authority can see them.
+                try {
+                    await storage.logout();
+                } catch (error) {
+                    console.error('Error signing out', error);
+                }
                 window.location.href = 'index.html';
             });
         }
@@ -697,18 +7171,29 @@ function initCommon() {
 // --- Main Execution ---
 document.addEventListener('DOMContentLoaded', () => {
     const page = document.body.dataset.page;
+    applyTranslations(); // Before the page initializers read or replace any text
     
-    // Run page-specific initializers
-    if (page === 'user-dashboard') {
-        initUserDashboard();
+    // Run page-specific initializers (some are async because the backend may be remote)
+    let pageInit = null;
+    if (page === 'login') {
+        pageInit = initLogin();
+    } else if (page === 'user-dashboard') {
+        pageInit = initUserDashboard();
     } else if (page === 'my-reports') {
-        initMyReports();
+        pageInit = initMyReports();
     } else if (page === 'authority-dashboard') {
-        initAuthorityDashboard();
+        pageInit = initAuthorityDashboard();
     } else if (page === 'explore') {
-        initExplore();
+        pageInit = initExplore();
     }
+    Promise.resolve(pageInit).catch(error => {
+        console.error(`Error loading reports from the '${storage.name}' backend`, error);
+    }).then(() => {
+        // The first render is done; tests wait for this before driving the page
+        window.dispatchEvent(new CustomEvent('page-ready'));
+    });
 
     // Run common setup on all pages
     initCommon();
-});
+    initOfflineSupport();
+});
\ No newline at end of file
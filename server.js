@@ -0,0 +1,1016 @@
+/**
+ * server.js
+ * Small REST server for FixYourCity with JSON-file persistence.
+ * Serves the static pages, a report API and accounts with role-based access,
+ * so residents and the authority can share reports across devices.
+ *
+ * Usage: node server.js
+ * Then open http://localhost:3000/index.html?backend=http
+ * The first account registered becomes the department admin.
+ *
+ * Environment:
+ *   PORT        - Port to listen on (default 3000).
+ *   DATA_FILE   - Where reports are persisted (default ./data/reports.json).
+ *                 Unreadable records are moved to DATA_FILE.quarantine.json.
+ *   USERS_FILE  - Where accounts are persisted (default ./data/users.json).
+ *   IMAGES_DIR  - Where report photos are stored (default ./data/images).
+ *   NOTIFICATIONS_FILE - Where notifications are persisted (default ./data/notifications.json).
+ *   CATEGORIES_FILE - Where the admin-managed report categories are persisted
+ *                 (default ./data/categories.json). Until one is saved, the app's
+ *                 built-in categories are used.
+ *   NOTIFICATION_WEBHOOK_URL - Where to POST notifications for users who turned
+ *                 on email/SMS, e.g. a mail or SMS gateway. Without it they are
+ *                 only kept in the app.
+ *   LOG_NOTIFICATIONS - Set to 1 to log those notifications to the console
+ *                 when there is no webhook, for debugging.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+    ROLES,
+    STAFF_ROLES,
+    OPEN_STATUSES,
+    getAllowedTransitions,
+    RATING_SCALE,
+    validateCategories,
+    SESSION_TTL_MS,
+    normalizeEmail,
+    validateAccount,
+    toPublicUser,
+    REPORT_SCHEMA_VERSION,
+    upgradeReport,
+    validateReport,
+    DEFAULT_NOTIFICATION_PREFERENCES,
+    getNotificationPreferences,
+    describeReportEvents,
+    addNotifications
+} = require('./shared'); // The report rules app.js uses too
+
+const PORT = Number(process.env.PORT) || 3000;
+const ROOT_DIR = __dirname;
+const DATA_FILE = process.env.DATA_FILE || path.join(ROOT_DIR, 'data', 'reports.json');
+const USERS_FILE = process.env.USERS_FILE || path.join(path.dirname(DATA_FILE), 'users.json');
+const IMAGES_DIR = process.env.IMAGES_DIR || path.join(path.dirname(DATA_FILE), 'images');
+const NOTIFICATIONS_FILE = process.env.NOTIFICATIONS_FILE || path.join(path.dirname(DATA_FILE), 'notifications.json');
+const CATEGORIES_FILE = process.env.CATEGORIES_FILE || path.join(path.dirname(DATA_FILE), 'categories.json');
+const NOTIFICATION_WEBHOOK_URL = process.env.NOTIFICATION_WEBHOOK_URL || '';
+const LOG_NOTIFICATIONS = process.env.LOG_NOTIFICATIONS === '1';
+const MAX_BODY_BYTES = 25 * 1024 * 1024; // Admins may replace the whole report list at once
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024; // The app uploads photos already compressed
+const SESSION_COOKIE = 'fyc_session';
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// --- Persistence ---
+
+/**
+ * Reads a JSON array from a data file.
+ * @param {string} file - Path of the file.
+ * @returns {Array} The stored records, or [] if the file does not exist yet
+ *   or could not be parsed (the unreadable file is renamed, not overwritten).
+ */
+function readJsonFile(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+        if (e.code !== 'ENOENT') console.error(`Error reading ${file}`, e);
+        return [];
+    }
+    try {
+        const records = JSON.parse(text);
+        if (!Array.isArray(records)) throw new Error('not a JSON array');
+        return records;
+    } catch (e) {
+        // Set the file aside rather than letting the next write replace it
+        const quarantineFile = `${file}.corrupt-${Date.now()}`;
+        fs.renameSync(file, quarantineFile);
+        console.error(`${file} could not be parsed (${e.message}); moved it to ${quarantineFile}`);
+        return [];
+    }
+}
+
+/**
+ * Writes a JSON array to a data file. Writes to a temp file first so a
+ * crash mid-write never leaves a truncated file behind.
+ * @param {string} file - Path of the file.
+ * @param {Array} records - The records to save.
+ */
+function writeJsonFile(file, records) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(records));
+    fs.renameSync(tmpFile, file);
+}
+
+const readReports = () => readJsonFile(DATA_FILE);
+const writeReports = (reports) => writeJsonFile(DATA_FILE, reports);
+const readUsers = () => readJsonFile(USERS_FILE);
+const writeUsers = (users) => writeJsonFile(USERS_FILE, users);
+const readNotifications = () => readJsonFile(NOTIFICATIONS_FILE);
+const writeNotifications = (notifications) => writeJsonFile(NOTIFICATIONS_FILE, notifications);
+const readCategories = () => readJsonFile(CATEGORIES_FILE);
+const writeCategories = (categories) => writeJsonFile(CATEGORIES_FILE, categories);
+
+// --- Images ---
+
+// Photo types the API accepts, and the extension each is stored under
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'image/gif': '.gif'
+};
+const IMAGE_ID_PATTERN = /^image_\d+_[0-9a-f]{16}\.(jpg|png|webp|gif)$/;
+
+/**
+ * Stores a photo and returns its new ID. The ID carries the file extension,
+ * so the photo can be served with the right Content-Type.
+ * @param {Buffer} data - The image bytes.
+ * @param {string} mimeType - One of the IMAGE_EXTENSIONS types.
+ * @returns {string} The image ID.
+ */
+function saveImage(data, mimeType) {
+    const id = `image_${Date.now()}_${crypto.randomBytes(8).toString('hex')}${IMAGE_EXTENSIONS[mimeType]}`;
+    fs.mkdirSync(IMAGES_DIR, { recursive: true });
+    fs.writeFileSync(path.join(IMAGES_DIR, id), data);
+    return id;
+}
+
+/**
+ * Moves base64 photos that older versions kept inside reports.json
+ * (imageData, photos, thumbnailData) into IMAGES_DIR, leaving image IDs
+ * in the reports. Runs once at startup; later runs find nothing to move.
+ */
+function migrateReportImages() {
+    const reports = readReports();
+    const toImageId = (dataUrl) => {
+        const match = /^data:([^;,]+);base64,(.*)$/.exec(dataUrl || '');
+        if (!match || !IMAGE_EXTENSIONS[match[1]]) return null;
+        return saveImage(Buffer.from(match[2], 'base64'), match[1]);
+    };
+    let migrated = 0;
+    reports.forEach(report => {
+        if (!('imageData' in report) && !('thumbnailData' in report) && !(report.photos || []).length) return;
+        const dataUrls = report.photos || (report.imageData ? [report.imageData] : []);
+        report.photoIds = [...(report.photoIds || []), ...dataUrls.map(toImageId).filter(Boolean)];
+        report.thumbnailId = toImageId(report.thumbnailData) || report.thumbnailId || report.photoIds[0] || null;
+        delete report.imageData;
+        delete report.photos;
+        delete report.thumbnailData;
+        migrated++;
+    });
+    if (migrated > 0) {
+        writeReports(reports);
+        console.log(`Moved the photos of ${migrated} report(s) into ${IMAGES_DIR}`);
+    }
+}
+
+/**
+ * Upgrades stored reports to REPORT_SCHEMA_VERSION. Records that are not
+ * reports, or come from a newer schema, are moved to a quarantine file next
+ * to DATA_FILE instead of being served. Runs once at startup, before the
+ * photo migration, which expects every record to be a report.
+ */
+function migrateStoredReports() {
+    const records = readReports();
+    const reports = [];
+    const quarantined = [];
+    let migrated = 0;
+    records.forEach((record) => {
+        const version = isReport(record) && Number.isInteger(record.schemaVersion) ? record.schemaVersion : 0;
+        if (!isReport(record) || typeof record.submittedAt !== 'string' || version > REPORT_SCHEMA_VERSION) {
+            quarantined.push({ record, error: isReport(record) ? `Unsupported report (schema ${version})` : 'Not a report with an id' });
+            return;
+        }
+        const report = upgradeReport(record);
+        if (report !== record) migrated++;
+        reports.push(report);
+    });
+    if (quarantined.length > 0) {
+        const quarantineFile = `${DATA_FILE}.quarantine.json`;
+        const at = new Date().toISOString();
+        writeJsonFile(quarantineFile, [...readJsonFile(quarantineFile), ...quarantined.map(entry => ({ ...entry, at }))]);
+        console.error(`Moved ${quarantined.length} unreadable report(s) to ${quarantineFile}`);
+    }
+    if (migrated > 0 || quarantined.length > 0) {
+        writeReports(reports);
+        if (migrated > 0) console.log(`Upgraded ${migrated} report(s) to schema version ${REPORT_SCHEMA_VERSION}`);
+    }
+}
+
+// --- Accounts & Sessions ---
+
+/** Active sessions: token -> { userId, expiresAt }. Signing in again is needed after a restart. */
+const sessions = new Map();
+
+function hashPassword(password, salt) {
+    return crypto.scryptSync(String(password), salt, 64).toString('hex');
+}
+
+/**
+ * Validates and stores a new account.
+ * @param {object} account - { name, email, password, role }.
+ * @returns {object} The stored user.
+ */
+function createAccount({ name, email, password, role }) {
+    const problems = validateAccount({ name, email, password, role });
+    if (problems.length > 0) {
+        throw new HttpError(400, 'The account details are not valid.', problems[0].key, problems[0].params);
+    }
+    const normalizedEmail = normalizeEmail(email);
+
+    const users = readUsers();
+    if (users.some(u => u.email === normalizedEmail)) {
+        throw new HttpError(409, 'An account with this email already exists.', 'errors.emailTaken');
+    }
+    const salt = crypto.randomBytes(16).toString('hex');
+    const user = {
+        id: `user_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        name: String(name).trim(),
+        email: normalizedEmail,
+        role: users.length === 0 ? ROLES.ADMIN : role,
+        salt,
+        passwordHash: hashPassword(password, salt),
+        createdAt: new Date().toISOString()
+    };
+    users.push(user);
+    writeUsers(users);
+    if (user.role === ROLES.ADMIN && users.length === 1) {
+        console.log(`First account ${user.email} is now the department admin.`);
+    }
+    return user;
+}
+
+function parseCookies(req) {
+    const cookies = {};
+    (req.headers.cookie || '').split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index > 0) cookies[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+    });
+    return cookies;
+}
+
+function startSession(res, user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    sessions.set(token, { userId: user.id, expiresAt: Date.now() + SESSION_TTL_MS });
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${token}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${SESSION_TTL_MS / 1000}`);
+}
+
+/**
+ * Looks up the signed-in user for a request.
+ * @param {http.IncomingMessage} req - The incoming request.
+ * @returns {object|null} The stored user, or null.
+ */
+function getSessionUser(req) {
+    const token = parseCookies(req)[SESSION_COOKIE];
+    const session = token && sessions.get(token);
+    if (!session) return null;
+    if (session.expiresAt < Date.now()) {
+        sessions.delete(token);
+        return null;
+    }
+    return readUsers().find(u => u.id === session.userId) || null;
+}
+
+/**
+ * Returns the signed-in user, or throws 401/403 when the request lacks the role.
+ * @param {http.IncomingMessage} req - The incoming request.
+ * @param {Array<string>} [allowedRoles] - Roles allowed; any signed-in user if omitted.
+ * @returns {object} The stored user.
+ */
+function requireUser(req, allowedRoles) {
+    const user = getSessionUser(req);
+    if (!user) throw new HttpError(401, 'Please sign in.', 'errors.signInRequired');
+    if (allowedRoles && !allowedRoles.includes(user.role)) {
+        throw new HttpError(403, 'You do not have permission to do that.', 'errors.forbidden');
+    }
+    return user;
+}
+
+/**
+ * Decides whether a user may write a report. Staff can change any report,
+ * though only admins can (re)assign it; residents can file new, unassigned
+ * reports as themselves, on their own reports can review a fix (confirm it or
+ * reopen), comment and mark the thread read, and can support other open reports.
+ * @param {object} user - The signed-in user.
+ * @param {object|undefined} existing - The stored report, if any.
+ * @param {object} incoming - The report being written.
+ * @returns {boolean}
+ */
+function canWriteReport(user, existing, incoming) {
+    if (STAFF_ROLES.includes(user.role)) {
+        const sameAssignee = JSON.stringify((existing && existing.assignedTo) || null) === JSON.stringify(incoming.assignedTo || null);
+        return user.role === ROLES.ADMIN || sameAssignee;
+    }
+    if (!existing) {
+        return incoming.status === 'Pending' && incoming.reporterId === user.id
+            && (incoming.supporters || []).length === 0 && !incoming.assignedTo;
+    }
+    if (existing.reporterId !== user.id) return isOwnSupport(user, existing, incoming);
+
+    const isReopen = existing.status === 'Resolved' && incoming.status === 'Pending';
+    if (incoming.status !== existing.status && !isReopen) return false;
+    if (!sameExcept(existing.readBy || {}, incoming.readBy || {}, [user.id])) return false;
+    return sameExcept(existing, incoming, ['status', 'history', 'comments', 'readBy', 'feedback']);
+}
+
+/**
+ * Checks that a resident's write to someone else's report only adds their
+ * own support. They only ever see the redacted report, so compare with that.
+ * @param {object} user - The signed-in resident.
+ * @param {object} existing - The stored report.
+ * @param {object} incoming - The report being written.
+ * @returns {boolean}
+ */
+function isOwnSupport(user, existing, incoming) {
+    const visible = redactReport(existing, user);
+    const supporters = visible.supporters || [];
+    return OPEN_STATUSES.includes(existing.status)
+        && !supporters.includes(user.id)
+        && JSON.stringify(incoming.supporters) === JSON.stringify([...supporters, user.id])
+        && sameExcept(visible, incoming, ['supporters']);
+}
+
+/**
+ * Compares two objects field by field, ignoring some keys and key order.
+ * @param {object} a - First object.
+ * @param {object} b - Second object.
+ * @param {Array<string>} ignoredKeys - Keys allowed to differ.
+ * @returns {boolean} True if every other field is equal.
+ */
+function sameExcept(a, b, ignoredKeys) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key => ignoredKeys.includes(key) || JSON.stringify(a[key]) === JSON.stringify(b[key]));
+}
+
+/**
+ * Rejects edits to earlier comments; threads are append-only.
+ * @param {object|undefined} existing - The stored report, if any.
+ * @param {object} incoming - The report being written.
+ */
+function validateComments(existing, incoming) {
+    const oldComments = (existing && existing.comments) || [];
+    const newComments = incoming.comments || [];
+    if (JSON.stringify(newComments.slice(0, oldComments.length)) !== JSON.stringify(oldComments)) {
+        throw new HttpError(409, 'Earlier comments cannot be changed.', 'errors.commentsLocked');
+    }
+}
+
+/**
+ * Rejects writes that break the status workflow: history is append-only, and a
+ * status change must be an allowed transition recorded by exactly one new entry.
+ * @param {object|undefined} existing - The stored report, if any.
+ * @param {object} incoming - The report being written.
+ */
+function validateStatusChange(existing, incoming) {
+    if (!existing) return;
+    const oldHistory = existing.history || [];
+    const newHistory = incoming.history || [];
+    if (JSON.stringify(newHistory.slice(0, oldHistory.length)) !== JSON.stringify(oldHistory)) {
+        throw new HttpError(409, 'Report history cannot be rewritten.', 'errors.historyLocked');
+    }
+    if (existing.status === incoming.status) {
+        if (newHistory.length !== oldHistory.length) throw new HttpError(409, 'History entries must record a status change.', 'errors.historyNeedsStatusChange');
+        return;
+    }
+    const allowed = getAllowedTransitions(existing.status);
+    const entry = newHistory[newHistory.length - 1];
+    if (!allowed.includes(incoming.status)) {
+        throw new HttpError(409, `A report cannot move from '${existing.status}' to '${incoming.status}'.`, 'errors.statusTransition',
+            { from: existing.status, to: incoming.status });
+    }
+    if (newHistory.length !== oldHistory.length + 1 || entry.from !== existing.status || entry.to !== incoming.status) {
+        throw new HttpError(409, 'Status changes must be recorded in the report history.', 'errors.statusNeedsHistory');
+    }
+    const hasProof = String(entry.note || '').trim() !== ''
+        && Array.isArray(entry.photoIds) && entry.photoIds.length > 0 && entry.photoIds.every(id => typeof id === 'string');
+    if (incoming.status === 'Resolved' && !hasProof) {
+        throw new HttpError(409, 'Add a resolution note and an "after" photo to mark a report resolved.', 'resolution.proofRequired');
+    }
+}
+
+/**
+ * Finds when a report was last resolved, for matching feedback to it.
+ * @param {object} report - The stored report.
+ * @returns {?string} The date of the resolving history entry (null if not recorded).
+ */
+function getResolvedAt(report) {
+    const entry = [...(report.history || [])].reverse().find(e => e.to === 'Resolved');
+    return entry ? entry.at : null;
+}
+
+/**
+ * Rejects feedback that breaks the review rules: feedback is append-only, only
+ * the reporter adds it, at most once per resolution and only while the report
+ * is resolved, and a resident can only reopen their report by adding it.
+ * New reports carry feedback only when staff import them from an export.
+ * @param {object|undefined} existing - The stored report, if any.
+ * @param {object} incoming - The report being written.
+ * @param {object} user - The signed-in user.
+ */
+function validateFeedback(existing, incoming, user) {
+    const newFeedback = incoming.feedback || [];
+    if (!existing) {
+        if (newFeedback.length > 0 && !STAFF_ROLES.includes(user.role)) {
+            throw new HttpError(409, 'Only the reporter can review a fix, once per resolution.', 'errors.reviewOnce');
+        }
+        return;
+    }
+    const oldFeedback = existing.feedback || [];
+    if (JSON.stringify(newFeedback.slice(0, oldFeedback.length)) !== JSON.stringify(oldFeedback)) {
+        throw new HttpError(409, 'Earlier feedback cannot be changed.', 'errors.feedbackLocked');
+    }
+    const added = newFeedback.slice(oldFeedback.length);
+    const isResidentReopen = !STAFF_ROLES.includes(user.role) && existing.status === 'Resolved' && incoming.status === 'Pending';
+    if (added.length === 0) {
+        if (isResidentReopen) {
+            throw new HttpError(409, 'Say what is still wrong, and rate the fix, to reopen the report.', 'errors.reopenNeedsReview');
+        }
+        return;
+    }
+    const entry = added[0];
+    const resolvedAt = getResolvedAt(existing);
+    const outcome = incoming.status === 'Resolved' ? 'confirmed' : 'reopened';
+    if (added.length > 1 || existing.status !== 'Resolved' || existing.reporterId !== user.id
+        || oldFeedback.some(f => f.resolvedAt === resolvedAt) || entry.resolvedAt !== resolvedAt) {
+        throw new HttpError(409, 'Only the reporter can review a fix, once per resolution.', 'errors.reviewOnce');
+    }
+    if (entry.outcome !== outcome || !Number.isInteger(entry.rating) || entry.rating < 1 || entry.rating > RATING_SCALE
+        || (outcome === 'reopened' && String(entry.reason || '').trim() === '')) {
+        throw new HttpError(409, `Feedback needs a rating from 1 to ${RATING_SCALE}, and a reason to reopen.`, 'errors.feedbackInvalid',
+            { max: RATING_SCALE });
+    }
+}
+
+/**
+ * Hides who filed a report, and its comment thread, from residents other
+ * than the reporter, so reports stay anonymous on public pages like Explore.
+ * @param {object} report - The stored report.
+ * @param {object} user - The signed-in user.
+ * @returns {object} The report as this user may see it.
+ */
+function redactReport(report, user) {
+    if (STAFF_ROLES.includes(user.role) || report.reporterId === user.id) return report;
+    // The comment thread and feedback are private to the reporter and staff, and history would name the reporter
+    const { reporterId, reporterName, comments, readBy, feedback, ...anonymousReport } = report;
+    anonymousReport.comments = []; // Keeps the shape clients validate against
+    anonymousReport.history = (report.history || []).map(entry => (
+        entry.by && entry.by.role === ROLES.RESIDENT ? { ...entry, by: null } : entry
+    ));
+    // Keep the count, but only let residents recognise their own support
+    if (report.supporters) {
+        anonymousReport.supporters = report.supporters.map(id => (id === user.id ? id : null));
+    }
+    return anonymousReport;
+}
+
+// --- Notifications ---
+// Which changes notify whom is set out above NOTIFICATION_TYPES in shared.js.
+
+/**
+ * POSTs a notification to NOTIFICATION_WEBHOOK_URL. Without a webhook it is
+ * dropped, or logged (by user ID, never email) with LOG_NOTIFICATIONS=1.
+ * Failures are logged; the write that caused the notification has already
+ * been saved.
+ * @param {object} user - The stored recipient.
+ * @param {object} notification - The notification. Its event and params are
+ *   codes and names for the gateway to word in the recipient's language.
+ */
+function sendToNotificationChannel(user, notification) {
+    if (!NOTIFICATION_WEBHOOK_URL) {
+        if (LOG_NOTIFICATIONS) console.log(`[notification to ${user.id}] ${notification.event} on report ${notification.reportId}`);
+        return;
+    }
+    fetch(NOTIFICATION_WEBHOOK_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ to: { id: user.id, name: user.name, email: user.email }, notification })
+    })
+        .then((response) => {
+            if (!response.ok) console.error(`Notification webhook responded with ${response.status}`);
+        })
+        .catch(error => console.error('Error calling the notification webhook', error));
+}
+
+/**
+ * Stores notifications for the given events, skipping types each recipient
+ * switched off, and passes them on to the outbound channel for users who
+ * opted in.
+ * @param {Array<object>} events - From describeReportEvents.
+ */
+function notifyUsers(events) {
+    if (events.length === 0) return;
+    const users = readUsers();
+    const at = new Date().toISOString();
+    const added = events
+        .filter((event) => {
+            const user = users.find(u => u.id === event.userId);
+            return user && getNotificationPreferences(user)[event.type];
+        })
+        .map(event => ({ id: `notification_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`, ...event, at, read: false }));
+    if (added.length === 0) return;
+
+    writeNotifications(addNotifications(readNotifications(), added));
+    added.forEach((notification) => {
+        const user = users.find(u => u.id === notification.userId);
+        if (getNotificationPreferences(user).channel) sendToNotificationChannel(user, notification);
+    });
+    broadcastNotifications([...new Set(added.map(n => n.userId))]);
+}
+
+// --- Live Updates ---
+
+/** Open event streams: { res, token } per browser tab. */
+const eventClients = new Set();
+const EVENT_KEEPALIVE_MS = 25 * 1000; // Stops proxies from closing idle streams
+
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Sends each open stream the reports that changed, redacted for its user.
+ * Streams whose session has ended are closed instead.
+ * @param {Array<object>} changed - The changed reports, as stored.
+ * @param {Array<string>} removedIds - IDs of reports that no longer exist.
+ * @param {boolean} [full] - Whether `changed` is every report.
+ */
+function broadcastReportChanges(changed, removedIds, full = false) {
+    if (eventClients.size === 0) return;
+    const users = readUsers();
+    eventClients.forEach((client) => {
+        const session = sessions.get(client.token);
+        const user = session && session.expiresAt >= Date.now() && users.find(u => u.id === session.userId);
+        if (!user) {
+            eventClients.delete(client);
+            client.res.end();
+            return;
+        }
+        sendEvent(client.res, 'reports', { changed: changed.map(r => redactReport(r, user)), removedIds, full });
+    });
+}
+
+/**
+ * Tells the given users' open streams that they have new notifications.
+ * @param {Array<string>} userIds - The recipients.
+ */
+function broadcastNotifications(userIds) {
+    eventClients.forEach((client) => {
+        const session = sessions.get(client.token);
+        if (session && userIds.includes(session.userId)) sendEvent(client.res, 'notifications', {});
+    });
+}
+
+setInterval(() => eventClients.forEach(client => client.res.write(': keep-alive\n\n')), EVENT_KEEPALIVE_MS).unref();
+
+// --- HTTP Helpers ---
+
+/**
+ * An error that carries the HTTP status to respond with. Errors people see
+ * also name their message in the page's catalogs (MESSAGES in app.js), so it
+ * can be shown in the user's language; `message` is the English for logs
+ * and other API clients.
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status - The HTTP status.
+     * @param {string} message - What went wrong, in English.
+     * @param {string} [key] - The catalog key of the message.
+     * @param {object} [params] - Values for the message's placeholders.
+     */
+    constructor(status, message, key, params = {}) {
+        super(message);
+        this.status = status;
+        this.problems = key ? [{ key, params }] : [];
+    }
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Reads and parses a JSON request body.
+ * @param {http.IncomingMessage} req - The incoming request.
+ * @returns {Promise<*>} The parsed body.
+ */
+function readJsonBody(req) {
+    return readBody(req, MAX_BODY_BYTES).then((body) => {
+        try {
+            return JSON.parse(body.toString('utf8') || 'null');
+        } catch (e) {
+            throw new HttpError(400, 'Request body is not valid JSON');
+        }
+    });
+}
+
+/**
+ * Reads a raw request body.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {number} maxBytes - Larger bodies are rejected with 413.
+ * @returns {Promise<Buffer>}
+ */
+function readBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+function isReport(value) {
+    return value !== null && typeof value === 'object' && typeof value.id === 'string' && value.id !== '';
+}
+
+/**
+ * Throws a 400 listing every way a report breaks the current schema.
+ * @param {object} report - A report with an id (see isReport).
+ */
+function assertValidReport(report) {
+    const problems = validateReport(report);
+    if (problems.length > 0) {
+        const error = new HttpError(400, `Report ${report.id} does not match the report schema.`, 'errors.invalidReport', { id: report.id });
+        error.problems.push(...problems);
+        throw error;
+    }
+}
+
+// --- API Routes ---
+
+/**
+ * Handles /api/auth/* requests.
+ *   POST /api/auth/register -> create a resident account and sign in
+ *   POST /api/auth/login    -> sign in
+ *   GET  /api/auth/session  -> the signed-in user (401 if none)
+ *   POST /api/auth/logout   -> sign out
+ */
+async function handleAuth(req, res, action) {
+    if (action === 'session' && req.method === 'GET') {
+        return sendJson(res, 200, toPublicUser(requireUser(req)));
+    }
+    if (req.method !== 'POST') throw new HttpError(405, 'Method not allowed');
+
+    if (action === 'register') {
+        const body = await readJsonBody(req) || {};
+        const user = createAccount({ ...body, role: ROLES.RESIDENT });
+        startSession(res, user);
+        return sendJson(res, 201, toPublicUser(user));
+    }
+    if (action === 'login') {
+        const { email, password } = await readJsonBody(req) || {};
+        const user = readUsers().find(u => u.email === normalizeEmail(email));
+        const hash = user ? hashPassword(password, user.salt) : '';
+        if (!user || !crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(user.passwordHash))) {
+            throw new HttpError(401, 'Incorrect email or password.', 'errors.wrongPassword');
+        }
+        startSession(res, user);
+        return sendJson(res, 200, toPublicUser(user));
+    }
+    if (action === 'logout') {
+        sessions.delete(parseCookies(req)[SESSION_COOKIE]);
+        res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`);
+        return sendJson(res, 204);
+    }
+    throw new HttpError(404, 'Not found');
+}
+
+/**
+ * Handles /api/users (department admins only).
+ *   GET  /api/users -> all accounts
+ *   POST /api/users -> create an account with any role
+ */
+async function handleUsers(req, res) {
+    requireUser(req, [ROLES.ADMIN]);
+    if (req.method === 'GET') {
+        return sendJson(res, 200, readUsers().map(toPublicUser));
+    }
+    if (req.method === 'POST') {
+        const user = createAccount(await readJsonBody(req) || {});
+        return sendJson(res, 201, toPublicUser(user));
+    }
+    throw new HttpError(405, 'Method not allowed');
+}
+
+/**
+ * Handles /api/reports requests. Every route needs a signed-in user.
+ *   GET /api/reports        -> all reports
+ *   PUT /api/reports        -> replace all reports (department admins only)
+ *   PATCH /api/reports      -> insert or replace several reports at once; each
+ *                              report is checked as by PUT /:id, and the ones
+ *                              that pass are saved even if others are refused.
+ *                              Answers { updated: [ids], failed: [{id, error, problems}] }
+ *   GET /api/reports/:id    -> one report
+ *   PUT /api/reports/:id    -> insert or replace one report
+ * Every report written must match the schema (validateReport), or the request
+ * gets a 400 that lists the problems.
+ */
+async function handleReports(req, res, reportId) {
+    const user = requireUser(req);
+
+    if (reportId === undefined) {
+        if (req.method === 'GET') {
+            return sendJson(res, 200, readReports().map(r => redactReport(r, user)));
+        }
+        if (req.method === 'PUT') {
+            requireUser(req, [ROLES.ADMIN]);
+            const reports = await readJsonBody(req);
+            if (!Array.isArray(reports) || !reports.every(isReport)) {
+                throw new HttpError(400, 'Expected an array of reports with ids', 'errors.reportsExpected');
+            }
+            reports.forEach(assertValidReport);
+            const removedIds = readReports().map(r => r.id).filter(id => !reports.some(r => r.id === id));
+            writeReports(reports);
+            broadcastReportChanges(reports, removedIds, true);
+            return sendJson(res, 204);
+        }
+        if (req.method === 'PATCH') {
+            const changed = await readJsonBody(req);
+            if (!Array.isArray(changed) || !changed.every(isReport)) {
+                throw new HttpError(400, 'Expected an array of reports with ids', 'errors.reportsExpected');
+            }
+            const reports = readReports();
+            const events = [];
+            const updated = [];
+            const failed = [];
+            changed.forEach((report) => {
+                try {
+                    events.push(...applyReportWrite(user, reports, report));
+                    updated.push(report.id);
+                } catch (error) {
+                    if (!(error instanceof HttpError)) throw error;
+                    failed.push({ id: report.id, error: error.message, problems: error.problems });
+                }
+            });
+            if (updated.length > 0) {
+                writeReports(reports);
+                broadcastReportChanges(reports.filter(r => updated.includes(r.id)), []);
+                notifyUsers(events);
+            }
+            return sendJson(res, 200, { updated, failed });
+        }
+        throw new HttpError(405, 'Method not allowed');
+    }
+
+    if (req.method === 'GET') {
+        const report = readReports().find(r => r.id === reportId);
+        if (!report) throw new HttpError(404, 'Report not found', 'errors.reportNotFound');
+        return sendJson(res, 200, redactReport(report, user));
+    }
+    if (req.method === 'PUT') {
+        const report = await readJsonBody(req);
+        if (!isReport(report) || report.id !== reportId) {
+            throw new HttpError(400, 'Report id does not match the URL', 'errors.reportIdMismatch');
+        }
+        const reports = readReports();
+        const events = applyReportWrite(user, reports, report);
+        writeReports(reports);
+        broadcastReportChanges(reports.filter(r => r.id === report.id), []);
+        notifyUsers(events);
+        return sendJson(res, 204);
+    }
+    throw new HttpError(405, 'Method not allowed');
+}
+
+/**
+ * Checks one incoming report against the stored reports and, if the user may
+ * write it, inserts or replaces it in the array (in memory only).
+ * @param {object} user - The signed-in user.
+ * @param {Array} reports - All stored reports; changed in place.
+ * @param {object} report - The report the client sent.
+ * @returns {Array<object>} Events to notify users about once the write is saved.
+ */
+function applyReportWrite(user, reports, report) {
+    const index = reports.findIndex(r => r.id === report.id);
+    if (!canWriteReport(user, reports[index], report)) {
+        throw new HttpError(403, 'You do not have permission to change this report.', 'errors.reportPermission');
+    }
+    if (!STAFF_ROLES.includes(user.role) && index !== -1 && reports[index].reporterId !== user.id) {
+        // A supporter sent the redacted copy; store the full report with their support added
+        report = { ...reports[index], supporters: [...(reports[index].supporters || []), user.id] };
+    }
+    assertValidReport(report);
+    validateStatusChange(reports[index], report);
+    validateComments(reports[index], report);
+    validateFeedback(reports[index], report, user);
+    // Whoever is signed in wrote any new history entries, comments and feedback,
+    // whatever the client claims. The exception is a department admin adding a
+    // report, which is an import: its entries keep the authors they were exported with.
+    const isImport = index === -1 && user.role === ROLES.ADMIN;
+    if (!isImport) {
+        const existing = reports[index] || {};
+        const signedBy = { id: user.id, name: user.name, role: user.role };
+        (report.history || []).slice((existing.history || []).length).forEach(entry => { entry.by = signedBy; });
+        (report.comments || []).slice((existing.comments || []).length).forEach(comment => { comment.author = signedBy; });
+        (report.feedback || []).slice((existing.feedback || []).length).forEach(entry => { entry.by = signedBy; });
+    }
+    const events = describeReportEvents(reports[index], report, user);
+    if (index === -1) reports.push(report);
+    else reports[index] = report;
+    return events;
+}
+
+/**
+ * POST /api/images uploads a photo (the body is the raw image) and returns
+ * its ID; GET /api/images/:id serves it. Any signed-in user may do both,
+ * as photos show on the public Explore page anyway.
+ */
+async function handleImages(req, res, imageId) {
+    requireUser(req);
+    if (!imageId) {
+        if (req.method !== 'POST') throw new HttpError(405, 'Method not allowed');
+        const mimeType = String(req.headers['content-type'] || '').split(';')[0].trim();
+        if (!IMAGE_EXTENSIONS[mimeType]) throw new HttpError(415, 'Photos must be JPEG, PNG, WebP or GIF images.', 'errors.photoType');
+        const data = await readBody(req, MAX_IMAGE_BYTES);
+        if (data.length === 0) throw new HttpError(400, 'The photo is empty.', 'errors.photoEmpty');
+        return sendJson(res, 201, { id: saveImage(data, mimeType) });
+    }
+    if (req.method !== 'GET') throw new HttpError(405, 'Method not allowed');
+    if (!IMAGE_ID_PATTERN.test(imageId)) throw new HttpError(404, 'Image not found');
+    let data;
+    try {
+        data = fs.readFileSync(path.join(IMAGES_DIR, imageId));
+    } catch (e) {
+        throw new HttpError(404, 'Image not found');
+    }
+    // IDs are never reused, so the browser may keep the photo for good
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(imageId)], 'Cache-Control': 'private, max-age=31536000, immutable' });
+    res.end(data);
+}
+
+/**
+ * Handles /api/notifications requests, always for the signed-in user.
+ *   GET  /api/notifications             -> their notifications, newest first
+ *   POST /api/notifications/read        -> mark some as read; body { ids: [...] }
+ *   PUT  /api/notifications/preferences -> change their preferences; returns the user
+ */
+async function handleNotifications(req, res, action) {
+    const user = requireUser(req);
+    if (action === undefined && req.method === 'GET') {
+        return sendJson(res, 200, readNotifications().filter(n => n.userId === user.id));
+    }
+    if (action === 'read' && req.method === 'POST') {
+        const { ids } = await readJsonBody(req) || {};
+        if (!Array.isArray(ids)) throw new HttpError(400, 'Expected { ids: [...] }');
+        writeNotifications(readNotifications().map(n => (
+            n.userId === user.id && ids.includes(n.id) ? { ...n, read: true } : n
+        )));
+        return sendJson(res, 204);
+    }
+    if (action === 'preferences' && req.method === 'PUT') {
+        const changes = await readJsonBody(req) || {};
+        const users = readUsers();
+        const stored = users.find(u => u.id === user.id);
+        const preferences = getNotificationPreferences(stored);
+        Object.keys(DEFAULT_NOTIFICATION_PREFERENCES).forEach((key) => {
+            if (typeof changes[key] === 'boolean') preferences[key] = changes[key];
+        });
+        stored.notificationPreferences = preferences;
+        writeUsers(users);
+        return sendJson(res, 200, toPublicUser(stored));
+    }
+    if (action === undefined || action === 'read' || action === 'preferences') throw new HttpError(405, 'Method not allowed');
+    throw new HttpError(404, 'Not found');
+}
+
+/**
+ * Handles /api/categories, the report categories the app offers.
+ *   GET /api/categories -> the saved categories; [] until an admin saves some,
+ *                          meaning the app's built-in ones (no sign-in needed)
+ *   PUT /api/categories -> replace them (department admins only)
+ */
+async function handleCategories(req, res) {
+    if (req.method === 'GET') {
+        return sendJson(res, 200, readCategories());
+    }
+    if (req.method === 'PUT') {
+        requireUser(req, [ROLES.ADMIN]);
+        const categories = await readJsonBody(req);
+        const problems = validateCategories(categories);
+        if (problems.length > 0) {
+            const error = new HttpError(400, 'The categories are not valid.');
+            error.problems = problems;
+            throw error;
+        }
+        writeCategories(categories);
+        return sendJson(res, 204);
+    }
+    throw new HttpError(405, 'Method not allowed');
+}
+
+/**
+ * GET /api/events keeps a server-sent event stream open for the signed-in
+ * user: 'reports' events carry changed reports, 'notifications' events say
+ * there are new notifications to fetch.
+ */
+function handleEvents(req, res) {
+    requireUser(req);
+    if (req.method !== 'GET') throw new HttpError(405, 'Method not allowed');
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.write('retry: 5000\n\n');
+    const client = { res, token: parseCookies(req)[SESSION_COOKIE] };
+    eventClients.add(client);
+    req.on('close', () => eventClients.delete(client));
+}
+
+/**
+ * Routes /api/* requests to their handlers.
+ */
+async function handleApi(req, res, pathname) {
+    const parts = pathname.split('/').filter(Boolean).slice(1).map(decodeURIComponent); // Drop 'api'
+    if (parts[0] === 'auth' && parts.length === 2) return handleAuth(req, res, parts[1]);
+    if (parts[0] === 'users' && parts.length === 1) return handleUsers(req, res);
+    if (parts[0] === 'reports' && parts.length <= 2) return handleReports(req, res, parts[1]);
+    if (parts[0] === 'images' && parts.length <= 2) return handleImages(req, res, parts[1]);
+    if (parts[0] === 'notifications' && parts.length <= 2) return handleNotifications(req, res, parts[1]);
+    if (parts[0] === 'categories' && parts.length === 1) return handleCategories(req, res);
+    if (parts[0] === 'events' && parts.length === 1) return handleEvents(req, res);
+    throw new HttpError(404, 'Not found');
+}
+
+// --- Static Files ---
+
+function serveStatic(req, res, pathname) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        throw new HttpError(405, 'Method not allowed');
+    }
+    const relativePath = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+    const filePath = path.resolve(ROOT_DIR, relativePath);
+
+    // Refuse anything outside the app directory and the server's own data
+    const privateDirs = [path.dirname(DATA_FILE), path.dirname(USERS_FILE), path.dirname(NOTIFICATIONS_FILE), path.dirname(CATEGORIES_FILE), IMAGES_DIR];
+    if (!filePath.startsWith(ROOT_DIR + path.sep) || privateDirs.some(dir => filePath.startsWith(dir + path.sep))) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    fs.readFile(filePath, (err, content) => {
+        if (err) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found');
+            return;
+        }
+        const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': type });
+        res.end(req.method === 'HEAD' ? undefined : content);
+    });
+}
+
+// --- Server ---
+
+const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    try {
+        if (pathname === '/api' || pathname.startsWith('/api/')) {
+            await handleApi(req, res, pathname);
+        } else {
+            serveStatic(req, res, pathname);
+        }
+    } catch (error) {
+        const status = error instanceof HttpError ? error.status : 500;
+        if (status === 500) console.error(error);
+        if (!res.headersSent) {
+            sendJson(res, status, status === 500
+                ? { error: 'Internal server error' }
+                : { error: error.message, ...(error.problems.length > 0 ? { problems: error.problems } : {}) });
+        }
+    }
+});
+
+migrateStoredReports();
+migrateReportImages();
+
+server.listen(PORT, () => {
+    console.log(`FixYourCity server running at http://localhost:${PORT}/index.html?backend=http`);
+    console.log(`Reports are stored in ${DATA_FILE}`);
+});
@@ -0,0 +1,111 @@
+/**
+ * service-worker.js
+ * Makes FixYourCity work offline and installable.
+ *  - The pages, app.js, shared.js, style.css and the slideshow images are cached on install.
+ *  - Same-origin files are fetched network-first, so updates show up at once,
+ *    and come from the cache when offline.
+ *  - Tailwind and the web fonts come from CDNs; they are cached the first time
+ *    they load and served from the cache after that.
+ *  - /api/ requests always go to the network; reports filed offline wait in
+ *    the app's outbox (see "Offline Outbox" in app.js) instead.
+ * Bump CACHE_VERSION whenever APP_SHELL changes.
+ */
+
+const CACHE_VERSION = 'v2';
+const APP_CACHE = `fixyourcity-app-${CACHE_VERSION}`;
+const CDN_CACHE = `fixyourcity-cdn-${CACHE_VERSION}`;
+importScripts('shared.js'); // OUTBOX_SYNC_TAG
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'user_dashboard.html',
+    'my_reports.html',
+    'explore.html',
+    'authority_dashboard.html',
+    'app.js',
+    'shared.js',
+    'style.css',
+    'manifest.webmanifest',
+    'icon.svg',
+    'IndiaGate.jpg',
+    'Lotus Temple.jpg',
+    'Greater Noida Expressway.webp',
+    'humayuns-tomb.jpg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(APP_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches from older versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('fixyourcity-') && key !== APP_CACHE && key !== CDN_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Fetches from the network and refreshes the cached copy, falling back to
+ * the cache when the network fails.
+ * @param {Request} request - The request.
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(APP_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        // ignoreSearch: pages opened as e.g. authority_dashboard.html?status=Pending
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Serves a CDN file from the cache, fetching and caching it the first time.
+ * Responses are opaque (no CORS), so they are cached whatever their status.
+ * @param {Request} request - The request.
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(CDN_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    cache.put(request, response.clone());
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        if (url.pathname.includes('/api/')) return; // Always live, never cached
+        event.respondWith(networkFirst(request));
+    } else if (/^(cdn\.tailwindcss\.com|fonts\.googleapis\.com|fonts\.gstatic\.com)$/.test(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+// Background Sync: the browser wakes us once it is back online. Sending a
+// report needs the page's storage code, so ask any open page to do it.
+self.addEventListener('sync', (event) => {
+    if (event.tag !== OUTBOX_SYNC_TAG) return;
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window' })
+            .then(clients => clients.forEach(client => client.postMessage({ type: 'sync-outbox' })))
+    );
+});
@@ -0,0 +1,425 @@
+/**
+ * shared.js
+ * The report rules the pages and the server must agree on: roles, the status
+ * workflow, departments and categories, the report schema and its
+ * migrations, account checks and notification events.
+ * Pages load it before app.js; server.js loads it with require() and the
+ * service worker with importScripts(). Only data and pure functions belong
+ * here. Problems are returned as message catalog keys (MESSAGES in app.js),
+ * which the page puts into the user's language.
+ */
+
+// --- Roles ---
+const ROLES = {
+    RESIDENT: 'resident',
+    OFFICER: 'officer',
+    ADMIN: 'admin'
+};
+const STAFF_ROLES = [ROLES.OFFICER, ROLES.ADMIN];
+const ALL_ROLES = Object.values(ROLES);
+
+// --- Report Statuses ---
+const REPORT_STATUSES = ['Pending', 'In Progress', 'Needs Info', 'Resolved', 'Rejected', 'Duplicate'];
+
+// Which statuses a report may move to from each status
+const STATUS_TRANSITIONS = {
+    'Pending': ['In Progress', 'Needs Info', 'Resolved', 'Rejected', 'Duplicate'],
+    'In Progress': ['Needs Info', 'Resolved', 'Rejected', 'Duplicate'],
+    'Needs Info': ['Pending', 'In Progress', 'Rejected', 'Duplicate'],
+    'Resolved': ['Pending'],
+    'Rejected': ['Pending'],
+    'Duplicate': ['Pending']
+};
+
+// Statuses that still need work: only these gather support, and a new report
+// of the same issue is a duplicate of one of them
+const OPEN_STATUSES = ['Pending', 'In Progress', 'Needs Info'];
+
+/**
+ * Lists the statuses a report may move to from its current status.
+ * @param {string} status - The current status.
+ * @returns {Array<string>} The allowed next statuses.
+ */
+function getAllowedTransitions(status) {
+    return STATUS_TRANSITIONS[status] || [];
+}
+
+const RATING_SCALE = 5; // Residents rate fixes from 1 to 5
+
+// --- Departments & Categories ---
+
+const DEPARTMENTS = ['Roads', 'Sanitation', 'Electrical', 'Public Safety', 'General Administration'];
+const DEFAULT_DEPARTMENT = 'General Administration'; // For categories that have been removed
+
+// What residents can report. Department admins manage the list from the
+// Authority Dashboard ("Manage Categories"); until they save one, these are
+// used. Each category has:
+//   name         string   the code stored in report.category; fixed once created
+//   icon         string   an emoji shown beside the name
+//   department   string   one of DEPARTMENTS; new reports are routed there
+//   targetHours  number   how quickly it should be resolved
+//   severity     number   how serious it is (1-3), for the priority score
+//   fields       Array    extra questions on the report form, answered into report.details:
+//                         { key, label, type: one of CATEGORY_FIELD_TYPES, options (for 'select'), required }
+// Reports keep the department and due date they got when filed.
+const DEFAULT_CATEGORIES = [
+    {
+        name: 'Pothole', icon: '🕳️', department: 'Roads', targetHours: 72, severity: 3,
+        fields: [{ key: 'size', label: 'Size of pothole', type: 'select', options: ['Small', 'Medium', 'Large'], required: false }]
+    },
+    { name: 'Garbage & Dumping', icon: '🗑️', department: 'Sanitation', targetHours: 48, severity: 2, fields: [] },
+    {
+        name: 'Broken Streetlight', icon: '💡', department: 'Electrical', targetHours: 48, severity: 3,
+        fields: [{ key: 'poleNumber', label: 'Streetlight pole number', type: 'text', required: false }]
+    },
+    { name: 'Public Nuisance', icon: '📢', department: 'Public Safety', targetHours: 24, severity: 2, fields: [] },
+    { name: 'Graffiti', icon: '🎨', department: 'Sanitation', targetHours: 168, severity: 1, fields: [] },
+    { name: 'Other', icon: '📝', department: 'General Administration', targetHours: 120, severity: 1, fields: [] }
+];
+const CATEGORY_FIELD_TYPES = ['text', 'number', 'select'];
+const CATEGORY_SEVERITIES = [1, 2, 3];
+
+// For categories that have been removed
+const DEFAULT_SLA_TARGET = { targetHours: 120, severity: 1 };
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Lists the ways a category list is unusable. The admin screen and both
+ * backends check it before saving.
+ * @param {*} list - The proposed categories.
+ * @returns {Array<{key: string, params: (object|undefined)}>} Problems as
+ *   catalog keys; empty when the list is valid.
+ */
+function validateCategories(list) {
+    if (!Array.isArray(list) || list.length === 0) return [{ key: 'errors.categoriesEmpty' }];
+    const errors = [];
+    const names = new Set();
+    list.forEach((category) => {
+        const name = category && typeof category.name === 'string' ? category.name.trim() : '';
+        if (name === '') {
+            errors.push({ key: 'errors.categoryName' });
+            return;
+        }
+        if (names.has(name)) errors.push({ key: 'errors.categoryDuplicate', params: { name } });
+        names.add(name);
+        if (typeof category.icon !== 'string') errors.push({ key: 'errors.categoryIcon', params: { name } });
+        if (!DEPARTMENTS.includes(category.department)) errors.push({ key: 'errors.categoryDepartment', params: { name } });
+        if (!(Number.isFinite(category.targetHours) && category.targetHours > 0)) errors.push({ key: 'errors.categoryTarget', params: { name } });
+        if (!CATEGORY_SEVERITIES.includes(category.severity)) errors.push({ key: 'errors.categorySeverity', params: { name } });
+        if (!Array.isArray(category.fields)) {
+            errors.push({ key: 'errors.categoryFields', params: { name } });
+            return;
+        }
+        const keys = new Set();
+        category.fields.forEach((field) => {
+            if (!field || typeof field.label !== 'string' || field.label.trim() === '') {
+                errors.push({ key: 'errors.fieldLabel', params: { name } });
+                return;
+            }
+            const label = field.label;
+            if (typeof field.key !== 'string' || !/^[A-Za-z][A-Za-z0-9]*$/.test(field.key) || keys.has(field.key)) {
+                errors.push({ key: 'errors.fieldKey', params: { name, label } });
+            }
+            keys.add(field.key);
+            if (!CATEGORY_FIELD_TYPES.includes(field.type)) errors.push({ key: 'errors.fieldType', params: { name, label } });
+            if (field.type === 'select' && !(Array.isArray(field.options) && field.options.length > 0 && field.options.every(o => typeof o === 'string' && o.trim() !== ''))) {
+                errors.push({ key: 'errors.fieldOptions', params: { name, label } });
+            }
+        });
+    });
+    return errors;
+}
+
+// --- Accounts ---
+
+const SESSION_TTL_MS = 12 * HOUR_MS;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Normalizes an email address so lookups are case-insensitive.
+ * @param {string} email - The email as typed.
+ * @returns {string} The normalized email.
+ */
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Lists what is wrong with the fields of a new account.
+ * @param {object} account - { name, email, password, role }.
+ * @returns {Array<{key: string, params: (object|undefined)}>} Problems as
+ *   catalog keys, in form order; empty when the account is valid.
+ */
+function validateAccount({ name, email, password, role }) {
+    const problems = [];
+    if (!String(name || '').trim()) problems.push({ key: 'errors.nameRequired' });
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizeEmail(email))) problems.push({ key: 'errors.emailInvalid' });
+    if (String(password || '').length < MIN_PASSWORD_LENGTH) problems.push({ key: 'errors.passwordTooShort' });
+    if (!ALL_ROLES.includes(role)) problems.push({ key: 'errors.unknownRole', params: { role } });
+    return problems;
+}
+
+/**
+ * Strips secret fields from a stored user record.
+ * @param {object} user - The stored user.
+ * @returns {object} The user without password material.
+ */
+function toPublicUser(user) {
+    const { passwordHash, salt, ...publicUser } = user;
+    return publicUser;
+}
+
+// --- Report Schema ---
+// A stored report, as of REPORT_SCHEMA_VERSION:
+//   schemaVersion  number         REPORT_SCHEMA_VERSION
+//   id             string         unique, e.g. from generateId() in app.js
+//   category       string
+//   status         string         one of REPORT_STATUSES
+//   location       string         '' when not given
+//   description    string         '' when not given
+//   geolocation    {lat, lon}|null
+//   photoIds       Array<string>  image IDs in the backend's image storage
+//   thumbnailId    string|null
+//   department     string         one of DEPARTMENTS, from the category when filed
+//   assignedTo     {id, name}|null
+//   submittedAt    ISO date
+//   dueAt          ISO date       see computeDueDate
+//   supporters     Array<string>  user IDs of residents who +1'd it
+//   history        Array          status changes, see createHistoryEntry
+//   comments       Array          see addComment
+//   reporterId, reporterName       who filed it (hidden from other residents)
+//   feedback       Array          optional; the reporter's reviews of fixes, see "Resolution Feedback"
+//   details        object         optional; answers to the category's extra fields, by field key
+// plus optional bookkeeping fields (readBy, assignedBy, assignedAt, mergedInto, mergedReports).
+// computeDueDate, createHistoryEntry, addComment and "Resolution Feedback" are in app.js.
+
+
+const REPORT_SCHEMA_VERSION = 2;
+
+// REPORT_MIGRATIONS[n] upgrades a version-n report to version n + 1.
+// Reports saved before versioning count as version 0.
+const REPORT_MIGRATIONS = [
+    // 0 -> 1: fill in the fields every page reads
+    report => ({
+        ...report,
+        status: report.status || 'Pending',
+        location: report.location || '',
+        description: report.description || '',
+        geolocation: report.geolocation && Number.isFinite(report.geolocation.lat) ? report.geolocation : null,
+        photoIds: report.photoIds || [],
+        thumbnailId: report.thumbnailId || null,
+        history: report.history || [{ from: null, to: 'Pending', by: null, at: report.submittedAt, note: '' }],
+        comments: report.comments || []
+    }),
+    // 1 -> 2: department routing, assignment, SLA due dates and supporters.
+    // Reports this old predate admin-managed categories, so the defaults apply.
+    (report) => {
+        const category = DEFAULT_CATEGORIES.find(c => c.name === report.category);
+        const targetHours = category ? category.targetHours : DEFAULT_SLA_TARGET.targetHours;
+        return {
+            ...report,
+            department: report.department || (category ? category.department : DEFAULT_DEPARTMENT),
+            assignedTo: report.assignedTo || null,
+            dueAt: report.dueAt || new Date(new Date(report.submittedAt).getTime() + targetHours * HOUR_MS).toISOString(),
+            supporters: report.supporters || []
+        };
+    }
+];
+
+/**
+ * Upgrades a stored record to REPORT_SCHEMA_VERSION.
+ * @param {object} record - The record as stored.
+ * @returns {object} The upgraded report (the record itself if already current).
+ * @throws {Error} If the record is not an object, or was saved by a newer version.
+ */
+function upgradeReport(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) throw new Error('Not a report object.');
+    const version = Number.isInteger(record.schemaVersion) ? record.schemaVersion : 0;
+    if (version > REPORT_SCHEMA_VERSION) {
+        throw new Error(`Saved by a newer version of the app (schema ${version}).`);
+    }
+    let report = record;
+    for (let v = version; v < REPORT_SCHEMA_VERSION; v++) {
+        report = { ...REPORT_MIGRATIONS[v](report), schemaVersion: v + 1 };
+    }
+    return report;
+}
+
+// Every field validateReport() accepts; the optional ones may be left out
+const REPORT_FIELDS = [
+    'schemaVersion', 'id', 'category', 'status', 'location', 'description', 'geolocation', 'photoIds', 'thumbnailId',
+    'department', 'assignedTo', 'submittedAt', 'dueAt', 'supporters', 'history', 'comments', 'reporterId', 'reporterName',
+    'feedback', 'details', 'readBy', 'assignedBy', 'assignedAt', 'mergedInto', 'mergedReports'
+];
+// Base64 photos older versions kept inside reports, until the photo migrations move them out
+const LEGACY_PHOTO_FIELDS = ['imageData', 'photos', 'thumbnailData'];
+
+/**
+ * Lists the ways a report breaks the current schema.
+ * @param {object} report - The report.
+ * @returns {Array<{key: string, params: (object|undefined)}>} Problems as
+ *   catalog keys; empty when the report is valid.
+ */
+function validateReport(report) {
+    if (!report || typeof report !== 'object' || Array.isArray(report)) return [{ key: 'errors.importNotObject' }];
+    const errors = [];
+    const isText = value => typeof value === 'string';
+    const isDate = value => isText(value) && !Number.isNaN(new Date(value).getTime());
+    if (report.schemaVersion !== REPORT_SCHEMA_VERSION) errors.push({ key: 'errors.reportSchemaVersion', params: { version: REPORT_SCHEMA_VERSION } });
+    if (!isText(report.id) || report.id === '') errors.push({ key: 'errors.reportId' });
+    if (!isText(report.category) || report.category === '') errors.push({ key: 'errors.reportCategory' });
+    if (!REPORT_STATUSES.includes(report.status)) errors.push({ key: 'errors.reportStatus', params: { status: String(report.status) } });
+    if (!isText(report.location)) errors.push({ key: 'errors.reportLocation' });
+    if (!isText(report.description)) errors.push({ key: 'errors.reportDescription' });
+    if (report.geolocation !== null && !(report.geolocation && Number.isFinite(report.geolocation.lat) && Number.isFinite(report.geolocation.lon))) {
+        errors.push({ key: 'errors.reportGeolocation' });
+    }
+    if (!Array.isArray(report.photoIds) || !report.photoIds.every(isText)) errors.push({ key: 'errors.reportPhotoIds' });
+    if (report.thumbnailId !== null && !isText(report.thumbnailId)) errors.push({ key: 'errors.reportThumbnailId' });
+    if (!isText(report.department)) errors.push({ key: 'errors.reportDepartment' });
+    if (report.assignedTo !== null && !(report.assignedTo && isText(report.assignedTo.id))) errors.push({ key: 'errors.reportAssignedTo' });
+    if (!isDate(report.submittedAt)) errors.push({ key: 'errors.reportSubmittedAt' });
+    if (!isDate(report.dueAt)) errors.push({ key: 'errors.reportDueAt' });
+    // Residents see other residents' supporter IDs as null (see server.js)
+    if (!Array.isArray(report.supporters)) errors.push({ key: 'errors.reportSupporters' });
+    if (!Array.isArray(report.history)) errors.push({ key: 'errors.reportHistory' });
+    if (!Array.isArray(report.comments)) errors.push({ key: 'errors.reportComments' });
+    if (report.details !== undefined && !isDetails(report.details)) errors.push({ key: 'errors.reportDetails' });
+    Object.keys(report).forEach((field) => {
+        if (!REPORT_FIELDS.includes(field) && !LEGACY_PHOTO_FIELDS.includes(field)) errors.push({ key: 'errors.reportUnknownField', params: { field } });
+    });
+    return errors;
+}
+
+/**
+ * Tells whether a value can be a report's details: an object of answers.
+ * @param {*} value - The value.
+ * @returns {boolean}
+ */
+function isDetails(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// --- Notifications ---
+// Writing a report records a notification for everyone else involved:
+//   'status'     - the report moved to a new status  -> reporter and assignee
+//   'comment'    - a comment was added                 -> reporter and assignee
+//   'assignment' - the report was assigned to someone  -> the assignee and the reporter
+// Nobody is notified about their own change.
+
+const NOTIFICATION_TYPES = ['status', 'comment', 'assignment'];
+const DEFAULT_NOTIFICATION_PREFERENCES = {
+    status: true,
+    comment: true,
+    assignment: true,
+    browser: false, // Pop-ups through the browser's Notification API
+    channel: false  // Email/SMS through the outbound channel
+};
+const NOTIFICATIONS_PER_USER = 50; // Older ones are dropped
+
+/**
+ * Fills in a user's notification preferences with the defaults.
+ * @param {object} user - The user.
+ * @returns {object} Preferences shaped like DEFAULT_NOTIFICATION_PREFERENCES.
+ */
+function getNotificationPreferences(user) {
+    return { ...DEFAULT_NOTIFICATION_PREFERENCES, ...((user && user.notificationPreferences) || {}) };
+}
+
+/**
+ * Compares a report with its stored copy and lists who should hear about
+ * the difference. Events keep codes and names, not sentences, so each
+ * reader's page can word them in their own language (formatNotification()
+ * in app.js).
+ * @param {object|undefined} existing - The stored report; new reports notify nobody.
+ * @param {object} incoming - The report being written.
+ * @param {object} actor - The user making the change.
+ * @returns {Array<{userId: string, type: string, reportId: string, event: string, params: object}>}
+ */
+function describeReportEvents(existing, incoming, actor) {
+    if (!existing) return [];
+    const about = { actor: actor.name, category: incoming.category, location: incoming.location || '' };
+    const assignee = incoming.assignedTo;
+    const events = [];
+    const add = (userIds, type, event, params) => userIds.forEach((userId) => {
+        if (userId && userId !== actor.id && !events.some(e => e.userId === userId && e.type === type)) {
+            events.push({ userId, type, reportId: incoming.id, event, params: { ...about, ...params } });
+        }
+    });
+
+    if (incoming.status !== existing.status) {
+        add([incoming.reporterId, assignee && assignee.id], 'status', 'statusChanged', { from: existing.status, to: incoming.status });
+    }
+    const newComments = (incoming.comments || []).slice((existing.comments || []).length);
+    if (newComments.length > 0) {
+        const text = String(newComments[newComments.length - 1].body);
+        add([incoming.reporterId, assignee && assignee.id], 'comment', 'commented', { excerpt: text.length > 80 ? `${text.slice(0, 77)}...` : text });
+    }
+    if (assignee && assignee.id !== (existing.assignedTo && existing.assignedTo.id)) {
+        add([assignee.id], 'assignment', 'assignedToYou', {});
+        add([incoming.reporterId], 'assignment', 'reportAssigned', { assignee: assignee.name });
+    }
+    return events;
+}
+
+/**
+ * Adds notifications to a stored list, keeping only the newest
+ * NOTIFICATIONS_PER_USER for each user.
+ * @param {Array<object>} stored - Every stored notification.
+ * @param {Array<object>} added - New notifications.
+ * @returns {Array<object>} The new stored list, newest first.
+ */
+function addNotifications(stored, added) {
+    const counts = {};
+    return [...added, ...stored]
+        .sort((a, b) => b.at.localeCompare(a.at))
+        .filter((n) => {
+            counts[n.userId] = (counts[n.userId] || 0) + 1;
+            return counts[n.userId] <= NOTIFICATIONS_PER_USER;
+        });
+}
+
+// --- Offline Outbox ---
+
+// The Background Sync tag app.js registers and the service worker answers
+const OUTBOX_SYNC_TAG = 'report-outbox';
+
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        ROLES,
+        STAFF_ROLES,
+        ALL_ROLES,
+        REPORT_STATUSES,
+        STATUS_TRANSITIONS,
+        OPEN_STATUSES,
+        getAllowedTransitions,
+        RATING_SCALE,
+        DEPARTMENTS,
+        DEFAULT_DEPARTMENT,
+        DEFAULT_CATEGORIES,
+        CATEGORY_FIELD_TYPES,
+        CATEGORY_SEVERITIES,
+        DEFAULT_SLA_TARGET,
+        HOUR_MS,
+        validateCategories,
+        SESSION_TTL_MS,
+        MIN_PASSWORD_LENGTH,
+        normalizeEmail,
+        validateAccount,
+        toPublicUser,
+        REPORT_SCHEMA_VERSION,
+        REPORT_MIGRATIONS,
+        upgradeReport,
+        REPORT_FIELDS,
+        validateReport,
+        isDetails,
+        NOTIFICATION_TYPES,
+        DEFAULT_NOTIFICATION_PREFERENCES,
+        NOTIFICATIONS_PER_USER,
+        getNotificationPreferences,
+        describeReportEvents,
+        addNotifications,
+        OUTBOX_SYNC_TAG
+    };
+}
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, closePages, makeReport } = require('./helpers');
+
+test.afterEach(closePages);
+
+const HOUR_MS = 60 * 60 * 1000;
+// A Wednesday; its week starts on Monday 5 January
+const NOW = Date.parse('2026-01-07T12:00:00Z');
+const plain = value => JSON.parse(JSON.stringify(value));
+
+/** A report filed at `submittedAt` that went through `changes` ([status, hours after filing]). */
+function reportWithHistory(id, submittedAt, changes, fields = {}) {
+    const filed = Date.parse(submittedAt);
+    const history = [{ from: null, to: 'Pending', by: null, at: submittedAt, note: '' }];
+    changes.forEach(([to, hours]) => {
+        history.push({ from: history[history.length - 1].to, to, by: null, at: new Date(filed + hours * HOUR_MS).toISOString(), note: '' });
+    });
+    return makeReport({ id, submittedAt, status: history[history.length - 1].to, history, ...fields });
+}
+
+test('countReportsByPeriod counts reports filed each day or week', async () => {
+    const { window } = await loadPage('index.html');
+    const reports = ['2026-01-01T08:00:00Z', '2026-01-05T10:00:00Z', '2026-01-07T01:00:00Z', '2026-01-07T09:00:00Z']
+        .map((submittedAt, i) => makeReport({ id: `r${i}`, submittedAt }));
+    assert.deepEqual(plain(window.countReportsByPeriod(reports, 'day', 3, NOW)), [
+        { start: '2026-01-05', count: 1 },
+        { start: '2026-01-06', count: 0 },
+        { start: '2026-01-07', count: 2 }
+    ]);
+    assert.deepEqual(plain(window.countReportsByPeriod(reports, 'week', 2, NOW)), [
+        { start: '2025-12-29', count: 1 },
+        { start: '2026-01-05', count: 3 }
+    ]);
+});
+
+test('computeBacklogOverTime counts reports open at the end of each day', async () => {
+    const { window } = await loadPage('index.html');
+    const reports = [
+        // Resolved on the 6th, reopened on the 7th
+        reportWithHistory('reopened', '2026-01-05T10:00:00Z', [['Resolved', 24], ['Pending', 44]]),
+        reportWithHistory('waiting', '2026-01-06T05:00:00Z', []),
+        reportWithHistory('started', '2026-01-07T01:00:00Z', [['In Progress', 2]]),
+        reportWithHistory('later', '2026-01-07T18:00:00Z', [])
+    ];
+    assert.deepEqual(plain(window.computeBacklogOverTime(reports, 'day', 3, NOW)), [
+        { start: '2026-01-05', open: 1 },
+        { start: '2026-01-06', open: 1 },
+        { start: '2026-01-07', open: 3 }
+    ]);
+});
+
+test('computeResolutionTimes gives the median and 90th percentile per category', async () => {
+    const { window } = await loadPage('index.html');
+    const filed = '2026-01-01T00:00:00Z';
+    const reports = [
+        reportWithHistory('p1', filed, [['Resolved', 10]]),
+        reportWithHistory('p2', filed, [['In Progress', 5], ['Resolved', 20]]),
+        reportWithHistory('p3', filed, [['Resolved', 40], ['Pending', 50], ['Resolved', 90]]),
+        reportWithHistory('p4', filed, [['In Progress', 1]]),
+        reportWithHistory('g1', filed, [['Resolved', 5]], { category: 'Graffiti' })
+    ];
+    assert.deepEqual(plain(window.computeResolutionTimes(reports)), {
+        Pothole: { resolved: 3, medianHours: 20, p90Hours: 36 },
+        Graffiti: { resolved: 1, medianHours: 5, p90Hours: 5 }
+    });
+    assert.deepEqual(plain(window.computeResolutionTimes([])), {});
+});
+
+test('computeReopenRate is the share of resolved reports reopened', async () => {
+    const { window } = await loadPage('index.html');
+    const filed = '2026-01-01T00:00:00Z';
+    const reports = [
+        reportWithHistory('once', filed, [['Resolved', 10]]),
+        reportWithHistory('twice', filed, [['Resolved', 10], ['Pending', 20], ['Resolved', 30], ['Pending', 40]]),
+        reportWithHistory('kept', filed, [['Resolved', 10]]),
+        reportWithHistory('rejected', filed, [['Rejected', 10]]),
+        reportWithHistory('open', filed, [])
+    ];
+    assert.deepEqual(plain(window.computeReopenRate(reports)), { resolved: 3, reopened: 1, rate: 1 / 3 });
+    assert.deepEqual(plain(window.computeReopenRate([])), { resolved: 0, reopened: 0, rate: 0 });
+});
+
+test('computeAverageRating averages every rating residents gave', async () => {
+    const { window } = await loadPage('index.html');
+    const reports = [
+        makeReport({ id: 'r1', feedback: [{ rating: 4 }, { rating: 2 }] }),
+        makeReport({ id: 'r2', feedback: [{ rating: 5 }] }),
+        makeReport({ id: 'r3' })
+    ];
+    assert.deepEqual(plain(window.computeAverageRating(reports)), { count: 3, average: 11 / 3 });
+    assert.deepEqual(plain(window.computeAverageRating([makeReport()])), { count: 0, average: null });
+});
+
+test('findHotspots groups locations that differ only in case, spacing or punctuation', async () => {
+    const { window } = await loadPage('index.html');
+    const reports = [
+        makeReport({ id: 'r1', location: ' MG Road ' }),
+        makeReport({ id: 'r2', location: 'mg road.', status: 'Resolved' }),
+        makeReport({ id: 'r3', location: 'MG  Road' }),
+        makeReport({ id: 'r4', location: 'Park Street', status: 'Resolved' }),
+        makeReport({ id: 'r5', location: 'Bus Stand' }),
+        makeReport({ id: 'r6', location: '', geolocation: { lat: 12.97, lon: 77.59 } })
+    ];
+    assert.deepEqual(plain(window.findHotspots(reports)), [
+        { location: 'MG Road', total: 3, open: 2 },
+        { location: 'Bus Stand', total: 1, open: 1 },
+        { location: 'Park Street', total: 1, open: 0 }
+    ]);
+    assert.equal(window.findHotspots(reports, 1).length, 1);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, closePages, waitFor, makeReport, USERS } = require('./helpers');
+
+test.afterEach(closePages);
+
+const unreadReport = () => makeReport({
+    comments: [{ id: 'c1', author: { id: 'resident', name: 'Ria', role: 'resident' }, body: 'Still there', at: '2026-01-02T00:00:00.000Z' }]
+});
+
+test('opening a comment thread marks it read and clears the badge', async () => {
+    const { window, document } = await loadPage('authority_dashboard.html', { users: USERS, userId: 'admin', reports: [unreadReport()] });
+    const thread = document.querySelector('.comments-details');
+    assert.ok(thread.querySelector('.unread-badge'));
+    thread.open = true; // Fires 'toggle'
+    await waitFor(() => !thread.querySelector('.unread-badge'), 'the badge stayed');
+    const [stored] = await window.getReports();
+    assert.ok(stored.readBy.admin);
+});
+
+test('a thread that cannot be marked read says so and keeps its badge', async () => {
+    const { window, document, alerts } = await loadPage('authority_dashboard.html', { users: USERS, userId: 'admin', reports: [unreadReport()] });
+    window.Storage.prototype.setItem = () => { throw new Error('Disk is read-only'); };
+    const thread = document.querySelector('.comments-details');
+    thread.open = true; // Fires 'toggle'
+    await waitFor(() => alerts.length > 0, 'no error was shown');
+    assert.deepEqual(alerts, ['Disk is read-only']);
+    assert.ok(thread.querySelector('.unread-badge'));
+});
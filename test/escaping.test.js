@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, closePages, makeReport, USERS } = require('./helpers');
+
+test.afterEach(closePages);
+
+// Each payload sets window.injected if it ever runs
+const IMG_PAYLOAD = '<img src=x onerror="window.injected=1">';
+const BREAKOUT_PAYLOAD = '"><script>window.injected=2</script>';
+const JS_URL = 'javascript:window.injected=3';
+
+const hostileReport = (fields = {}) => makeReport({
+    category: `Pothole${IMG_PAYLOAD}`,
+    location: `MG Road${BREAKOUT_PAYLOAD}`,
+    description: IMG_PAYLOAD,
+    photoIds: [JS_URL, BREAKOUT_PAYLOAD],
+    thumbnailId: BREAKOUT_PAYLOAD,
+    geolocation: { lat: 12.97, lon: 77.59 },
+    history: [
+        { from: null, to: 'Pending', by: { id: 'resident', name: IMG_PAYLOAD }, at: '2026-01-01T00:00:00.000Z', note: BREAKOUT_PAYLOAD }
+    ],
+    comments: [
+        { id: 'c1', author: { id: 'officer', name: BREAKOUT_PAYLOAD, role: 'officer' }, body: `${IMG_PAYLOAD}${BREAKOUT_PAYLOAD}`, at: '2026-01-02T00:00:00.000Z' }
+    ],
+    ...fields
+});
+
+function assertNothingInjected({ window, document }, container) {
+    assert.equal(window.injected, undefined);
+    assert.equal(container.querySelectorAll('script, [onerror]').length, 0);
+    container.querySelectorAll('[href], [src]').forEach((el) => {
+        const url = el.getAttribute('href') || el.getAttribute('src');
+        assert.doesNotMatch(url, /^\s*javascript:/i, `${el.tagName} points at ${url}`);
+    });
+    assert.equal(document.querySelectorAll('body script').length, 0);
+}
+
+test('complaint cards show hostile report fields as text', async () => {
+    const page = await loadPage('authority_dashboard.html', { users: USERS, userId: 'admin', reports: [hostileReport()] });
+    const card = page.document.querySelector('#complaint-list [data-id="r1"]');
+    assert.ok(card, 'the card is rendered');
+    assertNothingInjected(page, card);
+    assert.ok(card.textContent.includes(IMG_PAYLOAD), 'the description is shown as typed');
+    assert.ok(card.textContent.includes(BREAKOUT_PAYLOAD), 'the location is shown as typed');
+    assert.deepEqual(page.errors, []);
+});
+
+test('explore cards show hostile report fields as text', async () => {
+    const page = await loadPage('explore.html', { users: USERS, userId: 'resident', reports: [hostileReport()] });
+    const card = page.document.querySelector('[data-id="r1"]');
+    assert.ok(card, 'the card is rendered');
+    assertNothingInjected(page, card);
+    assert.ok(card.textContent.includes(`Pothole${IMG_PAYLOAD}`), 'the category is shown as typed');
+    assert.equal(card.querySelector('img').dataset.imageId, BREAKOUT_PAYLOAD);
+});
+
+test('my reports shows hostile report fields and comments as text', async () => {
+    const page = await loadPage('my_reports.html', { users: USERS, userId: 'resident', reports: [hostileReport()], search: '?report=r1' });
+    const row = page.document.querySelector('#reports-tbody tr');
+    assert.ok(row, 'the row is rendered');
+    assertNothingInjected(page, row);
+
+    const detail = page.document.getElementById('report-detail-body');
+    assertNothingInjected(page, detail);
+    assert.ok(detail.textContent.includes(`${IMG_PAYLOAD}${BREAKOUT_PAYLOAD}`), 'the comment is shown as typed');
+});
+
+test('safeUrl refuses script and data URLs', async () => {
+    const { window } = await loadPage('index.html');
+    for (const url of [JS_URL, ' JaVaScRiPt:alert(1)', 'java\tscript:alert(1)', 'data:text/html,<script>alert(1)</script>', 'vbscript:msgbox(1)']) {
+        assert.equal(window.safeUrl(url), '', url);
+    }
+    assert.equal(window.safeUrl('https://example.com/a.jpg'), 'https://example.com/a.jpg');
+    assert.equal(window.safeUrl('blob:http://localhost/1'), 'blob:http://localhost/1');
+    assert.equal(window.safeUrl('images/a.jpg'), 'images/a.jpg');
+});
+
+test('photos are not pointed at URLs safeUrl refuses', async () => {
+    const { window } = await loadPage('index.html', {
+        beforeLoad: (w) => { w.URL.createObjectURL = () => JS_URL; }
+    });
+    const src = await window.eval(`(async () => {
+        await runImageTransaction('readwrite', store => store.put(new Blob(['x'], { type: 'image/jpeg' }), 'photo-1'));
+        const img = document.createElement('img');
+        img.dataset.imageId = 'photo-1';
+        await loadImageElement(img);
+        return img.getAttribute('src');
+    })()`);
+    assert.equal(src, null);
+    assert.equal(window.injected, undefined);
+});
+
+test('html`` escapes values but keeps nested markup', async () => {
+    const { window } = await loadPage('index.html');
+    window.payloads = { breakout: BREAKOUT_PAYLOAD, img: IMG_PAYLOAD };
+    const markup = window.eval('String(html`<p title="${payloads.breakout}">${[html`<b>bold</b>`, payloads.img]}</p>`)');
+    assert.equal(markup, '<p title="&quot;&gt;&lt;script&gt;window.injected=2&lt;/script&gt;"><b>bold</b>&lt;img src=x onerror=&quot;window.injected=1&quot;&gt;</p>');
+    assert.throws(() => window.eval('setHtml(document.body, payloads.img)'), /only accepts markup/);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, closePages, makeReport, USERS } = require('./helpers');
+
+test.afterEach(closePages);
+
+const [ADMIN] = USERS;
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test('csvCell keeps text that looks like a formula as text', async () => {
+    const { window } = await loadPage('index.html');
+    assert.equal(window.csvCell('=HYPERLINK("http://evil.example","Click")'), '"\'=HYPERLINK(""http://evil.example"",""Click"")"');
+    assert.equal(window.csvCell('+1 555 0100'), "'+1 555 0100");
+    assert.equal(window.csvCell('-2+3'), "'-2+3");
+    assert.equal(window.csvCell('@SUM(A1:A2)'), "'@SUM(A1:A2)");
+    assert.equal(window.csvCell('\tcmd'), "'\tcmd");
+    assert.equal(window.csvCell('\rcmd'), '"\'\rcmd"');
+    assert.equal(window.csvCell('MG Road, near = sign'), '"MG Road, near = sign"');
+    assert.equal(window.csvCell(-33.86), '-33.86');
+    assert.equal(window.csvCell(null), '');
+});
+
+test('exported formula-like text is imported back unchanged', async () => {
+    const { window } = await loadPage('index.html');
+    const report = makeReport({
+        location: '=cmd|" /C calc"!A0',
+        description: '@risk, +urgent',
+        geolocation: { lat: -33.86, lon: 151.2 }
+    });
+    const csv = window.reportsToCsv([report]);
+    assert.ok(csv.includes(`"'=cmd|"" /C calc""!A0"`), csv);
+    assert.ok(csv.includes(',-33.86,151.2,'), 'coordinates stay numbers');
+
+    const [{ record }] = window.parseImportFile('reports.csv', csv);
+    assert.equal(record.location, report.location);
+    assert.equal(record.description, report.description);
+    assert.deepEqual({ ...record.geolocation }, report.geolocation);
+});
+
+test('an exported report imports back with its assignee, supporters and spacing', async () => {
+    const { window } = await loadPage('index.html', { users: USERS });
+    const report = makeReport({
+        description: '  Two spaces in front, one behind ',
+        assignedTo: { id: 'officer', name: 'Omar' },
+        supporters: ['resident-2', 'resident-3'],
+        geolocation: { lat: 28.6139, lon: 77.209 }
+    });
+    for (const [filename, text] of [['reports.csv', window.reportsToCsv([report])], ['reports.geojson', window.reportsToGeoJson([report])]]) {
+        const result = await window.importReports(window.parseImportFile(filename, text), ADMIN);
+        assert.deepEqual(plain(result.errors), [], filename);
+        const stored = (await window.getReports()).find(r => r.id === report.id);
+        assert.equal(stored.description, report.description, filename);
+        assert.deepEqual(plain(stored.assignedTo), report.assignedTo, filename);
+        assert.deepEqual(plain(stored.supporters), report.supporters, filename);
+        await window.saveReports([]);
+    }
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, closePages, makeReport } = require('./helpers');
+
+test.afterEach(closePages);
+
+const REPORTS = [
+    makeReport({ id: 'r1', location: 'MG Road', description: 'Deep pothole near the bus stop', submittedAt: '2026-01-01T12:00:00.000Z' }),
+    makeReport({
+        id: 'r2', category: 'Graffiti', department: 'Sanitation', status: 'In Progress', location: 'Park Street',
+        description: 'Paint on the wall', assignedTo: { id: 'officer', name: 'Omar' }, submittedAt: '2026-01-03T12:00:00.000Z'
+    }),
+    makeReport({ id: 'r3', location: 'Bus stand', description: 'Another pothole', department: undefined, submittedAt: '2026-01-05T12:00:00.000Z' })
+];
+const ids = list => Array.from(list, report => report.id);
+
+test('filterReports keeps reports that match every facet', async () => {
+    const { window } = await loadPage('index.html');
+    const filter = filters => ids(window.filterReports(REPORTS, filters));
+    assert.deepEqual(filter({}), ['r1', 'r2', 'r3']);
+    assert.deepEqual(filter({ status: 'In Progress' }), ['r2']);
+    assert.deepEqual(filter({ category: 'Pothole' }), ['r1', 'r3']);
+    assert.deepEqual(filter({ department: 'Roads' }), ['r1', 'r3'], 'reports without a department are routed by category');
+    assert.deepEqual(filter({ assignee: 'officer' }), ['r2']);
+    assert.deepEqual(filter({ assignee: 'unassigned' }), ['r1', 'r3']);
+    assert.deepEqual(filter({ category: 'Pothole', status: 'In Progress' }), []);
+});
+
+test('filterReports searches words in any order, ignoring case', async () => {
+    const { window } = await loadPage('index.html');
+    const search = q => ids(window.filterReports(REPORTS, { q }));
+    assert.deepEqual(search('POTHOLE'), ['r1', 'r3']);
+    assert.deepEqual(search('bus pothole'), ['r1', 'r3']);
+    assert.deepEqual(search('stop pothole'), ['r1']);
+    assert.deepEqual(search('r2'), ['r2'], 'the report ID is searched too');
+    assert.deepEqual(search('pothole park'), []);
+});
+
+test('filterReports includes whole days at both ends of a date range', async () => {
+    const { window } = await loadPage('index.html');
+    const range = (from, to) => ids(window.filterReports(REPORTS, { from, to }));
+    assert.deepEqual(range('2026-01-03', '2026-01-03'), ['r2']);
+    assert.deepEqual(range('2026-01-03', ''), ['r2', 'r3']);
+    assert.deepEqual(range('', '2026-01-03'), ['r1', 'r2']);
+});
+
+test('sortReports orders a copy by age or support', async () => {
+    const { window } = await loadPage('index.html');
+    const reports = [...REPORTS, makeReport({ id: 'r4', supporters: [{ id: 'u2' }], submittedAt: '2026-01-02T12:00:00.000Z' })];
+    assert.deepEqual(ids(window.sortReports(reports, 'newest')), ['r3', 'r2', 'r4', 'r1']);
+    assert.deepEqual(ids(window.sortReports(reports, 'oldest')), ['r1', 'r4', 'r2', 'r3']);
+    assert.deepEqual(ids(window.sortReports(reports, 'supporters')), ['r4', 'r3', 'r2', 'r1']);
+    assert.deepEqual(ids(reports), ['r1', 'r2', 'r3', 'r4'], 'the original order is kept');
+});
+
+test('the due facets and the priority sort follow the SLA', async () => {
+    const { window } = await loadPage('index.html');
+    const reports = [
+        makeReport({ id: 'fresh', submittedAt: '2026-01-04T00:00:00.000Z', dueAt: '2026-01-07T00:00:00.000Z' }),
+        makeReport({ id: 'due-soon', submittedAt: '2026-01-02T00:00:00.000Z', dueAt: '2026-01-05T00:00:00.000Z' }),
+        makeReport({ id: 'overdue' }),
+        makeReport({ id: 'closed', status: 'Resolved' })
+    ];
+    const now = Date.parse('2026-01-04T12:00:00Z');
+    assert.deepEqual(ids(window.filterReports(reports, { due: 'overdue' }, now)), ['overdue']);
+    assert.deepEqual(ids(window.filterReports(reports, { due: 'due-soon' }, now)), ['due-soon']);
+    assert.deepEqual(ids(window.sortReports(reports, 'priority', now)), ['overdue', 'due-soon', 'fresh', 'closed']);
+});
+
+test('paginate cuts out one page and keeps the page number in range', async () => {
+    const { window } = await loadPage('index.html');
+    const items = Array.from({ length: 45 }, (_, i) => i);
+    const page = (number) => {
+        const { items: pageItems, ...rest } = window.paginate(items, number, 20);
+        return { items: Array.from(pageItems), ...rest };
+    };
+    assert.deepEqual(page(1).items, items.slice(0, 20));
+    assert.deepEqual(page(3), { items: [40, 41, 42, 43, 44], page: 3, pageCount: 3, start: 40, total: 45 });
+    assert.equal(page(9).page, 3, 'pages past the end show the last page');
+    assert.equal(page(0).page, 1);
+    assert.equal(window.paginate([], 1, 20).pageCount, 1, 'an empty list still has one page');
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, closePages, waitFor, sleep, USERS } = require('./helpers');
+
+test.afterEach(closePages);
+
+// The location map opens on New Delhi, so a click in its middle lands on Janpath
+const PLACES = [
+    { label: 'Janpath, New Delhi', lat: 28.6139, lon: 77.2090 },
+    { label: 'India Gate, New Delhi', lat: 28.6129, lon: 77.2295 }
+];
+
+/** Gives elements a size, so the location map draws in jsdom. */
+function sizeElements(window) {
+    Object.defineProperty(window.HTMLElement.prototype, 'clientWidth', { get: () => 400 });
+    Object.defineProperty(window.HTMLElement.prototype, 'clientHeight', { get: () => 220 });
+}
+
+function openReportForm(options = {}) {
+    return loadPage('user_dashboard.html', {
+        users: USERS,
+        userId: 'resident',
+        ...options,
+        beforeLoad: (window) => {
+            sizeElements(window);
+            if (options.beforeLoad) options.beforeLoad(window);
+        }
+    });
+}
+
+/** Clicks the middle of the location map, which drops the pin there, and waits for the address. */
+async function clickMapCenter({ window, document }) {
+    const map = document.getElementById('location-map');
+    ['pointerdown', 'pointerup'].forEach((type) => {
+        map.dispatchEvent(new window.MouseEvent(type, { bubbles: true, clientX: 200, clientY: 110 }));
+    });
+    await waitFor(() => document.getElementById('location').value, 'no address was filled in');
+}
+
+test('the stub geocoder names the nearest place and finds places by name', async () => {
+    const { window } = await loadPage('index.html');
+    const stub = window.createStubGeocoder(PLACES);
+    assert.equal(await stub.reverse(28.6130, 77.2290), 'India Gate, New Delhi');
+    assert.equal(await stub.reverse(19.0760, 72.8777), null);
+    assert.deepEqual({ ...(await stub.forward('  india gate ')) }, { lat: 28.6129, lon: 77.2295, label: 'India Gate, New Delhi' });
+    assert.equal(await stub.forward('Mumbai'), null);
+});
+
+test('dropping the pin fills in the address', async () => {
+    const page = await openReportForm();
+    page.window.setGeocoder(page.window.createStubGeocoder(PLACES));
+    await clickMapCenter(page);
+    assert.equal(page.document.getElementById('location').value, 'Janpath, New Delhi');
+    assert.match(page.document.getElementById('location-feedback').textContent, /28\.6139\d, 77\.2090\d/);
+});
+
+test('a typed address moves the pin when the field is left, not while typing', async () => {
+    const page = await openReportForm();
+    const stub = page.window.createStubGeocoder(PLACES);
+    const queries = [];
+    page.window.setGeocoder({ reverse: stub.reverse, forward: (query) => { queries.push(query); return stub.forward(query); } });
+    const input = page.document.getElementById('location');
+
+    for (const text of ['In', 'India', 'India Gate']) {
+        input.value = text;
+        input.dispatchEvent(new page.window.Event('input', { bubbles: true }));
+    }
+    await sleep(1000); // A pause in typing is not the end of the address
+    assert.deepEqual(queries, []);
+    assert.equal(page.document.querySelector('#location-map .report-map-pin'), null);
+
+    input.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+    await waitFor(() => page.document.querySelector('#location-map .report-map-pin'), 'the pin is not shown');
+    assert.deepEqual(queries, ['India Gate']);
+    assert.equal(page.document.getElementById('location-feedback').textContent, 'Pin moved to match the address. Drag it to adjust.');
+});
+
+test('a page can name its own geocoding server', async () => {
+    const requested = [];
+    const page = await openReportForm({
+        beforeLoad: (window) => {
+            window.document.head.insertAdjacentHTML('beforeend', '<meta name="fixyourcity-geocoder" content="https://geo.example.org/">');
+            window.fetch = async (url) => {
+                requested.push(String(url));
+                return { ok: true, json: async () => ({ display_name: 'Janpath, New Delhi' }) };
+            };
+        }
+    });
+    await clickMapCenter(page);
+    assert.equal(requested.length, 1);
+    assert.match(requested[0], /^https:\/\/geo\.example\.org\/reverse\?format=jsonv2&lat=28\.61/);
+    assert.equal(page.document.getElementById('location').value, 'Janpath, New Delhi');
+});
+
+for (const [setup, meta] of [['no geocoding server', ''], ['geocoding turned off', '<meta name="fixyourcity-geocoder" content="off">']]) {
+    test(`with ${setup}, addresses are coordinates and nothing is sent`, async () => {
+        const page = await openReportForm({
+            beforeLoad: (window) => {
+                window.document.head.insertAdjacentHTML('beforeend', meta);
+                window.fetch = async () => assert.fail('no request is made');
+            }
+        });
+        await clickMapCenter(page);
+        assert.match(page.document.getElementById('location').value, /^Near 28\.6139\d, 77\.2090\d$/);
+    });
+}
+
+test('the coordinate geocoder writes and reads its text in the chosen language', async () => {
+    const { window } = await loadPage('index.html', { beforeLoad: window => window.localStorage.setItem('fixYourCityLanguage', 'hi') });
+    const geocoder = window.createCoordinateGeocoder();
+    const address = await geocoder.reverse(28.6139, 77.209);
+    assert.equal(address, '28.61390, 77.20900 के पास');
+    for (const query of [address, 'Near 28.6139, 77.209', ' 28.6139 ,77.209 ']) {
+        const { lat, lon } = await geocoder.forward(query);
+        assert.deepEqual([lat, lon], [28.6139, 77.209], query);
+    }
+    assert.equal(await geocoder.forward('12, 5th Cross Road'), null);
+    assert.equal(window.formatHours(30), '30 घंटे');
+    assert.equal(window.formatHours(-72), '3 दिन');
+});
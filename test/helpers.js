@@ -0,0 +1,152 @@
+/**
+ * test/helpers.js
+ * Loads a page of the app into jsdom with the browser-only backend, so tests
+ * can drive it like a user would.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawn } = require('child_process');
+const { webcrypto } = require('crypto');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { IDBFactory } = require('fake-indexeddb');
+
+const ROOT_DIR = path.join(__dirname, '..');
+// Loaded in one go, as the pages' <script> tags share one global scope
+const APP_SOURCE = ['shared.js', 'app.js'].map(file => fs.readFileSync(path.join(ROOT_DIR, file), 'utf8')).join('\n');
+
+// How long waitFor() and loadPage() wait before giving up
+const WAIT_TIMEOUT_MS = 5000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const openWindows = new Set();
+
+/**
+ * Opens a page with the given users, session and reports in localStorage,
+ * and waits until app.js has finished its first render.
+ * @param {string} page - e.g. 'my_reports.html'.
+ * @param {object} [options]
+ * @param {Array<object>} [options.users] - Stored users.
+ * @param {string} [options.userId] - Who is signed in.
+ * @param {Array<object>} [options.reports] - Stored reports.
+ * @param {string} [options.search] - Query string, e.g. '?report=r1'.
+ * @param {function(Window): void} [options.beforeLoad] - Runs before app.js.
+ * @returns {Promise<{window: Window, document: Document, alerts: Array<string>, errors: Array<string>}>}
+ *   errors holds uncaught script errors and console.error() output.
+ */
+async function loadPage(page, { users = [], userId, reports = [], search = '', beforeLoad } = {}) {
+    const markup = fs.readFileSync(path.join(ROOT_DIR, page), 'utf8').replace(/<script[\s\S]*?<\/script>/g, '');
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', (error) => {
+        if (!/navigation/i.test(error.message)) errors.push(error.message);
+    });
+    // app.js logs failed page initializers instead of throwing them
+    virtualConsole.on('error', (...args) => errors.push(args.map(String).join(' ')));
+    const dom = new JSDOM(markup, { url: `http://localhost/${page}${search}`, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+    const { window } = dom;
+    openWindows.add(window);
+    const alerts = [];
+    Object.defineProperty(window, 'crypto', { value: webcrypto });
+    window.indexedDB = new IDBFactory();
+    window.alert = message => alerts.push(String(message));
+    window.localStorage.setItem('fixYourCityUsers', JSON.stringify(users));
+    window.localStorage.setItem('fixYourCityReports', JSON.stringify(reports));
+    if (userId) {
+        window.localStorage.setItem('fixYourCitySession', JSON.stringify({ userId, expiresAt: Date.now() + 60 * 60 * 1000 }));
+    }
+    if (beforeLoad) beforeLoad(window);
+    let ready = false;
+    window.addEventListener('page-ready', () => { ready = true; }, { once: true });
+    window.eval(APP_SOURCE);
+    await waitFor(() => ready, `${page} did not finish loading`);
+    return { window, document: window.document, alerts, errors };
+}
+
+/** Closes every loaded page, stopping its timers. Use with afterEach(). */
+function closePages() {
+    openWindows.forEach(window => window.close());
+    openWindows.clear();
+}
+
+/**
+ * Waits until a condition holds, such as an element having been rendered.
+ * @param {function(): *} check - Returns something truthy once the wait is over.
+ * @param {string} [message] - The error message if it never does.
+ * @returns {Promise<*>} What check() returned.
+ */
+async function waitFor(check, message = 'Timed out waiting for the page') {
+    const giveUpAt = Date.now() + WAIT_TIMEOUT_MS;
+    for (;;) {
+        const result = check();
+        if (result) return result;
+        if (Date.now() > giveUpAt) throw new Error(message);
+        await sleep(10);
+    }
+}
+
+/**
+ * Starts server.js on its own port with empty data files.
+ * @returns {Promise<{url: string, stop: function(): void}>} url is the base
+ *   URL, e.g. 'http://localhost:3417'; stop() ends the server.
+ */
+async function startServer() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fyc-test-'));
+    const port = 3100 + Math.floor(Math.random() * 800);
+    const child = spawn(process.execPath, [path.join(ROOT_DIR, 'server.js')], {
+        env: { ...process.env, PORT: String(port), DATA_FILE: path.join(dataDir, 'reports.json') },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    let output = '';
+    child.stdout.on('data', (chunk) => { output += chunk; });
+    const stop = () => {
+        child.kill();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    };
+    try {
+        await waitFor(() => output.includes('running at') || child.exitCode !== null, 'server.js did not start');
+        if (child.exitCode !== null) throw new Error(`server.js exited with code ${child.exitCode}`);
+    } catch (error) {
+        stop();
+        throw error;
+    }
+    return { url: `http://localhost:${port}`, stop };
+}
+
+/**
+ * Builds a stored report at the current schema version.
+ * @param {object} fields - Fields to override.
+ * @returns {object} The report.
+ */
+function makeReport(fields = {}) {
+    return {
+        schemaVersion: 2,
+        id: 'r1',
+        category: 'Pothole',
+        status: 'Pending',
+        location: 'MG Road',
+        description: 'A deep pothole',
+        geolocation: null,
+        photoIds: [],
+        thumbnailId: null,
+        department: 'Roads',
+        assignedTo: null,
+        submittedAt: '2026-01-01T00:00:00.000Z',
+        dueAt: '2026-01-04T00:00:00.000Z',
+        supporters: [],
+        history: [{ from: null, to: 'Pending', by: null, at: '2026-01-01T00:00:00.000Z', note: '' }],
+        comments: [],
+        reporterId: 'resident',
+        reporterName: 'Ria',
+        ...fields
+    };
+}
+
+const USERS = [
+    { id: 'admin', name: 'Asha', email: 'asha@example.com', role: 'admin' },
+    { id: 'officer', name: 'Omar', email: 'omar@example.com', role: 'officer' },
+    { id: 'resident', name: 'Ria', email: 'ria@example.com', role: 'resident' }
+];
+
+module.exports = { loadPage, closePages, startServer, waitFor, sleep, makeReport, USERS };
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, closePages, makeReport, USERS } = require('./helpers');
+
+test.afterEach(closePages);
+
+const [ADMIN, OFFICER] = USERS;
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test('parseCsv reads quoted commas, quotes and line breaks', async () => {
+    const { window } = await loadPage('index.html');
+    const csv = '\uFEFFid,description\r\nr1,"Near the gate, ""left"" side"\r\n\r\nr2,"Two\nlines"\nr3,';
+    assert.deepEqual(plain(window.parseCsv(csv)), [
+        ['id', 'description'],
+        ['r1', 'Near the gate, "left" side'],
+        ['r2', 'Two\nlines'],
+        ['r3', '']
+    ]);
+    assert.throws(() => window.parseCsv('id,description\nr1,"never closed'), /ends inside a quoted cell/);
+});
+
+test('parseImportFile reads CSV, JSON and GeoJSON files', async () => {
+    const { window } = await loadPage('index.html');
+    const csv = 'id,category,location,latitude,longitude,details\nr1,Pothole,MG Road,12.97,77.59,"{""size"":""Large""}"\nr2,Graffiti,Park Street,,,';
+    assert.deepEqual(plain(window.parseImportFile('reports.CSV', csv)), [
+        { row: 2, record: { id: 'r1', category: 'Pothole', location: 'MG Road', geolocation: { lat: 12.97, lon: 77.59 }, details: { size: 'Large' } } },
+        { row: 3, record: { id: 'r2', category: 'Graffiti', location: 'Park Street' } }
+    ]);
+
+    const json = JSON.stringify([{ id: 'r1', category: 'Pothole' }]);
+    assert.deepEqual(plain(window.parseImportFile('reports.json', json)), [{ row: 1, record: { id: 'r1', category: 'Pothole' } }]);
+
+    const geojson = JSON.stringify({
+        type: 'FeatureCollection',
+        features: [{ type: 'Feature', id: 'r1', geometry: { type: 'Point', coordinates: [77.59, 12.97] }, properties: { category: 'Pothole' } }]
+    });
+    assert.deepEqual(plain(window.parseImportFile('reports.geojson', geojson)), [
+        { row: 1, record: { id: 'r1', category: 'Pothole', geolocation: { lat: 12.97, lon: 77.59 } } }
+    ]);
+
+    assert.throws(() => window.parseImportFile('reports.json', '{'), /not valid JSON/i);
+    assert.throws(() => window.parseImportFile('reports.json', '{"id":"r1"}'), /array of reports or a GeoJSON FeatureCollection/);
+});
+
+test('importReports stores valid rows and explains the rest', async () => {
+    const { window } = await loadPage('index.html', { users: USERS, reports: [makeReport({ id: 'existing' })] });
+    const csv = [
+        'id,category,status,location,latitude,longitude,submittedAt',
+        'new-1,Graffiti,In Progress,Park Street,,,2026-01-02T00:00:00.000Z',
+        'existing,Pothole,Pending,MG Road,,,',
+        ',Pothole,Pending,,,,',
+        'new-1,Pothole,Pending,Bus Stand,,,',
+        'new-2,Pothole,Lost,Bus Stand,95,0,'
+    ].join('\n');
+    const result = await window.importReports(window.parseImportFile('reports.csv', csv), ADMIN);
+
+    assert.deepEqual(Array.from(result.imported, report => report.id), ['new-1']);
+    assert.deepEqual(plain(result.skipped), [{ row: 3, id: 'existing' }, { row: 5, id: 'new-1' }]);
+    assert.deepEqual(plain(result.errors), [
+        { row: 4, messages: ['A location or coordinates are required.'] },
+        { row: 6, messages: ["Unknown status 'Lost'.", 'latitude and longitude must both be valid coordinates.'] }
+    ]);
+
+    const stored = (await window.getReports()).find(report => report.id === 'new-1');
+    assert.equal(stored.status, 'In Progress');
+    assert.equal(stored.department, 'Sanitation', 'routed by category');
+    assert.equal(stored.dueAt, '2026-01-09T00:00:00.000Z', 'due from the filing time');
+    assert.equal(stored.history.length, 1);
+    assert.equal(stored.history[0].note, 'Imported');
+    assert.equal(stored.history[0].by.id, ADMIN.id);
+});
+
+test('importReports keeps the history of exported reports', async () => {
+    const { window } = await loadPage('index.html', { users: USERS });
+    const exported = makeReport({
+        id: 'r9',
+        history: [{ from: null, to: 'Pending', by: { id: 'resident', name: 'Ria', role: 'resident' }, at: '2026-01-01T00:00:00.000Z', note: '' }],
+        comments: [{ id: 'c1', author: { id: 'officer', name: 'Omar', role: 'officer' }, body: 'On it', at: '2026-01-02T00:00:00.000Z' }]
+    });
+    await window.importReports(window.parseImportFile('reports.json', JSON.stringify([exported])), ADMIN);
+    const [stored] = await window.getReports();
+    assert.deepEqual(plain(stored.history), exported.history);
+    assert.deepEqual(plain(stored.comments), exported.comments);
+});
+
+test('only department admins can import', async () => {
+    const { window } = await loadPage('index.html', { users: USERS });
+    await assert.rejects(window.importReports([], OFFICER), /Only department admins/);
+});
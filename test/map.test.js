@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, closePages, USERS } = require('./helpers');
+
+test.afterEach(closePages);
+
+/** Opens the report form with extra <meta> tags and draws its location map. */
+async function openLocationMap(meta = '') {
+    const page = await loadPage('user_dashboard.html', {
+        users: USERS,
+        userId: 'resident',
+        beforeLoad: (window) => {
+            // Gives elements a size, so the map draws in jsdom
+            Object.defineProperty(window.HTMLElement.prototype, 'clientWidth', { get: () => 400 });
+            Object.defineProperty(window.HTMLElement.prototype, 'clientHeight', { get: () => 220 });
+            window.document.head.insertAdjacentHTML('beforeend', meta);
+        }
+    });
+    const map = page.document.getElementById('location-map');
+    // jsdom has no ResizeObserver to draw the map, but zooming draws it too
+    map.querySelector('[data-zoom="1"]').click();
+    return { ...page, map };
+}
+
+test('a page can serve map tiles from its own server', async () => {
+    const { map } = await openLocationMap(
+        '<meta name="fixyourcity-tiles" content="https://tiles.example.org/{z}/{x}/{y}.png">'
+        + '<meta name="fixyourcity-tiles-attribution" content="© City GIS">'
+    );
+    const tiles = [...map.querySelectorAll('.report-map-tile')];
+    assert.ok(tiles.length > 0);
+    tiles.forEach(tile => assert.match(tile.src, /^https:\/\/tiles\.example\.org\/12\/\d+\/\d+\.png$/));
+    assert.equal(map.querySelector('.report-map-attribution').textContent, '© City GIS');
+});
+
+test('a page can always use the offline grid', async () => {
+    const { map } = await openLocationMap('<meta name="fixyourcity-tiles" content="off">');
+    assert.ok(map.classList.contains('report-map-offline'));
+    assert.equal(map.querySelector('.report-map-tile'), null);
+});
+
+test('a failed tile is left blank, and only failures in a row switch to the grid', async () => {
+    const { window, map } = await openLocationMap();
+    const fail = tile => tile.dispatchEvent(new window.Event('error'));
+    const [first, second] = map.querySelectorAll('.report-map-tile');
+    fail(first);
+    assert.ok(first.classList.contains('report-map-tile-missing'));
+    assert.ok(!second.classList.contains('report-map-tile-missing'));
+    assert.ok(!map.classList.contains('report-map-offline'));
+
+    // A tile that loads shows the server is still there
+    second.dispatchEvent(new window.Event('load'));
+    const zoomIn = map.querySelector('[data-zoom="1"]');
+    let failures = 0;
+    while (!map.classList.contains('report-map-offline')) {
+        const tile = map.querySelector('.report-map-tile:not(.report-map-tile-missing)');
+        if (tile) {
+            fail(tile);
+            failures++;
+        } else {
+            zoomIn.click(); // Draws a fresh set of tiles
+        }
+        assert.ok(failures <= 8, 'the map kept loading tiles after 8 failures in a row');
+    }
+    assert.equal(failures, 8);
+    assert.equal(map.querySelector('.report-map-tile'), null);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { upgradeReport, validateReport, REPORT_SCHEMA_VERSION } = require('../shared');
+const { loadPage, closePages, makeReport } = require('./helpers');
+
+test.afterEach(closePages);
+
+// A report as the first version of the app saved it, before schemaVersion
+const LEGACY_REPORT = { id: 'old', category: 'Pothole', location: 'MG Road', submittedAt: '2025-06-01T00:00:00.000Z' };
+
+test('upgradeReport brings a legacy report up to the current schema', () => {
+    assert.deepEqual(upgradeReport(LEGACY_REPORT), {
+        ...LEGACY_REPORT,
+        schemaVersion: REPORT_SCHEMA_VERSION,
+        status: 'Pending',
+        description: '',
+        geolocation: null,
+        photoIds: [],
+        thumbnailId: null,
+        history: [{ from: null, to: 'Pending', by: null, at: '2025-06-01T00:00:00.000Z', note: '' }],
+        comments: [],
+        department: 'Roads',
+        assignedTo: null,
+        dueAt: '2025-06-04T00:00:00.000Z', // Potholes are due in 72 hours
+        supporters: []
+    });
+});
+
+test('upgradeReport routes unknown categories to the default department and target', () => {
+    const report = upgradeReport({ ...LEGACY_REPORT, category: 'Fallen tree', geolocation: { lat: 'x' } });
+    assert.equal(report.department, 'General Administration');
+    assert.equal(report.dueAt, '2025-06-06T00:00:00.000Z');
+    assert.equal(report.geolocation, null, 'unusable coordinates are dropped');
+});
+
+test('upgradeReport keeps what a version 1 report already has', () => {
+    const report = upgradeReport({ ...makeReport(), schemaVersion: 1, department: 'Sanitation', dueAt: '2026-02-01T00:00:00.000Z' });
+    assert.equal(report.schemaVersion, REPORT_SCHEMA_VERSION);
+    assert.equal(report.department, 'Sanitation');
+    assert.equal(report.dueAt, '2026-02-01T00:00:00.000Z');
+});
+
+test('upgradeReport leaves current reports alone and refuses the rest', () => {
+    const current = makeReport();
+    assert.equal(upgradeReport(current), current);
+    assert.throws(() => upgradeReport({ ...current, schemaVersion: REPORT_SCHEMA_VERSION + 1 }), /newer version of the app/);
+    for (const record of [null, 'report', [current]]) {
+        assert.throws(() => upgradeReport(record), /Not a report object/);
+    }
+});
+
+test('validateReport lists unknown fields but not the legacy photo fields', () => {
+    assert.deepEqual(validateReport(makeReport({ imageData: 'data:image/png;base64,' })), []);
+    assert.deepEqual(validateReport(makeReport({ priority: 'High', dueAt: 'soon' })), [
+        { key: 'errors.reportDueAt' },
+        { key: 'errors.reportUnknownField', params: { field: 'priority' } }
+    ]);
+    assert.deepEqual(validateReport(null), [{ key: 'errors.importNotObject' }]);
+});
+
+test('migrateReports sets aside records that cannot be upgraded', async () => {
+    const { window } = await loadPage('index.html');
+    const current = makeReport({ id: 'current' });
+    const { reports, quarantined, migrated } = window.migrateReports([
+        LEGACY_REPORT,
+        current,
+        { ...current, id: 'future', schemaVersion: 99 },
+        { ...LEGACY_REPORT, id: 'bad', status: 'Lost' }
+    ]);
+    assert.deepEqual(Array.from(reports, report => report.id), ['old', 'current']);
+    assert.equal(migrated, 1);
+    assert.deepEqual(Array.from(quarantined, entry => entry.error), [
+        'Saved by a newer version of the app (schema 99).',
+        "Report bad is invalid: unknown status 'Lost'."
+    ]);
+});
+
+test('stored legacy reports are upgraded on load and broken ones quarantined', async () => {
+    const { window } = await loadPage('index.html', { reports: [LEGACY_REPORT, { ...LEGACY_REPORT, id: 'future', schemaVersion: 99 }] });
+    const reports = await window.getReports();
+    assert.deepEqual(Array.from(reports, report => [report.id, report.schemaVersion]), [['old', REPORT_SCHEMA_VERSION]]);
+
+    const stored = JSON.parse(window.localStorage.getItem('fixYourCityReports'));
+    assert.equal(stored.length, 1, 'the upgrade is written back');
+    assert.equal(stored[0].schemaVersion, REPORT_SCHEMA_VERSION);
+    const quarantine = window.getQuarantinedRecords();
+    assert.equal(quarantine.length, 1);
+    assert.equal(quarantine[0].record.id, 'future');
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, closePages, makeReport, USERS } = require('./helpers');
+
+test.afterEach(closePages);
+
+const PAGES = [
+    ['index.html', undefined],
+    ['user_dashboard.html', 'resident'],
+    ['my_reports.html', 'resident'],
+    ['explore.html', 'resident'],
+    ['authority_dashboard.html', 'admin']
+];
+
+for (const [page, userId] of PAGES) {
+    test(`${page} loads without script errors`, async () => {
+        const { errors, alerts } = await loadPage(page, { users: USERS, userId, reports: [makeReport()] });
+        assert.deepEqual(errors, []);
+        assert.deepEqual(alerts, []);
+    });
+}
@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, closePages, waitFor, makeReport, USERS } = require('./helpers');
+
+test.afterEach(closePages);
+
+test('a photo that cannot be loaded closes the viewer with a message', async () => {
+    const report = makeReport({ photoIds: ['img_missing'], thumbnailId: 'img_missing' });
+    const { document, alerts } = await loadPage('explore.html', { users: USERS, userId: 'resident', reports: [report] });
+    document.querySelector('.explore-image-thumb').click();
+    await waitFor(() => alerts.length > 0, 'no message was shown');
+    assert.deepEqual(alerts, ['The photo could not be loaded. Try again later.']);
+    assert.ok(document.getElementById('image-modal').classList.contains('hidden'));
+});
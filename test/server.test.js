@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, makeReport } = require('./helpers');
+
+let server;
+let admin;
+let resident;
+test.before(async () => {
+    server = await startServer();
+    admin = await signUp('Asha');
+    resident = await signUp('Ria');
+});
+test.after(() => server.stop());
+
+/**
+ * Registers an account and returns a fetch() that sends its session cookie.
+ * The first account registered becomes the department admin.
+ */
+async function signUp(name) {
+    const response = await fetch(`${server.url}/api/auth/register`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, email: `${name.toLowerCase()}@example.com`, password: 'correct horse' })
+    });
+    assert.equal(response.status, 201);
+    const user = await response.json();
+    const cookie = response.headers.get('set-cookie').split(';')[0];
+    const send = (method, url, body) => fetch(`${server.url}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', Cookie: cookie },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { user, send };
+}
+
+test('reports that break the schema are refused on every write', async () => {
+    const own = { reporterId: resident.user.id, reporterName: 'Ria' };
+    const bare = await resident.send('PUT', '/api/reports/bare', { id: 'bare', status: 'Pending', ...own });
+    assert.equal(bare.status, 400);
+    const { problems } = await bare.json();
+    assert.deepEqual(problems[0], { key: 'errors.invalidReport', params: { id: 'bare' } });
+    assert.ok(problems.some(problem => problem.key === 'errors.reportCategory'));
+    assert.ok(problems.some(problem => problem.key === 'errors.reportSubmittedAt'));
+
+    const extra = await resident.send('PATCH', '/api/reports', [makeReport({ id: 'extra', ...own, isUrgent: true })]);
+    const [refused] = (await extra.json()).failed;
+    assert.deepEqual(refused.problems.slice(1), [{ key: 'errors.reportUnknownField', params: { field: 'isUrgent' } }]);
+
+    const all = await admin.send('PUT', '/api/reports', [makeReport(), makeReport({ id: 'r2', status: 'Lost' })]);
+    assert.equal(all.status, 400);
+    assert.deepEqual((await all.json()).problems.slice(1), [{ key: 'errors.reportStatus', params: { status: 'Lost' } }]);
+
+    assert.deepEqual(await (await admin.send('GET', '/api/reports')).json(), [], 'nothing was stored');
+    const valid = await resident.send('PUT', '/api/reports/r1', makeReport({ history: [], ...own }));
+    assert.equal(valid.status, 204);
+});
+
+test('PATCH saves the reports it accepts and lists the ones it refuses', async () => {
+    const theirs = makeReport({ id: 'theirs', reporterId: admin.user.id, reporterName: 'Asha' });
+    assert.equal((await admin.send('PUT', '/api/reports/theirs', theirs)).status, 204);
+    const mine = makeReport({ id: 'mine', history: [], reporterId: resident.user.id, reporterName: 'Ria' });
+    const response = await resident.send('PATCH', '/api/reports', [{ ...theirs, description: 'Not my report' }, mine]);
+    assert.equal(response.status, 200);
+    const { updated, failed } = await response.json();
+    assert.deepEqual(updated, ['mine']);
+    assert.deepEqual(failed.map(({ id, problems }) => ({ id, problems })), [{ id: 'theirs', problems: [{ key: 'errors.reportPermission', params: {} }] }]);
+
+    const stored = await (await admin.send('GET', '/api/reports')).json();
+    assert.equal(stored.find(report => report.id === 'theirs').description, theirs.description);
+    assert.ok(stored.some(report => report.id === 'mine'));
+});
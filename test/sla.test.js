@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, closePages, makeReport } = require('./helpers');
+
+test.afterEach(closePages);
+
+// makeReport() files a Pothole (72h target, severity 3) on 1 January, due on the 4th
+const at = iso => Date.parse(iso);
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test('getSlaState counts down to the due date and escalates once it passes', async () => {
+    const { window } = await loadPage('index.html');
+    const report = makeReport();
+    const state = iso => window.getSlaState(report, at(iso));
+
+    assert.deepEqual(plain(state('2026-01-02T00:00:00Z')), {
+        dueAt: '2026-01-04T00:00:00.000Z', open: true, overdue: false, dueSoon: false, hoursLeft: 48, escalationTier: 0, escalationLabel: ''
+    });
+    assert.equal(state('2026-01-03T12:00:00Z').dueSoon, true);
+    assert.equal(state('2026-01-03T12:00:00Z').hoursLeft, 12);
+
+    const overdue = state('2026-01-05T00:00:00Z');
+    assert.equal(overdue.overdue, true);
+    assert.equal(overdue.dueSoon, false);
+    assert.equal(overdue.escalationTier, 1);
+    assert.equal(overdue.escalationLabel, 'Overdue');
+    assert.equal(state('2026-01-06T00:00:00Z').escalationLabel, 'Escalated to department head');
+    assert.equal(state('2026-01-11T00:00:00Z').escalationLabel, 'Escalated to commissioner');
+});
+
+test('getSlaState never marks closed reports overdue', async () => {
+    const { window } = await loadPage('index.html');
+    for (const status of ['Resolved', 'Rejected', 'Duplicate']) {
+        const state = window.getSlaState(makeReport({ status }), at('2026-02-01T00:00:00Z'));
+        assert.equal(state.open, false, status);
+        assert.equal(state.overdue, false, status);
+        assert.equal(state.escalationTier, 0, status);
+    }
+});
+
+test('getSlaState gives reports without a due date one from their category', async () => {
+    const { window } = await loadPage('index.html');
+    const report = makeReport({ category: 'Graffiti', dueAt: undefined });
+    assert.equal(window.getSlaState(report, at('2026-01-02T00:00:00Z')).dueAt, '2026-01-08T00:00:00.000Z');
+});
+
+test('computePriorityScore weighs severity, age, supporters and escalation', async () => {
+    const { window } = await loadPage('index.html');
+    const report = makeReport({ supporters: [{ id: 'u2' }, { id: 'u3' }] });
+    // Severity 3 x 10, 4 days open x 2, 2 supporters x 5, first escalation tier 15
+    assert.equal(window.computePriorityScore(report, at('2026-01-05T00:00:00Z')), 63);
+    assert.equal(window.computePriorityScore(makeReport(), at('2026-01-01T00:00:00Z')), 30);
+    assert.equal(window.computePriorityScore(makeReport({ status: 'Resolved' }), at('2026-01-05T00:00:00Z')), 0);
+});
+
+test('setClock changes the time deadlines are measured against', async () => {
+    const { window } = await loadPage('index.html');
+    window.setClock(() => at('2026-01-05T00:00:00Z'));
+    assert.equal(window.getSlaState(makeReport()).overdue, true);
+    window.setClock(() => at('2026-01-02T00:00:00Z'));
+    assert.equal(window.getSlaState(makeReport()).overdue, false);
+    assert.equal(window.computePriorityScore(makeReport()), 32);
+});